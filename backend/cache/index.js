@@ -0,0 +1,205 @@
+/**
+ * ===============================================
+ * RESPONSE CACHE - TTL Cache for Provider Lookups
+ * ===============================================
+ * Sits in front of the weather provider so repeated lookups for the
+ * same city/coordinates don't burn upstream quota.
+ *
+ * CONFIGURATION (.env):
+ *   CACHE_ENABLED        - 'false' disables caching (default: enabled)
+ *   CACHE_STORE          - 'memory' (default) or 'mongo'
+ *   CACHE_TTL_WEATHER    - seconds for GET /:city        (default 600)
+ *   CACHE_TTL_CURRENT    - seconds for GET /current      (default 600)
+ *   CACHE_TTL_FORECAST   - seconds for GET /forecast/... (default 1800)
+ *   CACHE_TTL_GEOCODE    - seconds for GET /geocode      (default 86400)
+ *   CACHE_TTL_AIR        - seconds for GET /air-quality  (default 1800)
+ *   CACHE_STALE_SECONDS  - how long expired entries are kept as a fallback
+ *                          for when the daily upstream budget is spent (default 86400)
+ *
+ * NOTE: Exported as a singleton, like config/db.js.
+ */
+
+const MemoryStore = require('./memoryStore');
+const cacheRepository = require('../repositories/cacheRepository'); // 'weatherCache' collection store
+const metrics = require('../utils/metrics'); // cache_lookups_total / cache_hit_ratio
+const logger = require('../utils/logger').child({ component: 'cache' }); // Structured logs
+
+// Default time-to-live per endpoint, in seconds
+const DEFAULT_TTLS = {
+  weather: 600,
+  current: 600,
+  forecast: 1800,
+  geocode: 86400, // Place names and coordinates rarely change
+  air: 1800
+};
+
+/**
+ * Normalizes a city name so "  mumbai", "Mumbai" and "MUMBAI " share one entry
+ * @param {string} city - Raw city name
+ * @returns {string} Lowercased, trimmed, single-spaced name
+ */
+const normalizeCity = (city) => String(city).trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Rounds a coordinate to 2 decimals (~1 km) so nearby GPS fixes share an entry
+ * @param {number} value - Latitude or longitude
+ */
+const roundCoord = (value) => Number(value).toFixed(2);
+
+/**
+ * Reads an enum setting the way config/env.js validates it (trimmed, any case)
+ * @param {string} value - Raw value
+ * @param {string} fallback - Used when unset
+ */
+const settingValue = (value, fallback) => String(value ?? fallback).trim().toLowerCase() || fallback;
+
+class ResponseCache {
+  constructor() {
+    this.enabled = settingValue(process.env.CACHE_ENABLED, 'true') !== 'false';
+    this.memoryStore = new MemoryStore();
+    this.store = this.memoryStore;
+  }
+
+  /**
+   * ========== CONFIGURE STORE ==========
+   * Applies the validated CACHE_ENABLED and switches to the MongoDB store
+   * when CACHE_STORE=mongo. Called once during startup after the database connects.
+   * @param {Object} [config] - loadConfig() result (defaults to process.env)
+   */
+  async configure(config = {}) {
+    this.enabled = settingValue(config.cacheEnabled ?? process.env.CACHE_ENABLED, 'true') !== 'false';
+    if (settingValue(config.cacheStore ?? process.env.CACHE_STORE, 'memory') === 'mongo') {
+      this.store = cacheRepository;
+      await this.store.createIndexes();
+    }
+    logger.info('🗄️  Response cache configured', { store: this.enabled ? this.store.name : 'disabled' });
+  }
+
+  /**
+   * Returns the TTL in seconds for an endpoint, honouring CACHE_TTL_<ENDPOINT>
+   * @param {string} endpoint - 'weather', 'current', 'forecast', 'geocode' or 'air'
+   */
+  ttlFor(endpoint) {
+    const override = parseInt(process.env[`CACHE_TTL_${endpoint.toUpperCase()}`], 10);
+    return Number.isNaN(override) ? DEFAULT_TTLS[endpoint] || 600 : override;
+  }
+
+  /**
+   * Builds a cache key for a city lookup
+   * @example cityKey('forecast', ' Mumbai ', 'metric') // 'forecast:city:mumbai:metric'
+   */
+  cityKey(endpoint, city, units) {
+    return `${endpoint}:city:${normalizeCity(city)}:${units}`;
+  }
+
+  /**
+   * Builds a cache key for a coordinate lookup
+   * @example coordsKey('current', 19.01441, 72.84793, 'metric') // 'current:coords:19.01,72.85:metric'
+   */
+  coordsKey(endpoint, lat, lon, units) {
+    return `${endpoint}:coords:${roundCoord(lat)},${roundCoord(lon)}:${units}`;
+  }
+
+  /**
+   * ========== READ-THROUGH LOOKUP ==========
+   * Returns the cached value for key, or calls fetcher() and caches its result.
+   * Store failures are logged and treated as a miss so the cache can never
+   * take the API down.
+   *
+   * @param {string} endpoint - Endpoint name used to pick the TTL
+   * @param {string} key - Cache key (see cityKey / coordsKey)
+   * @param {Function} fetcher - Async function producing the fresh value
+   * @returns {Promise<Object>} { value, meta: { hit, ageSeconds, storedAt, stale? } }
+   */
+  async wrap(endpoint, key, fetcher) {
+    const ttl = this.ttlFor(endpoint);
+
+    if (this.enabled && ttl > 0) {
+      try {
+        const entry = await this.store.get(key);
+        if (entry) {
+          metrics.cacheLookups.inc({ endpoint, result: 'hit' });
+          return { value: entry.value, meta: this.describe(entry.storedAt, true) };
+        }
+      } catch (error) {
+        logger.error('Cache read failed', { key, error });
+      }
+    }
+
+    if (this.enabled && ttl > 0) metrics.cacheLookups.inc({ endpoint, result: 'miss' });
+
+    let value;
+    try {
+      value = await fetcher();
+    } catch (error) {
+      // Daily upstream budget spent: answer with the last known data if there is any
+      const stale = error.code === 'UPSTREAM_BUDGET_EXHAUSTED' && await this.readStale(key);
+      if (stale) {
+        metrics.cacheLookups.inc({ endpoint, result: 'stale' });
+        return { value: stale.value, meta: { ...this.describe(stale.storedAt, true), stale: true } };
+      }
+      throw error;
+    }
+
+    if (this.enabled && ttl > 0) {
+      try {
+        await this.store.set(key, value, ttl, this.staleSeconds());
+      } catch (error) {
+        logger.error('Cache write failed', { key, error });
+      }
+    }
+
+    return { value, meta: this.describe(Date.now(), false) };
+  }
+
+  /**
+   * Seconds an expired entry is kept as a stale fallback (CACHE_STALE_SECONDS)
+   */
+  staleSeconds() {
+    const value = parseInt(process.env.CACHE_STALE_SECONDS, 10);
+    return Number.isNaN(value) || value < 0 ? 86400 : value;
+  }
+
+  /**
+   * Reads an entry even if it has expired (null when none or on store failure)
+   * @param {string} key - Cache key
+   */
+  async readStale(key) {
+    if (!this.enabled) return null;
+    try {
+      return await this.store.get(key, { allowStale: true });
+    } catch (error) {
+      logger.error('Cache read failed', { key, error });
+      return null;
+    }
+  }
+
+  /**
+   * Builds the metadata object reported to clients
+   * @param {number} storedAt - Epoch ms when the data was fetched upstream
+   * @param {boolean} hit - Whether the value came from the cache
+   */
+  describe(storedAt, hit) {
+    return {
+      hit,
+      ageSeconds: Math.max(0, Math.round((Date.now() - storedAt) / 1000)),
+      storedAt: new Date(storedAt).toISOString()
+    };
+  }
+
+  /**
+   * Empties the active store
+   */
+  async clear() {
+    await this.store.clear();
+  }
+
+  /**
+   * Stops background work of the in-memory store (graceful shutdown)
+   */
+  stop() {
+    this.memoryStore.stop();
+  }
+}
+
+module.exports = new ResponseCache();
@@ -0,0 +1,96 @@
+/**
+ * ===============================================
+ * MEMORY CACHE STORE - In-Process Map
+ * ===============================================
+ * Default cache store. Entries live in a Map and are dropped
+ * lazily when read after their stale window ends, plus a periodic
+ * sweep for entries that are never read again.
+ */
+
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+class MemoryStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Oldest entries are evicted beyond this size
+   * @param {number} options.sweepIntervalMs - How often past-stale entries are dropped
+   */
+  constructor({ maxEntries = 1000, sweepIntervalMs = SWEEP_INTERVAL_MS } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // key -> { value, storedAt, expiresAt, staleUntil }
+
+    this.timer = setInterval(() => this.sweep(), sweepIntervalMs);
+    // Don't keep the process alive just for the sweep
+    this.timer.unref();
+  }
+
+  /**
+   * Drops every entry whose stale window has ended
+   * @param {number} [now] - Epoch ms
+   * @returns {number} Entries dropped
+   */
+  sweep(now = Date.now()) {
+    let dropped = 0;
+    this.entries.forEach((entry, key) => {
+      if (entry.staleUntil <= now) {
+        this.entries.delete(key);
+        dropped += 1;
+      }
+    });
+    return dropped;
+  }
+
+  /**
+   * Stops the periodic sweep (graceful shutdown)
+   */
+  stop() {
+    clearInterval(this.timer);
+  }
+
+  /**
+   * Returns the stored entry or null when missing/expired
+   * @param {string} key - Cache key
+   * @param {Object} [options]
+   * @param {boolean} [options.allowStale] - Also return expired entries still in their stale window
+   */
+  async get(key, { allowStale = false } = {}) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    const now = Date.now();
+    if (entry.staleUntil <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    if (entry.expiresAt <= now && !allowStale) return null;
+    return entry;
+  }
+
+  /**
+   * Stores a value for ttlSeconds, kept as a stale fallback for staleSeconds more
+   * @param {string} key - Cache key
+   * @param {*} value - Any JSON-serialisable value
+   * @param {number} ttlSeconds - Time to live in seconds
+   * @param {number} [staleSeconds] - Extra seconds the expired value may still be served
+   */
+  async set(key, value, ttlSeconds, staleSeconds = 0) {
+    const storedAt = Date.now();
+    const expiresAt = storedAt + ttlSeconds * 1000;
+    // Map preserves insertion order, so re-inserting keeps the newest last
+    this.entries.delete(key);
+    this.entries.set(key, { value, storedAt, expiresAt, staleUntil: expiresAt + staleSeconds * 1000 });
+
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Removes every entry
+   */
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = MemoryStore;
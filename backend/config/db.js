@@ -4,15 +4,31 @@
  * ===============================================
  * Manages MongoDB database connection and operations
  * Provides centralized database access methods
- * 
+ *
+ * Repositories (see repositories/) are the only code that reads or
+ * writes collections; they get them from here through getCollection().
+ *
+ * CONFIGURATION (.env, passed to connect() as the loadConfig() result):
+ *   MONGODB_URI             - connection string
+ *   MONGODB_DB_NAME         - database name (default 'weatherdb')
+ *   MONGODB_CONNECT_RETRIES - startup connection attempts before giving up (default 5)
+ *
+ * Once connected, the MongoDB driver reconnects on its own after the server
+ * goes away; this class retries the initial connection with backoff and
+ * logs when the connection is lost and restored.
+ *
  * NOTE: This module is instantiated and exported as a singleton.
  * Only one database connection is created and reused throughout the application.
  */
 
 const { MongoClient } = require('mongodb'); // MongoDB driver
+const logger = require('../utils/logger').child({ component: 'database' }); // Structured logs
 
-// Get MongoDB connection string from environment variables
-const MONGODB_URI = process.env.MONGODB_URI;
+// Delay before the first retry; doubles per attempt up to MAX_RETRY_DELAY_MS
+const FIRST_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
  * ========== DATABASE CLASS ==========
@@ -21,49 +37,94 @@ const MONGODB_URI = process.env.MONGODB_URI;
  */
 class Database {
   /**
-   * Constructor initializes MongoDB client
-   * Creates the client but does not connect yet
-   * Connection happens when connect() is explicitly called
+   * Constructor only prepares state.
+   * The client is created when connect() is explicitly called, after .env is loaded.
    */
   constructor() {
-    this.client = new MongoClient(MONGODB_URI); // MongoDB client instance
+    this.client = null; // MongoDB client instance
     this.db = null; // Database instance (set after connection)
+    this.connected = false; // false while the driver is reconnecting
+    this.name = null; // Database name (MONGODB_DB_NAME), set by connect()
   }
 
   /**
    * ========== CONNECT TO DATABASE ==========
-   * Establishes connection to MongoDB
-   * Selects the 'weatherdb' database
+   * Establishes connection to MongoDB and selects the configured database.
+   * Retries with exponential backoff (MONGODB_CONNECT_RETRIES attempts).
    * Should be called once during application startup
-   * 
+   *
+   * @param {Object} [config] - loadConfig() result (mongodbUri, mongodbDbName, mongodbConnectRetries)
+   * @param {Object} [config.client] - Use this client instead of creating one (tests pass an in-memory fake)
    * @returns {Object} Database instance for use in application
-   * @throws {Error} If connection fails
+   * @throws {Error} If every connection attempt fails
+   */
+  async connect({ client, mongodbUri, mongodbDbName = 'weatherdb', mongodbConnectRetries = 5 } = {}) {
+    const attempts = Math.max(1, mongodbConnectRetries);
+    this.name = mongodbDbName;
+    this.client = client || new MongoClient(mongodbUri);
+
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        await this.client.connect();
+        break;
+      } catch (error) {
+        if (attempt >= attempts) {
+          logger.error('❌ Database connection failed', { attempts, error });
+          throw error; // Re-throw error so application can handle it
+        }
+        const delay = Math.min(FIRST_RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+        logger.warn(`⚠️  Database connection attempt ${attempt}/${attempts} failed, retrying`, { retryInMs: delay, error });
+        await wait(delay);
+      }
+    }
+
+    this.watchConnection();
+    this.db = this.client.db(this.name);
+    this.connected = true;
+
+    logger.info('✅ Database connected', { database: this.name });
+    return this.db;
+  }
+
+  /**
+   * Logs when the driver loses and regains the server (it reconnects by itself)
+   */
+  watchConnection() {
+    if (typeof this.client.on !== 'function') return;
+
+    this.client.on('serverHeartbeatFailed', (event) => {
+      if (!this.connected) return;
+      this.connected = false;
+      logger.warn('⚠️  Database connection lost, reconnecting...', { error: event.failure?.message || 'heartbeat failed' });
+    });
+    this.client.on('serverHeartbeatSucceeded', () => {
+      if (this.connected) return;
+      this.connected = true;
+      logger.info('✅ Database reconnected');
+    });
+  }
+
+  /**
+   * ========== PING ==========
+   * Round trip to the server (readiness check)
+   * @throws {Error} If not connected or the server does not answer
    */
-  async connect() {
-    try {
-      // Connect to MongoDB using connection string from .env
-      await this.client.connect();
-      
-      // Select the 'weatherdb' database
-      this.db = this.client.db('weatherdb');
-      
-      console.log('✅ Database connected');
-      return this.db;
-    } catch (error) {
-      console.error('❌ Database connection failed:', error);
-      throw error; // Re-throw error so application can handle it
+  async ping() {
+    if (!this.db) {
+      throw new Error('Database not connected. Call connect() first.');
     }
+    await this.db.command({ ping: 1 });
   }
 
   /**
    * ========== GET COLLECTION ==========
    * Returns a reference to a specific MongoDB collection
-   * Use this to perform CRUD operations on collections
-   * 
+   * Use this from repositories to perform CRUD operations on collections
+   *
    * Example usage:
    * const usersCollection = db.getCollection('users');
    * const users = await usersCollection.find({}).toArray();
-   * 
+   *
    * @param {string} collectionName - Name of the collection
    * @returns {Object} MongoDB collection object
    * @throws {Error} If database is not connected
@@ -79,7 +140,7 @@ class Database {
    * ========== DISCONNECT FROM DATABASE ==========
    * Closes the MongoDB connection
    * Should be called during application shutdown
-   * 
+   *
    * Example usage:
    * process.on('SIGINT', async () => {
    *   await db.disconnect();
@@ -87,8 +148,13 @@ class Database {
    * });
    */
   async disconnect() {
+    if (!this.client) return;
     await this.client.close();
-    console.log('🔌 Database connection closed');
+    this.client = null;
+    this.db = null;
+    this.name = null;
+    this.connected = false;
+    logger.info('🔌 Database connection closed');
   }
 }
 
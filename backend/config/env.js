@@ -0,0 +1,158 @@
+/**
+ * ===============================================
+ * ENVIRONMENT CONFIG - Typed, Validated Settings
+ * ===============================================
+ * Reads .env / process.env once, converts every value to its type and
+ * reports ALL problems at once, so a missing API key or a typo in a
+ * number stops the server at startup with a clear message instead of
+ * surfacing later as a confusing 401.
+ *
+ * SCHEMA lists every variable the backend reads. Server-level settings
+ * (port, CORS, frontend serving, proxy hops), the MongoDB connection, the
+ * cache store and the background services (alerts, favorites refresh,
+ * history retention) are used from the returned object; the remaining
+ * tunables (cache TTLs, rate limits, provider, sessions, admin access)
+ * are still read by their modules at call time, and are only type-checked here.
+ *
+ * Usage:
+ *   const { loadConfig } = require('./config/env');
+ *   const config = loadConfig();              // throws ConfigError
+ *   config.port, config.corsOrigins, ...
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Thrown when the environment is invalid; `problems` lists every issue
+ */
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * ========== TYPES ==========
+ * Each parser returns the typed value or throws a message
+ */
+const TYPES = {
+  string: (raw) => raw,
+  integer: (raw, { min = 0 } = {}) => {
+    if (!/^-?\d+$/.test(raw.trim()) || parseInt(raw, 10) < min) throw new Error(`must be an integer >= ${min}`);
+    return parseInt(raw, 10);
+  },
+  boolean: (raw) => {
+    const value = raw.trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(value)) return true;
+    if (['false', '0', 'no'].includes(value)) return false;
+    throw new Error('must be true or false');
+  },
+  enum: (raw, { values }) => {
+    const value = raw.trim().toLowerCase();
+    if (!values.includes(value)) throw new Error(`must be one of: ${values.join(', ')}`);
+    return value;
+  },
+  list: (raw) => raw.split(',').map(item => item.trim()).filter(Boolean)
+};
+
+const count = { type: 'integer', min: 0 };
+
+/**
+ * ========== SCHEMA ==========
+ * key: property on the config object; default: used when unset or empty;
+ * required: true, or a function of the parsed config
+ */
+const SCHEMA = {
+  NODE_ENV: { key: 'nodeEnv', type: 'enum', values: ['development', 'production', 'test'], default: 'development' },
+  PORT: { key: 'port', type: 'integer', min: 1, default: 5000 },
+  TRUST_PROXY: { key: 'trustProxy', type: 'string' },
+  CORS_ORIGINS: { key: 'corsOrigins', type: 'list', default: ['http://localhost:3000'] },
+  SERVE_FRONTEND: { key: 'serveFrontend', type: 'boolean', default: (config) => config.nodeEnv === 'production' },
+  FRONTEND_BUILD_DIR: { key: 'frontendBuildDir', type: 'string', default: path.join(__dirname, '..', '..', 'frontend', 'build') },
+  SHUTDOWN_TIMEOUT_SECONDS: { key: 'shutdownTimeoutSeconds', ...count, default: 10 },
+  LOG_LEVEL: { key: 'logLevel', type: 'enum', values: ['error', 'warn', 'info', 'debug', 'silent'], default: 'info' },
+
+  MONGODB_URI: { key: 'mongodbUri', type: 'string', required: true },
+  MONGODB_DB_NAME: { key: 'mongodbDbName', type: 'string', default: 'weatherdb' },
+  MONGODB_CONNECT_RETRIES: { key: 'mongodbConnectRetries', type: 'integer', min: 1, default: 5 },
+
+  WEATHER_PROVIDER: { key: 'weatherProvider', type: 'enum', values: ['openweathermap', 'openmeteo', 'stub'], default: 'openweathermap' },
+  OPENWEATHER_API_KEY: { key: 'openWeatherApiKey', type: 'string', required: (config) => config.weatherProvider === 'openweathermap' },
+
+  CACHE_ENABLED: { key: 'cacheEnabled', type: 'enum', values: ['true', 'false'], default: 'true' },
+  CACHE_STORE: { key: 'cacheStore', type: 'enum', values: ['memory', 'mongo'], default: 'memory' },
+  CACHE_TTL_WEATHER: { key: 'cacheTtlWeather', ...count },
+  CACHE_TTL_CURRENT: { key: 'cacheTtlCurrent', ...count },
+  CACHE_TTL_FORECAST: { key: 'cacheTtlForecast', ...count },
+  CACHE_TTL_GEOCODE: { key: 'cacheTtlGeocode', ...count },
+  CACHE_TTL_AIR: { key: 'cacheTtlAir', ...count },
+  CACHE_STALE_SECONDS: { key: 'cacheStaleSeconds', ...count },
+  RATE_LIMIT_WINDOW_SECONDS: { key: 'rateLimitWindowSeconds', type: 'integer', min: 1 },
+  RATE_LIMIT_PER_IP: { key: 'rateLimitPerIp', ...count },
+  RATE_LIMIT_PER_USER: { key: 'rateLimitPerUser', ...count },
+  RATE_LIMIT_AUTH_WINDOW_SECONDS: { key: 'rateLimitAuthWindowSeconds', type: 'integer', min: 1 },
+  RATE_LIMIT_AUTH_PER_IP: { key: 'rateLimitAuthPerIp', ...count },
+  UPSTREAM_DAILY_BUDGET: { key: 'upstreamDailyBudget', ...count },
+  HEALTH_PROVIDER_CHECK_SECONDS: { key: 'healthProviderCheckSeconds', ...count },
+  COMPARE_MAX_PLACES: { key: 'compareMaxPlaces', type: 'integer', min: 2 },
+
+  SESSION_TTL_HOURS: { key: 'sessionTtlHours', type: 'integer', min: 1 },
+  ADMIN_API_KEY: { key: 'adminApiKey', type: 'string' },
+  ADMIN_USERNAMES: { key: 'adminUsernames', type: 'list', default: [] },
+
+  ALERT_CHECK_INTERVAL_MINUTES: { key: 'alertCheckIntervalMinutes', ...count },
+  ALERT_COOLDOWN_MINUTES: { key: 'alertCooldownMinutes', ...count },
+  FAVORITES_REFRESH_INTERVAL_MINUTES: { key: 'favoritesRefreshIntervalMinutes', ...count },
+  FAVORITES_REFRESH_CONCURRENCY: { key: 'favoritesRefreshConcurrency', type: 'integer', min: 1 },
+  HISTORY_RETENTION_DAYS: { key: 'historyRetentionDays', ...count },
+  HISTORY_RETENTION_INTERVAL_MINUTES: { key: 'historyRetentionIntervalMinutes', ...count }
+};
+
+/**
+ * ========== LOAD CONFIG ==========
+ * Parses and validates the environment.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Variables to read (default process.env)
+ * @param {boolean} [options.checkRequired] - Also require MONGODB_URI, the API key
+ *   and the frontend build (startup does; tests building the app alone don't)
+ * @returns {Object} Frozen config with camelCase keys (see SCHEMA)
+ * @throws {ConfigError} Listing every invalid or missing variable
+ */
+const loadConfig = ({ env = process.env, checkRequired = true } = {}) => {
+  const config = {};
+  const problems = [];
+
+  // Parse in schema order so defaults/requirements can use earlier values
+  Object.entries(SCHEMA).forEach(([name, { key, type, default: fallback, ...options }]) => {
+    const raw = env[name];
+    if (raw === undefined || raw.trim() === '') {
+      config[key] = typeof fallback === 'function' ? fallback(config) : fallback;
+      return;
+    }
+    try {
+      config[key] = TYPES[type](raw, options);
+    } catch (error) {
+      problems.push(`${name} ${error.message} (got "${raw}")`);
+    }
+  });
+
+  if (checkRequired) {
+    Object.entries(SCHEMA).forEach(([name, { key, required }]) => {
+      const isRequired = typeof required === 'function' ? required(config) : required;
+      if (isRequired && config[key] === undefined) problems.push(`${name} is required`);
+    });
+
+    if (config.serveFrontend && !fs.existsSync(path.join(config.frontendBuildDir, 'index.html'))) {
+      problems.push(`SERVE_FRONTEND is on but ${config.frontendBuildDir} has no index.html (run "npm run build" in frontend/)`);
+    }
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+  return Object.freeze(config);
+};
+
+module.exports = { loadConfig, ConfigError, SCHEMA };
@@ -0,0 +1,137 @@
+// controllers/alertController.js
+// Handles alert rules on favorite cities and the alerts they trigger.
+
+const { AlertRuleModel, AlertModel } = require('../models/Alert'); // Rule evaluation + formatting
+const { ObjectId } = require('../models/Weather');
+const { sendError, handleError } = require('../utils/errors'); // Shared error envelope
+const { isFlag } = require('../middleware/validate'); // ?name=true|1 query flags
+const { favoritesRepository, alertRulesRepository, alertsRepository } = require('../repositories');
+
+/**
+ * =======================================================================
+ * 1. ALERT RULES
+ * Rules belong to one favorite of the logged-in user.
+ * =======================================================================
+ */
+
+// List all of the user's rules (optionally ?favoriteId=)
+const getRules = async (req, res) => {
+  try {
+    const { favoriteId } = req.query;
+    if (favoriteId && !ObjectId.isValid(favoriteId)) {
+      return sendError(res, 'VALIDATION_FAILED', 'Invalid favorite ID');
+    }
+
+    const rules = await alertRulesRepository.listByUser(req.user._id, favoriteId);
+
+    res.json({ success: true, rules: rules.map(r => new AlertRuleModel(r).toFrontend()) });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Add a rule to a favorite: { type, threshold, hours?, units? }
+const createRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+      return sendError(res, 'VALIDATION_FAILED', 'Invalid favorite ID');
+    }
+
+    const invalid = AlertRuleModel.validate(req.body);
+    if (invalid) {
+      return sendError(res, 'VALIDATION_FAILED', invalid);
+    }
+
+    const favorite = await favoritesRepository.findByIdForUser(id, req.user._id);
+    if (!favorite) {
+      return sendError(res, 'NOT_FOUND', 'Favorite not found');
+    }
+
+    const rule = new AlertRuleModel({
+      ...req.body,
+      userId: req.user._id,
+      favoriteId: favorite._id,
+      city: favorite.city,
+      lat: favorite.lat,
+      lon: favorite.lon
+    });
+    rule._id = await alertRulesRepository.insert(rule.toDocument());
+
+    res.status(201).json({ success: true, rule: rule.toFrontend() });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Delete one of the user's rules
+const deleteRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    if (!ObjectId.isValid(ruleId)) {
+      return sendError(res, 'VALIDATION_FAILED', 'Invalid rule ID');
+    }
+
+    const removed = await alertRulesRepository.removeForUser(ruleId, req.user._id);
+    if (!removed) {
+      return sendError(res, 'NOT_FOUND', 'Rule not found');
+    }
+
+    res.json({ success: true, message: 'Rule removed' });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+/**
+ * =======================================================================
+ * 2. TRIGGERED ALERTS
+ * Written by services/alertScheduler.js, read by the alerts panel.
+ * =======================================================================
+ */
+
+// Get the user's latest alerts (?unread=true for unread only)
+const getAlerts = async (req, res) => {
+  try {
+    const alerts = await alertsRepository.listByUser(req.user._id, { unreadOnly: isFlag(req, 'unread') });
+
+    res.json({
+      success: true,
+      alerts: alerts.map(a => new AlertModel(a).toFrontend()),
+      unread: alerts.filter(a => !a.read).length
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Mark one alert as read
+const markAlertRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+      return sendError(res, 'VALIDATION_FAILED', 'Invalid alert ID');
+    }
+
+    const found = await alertsRepository.markRead(id, req.user._id);
+    if (!found) {
+      return sendError(res, 'NOT_FOUND', 'Alert not found');
+    }
+
+    res.json({ success: true, message: 'Alert marked as read' });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Delete all of the user's alerts
+const clearAlerts = async (req, res) => {
+  try {
+    const deleted = await alertsRepository.clearForUser(req.user._id);
+    res.json({ success: true, message: `Cleared ${deleted} alerts` });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+module.exports = { getRules, createRule, deleteRule, getAlerts, markAlertRead, clearAlerts };
@@ -0,0 +1,127 @@
+// controllers/authController.js
+// Handles user registration, login/logout and token sessions.
+
+const crypto = require('crypto');
+const { UserModel } = require('../models/User'); // User record + password hashing
+const { hashToken, readToken } = require('../middleware/auth'); // Session token helpers
+const { sendError, handleError } = require('../utils/errors'); // Shared error envelope
+const { usersRepository, sessionsRepository } = require('../repositories'); // users/sessions collections
+
+// How long a login stays valid (hours), configurable via .env
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS, 10) || 24 * 7;
+
+/**
+ * Creates a session for a user and returns the raw token.
+ * Only the token hash is stored, so a database leak does not leak sessions.
+ * @param {ObjectId} userId - Owner of the session
+ * @returns {Promise<Object>} { token, expiresAt }
+ */
+const createSession = async (userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+  await sessionsRepository.insert({
+    tokenHash: hashToken(token),
+    userId,
+    createdAt: new Date(),
+    expiresAt
+  });
+  return { token, expiresAt };
+};
+
+/**
+ * =======================================================================
+ * 1. REGISTER
+ * Creates a new account and logs the user in.
+ *
+ * @route POST /api/auth/register
+ * @param {Object} req - Request body: { username, password }
+ * =======================================================================
+ */
+const register = async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+
+    const invalid = UserModel.validateCredentials(username, password);
+    if (invalid) {
+      return sendError(res, 'VALIDATION_FAILED', invalid);
+    }
+
+    const user = new UserModel({ username, passwordHash: await UserModel.hashPassword(password) });
+
+    // Unique index on username also guards against races
+    const exists = await usersRepository.findByUsername(user.username);
+    if (exists) {
+      return sendError(res, 'ALREADY_EXISTS', 'Username already taken');
+    }
+
+    user._id = await usersRepository.insert(user.toDocument());
+
+    const session = await createSession(user._id);
+    res.status(201).json({ success: true, user: user.toFrontend(), ...session });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendError(res, 'ALREADY_EXISTS', 'Username already taken');
+    }
+    handleError(res, error);
+  }
+};
+
+/**
+ * =======================================================================
+ * 2. LOGIN
+ * Verifies credentials and issues a new session token.
+ *
+ * @route POST /api/auth/login
+ * @param {Object} req - Request body: { username, password }
+ * =======================================================================
+ */
+const login = async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const doc = await usersRepository.findByUsername(UserModel.normalizeUsername(username));
+
+    // Same message for unknown user and wrong password (no account probing)
+    if (!doc || !(await UserModel.verifyPassword(password, doc.passwordHash))) {
+      return sendError(res, 'INVALID_CREDENTIALS');
+    }
+
+    const session = await createSession(doc._id);
+    res.json({ success: true, user: new UserModel(doc).toFrontend(), ...session });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+/**
+ * =======================================================================
+ * 3. LOGOUT
+ * Deletes the session belonging to the bearer token.
+ *
+ * @route POST /api/auth/logout
+ * =======================================================================
+ */
+const logout = async (req, res) => {
+  try {
+    const token = readToken(req);
+    if (token) {
+      await sessionsRepository.deleteByTokenHash(hashToken(token));
+    }
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+/**
+ * =======================================================================
+ * 4. CURRENT USER
+ * Returns the user behind the bearer token (used to restore sessions).
+ *
+ * @route GET /api/auth/me
+ * =======================================================================
+ */
+const me = async (req, res) => {
+  res.json({ success: true, user: { id: req.user._id.toString(), username: req.user.username, role: req.user.role } });
+};
+
+module.exports = { register, login, logout, me };
@@ -0,0 +1,110 @@
+// controllers/healthController.js
+// Liveness, readiness and Prometheus metrics for orchestrators and monitoring.
+
+const database = require('../config/db'); // Shared MongoDB connection
+const { getProvider } = require('../providers'); // Configured weather provider
+const metrics = require('../utils/metrics'); // Prometheus registry
+
+// How long one check may take before it counts as down (ms)
+const CHECK_TIMEOUT_MS = 3000;
+
+// Last provider check, reused for HEALTH_PROVIDER_CHECK_SECONDS so frequent
+// readiness probes don't turn into upstream calls
+let providerCheck = null;
+
+/**
+ * Runs a check with a timeout
+ * @param {Function} check - Async function that throws when unhealthy
+ * @returns {Promise<Object>} { status: 'up'|'down', latencyMs, error? }
+ */
+const runCheck = async (check) => {
+  const started = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS} ms`)), CHECK_TIMEOUT_MS);
+      })
+    ]);
+    return { status: 'up', latencyMs: Date.now() - started };
+  } catch (error) {
+    const status = error.response?.status;
+    return { status: 'down', latencyMs: Date.now() - started, error: status ? `HTTP ${status}` : error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Provider reachability, cached for HEALTH_PROVIDER_CHECK_SECONDS (default 60)
+ * @returns {Promise<Object>} runCheck() result plus { provider, checkedAt }
+ */
+const checkProvider = async () => {
+  const ttl = parseInt(process.env.HEALTH_PROVIDER_CHECK_SECONDS, 10);
+  const maxAgeMs = (Number.isNaN(ttl) || ttl < 0 ? 60 : ttl) * 1000;
+  if (providerCheck && Date.now() - providerCheck.checkedAtMs < maxAgeMs) return providerCheck.result;
+
+  const provider = getProvider();
+  const result = {
+    provider: provider.name,
+    ...await runCheck(() => (typeof provider.ping === 'function' ? provider.ping(CHECK_TIMEOUT_MS) : null)),
+    checkedAt: new Date().toISOString()
+  };
+  providerCheck = { result, checkedAtMs: Date.now() };
+  return result;
+};
+
+/**
+ * =======================================================================
+ * 1. LIVENESS
+ * The process is up and serving requests. Never checks dependencies, so
+ * a database outage doesn't get the container restarted.
+ *
+ * @route GET /health/live
+ * =======================================================================
+ */
+const live = (req, res) => {
+  res.json({ success: true, status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+};
+
+/**
+ * =======================================================================
+ * 2. READINESS
+ * 200 when MongoDB answers a ping and the weather provider is reachable
+ * (the stub provider always is), 503 otherwise.
+ *
+ * @route GET /health/ready
+ * =======================================================================
+ */
+const ready = async (req, res) => {
+  const [db, provider] = await Promise.all([runCheck(() => database.ping()), checkProvider()]);
+  const isReady = db.status === 'up' && provider.status === 'up';
+
+  res.status(isReady ? 200 : 503).json({
+    success: isReady,
+    status: isReady ? 'ready' : 'not_ready',
+    checks: { database: db, provider }
+  });
+};
+
+/**
+ * =======================================================================
+ * 3. METRICS
+ * Prometheus text exposition format (see utils/metrics.js).
+ *
+ * @route GET /metrics
+ * =======================================================================
+ */
+const getMetrics = async (req, res) => {
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(await metrics.render());
+};
+
+/**
+ * Forgets the cached provider check (tests, provider changes)
+ */
+const resetProviderCheck = () => {
+  providerCheck = null;
+};
+
+module.exports = { live, ready, getMetrics, resetProviderCheck };
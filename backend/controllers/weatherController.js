@@ -1,9 +1,26 @@
 // controllers/weatherController.js
 // Handles all business logic for weather operations, API calls, and database interactions.
 
-const axios = require('axios'); // HTTP client for making requests to OpenWeatherMap
+const { getProvider } = require('../providers'); // Configured weather provider (OpenWeatherMap, Open-Meteo or stub)
+const cache = require('../cache'); // TTL cache in front of provider calls
 const { WeatherModel, SearchHistory, ObjectId } = require('../models/Weather'); // Models for data validation and formatting
-const OPENWEATHER_API_KEY = process.env.OPENWEATHER_API_KEY; // API Key from environment variables
+const { ForecastModel } = require('../models/Forecast'); // Daily/hourly forecast aggregation
+const { LocationModel } = require('../models/Location'); // Geocoding candidates
+const { AirQualityModel } = require('../models/AirQuality'); // AQI category + pollutants
+const { AuditLogModel } = require('../models/AuditLog'); // Audit trail for destructive calls
+const { TimelineModel } = require('../models/Timeline'); // Hourly/daily summaries of stored observations
+const { ComparisonModel } = require('../models/Comparison'); // Side-by-side places + highlights
+const favoritesRefresher = require('../services/favoritesRefresher'); // Re-fetches favorite snapshots
+const { parseUnitsQuery } = require('../utils/units'); // ?units=&wind=&pressure= selection
+const { sendError, handleError, toApiError } = require('../utils/errors'); // Shared error envelope
+const { isFlag } = require('../middleware/validate'); // ?name=true|1 query flags
+const { mapWithConcurrency } = require('../utils/concurrency'); // Bounded parallel provider calls
+const logger = require('../utils/logger'); // Structured logs (tagged with the request ID)
+const { encodeCursor, decodeCursor } = require('../utils/cursor'); // History page cursors
+const {
+  favoritesRepository, historyRepository, alertRulesRepository, alertsRepository, auditLogRepository,
+  rollupsRepository
+} = require('../repositories'); // Data access
 
 /**
  * =======================================================================
@@ -13,28 +30,28 @@ const OPENWEATHER_API_KEY = process.env.OPENWEATHER_API_KEY; // API Key from env
  * @route GET /api/weather/:city
  * @param {Object} req - Express request object containing city param and units query
  * @param {Object} res - Express response object
- * @param {MongoClient} dbClient - Shared MongoDB client instance
  * =======================================================================
  */
-const getWeatherByCity = async (req, res, dbClient) => {
+const getWeatherByCity = async (req, res) => {
   try {
     const { city } = req.params; // Extract city name from URL
-    const { units = 'metric' } = req.query; // Default to Celsius ('metric') if not specified
+    const units = parseUnitsQuery(req.query); // Output units only - data is always fetched in metric
     
-    // 1. Request data from OpenWeatherMap API
-    const response = await axios.get('https://api.openweathermap.org/data/2.5/weather', {
-      params: { q: city, appid: OPENWEATHER_API_KEY, units, lang: 'en' }
-    });
+    // 1. Request data from the cache or the configured weather provider
+    const { value: apiData, meta } = await cache.wrap('weather', cache.cityKey('weather', city, 'metric'),
+      () => getProvider().getCurrentByCity(city, 'metric'));
 
     // 2. Validate and format data using our Model
-    const weatherModel = WeatherModel.fromApiResponse(response.data);
+    const weatherModel = WeatherModel.fromApiResponse(apiData);
     
-    // 3. Save search to MongoDB 'searchHistory' collection
-    const db = dbClient.db('weatherdb');
-    await db.collection('searchHistory').insertOne(weatherModel.toDocument());
+    // 3. Save search to the user's history (anonymous users keep history in the browser)
+    if (req.user) {
+      await historyRepository.add(req.user._id, weatherModel.toDocument());
+    }
     
     // 4. Send formatted response to frontend
-    res.json({ success: true, data: weatherModel.toFrontend(units) });
+    setCacheHeaders(res, meta);
+    res.json({ success: true, data: weatherModel.toFrontend(units), cache: meta });
   } catch (error) {
     handleError(res, error); // Centralized error handling
   }
@@ -49,33 +66,41 @@ const getWeatherByCity = async (req, res, dbClient) => {
  * @param {Object} req - Request containing lat, lon query parameters
  * =======================================================================
  */
-const getCurrentLocation = async (req, res, dbClient) => {
+const getCurrentLocation = async (req, res) => {
   try {
-    const { lat, lon, units = 'metric' } = req.query;
+    const { lat, lon, name, state, country } = req.query;
+    const units = parseUnitsQuery(req.query);
     
     // Convert strings to floats
     const latitude = parseFloat(lat);
     const longitude = parseFloat(lon);
     
     // Validate coordinates
-    if (isNaN(latitude) || isNaN(longitude)) {
-      return res.status(400).json({ success: false, error: 'Coords required' });
+    if (!LocationModel.isValidCoords(latitude, longitude)) {
+      return sendError(res, 'VALIDATION_FAILED', 'Coords required');
     }
 
-    // 1. Request weather by coordinates
-    const response = await axios.get('https://api.openweathermap.org/data/2.5/weather', {
-      params: { lat: latitude, lon: longitude, appid: OPENWEATHER_API_KEY, units }
-    });
+    // A place picked from geocoding candidates keeps its own name (?name=&state=&country=),
+    // raw device coordinates are named by reverse geocoding
+    const location = name
+      ? new LocationModel({ name, state, country, lat: latitude, lon: longitude })
+      : await reverseGeocode(latitude, longitude);
+
+    // 1. Request weather by coordinates (cached by rounded lat/lon)
+    const { value: apiData, meta } = await cache.wrap('current', cache.coordsKey('current', latitude, longitude, 'metric'),
+      () => getProvider().getCurrentByCoords(latitude, longitude, 'metric'));
 
     // 2. Format data
-    const weatherModel = WeatherModel.fromApiResponse(response.data);
+    const weatherModel = WeatherModel.fromApiResponse(apiData, location);
     
-    // 3. Save "My Location" search to history
-    const db = dbClient.db('weatherdb');
-    await db.collection('searchHistory').insertOne(weatherModel.toDocument());
+    // 3. Save "My Location" search (with its coordinates) to the user's history
+    if (req.user) {
+      await historyRepository.add(req.user._id, weatherModel.toDocument());
+    }
 
     // 4. Send response
-    res.json({ success: true, data: weatherModel.toFrontend(units) });
+    setCacheHeaders(res, meta);
+    res.json({ success: true, data: weatherModel.toFrontend(units), cache: meta });
   } catch (error) {
     handleError(res, error);
   }
@@ -84,135 +109,421 @@ const getCurrentLocation = async (req, res, dbClient) => {
 /**
  * =======================================================================
  * 3. 5-DAY FORECAST
- * Fetches forecast data and filters it to show one summary per day.
+ * Aggregates the 3-hour forecast into one summary per local calendar day
+ * (min/max temperature, dominant condition, precipitation chance and totals).
  * 
  * @route GET /api/weather/forecast/:city
  * =======================================================================
  */
-const getForecast = async (req, res, dbClient) => {
+const getForecast = async (req, res) => {
   try {
     const { city } = req.params;
-    const { units = 'metric' } = req.query;
+    const units = parseUnitsQuery(req.query);
 
-    // 1. Get raw 5-day/3-hour forecast data
-    const response = await axios.get('https://api.openweathermap.org/data/2.5/forecast', {
-      params: { q: city, appid: OPENWEATHER_API_KEY, units }
-    });
+    // 1. Get raw 5-day/3-hour forecast data (metric, converted by the model)
+    const { value: forecastData, meta } = await fetchForecastData(city, req.query);
 
-    // 2. Filter list: API returns 40 items (5 days * 8 three-hour segments)
-    // We take every 8th item to get roughly one forecast per 24 hours (e.g., noon daily)
-    const daily = response.data.list.slice(0, 40).filter((_, i) => i % 8 === 0);
+    // 2. Group the 3-hour slots by the city's local day (uses city.timezone)
+    const forecast = ForecastModel.fromApiResponse(forecastData);
 
     // 3. Format response for frontend
+    setCacheHeaders(res, meta);
     res.json({
       success: true,
-      city: response.data.city.name,
-      forecast: daily.map(item => ({
-        // Format date (e.g., "Mon, Jan 1")
-        date: new Date(item.dt * 1000).toLocaleDateString('en-US', { weekday: 'short', day: 'numeric' }),
-        temp: Math.round(item.main.temp),
-        icon: `http://openweathermap.org/img/wn/${item.weather[0].icon}@2x.png`,
-        description: item.weather[0].description
-      }))
+      cache: meta,
+      city: forecast.city,
+      timezone: forecast.timezone,
+      unitLabels: ForecastModel.unitLabels(units),
+      forecast: forecast.toDaily(units)
     });
   } catch (error) {
-    res.status(500).json({ success: false, error: 'Forecast failed' });
+    handleError(res, error);
   }
 };
 
 /**
  * =======================================================================
- * 4. FAVORITES MANAGEMENT
- * CRUD operations for User Favorites (Get, Add, Remove)
+ * 3b. HOURLY FORECAST
+ * Returns the raw 3-hour forecast timeline (temperature, feels like,
+ * precipitation) used by the hourly view and the forecast chart.
+ * 
+ * @route GET /api/weather/forecast/:city/hourly
  * =======================================================================
  */
+const getHourlyForecast = async (req, res) => {
+  try {
+    const { city } = req.params;
+    const units = parseUnitsQuery(req.query);
+
+    // Shares the cache entry with the daily forecast
+    const { value: forecastData, meta } = await fetchForecastData(city, req.query);
+
+    const forecast = ForecastModel.fromApiResponse(forecastData);
+
+    setCacheHeaders(res, meta);
+    res.json({
+      success: true,
+      cache: meta,
+      city: forecast.city,
+      timezone: forecast.timezone,
+      unitLabels: ForecastModel.unitLabels(units),
+      hourly: forecast.toHourly(units)
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
 
-// Get all favorite cities
-const getFavorites = async (req, res, dbClient) => {
+/**
+ * Loads the raw forecast through the cache, by coordinates when the
+ * query has ?lat=&lon= (a chosen geocoding candidate), else by city name
+ * @param {string} city - City from the URL
+ * @param {Object} query - req.query
+ * @returns {Promise<Object>} cache.wrap() result
+ */
+const fetchForecastData = (city, query) => {
+  const lat = parseFloat(query.lat);
+  const lon = parseFloat(query.lon);
+  if (LocationModel.isValidCoords(lat, lon)) {
+    return cache.wrap('forecast', cache.coordsKey('forecast', lat, lon, 'metric'),
+      () => getProvider().getForecastByCoords(lat, lon, 'metric'));
+  }
+  return cache.wrap('forecast', cache.cityKey('forecast', city, 'metric'),
+    () => getProvider().getForecastByCity(city, 'metric'));
+};
+
+/**
+ * =======================================================================
+ * 3c. GEOCODING / AUTOCOMPLETE
+ * Returns candidate places for a search string so the user can pick the
+ * right one (e.g. which "Springfield"). Results are cached for a day.
+ * 
+ * @route GET /api/weather/geocode?q=&limit=
+ * =======================================================================
+ */
+const geocode = async (req, res) => {
   try {
-    const { units = 'metric' } = req.query; // Get units from query parameter
-    // Fetch all documents from 'favorites' collection
-    const favorites = await dbClient.db('weatherdb').collection('favorites').find({}).toArray();
-    
-    console.log('Retrieved favorites:', favorites.length);
-    console.log('Favorite IDs:', favorites.map(f => f._id.toString()));
-    
-    // Map _id to string 'id' for frontend React keys and format temperature with units
-    const formattedFavorites = favorites.map(f => {
-      const unitSymbol = units === 'metric' ? '°C' : '°F';
+    const query = String(req.query.q || '').trim();
+    if (query.length < 2) {
+      return sendError(res, 'VALIDATION_FAILED', 'Query must be at least 2 characters');
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), 5);
+
+    const { value: candidates, meta } = await cache.wrap('geocode', cache.cityKey('geocode', query, limit),
+      () => getProvider().geocode(query, limit));
+
+    const results = LocationModel.dedupe(candidates.map(c => LocationModel.fromApiResponse(c)));
+
+    setCacheHeaders(res, meta);
+    res.json({ success: true, query, cache: meta, results: results.map(r => r.toFrontend()) });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+/**
+ * =======================================================================
+ * 3d. AIR QUALITY
+ * AQI category, health guidance and PM2.5 / PM10 / O3 / NO2 / SO2 / CO
+ * concentrations for a city (?city=) or coordinates (?lat=&lon=).
+ * 
+ * @route GET /api/weather/air-quality
+ * =======================================================================
+ */
+const getAirQuality = async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lon = parseFloat(req.query.lon);
+    const city = String(req.query.city || '').trim();
+
+    // 1. Work out where: coordinates win, a city name is geocoded first
+    let place;
+    if (LocationModel.isValidCoords(lat, lon)) {
+      place = { name: city, lat, lon };
+    } else if (city) {
+      const { value: candidates } = await cache.wrap('geocode', cache.cityKey('geocode', city, 1),
+        () => getProvider().geocode(city, 1));
+      if (!candidates.length) {
+        return sendError(res, 'CITY_NOT_FOUND');
+      }
+      place = LocationModel.fromApiResponse(candidates[0]);
+    } else {
+      return sendError(res, 'VALIDATION_FAILED', 'City or coords required');
+    }
+
+    // 2. Pollution readings through the cache (keyed by rounded coordinates)
+    const { value: apiData, meta } = await cache.wrap('air', cache.coordsKey('air', place.lat, place.lon, 'metric'),
+      () => getProvider().getAirQuality(place.lat, place.lon));
+
+    setCacheHeaders(res, meta);
+    res.json({ success: true, cache: meta, data: AirQualityModel.fromApiResponse(apiData, place).toFrontend() });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+/**
+ * =======================================================================
+ * 3e. OBSERVED TIMELINE
+ * Min/max/average temperature, humidity and pressure per hour or per
+ * local day, from the observations stored with every user's searches
+ * (and the hourly rollups of searches past the retention window).
+ * Defaults to the last 7 days; see TimelineModel.resolveRange().
+ *
+ * @route GET /api/weather/:city/timeline
+ * =======================================================================
+ */
+const getTimeline = async (req, res) => {
+  try {
+    const { city } = req.params;
+    const { state, country } = req.query;
+    const units = parseUnitsQuery(req.query);
+    const { from, to, bucket } = TimelineModel.resolveRange(req.query);
+
+    // 1. The latest observation picks the place (same-named places are kept apart),
+    //    names it and gives its UTC offset; rollups know places whose searches expired
+    const latest = await historyRepository.latestForCity(city, { state, country });
+    const place = latest?.place || await rollupsRepository.latestPlace(city, { state, country });
+    const timezone = latest?.timezone || 0;
+
+    // 2. Summarize recent searches and older rollups; days start at local midnight
+    const range = { from, to, unit: bucket, timezone: bucket === 'day' ? TimelineModel.utcOffset(timezone) : undefined };
+    const [recent, rolledUp] = place
+      ? await Promise.all([historyRepository.summarize(place, range), rollupsRepository.summarize(place, range)])
+      : [[], []];
+
+    const timeline = new TimelineModel({
+      city: latest?.city || city.trim(),
+      bucket,
+      from,
+      to,
+      timezone,
+      buckets: TimelineModel.merge(recent, rolledUp)
+    });
+
+    res.json({
+      success: true,
+      city: timeline.city,
+      bucket,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      timezone,
+      unitLabels: TimelineModel.unitLabels(units),
+      points: timeline.toFrontend(units)
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Places looked up at once (each is 2 provider calls on a cache miss)
+const COMPARE_CONCURRENCY = 3;
+
+/**
+ * =======================================================================
+ * 3f. COMPARE PLACES
+ * Current weather and daily forecast of 2..COMPARE_MAX_PLACES places in
+ * one call, with the warmest, wettest and windiest highlighted.
+ * Places are fetched COMPARE_CONCURRENCY at a time through the same cache
+ * entries as the single-place endpoints (the rate limiter counts each place
+ * as one request); a place that fails is reported in its slot without
+ * failing the others. Comparisons are not saved to history.
+ *
+ * @route POST /api/weather/compare
+ * =======================================================================
+ */
+const comparePlaces = async (req, res) => {
+  try {
+    const { places } = req.body;
+    const units = parseUnitsQuery(req.query);
+
+    // 1. Current weather + forecast per place, a few places at a time
+    const results = await mapWithConcurrency(places, COMPARE_CONCURRENCY, async (place) => {
+      const lat = parseFloat(place.lat);
+      const lon = parseFloat(place.lon);
+      const city = String(place.city || place.name || '').trim();
+      const location = LocationModel.isValidCoords(lat, lon)
+        ? new LocationModel({ name: city, state: place.state, country: place.country, lat, lon })
+        : null;
+
+      const [current, forecast] = await Promise.all([
+        location
+          ? cache.wrap('current', cache.coordsKey('current', lat, lon, 'metric'),
+            () => getProvider().getCurrentByCoords(lat, lon, 'metric'))
+          : cache.wrap('weather', cache.cityKey('weather', city, 'metric'),
+            () => getProvider().getCurrentByCity(city, 'metric')),
+        fetchForecastData(city, place)
+      ]);
+
       return {
-        ...f, 
-        id: f._id.toString(), // Convert ObjectId to string
-        temperature: f.temperature, // Keep raw temp, display logic will add unit
-        iconUrl: f.icon ? `http://openweathermap.org/img/wn/${f.icon}@2x.png` : f.iconUrl
+        // Coordinates without a name keep the provider's own name
+        weather: WeatherModel.fromApiResponse(current.value, location?.name ? location : null),
+        forecast: ForecastModel.fromApiResponse(forecast.value)
       };
     });
+
+    // 2. Failed places keep their slot, with the error they would have returned alone
+    const comparison = new ComparisonModel(results.map((result, index) => (result.status === 'fulfilled'
+      ? { query: places[index], ...result.value }
+      : { query: places[index], error: toApiError(result.reason) })));
+
+    res.json({ success: true, ...comparison.toFrontend(units) });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+/**
+ * Names a coordinate pair with the nearest known place (cached like geocoding).
+ * Failures are logged and return null so the weather lookup still succeeds
+ * with the provider's own name.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<LocationModel|null>} Nearest place, keeping the device coordinates
+ */
+const reverseGeocode = async (lat, lon) => {
+  try {
+    const { value: places } = await cache.wrap('geocode', cache.coordsKey('geocode', lat, lon, 'reverse'),
+      () => getProvider().reverseGeocode(lat, lon, 1));
+    if (!places.length) return null;
+    const place = LocationModel.fromApiResponse(places[0]);
+    return new LocationModel({ ...place, lat, lon });
+  } catch (error) {
+    logger.warn('Reverse geocoding failed', { lat, lon, error });
+    return null;
+  }
+};
+
+/**
+ * =======================================================================
+ * 4. FAVORITES MANAGEMENT
+ * CRUD operations for User Favorites (Get, Add, Edit, Reorder, Remove)
+ * =======================================================================
+ */
+
+// Map _id to string 'id' for frontend React keys and convert the snapshot to the requested units
+const formatFavorite = ({ userId, ...f }, units) => ({
+  ...f,
+  ...new WeatherModel(f).toFrontend(units),
+  tags: f.tags || [],
+  id: f._id.toString() // Convert ObjectId to string
+});
+
+// Tags are stored trimmed, lower-case and without repeats
+const normalizeTags = (tags) => [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+
+// Get all favorite cities, in the user's order
+const getFavorites = async (req, res) => {
+  try {
+    const units = parseUnitsQuery(req.query); // Snapshots are stored in metric
+    // Fetch the user's documents from 'favorites' collection
+    const favorites = await favoritesRepository.listByUser(req.user._id);
+    
+    const formattedFavorites = favorites.map(f => formatFavorite(f, units));
     
-    res.json({ success: true, favorites: formattedFavorites, units: units });
+    res.json({ success: true, favorites: formattedFavorites, units: units.temperature });
   } catch (error) { 
-    console.error('Error fetching favorites:', error);
     handleError(res, error);
   }
 };
 
-// Add a city to favorites
-const addFavorite = async (req, res, dbClient) => {
+// Add a city to favorites: { city } or a chosen place { city, state, country, lat, lon }
+const addFavorite = async (req, res) => {
   try {
-    const { city } = req.body;
-    const db = dbClient.db('weatherdb');
+    const { city, state, country } = req.body;
+    const lat = parseFloat(req.body.lat);
+    const lon = parseFloat(req.body.lon);
+    const location = LocationModel.isValidCoords(lat, lon)
+      ? new LocationModel({ name: city, state, country, lat, lon })
+      : null;
     
-    // Prevent duplicates: Check if city exists
-    const exists = await db.collection('favorites').findOne({ city });
-    if (exists) return res.json({ success: false, message: 'Already in favorites' });
+    // Prevent duplicates: same coordinates (or same city name) in this user's favorites
+    const place = location ? { lat: location.lat, lon: location.lon } : { city };
+    const exists = await favoritesRepository.findDuplicate(req.user._id, place);
+    if (exists) return sendError(res, 'ALREADY_EXISTS', 'Already in favorites');
 
     // Fetch fresh weather data to store current snapshot
-    const response = await axios.get('https://api.openweathermap.org/data/2.5/weather', {
-      params: { q: city, appid: OPENWEATHER_API_KEY, units: 'metric' }
-    });
+    const { value: apiData } = location
+      ? await cache.wrap('current', cache.coordsKey('current', location.lat, location.lon, 'metric'),
+        () => getProvider().getCurrentByCoords(location.lat, location.lon, 'metric'))
+      : await cache.wrap('weather', cache.cityKey('weather', city, 'metric'),
+        () => getProvider().getCurrentByCity(city, 'metric'));
     
-    const model = WeatherModel.fromApiResponse(response.data);
+    const model = WeatherModel.fromApiResponse(apiData, location);
     
-    // Save to DB
-    await db.collection('favorites').insertOne(model.toDocument());
+    // Save to DB, owned by the current user
+    await favoritesRepository.insert(req.user._id, model.toDocument());
     
     res.json({ success: true, message: 'Added to favorites' });
   } catch (error) { handleError(res, error); }
 };
 
+// Refresh the weather snapshot of all of the user's favorites now
+const refreshFavorites = async (req, res) => {
+  try {
+    const result = await favoritesRefresher.refresh({ userId: req.user._id });
+    res.json({ success: true, message: `Refreshed ${result.refreshed} favorites`, ...result });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// Set a favorite's label, notes and tags: { label?, notes?, tags? }
+// Only the fields sent change; null or '' removes the label or notes
+const updateFavorite = async (req, res) => {
+  try {
+    const fields = {};
+    const cleared = [];
+    ['label', 'notes'].forEach(field => {
+      if (!(field in req.body)) return;
+      const value = typeof req.body[field] === 'string' ? req.body[field].trim() : '';
+      if (value) fields[field] = value;
+      else cleared.push(field);
+    });
+    if ('tags' in req.body) fields.tags = normalizeTags(req.body.tags || []);
+
+    const favorite = await favoritesRepository.updateForUser(req.params.id, req.user._id, fields, cleared);
+    if (!favorite) return sendError(res, 'NOT_FOUND', 'Favorite not found');
+
+    res.json({ success: true, message: 'Favorite updated', favorite: formatFavorite(favorite, parseUnitsQuery(req.query)) });
+  } catch (error) { handleError(res, error); }
+};
+
+// Save the order of the user's favorites: { ids: [first, second, ...] }
+const reorderFavorites = async (req, res) => {
+  try {
+    const { ids } = req.body;
+    const owned = new Set((await favoritesRepository.listByUser(req.user._id)).map(f => f._id.toString()));
+    if (!ids.every(id => owned.has(id))) return sendError(res, 'NOT_FOUND', 'Favorite not found');
+
+    await favoritesRepository.reorder(req.user._id, ids);
+    res.json({ success: true, message: 'Favorites reordered' });
+  } catch (error) { handleError(res, error); }
+};
+
 // Remove a favorite by ID
-const removeFavorite = async (req, res, dbClient) => {
+const removeFavorite = async (req, res) => {
   try {
     const { id } = req.params;
     
-    console.log('Attempting to remove favorite with ID:', id);
-    
     // Validate that ID is a valid ObjectId format
     if (!ObjectId.isValid(id)) {
-      console.error('Invalid ObjectId format:', id);
-      return res.status(400).json({ success: false, error: 'Invalid favorite ID' });
+      return sendError(res, 'VALIDATION_FAILED', 'Invalid favorite ID');
     }
     
-    const db = dbClient.db('weatherdb');
-    const objectId = new ObjectId(id);
-    
-    // First, check if the favorite exists
-    const favorite = await db.collection('favorites').findOne({ _id: objectId });
-    console.log('Found favorite to delete:', favorite ? 'YES' : 'NO');
+    // First, check if the favorite exists and belongs to this user
+    const favorite = await favoritesRepository.findByIdForUser(id, req.user._id);
     
     if (!favorite) {
-      console.warn('No document found with ID:', id);
-      console.log('All favorite IDs in DB:', (await db.collection('favorites').find({}).project({ _id: 1 }).toArray()).map(f => f._id.toString()));
-      return res.status(404).json({ success: false, error: 'Favorite not found' });
+      return sendError(res, 'NOT_FOUND', 'Favorite not found');
     }
     
-    // Delete the favorite
-    const result = await db.collection('favorites').deleteOne({ _id: objectId });
-    
-    console.log('Delete result:', result);
+    // Delete the favorite and the alert rules attached to it
+    await favoritesRepository.removeForUser(id, req.user._id);
+    await alertRulesRepository.removeByFavorite(id, req.user._id);
     
     res.json({ success: true, message: 'Removed favorite' });
   } catch (error) { 
-    console.error('Error removing favorite:', error);
     handleError(res, error);
   }
 };
@@ -223,77 +534,132 @@ const removeFavorite = async (req, res, dbClient) => {
  * =======================================================================
  */
 
-// Get recent search history (Limit 10)
-const getSearchHistory = async (req, res, dbClient) => {
+// Get one page of the user's search history, newest first (default 10 items)
+// ?from=&to= and ?city= filter it; ?collapse=true shows each place once with a search count.
+// nextCursor is passed back as ?cursor= for the following page (null on the last page).
+const getSearchHistory = async (req, res) => {
   try {
-    const { units = 'metric' } = req.query; // Get units from query parameter
-    const history = await dbClient.db('weatherdb').collection('searchHistory')
-      .find({})
-      .sort({ timestamp: -1 }) // Sort by newest first
-      .limit(10) // Limit to last 10 searches
-      .toArray();
-      
+    const units = parseUnitsQuery(req.query); // History is stored in metric
+    const collapse = isFlag(req, 'collapse');
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 10;
+    const query = {
+      limit: limit + 1, // One extra tells whether another page exists
+      after: req.query.cursor ? decodeCursor(req.query.cursor) : undefined,
+      from: req.query.from ? new Date(req.query.from) : undefined,
+      to: req.query.to ? new Date(req.query.to) : undefined,
+      city: req.query.city
+    };
+
+    const items = collapse
+      ? await historyRepository.listCollapsed(req.user._id, query)
+      : await historyRepository.list(req.user._id, query);
+    const page = items.slice(0, limit);
+    const last = page[page.length - 1];
+
     // Format using SearchHistory model helper, passing units parameter
-    res.json({ success: true, history: history.map(h => new SearchHistory(h).toFrontend(units)) });
+    const history = page.map(item => {
+      const entry = new SearchHistory(item).toFrontend(units);
+      return collapse ? { ...entry, count: item.count, firstSearched: item.firstSearched } : entry;
+    });
+
+    res.json({
+      success: true,
+      history,
+      nextCursor: items.length > limit ? encodeCursor(last.timestamp, collapse ? last.key : last._id) : null
+    });
   } catch (error) {
-    console.error('Error fetching search history:', error);
     handleError(res, error);
   }
 };
 
-// Clear entire search history
-const clearHistory = async (req, res, dbClient) => {
+// Delete one search from the user's history
+// ?repeats=true also deletes the other searches of that place (a collapsed entry)
+const deleteHistoryItem = async (req, res) => {
   try {
-    const result = await dbClient.db('weatherdb').collection('searchHistory').deleteMany({});
-    console.log('Cleared search history. Deleted count:', result.deletedCount);
-    res.json({ success: true, message: `Cleared ${result.deletedCount} history items` });
+    const deleted = await historyRepository.removeForUser(req.params.id, req.user._id, { repeats: isFlag(req, 'repeats') });
+    if (!deleted) {
+      return sendError(res, 'NOT_FOUND', 'History item not found');
+    }
+
+    res.json({ success: true, message: `Deleted ${deleted} history item${deleted === 1 ? '' : 's'}`, deleted });
   } catch (error) {
-    console.error('Error clearing history:', error);
     handleError(res, error);
   }
 };
 
-// Centralized Error Handler
-// Parses OpenWeatherMap errors and Internal Server Errors
-const handleError = (res, error) => {
-  console.error('API Error:', error.message || error);
-  
-  // Handle axios errors from external APIs
-  if (error.response) {
-    const statusCode = error.response.status;
-    const message = error.response.data?.message || error.message;
-    
-    if (statusCode === 401) {
-      return res.status(401).json({ success: false, error: 'Invalid API key' });
-    }
-    if (statusCode === 404) {
-      return res.status(404).json({ success: false, error: 'Location/Resource not found' });
-    }
-    if (statusCode === 429) {
-      return res.status(429).json({ success: false, error: 'Too many requests. Try again later' });
-    }
-    
-    return res.status(statusCode).json({ success: false, error: message || 'API Error' });
+// Clear search history
+// Default: the logged-in user's history. ?scope=all (admin only) clears everyone's.
+// ?dryRun=true reports what would be deleted without deleting anything.
+const clearHistory = async (req, res) => {
+  try {
+    const allUsers = req.query.scope === 'all';
+    const dryRun = isDryRun(req);
+
+    const count = await historyRepository.clear({ userId: allUsers ? undefined : req.user._id, dryRun });
+
+    await writeAuditLog(req, {
+      action: 'clear-history',
+      scope: { collections: ['searchHistory'], users: allUsers ? 'all' : req.user._id },
+      counts: { searchHistory: count },
+      dryRun
+    });
+
+    logger.info(dryRun ? 'Dry run: would clear search history' : 'Cleared search history', { count, scope: allUsers ? 'all' : 'user' });
+    res.json({
+      success: true,
+      dryRun,
+      message: dryRun ? `Would clear ${count} history items` : `Cleared ${count} history items`,
+      deleted: { searchHistory: count }
+    });
+  } catch (error) {
+    handleError(res, error);
   }
-  
-  // Generic server error
-  res.status(500).json({ success: false, error: 'Server Error: ' + (error.message || 'Unknown error') });
 };
 
-// Clear all database collections (for testing/debugging)
-const clearAllData = async (req, res, dbClient) => {
+// Reads the ?dryRun=true|1 flag used by destructive routes
+const isDryRun = (req) => isFlag(req, 'dryRun');
+
+// Records a destructive call (who, what, how many, when) in the audit log
+const writeAuditLog = async (req, entry) => {
+  const audit = new AuditLogModel({ ...entry, actor: AuditLogModel.actorFromRequest(req) });
+  await auditLogRepository.insert(audit.toDocument());
+};
+
+// Reports cache status to HTTP clients and proxies
+// X-Cache: HIT/MISS (STALE when the daily upstream budget is spent),
+// Age: seconds since the data was fetched upstream
+const setCacheHeaders = (res, meta) => {
+  res.set('X-Cache', meta.stale ? 'STALE' : (meta.hit ? 'HIT' : 'MISS'));
+  res.set('Age', String(meta.ageSeconds));
+};
+
+// Clear all user data - history, favorites and their alert rules and alerts
+// (admin only, for testing/debugging)
+// ?dryRun=true reports the counts without deleting anything.
+const clearAllData = async (req, res) => {
   try {
-    const db = dbClient.db('weatherdb');
-    const searchHistoryResult = await db.collection('searchHistory').deleteMany({});
-    const favoritesResult = await db.collection('favorites').deleteMany({});
+    const dryRun = isDryRun(req);
+    const collections = ['searchHistory', 'weatherRollups', 'favorites', 'alertRules', 'alerts'];
+    const deleted = {
+      searchHistory: await historyRepository.clear({ dryRun }),
+      weatherRollups: await rollupsRepository.clear({ dryRun }),
+      favorites: await favoritesRepository.clear({ dryRun }),
+      alertRules: await alertRulesRepository.clear({ dryRun }),
+      alerts: await alertsRepository.clear({ dryRun })
+    };
+
+    await writeAuditLog(req, {
+      action: 'clear-all',
+      scope: { collections, users: 'all' },
+      counts: deleted,
+      dryRun
+    });
     
     res.json({ 
       success: true, 
-      message: 'Database cleared',
-      deleted: {
-        searchHistory: searchHistoryResult.deletedCount,
-        favorites: favoritesResult.deletedCount
-      }
+      dryRun,
+      message: dryRun ? 'Dry run: nothing was deleted' : 'Database cleared',
+      deleted
     });
   } catch (error) {
     handleError(res, error);
@@ -302,7 +668,8 @@ const clearAllData = async (req, res, dbClient) => {
 
 // Export all controller functions for use in routes
 module.exports = {
-  getWeatherByCity, getCurrentLocation, getForecast,
-  getFavorites, addFavorite, removeFavorite,
-  getSearchHistory, clearHistory, clearAllData
+  getWeatherByCity, getCurrentLocation, getForecast, getHourlyForecast, geocode, getAirQuality, getTimeline,
+  comparePlaces,
+  getFavorites, addFavorite, updateFavorite, reorderFavorites, removeFavorite, refreshFavorites,
+  getSearchHistory, deleteHistoryItem, clearHistory, clearAllData
 };
@@ -0,0 +1,867 @@
+/**
+ * ===============================================
+ * OPENAPI SPEC - Machine-Readable API Description
+ * ===============================================
+ * OpenAPI 3 description of every route in routes/weather.js,
+ * routes/auth.js and routes/health.js, served as JSON at /api/docs/openapi.json and
+ * rendered by Swagger UI at /api/docs (see server.js).
+ *
+ * Keep it in step with the routers: test/openapi.test.js fails when
+ * a route in createWeatherRoutes() has no matching path here.
+ */
+
+const { ERROR_CODES } = require('../utils/errors');
+const { TEMPERATURE_UNITS, WIND_UNITS, PRESSURE_UNITS } = require('../utils/units');
+const { RULE_TYPES } = require('../models/Alert');
+
+/**
+ * ========== REUSABLE PIECES ==========
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// 200 response wrapping the given properties in the success envelope
+const ok = (description, properties = {}) => ({
+  200: {
+    description,
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          required: ['success'],
+          properties: { success: { type: 'boolean', enum: [true] }, ...properties }
+        }
+      }
+    }
+  }
+});
+
+// Error responses by HTTP status, all using the shared envelope
+const ERROR_DESCRIPTIONS = {
+  400: 'VALIDATION_FAILED - invalid parameters or body',
+  401: 'AUTH_REQUIRED / INVALID_CREDENTIALS / PROVIDER_AUTH_FAILED',
+  403: 'FORBIDDEN - admin access required',
+  404: 'NOT_FOUND / CITY_NOT_FOUND',
+  409: 'ALREADY_EXISTS',
+  429: 'RATE_LIMITED / PROVIDER_RATE_LIMITED (see Retry-After)',
+  502: 'PROVIDER_ERROR',
+  503: 'PROVIDER_UNAVAILABLE / UPSTREAM_BUDGET_EXHAUSTED (see Retry-After)',
+  500: 'INTERNAL_ERROR'
+};
+const errors = (...statuses) => Object.fromEntries(statuses.map(status => [status, {
+  description: ERROR_DESCRIPTIONS[status],
+  content: { 'application/json': { schema: ref('Error') } }
+}]));
+
+// Failures every provider-backed route can return
+const PROVIDER_ERRORS = [400, 401, 404, 429, 502, 503, 500];
+
+const param = (name, location, schema, description, required = location === 'path') =>
+  ({ name, in: location, required, schema, description });
+
+const cityPath = param('city', 'path', { type: 'string', maxLength: 100 }, 'City name, e.g. "Mumbai"');
+const idPath = (name = 'id', what = 'Document') =>
+  param(name, 'path', { type: 'string', pattern: '^[a-f\\d]{24}$' }, `${what} ID (24 hex characters)`);
+const latQuery = (required = false) =>
+  param('lat', 'query', { type: 'number', minimum: -90, maximum: 90 }, 'Latitude', required);
+const lonQuery = (required = false) =>
+  param('lon', 'query', { type: 'number', minimum: -180, maximum: 180 }, 'Longitude', required);
+const dryRunQuery = param('dryRun', 'query', { type: 'string', enum: ['true', 'false', '1', '0'] },
+  'Report what would be deleted without deleting');
+
+// ?units=&wind=&pressure= accepted by every endpoint that returns weather
+const unitsQuery = [
+  param('units', 'query', { type: 'string', enum: Object.keys(TEMPERATURE_UNITS), default: 'metric' }, 'Temperature system'),
+  param('wind', 'query', { type: 'string', enum: Object.keys(WIND_UNITS) }, 'Wind speed unit (default m/s for metric, mph for imperial)'),
+  param('pressure', 'query', { type: 'string', enum: Object.keys(PRESSURE_UNITS), default: 'hpa' }, 'Pressure unit')
+];
+
+const jsonBody = (schema, required = true) => ({ required, content: { 'application/json': { schema } } });
+
+const bearer = [{ bearerAuth: [] }];
+const admin = [{ bearerAuth: [] }, { adminKey: [] }];
+
+const cacheProperty = { cache: ref('CacheMeta') };
+
+// Body of the audited delete routes
+const clearResult = {
+  dryRun: { type: 'boolean' },
+  message: { type: 'string' },
+  deleted: { type: 'object', additionalProperties: { type: 'integer' } }
+};
+
+/**
+ * ========== SPEC ==========
+ */
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Weather App API',
+    version: '1.0.0',
+    description: [
+      'Weather, forecast, air quality, favorites, history and alerts.',
+      '',
+      'Every failure uses the same envelope: `{ success: false, code, error, details?, requestId }`.',
+      'Branch on `code`; `error` is a human-readable message.',
+      '',
+      'Every response carries an `X-Request-Id` header (a well-formed incoming one is reused);',
+      'the server logs the same ID with every line it writes for that request.',
+      '',
+      'Weather routes are rate limited per user (logged in) or per IP (anonymous) and send',
+      '`RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset` and `RateLimit-Policy` headers.',
+      'Provider-backed responses report cache status in `X-Cache` (HIT, MISS or STALE) and `Age`.'
+    ].join('\n')
+  },
+  servers: [{ url: '/' }],
+  tags: [
+    { name: 'Weather', description: 'Current conditions, forecast, geocoding and air quality' },
+    { name: 'Favorites', description: 'Saved places with a weather snapshot' },
+    { name: 'History', description: 'Past searches of the logged-in user' },
+    { name: 'Alerts', description: 'Threshold rules on favorites and the alerts they trigger' },
+    { name: 'Admin', description: 'Destructive maintenance routes (audited)' },
+    { name: 'Auth', description: 'Accounts and token sessions' },
+    { name: 'System', description: 'Health checks and metrics' }
+  ],
+  paths: {
+    '/api/test': {
+      get: {
+        tags: ['System'],
+        summary: 'Check the backend is running',
+        description: 'Always succeeds while the process runs; use /health/ready to check dependencies.',
+        responses: ok('Server is up', { message: { type: 'string' }, timestamp: { type: 'string', format: 'date-time' } })
+      }
+    },
+    '/health/live': {
+      get: {
+        tags: ['System'],
+        summary: 'Liveness probe',
+        description: 'Succeeds while the process is running; never checks dependencies.',
+        responses: ok('Process is up', { status: { type: 'string', enum: ['ok'] }, uptimeSeconds: { type: 'integer' } })
+      }
+    },
+    '/health/ready': {
+      get: {
+        tags: ['System'],
+        summary: 'Readiness probe',
+        description: 'Pings MongoDB and the weather provider (the provider result is reused for HEALTH_PROVIDER_CHECK_SECONDS).',
+        responses: {
+          200: { description: 'Ready to serve traffic', content: { 'application/json': { schema: ref('Readiness') } } },
+          503: { description: 'A dependency is down', content: { 'application/json': { schema: ref('Readiness') } } }
+        }
+      }
+    },
+    '/metrics': {
+      get: {
+        tags: ['System'],
+        summary: 'Prometheus metrics',
+        description: 'Request counts and latency per route, upstream calls and errors, cache hit ratio, daily upstream usage.',
+        responses: { 200: { description: 'Prometheus text exposition format', content: { 'text/plain': { schema: { type: 'string' } } } } }
+      }
+    },
+
+    // ========== WEATHER ==========
+    '/api/weather/{city}': {
+      get: {
+        tags: ['Weather'],
+        summary: 'Current weather for a city',
+        description: 'Saved to the search history when logged in.',
+        parameters: [cityPath, ...unitsQuery],
+        responses: { ...ok('Current weather', { data: ref('Weather'), ...cacheProperty }), ...errors(...PROVIDER_ERRORS) }
+      }
+    },
+    '/api/weather/current': {
+      get: {
+        tags: ['Weather'],
+        summary: 'Current weather at coordinates',
+        description: 'Pass name/state/country for a place chosen from /geocode; raw device coordinates are named by reverse geocoding.',
+        parameters: [
+          latQuery(true), lonQuery(true),
+          param('name', 'query', { type: 'string', maxLength: 100 }, 'Place name'),
+          param('state', 'query', { type: 'string', maxLength: 100 }, 'State / region'),
+          param('country', 'query', { type: 'string', maxLength: 100 }, 'Country code'),
+          ...unitsQuery
+        ],
+        responses: { ...ok('Current weather', { data: ref('Weather'), ...cacheProperty }), ...errors(...PROVIDER_ERRORS) }
+      }
+    },
+    '/api/weather/compare': {
+      post: {
+        tags: ['Weather'],
+        summary: 'Compare several places side by side',
+        description: 'Current weather and daily forecast of 2 to COMPARE_MAX_PLACES (default 6) places in one call, '
+          + 'fetched through the cache three at a time; each place counts as one request against the rate limit. '
+          + 'A place that fails is reported in its slot (success: false) without failing the others. '
+          + 'Highlights are indexes into places, null when no place qualifies.',
+        parameters: unitsQuery,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['places'],
+          properties: { places: { type: 'array', minItems: 2, items: ref('ComparePlaceInput') } }
+        }),
+        responses: {
+          ...ok('Comparison', {
+            places: { type: 'array', items: ref('ComparedPlace') },
+            highlights: {
+              type: 'object',
+              properties: {
+                warmest: { type: 'integer', nullable: true, description: 'Highest current temperature' },
+                wettest: { type: 'integer', nullable: true, description: 'Most rain + snow over the forecast' },
+                windiest: { type: 'integer', nullable: true, description: 'Highest current wind speed' }
+              }
+            },
+            unitLabels: ref('UnitLabels')
+          }),
+          ...errors(400, 429, 500)
+        }
+      }
+    },
+    '/api/weather/forecast/{city}': {
+      get: {
+        tags: ['Weather'],
+        summary: '5-day forecast, one summary per local day',
+        parameters: [cityPath, latQuery(), lonQuery(), ...unitsQuery],
+        responses: {
+          ...ok('Daily forecast', {
+            ...cacheProperty,
+            city: { type: 'string' },
+            timezone: { type: 'integer', description: 'UTC offset in seconds' },
+            unitLabels: ref('UnitLabels'),
+            forecast: { type: 'array', items: ref('ForecastDay') }
+          }),
+          ...errors(...PROVIDER_ERRORS)
+        }
+      }
+    },
+    '/api/weather/forecast/{city}/hourly': {
+      get: {
+        tags: ['Weather'],
+        summary: '3-hour forecast timeline',
+        parameters: [cityPath, latQuery(), lonQuery(), ...unitsQuery],
+        responses: {
+          ...ok('Hourly forecast', {
+            ...cacheProperty,
+            city: { type: 'string' },
+            timezone: { type: 'integer', description: 'UTC offset in seconds' },
+            unitLabels: ref('UnitLabels'),
+            hourly: { type: 'array', items: ref('ForecastSlot') }
+          }),
+          ...errors(...PROVIDER_ERRORS)
+        }
+      }
+    },
+    '/api/weather/{city}/timeline': {
+      get: {
+        tags: ['Weather'],
+        summary: 'Observed min/max/average per hour or local day, from stored searches',
+        description: 'Built from every user\'s searches of the place plus hourly rollups of searches past '
+          + 'HISTORY_RETENTION_DAYS. Places sharing a name are kept apart: the most recently searched one is used '
+          + 'unless state/country pick another. Defaults to the last 7 days; hourly buckets for ranges up to 2 days, '
+          + 'daily beyond (hourly covers at most 31 days, daily 366). Buckets without searches are left out.',
+        parameters: [
+          cityPath,
+          param('state', 'query', { type: 'string', maxLength: 100 }, 'State/region of the place'),
+          param('country', 'query', { type: 'string', maxLength: 100 }, 'Country code of the place'),
+          param('from', 'query', { type: 'string', format: 'date-time' }, 'Start (inclusive, ISO 8601; default: 7 days before to)'),
+          param('to', 'query', { type: 'string', format: 'date-time' }, 'End (exclusive, ISO 8601; default: now)'),
+          param('bucket', 'query', { type: 'string', enum: ['hour', 'day'] }, 'Bucket size'),
+          ...unitsQuery
+        ],
+        responses: {
+          ...ok('Timeline', {
+            city: { type: 'string' },
+            bucket: { type: 'string', enum: ['hour', 'day'] },
+            from: { type: 'string', format: 'date-time' },
+            to: { type: 'string', format: 'date-time' },
+            timezone: { type: 'integer', description: 'UTC offset in seconds (days are local days)' },
+            unitLabels: ref('UnitLabels'),
+            points: { type: 'array', items: ref('TimelinePoint') }
+          }),
+          ...errors(400, 429, 500)
+        }
+      }
+    },
+    '/api/weather/geocode': {
+      get: {
+        tags: ['Weather'],
+        summary: 'Candidate places for autocomplete',
+        parameters: [
+          param('q', 'query', { type: 'string', minLength: 2, maxLength: 100 }, 'Search text', true),
+          param('limit', 'query', { type: 'integer', minimum: 1, maximum: 5, default: 5 }, 'Maximum candidates')
+        ],
+        responses: {
+          ...ok('Candidates', { query: { type: 'string' }, ...cacheProperty, results: { type: 'array', items: ref('Location') } }),
+          ...errors(...PROVIDER_ERRORS)
+        }
+      }
+    },
+    '/api/weather/air-quality': {
+      get: {
+        tags: ['Weather'],
+        summary: 'Air quality index and pollutants',
+        description: 'Give either city or lat/lon.',
+        parameters: [param('city', 'query', { type: 'string', maxLength: 100 }, 'City name'), latQuery(), lonQuery()],
+        responses: { ...ok('Air quality', { ...cacheProperty, data: ref('AirQuality') }), ...errors(...PROVIDER_ERRORS) }
+      }
+    },
+
+    // ========== FAVORITES ==========
+    '/api/weather/favorites': {
+      get: {
+        tags: ['Favorites'],
+        summary: "List the user's favorites",
+        security: bearer,
+        parameters: unitsQuery,
+        responses: {
+          ...ok('Favorites', {
+            favorites: { type: 'array', items: ref('Favorite') },
+            units: { type: 'string', enum: Object.keys(TEMPERATURE_UNITS) }
+          }),
+          ...errors(400, 401, 429, 500)
+        }
+      },
+      post: {
+        tags: ['Favorites'],
+        summary: 'Add a favorite',
+        description: 'Places chosen from /geocode are stored with their coordinates. Duplicates return 409.',
+        security: bearer,
+        requestBody: jsonBody(ref('FavoriteInput')),
+        responses: { ...ok('Added', { message: { type: 'string' } }), ...errors(400, 401, 404, 409, 429, 502, 503, 500) }
+      }
+    },
+    '/api/weather/favorites/refresh': {
+      post: {
+        tags: ['Favorites'],
+        summary: "Re-fetch the weather snapshot of every favorite",
+        security: bearer,
+        responses: {
+          ...ok('Refreshed', { message: { type: 'string' }, refreshed: { type: 'integer' }, failed: { type: 'integer' } }),
+          ...errors(401, 429, 500)
+        }
+      }
+    },
+    '/api/weather/favorites/order': {
+      put: {
+        tags: ['Favorites'],
+        summary: "Save the order of the user's favorites",
+        description: 'Favorites left out of `ids` keep their order after the listed ones. 404 when an ID is not one of the user\'s favorites.',
+        security: bearer,
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['ids'],
+          properties: { ids: { type: 'array', maxItems: 200, items: { type: 'string', pattern: '^[a-f\\d]{24}$' }, description: 'Favorite IDs, first shown first' } }
+        }),
+        responses: { ...ok('Reordered', { message: { type: 'string' } }), ...errors(400, 401, 404, 429, 500) }
+      }
+    },
+    '/api/weather/favorites/{id}': {
+      patch: {
+        tags: ['Favorites'],
+        summary: "Set a favorite's label, notes and tags",
+        description: 'Only the fields sent change. `null` or an empty string removes the label or notes. Tags are stored lower-case without repeats.',
+        security: bearer,
+        parameters: [idPath('id', 'Favorite'), ...unitsQuery],
+        requestBody: jsonBody(ref('FavoriteUpdate')),
+        responses: {
+          ...ok('Updated', { message: { type: 'string' }, favorite: ref('Favorite') }),
+          ...errors(400, 401, 404, 429, 500)
+        }
+      },
+      delete: {
+        tags: ['Favorites'],
+        summary: 'Remove a favorite (and its alert rules)',
+        security: bearer,
+        parameters: [idPath('id', 'Favorite')],
+        responses: { ...ok('Removed', { message: { type: 'string' } }), ...errors(400, 401, 404, 429, 500) }
+      }
+    },
+    '/api/weather/favorites/{id}/rules': {
+      post: {
+        tags: ['Alerts'],
+        summary: 'Add an alert rule to a favorite',
+        security: bearer,
+        parameters: [idPath('id', 'Favorite')],
+        requestBody: jsonBody(ref('AlertRuleInput')),
+        responses: {
+          201: {
+            description: 'Created',
+            content: {
+              'application/json': {
+                schema: { type: 'object', properties: { success: { type: 'boolean', enum: [true] }, rule: ref('AlertRule') } }
+              }
+            }
+          },
+          ...errors(400, 401, 404, 429, 500)
+        }
+      }
+    },
+
+    // ========== HISTORY ==========
+    '/api/weather/history': {
+      get: {
+        tags: ['History'],
+        summary: "One page of the user's searches, newest first",
+        description: 'Pass nextCursor back as ?cursor= for the next page. With collapse=true repeat searches '
+          + 'of a place (same city in any case, state and country) are one entry with a count, ordered by the latest search.',
+        security: bearer,
+        parameters: [
+          ...unitsQuery,
+          param('limit', 'query', { type: 'integer', minimum: 1, maximum: 50, default: 10 }, 'Page size'),
+          param('cursor', 'query', { type: 'string' }, 'nextCursor from the previous page'),
+          param('from', 'query', { type: 'string', format: 'date-time' }, 'Only searches at or after this time (ISO 8601)'),
+          param('to', 'query', { type: 'string', format: 'date-time' }, 'Only searches before this time (ISO 8601)'),
+          param('city', 'query', { type: 'string', maxLength: 100 }, 'Only cities containing this text (any case)'),
+          param('collapse', 'query', { type: 'string', enum: ['true', 'false', '1', '0'] }, 'One entry per place with a search count')
+        ],
+        responses: {
+          ...ok('History', {
+            history: { type: 'array', items: ref('HistoryItem') },
+            nextCursor: { type: 'string', nullable: true, description: 'null on the last page' }
+          }),
+          ...errors(400, 401, 429, 500)
+        }
+      },
+      delete: {
+        tags: ['History', 'Admin'],
+        summary: "Clear the user's history (scope=all: everyone's, admin only)",
+        security: bearer,
+        parameters: [param('scope', 'query', { type: 'string', enum: ['all'] }, 'Clear every user\'s history (admin)'), dryRunQuery],
+        responses: { ...ok('Cleared', clearResult), ...errors(400, 401, 403, 429, 500) }
+      }
+    },
+
+    '/api/weather/history/{id}': {
+      delete: {
+        tags: ['History'],
+        summary: 'Delete one search (repeats=true: every search of that place)',
+        security: bearer,
+        parameters: [
+          idPath('id', 'History item'),
+          param('repeats', 'query', { type: 'string', enum: ['true', 'false', '1', '0'] }, 'Also delete the place\'s other searches (a collapsed entry)')
+        ],
+        responses: { ...ok('Deleted', { message: { type: 'string' }, deleted: { type: 'integer' } }), ...errors(400, 401, 404, 429, 500) }
+      }
+    },
+
+    // ========== ALERTS ==========
+    '/api/weather/alerts/rules': {
+      get: {
+        tags: ['Alerts'],
+        summary: "List the user's alert rules",
+        security: bearer,
+        parameters: [param('favoriteId', 'query', { type: 'string', pattern: '^[a-f\\d]{24}$' }, 'Only rules of this favorite')],
+        responses: { ...ok('Rules', { rules: { type: 'array', items: ref('AlertRule') } }), ...errors(400, 401, 429, 500) }
+      }
+    },
+    '/api/weather/alerts/rules/{ruleId}': {
+      delete: {
+        tags: ['Alerts'],
+        summary: 'Delete an alert rule',
+        security: bearer,
+        parameters: [idPath('ruleId', 'Rule')],
+        responses: { ...ok('Removed', { message: { type: 'string' } }), ...errors(400, 401, 404, 429, 500) }
+      }
+    },
+    '/api/weather/alerts': {
+      get: {
+        tags: ['Alerts'],
+        summary: 'Triggered alerts, newest first (max 50)',
+        security: bearer,
+        parameters: [param('unread', 'query', { type: 'string', enum: ['true', 'false', '1', '0'] }, 'Only unread alerts')],
+        responses: {
+          ...ok('Alerts', { alerts: { type: 'array', items: ref('Alert') }, unread: { type: 'integer' } }),
+          ...errors(400, 401, 429, 500)
+        }
+      },
+      delete: {
+        tags: ['Alerts'],
+        summary: "Clear all of the user's alerts",
+        security: bearer,
+        responses: { ...ok('Cleared', { message: { type: 'string' } }), ...errors(401, 429, 500) }
+      }
+    },
+    '/api/weather/alerts/{id}/read': {
+      post: {
+        tags: ['Alerts'],
+        summary: 'Mark an alert as read',
+        security: bearer,
+        parameters: [idPath('id', 'Alert')],
+        responses: { ...ok('Marked', { message: { type: 'string' } }), ...errors(400, 401, 404, 429, 500) }
+      }
+    },
+
+    // ========== ADMIN ==========
+    '/api/weather/clear-all': {
+      delete: {
+        tags: ['Admin'],
+        summary: 'Delete all history (and its rollups), favorites, alert rules and alerts (audited)',
+        security: admin,
+        parameters: [dryRunQuery],
+        responses: { ...ok('Cleared', clearResult), ...errors(400, 401, 403, 429, 500) }
+      }
+    },
+
+    // ========== AUTH ==========
+    '/api/auth/register': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Create an account and log in',
+        requestBody: jsonBody(ref('Credentials')),
+        responses: {
+          201: { description: 'Registered', content: { 'application/json': { schema: ref('Session') } } },
+          ...errors(400, 409, 429, 500)
+        }
+      }
+    },
+    '/api/auth/login': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Exchange credentials for a session token',
+        requestBody: jsonBody(ref('Credentials')),
+        responses: {
+          200: { description: 'Logged in', content: { 'application/json': { schema: ref('Session') } } },
+          ...errors(400, 401, 429, 500)
+        }
+      }
+    },
+    '/api/auth/logout': {
+      post: {
+        tags: ['Auth'],
+        summary: 'Invalidate the bearer token',
+        security: bearer,
+        responses: { ...ok('Logged out', { message: { type: 'string' } }), ...errors(500) }
+      }
+    },
+    '/api/auth/me': {
+      get: {
+        tags: ['Auth'],
+        summary: 'The user behind the bearer token',
+        security: bearer,
+        responses: { ...ok('Current user', { user: ref('User') }), ...errors(401, 500) }
+      }
+    }
+  },
+
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Session token from /api/auth/login' },
+      adminKey: { type: 'apiKey', in: 'header', name: 'X-Admin-Key', description: 'ADMIN_API_KEY for admin routes' }
+    },
+    schemas: {
+      HealthCheck: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['up', 'down'] },
+          latencyMs: { type: 'integer' },
+          error: { type: 'string', description: 'Why the check failed' },
+          provider: { type: 'string', description: 'Provider name (provider check only)' },
+          checkedAt: { type: 'string', format: 'date-time', description: 'When the provider was last checked' }
+        }
+      },
+      Readiness: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          status: { type: 'string', enum: ['ready', 'not_ready'] },
+          checks: {
+            type: 'object',
+            properties: { database: ref('HealthCheck'), provider: ref('HealthCheck') }
+          }
+        }
+      },
+      Error: {
+        type: 'object',
+        required: ['success', 'code', 'error'],
+        properties: {
+          success: { type: 'boolean', enum: [false] },
+          code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'Machine-readable error code' },
+          error: { type: 'string', description: 'Human-readable message' },
+          requestId: { type: 'string', description: 'Same as the X-Request-Id response header; quote it when reporting a problem' },
+          details: {
+            type: 'array',
+            description: 'Per-field problems (VALIDATION_FAILED)',
+            items: {
+              type: 'object',
+              properties: {
+                location: { type: 'string', nullable: true, enum: ['params', 'query', 'body', null] },
+                field: { type: 'string', nullable: true },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      CacheMeta: {
+        type: 'object',
+        properties: {
+          hit: { type: 'boolean' },
+          ageSeconds: { type: 'integer' },
+          storedAt: { type: 'string', format: 'date-time' },
+          stale: { type: 'boolean', description: 'Expired data served because the daily upstream budget is spent' }
+        }
+      },
+      UnitLabels: {
+        type: 'object',
+        properties: {
+          temperature: { type: 'string', example: '°C' },
+          wind: { type: 'string', example: 'km/h' },
+          pressure: { type: 'string', example: 'hPa' },
+          distance: { type: 'string', example: 'km' },
+          precipitation: { type: 'string', enum: ['mm', 'in'], description: 'in for imperial, else mm' }
+        }
+      },
+      Weather: {
+        type: 'object',
+        properties: {
+          city: { type: 'string' },
+          country: { type: 'string' },
+          state: { type: 'string' },
+          lat: { type: 'number' },
+          lon: { type: 'number' },
+          timezone: { type: 'integer', description: 'UTC offset in seconds' },
+          locality: { type: 'string', example: 'Springfield, Illinois, US' },
+          temperature: { type: 'integer' },
+          feelsLike: { type: 'integer' },
+          description: { type: 'string' },
+          iconUrl: { type: 'string' },
+          humidity: { type: 'integer' },
+          windSpeed: { type: 'number' },
+          pressure: { type: 'number' },
+          tempMin: { type: 'integer', nullable: true },
+          tempMax: { type: 'integer', nullable: true },
+          windDeg: { type: 'number', nullable: true },
+          windDirection: { type: 'string', nullable: true, example: 'WSW' },
+          windGust: { type: 'number', nullable: true },
+          visibility: { type: 'number', nullable: true, description: 'km (metric) or mi (imperial)' },
+          clouds: { type: 'integer', nullable: true },
+          rain1h: { type: 'number', nullable: true, description: 'mm (inches for units=imperial)' },
+          snow1h: { type: 'number', nullable: true, description: 'mm (inches for units=imperial)' },
+          sunrise: { type: 'string', format: 'date-time', nullable: true },
+          sunset: { type: 'string', format: 'date-time', nullable: true },
+          observedAt: { type: 'string', format: 'date-time', nullable: true },
+          units: { type: 'string', enum: Object.keys(TEMPERATURE_UNITS) },
+          unitSelection: {
+            type: 'object',
+            properties: { temperature: { type: 'string' }, wind: { type: 'string' }, pressure: { type: 'string' } }
+          },
+          unitLabels: ref('UnitLabels')
+        }
+      },
+      ForecastDay: {
+        type: 'object',
+        properties: {
+          isoDate: { type: 'string', format: 'date' },
+          date: { type: 'string', example: 'Mon 20' },
+          tempMin: { type: 'integer' },
+          tempMax: { type: 'integer' },
+          icon: { type: 'string' },
+          description: { type: 'string' },
+          pop: { type: 'integer', description: 'Highest precipitation chance (%)' },
+          rain: { type: 'number', description: 'mm (inches for units=imperial)' },
+          snow: { type: 'number', description: 'mm (inches for units=imperial)' },
+          slots: { type: 'integer' }
+        }
+      },
+      ForecastSlot: {
+        type: 'object',
+        properties: {
+          dt: { type: 'integer' },
+          time: { type: 'string', format: 'date-time' },
+          isoDate: { type: 'string', format: 'date' },
+          label: { type: 'string', example: 'Mon 15:00' },
+          temp: { type: 'integer' },
+          feelsLike: { type: 'integer' },
+          humidity: { type: 'integer' },
+          windSpeed: { type: 'number' },
+          pop: { type: 'integer' },
+          rain: { type: 'number', description: 'mm (inches for units=imperial)' },
+          snow: { type: 'number', description: 'mm (inches for units=imperial)' },
+          icon: { type: 'string' },
+          description: { type: 'string' }
+        }
+      },
+      TimelinePoint: {
+        type: 'object',
+        properties: {
+          start: { type: 'string', format: 'date-time' },
+          label: { type: 'string', example: 'Mon, Jan 15' },
+          count: { type: 'integer', description: 'Observations in the bucket' },
+          temperature: ref('MinMaxAvg'),
+          humidity: ref('MinMaxAvg'),
+          pressure: ref('MinMaxAvg')
+        }
+      },
+      ComparePlaceInput: {
+        type: 'object',
+        description: 'A city name, or coordinates (optionally named like a /geocode candidate)',
+        properties: {
+          city: { type: 'string', maxLength: 100 },
+          name: { type: 'string', maxLength: 100 },
+          state: { type: 'string', maxLength: 100 },
+          country: { type: 'string', maxLength: 100 },
+          lat: { type: 'number', minimum: -90, maximum: 90 },
+          lon: { type: 'number', minimum: -180, maximum: 180 }
+        }
+      },
+      ComparedPlace: {
+        type: 'object',
+        properties: {
+          query: ref('ComparePlaceInput'),
+          success: { type: 'boolean' },
+          current: ref('Weather'),
+          forecast: { type: 'array', items: ref('ForecastDay') },
+          precipitation: { type: 'number', description: 'Rain + snow over the forecast (mm, inches for units=imperial)' },
+          code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'Why the place failed' },
+          error: { type: 'string' }
+        }
+      },
+      MinMaxAvg: {
+        type: 'object',
+        properties: { min: { type: 'number' }, max: { type: 'number' }, avg: { type: 'number' } }
+      },
+      Location: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          state: { type: 'string' },
+          country: { type: 'string' },
+          lat: { type: 'number' },
+          lon: { type: 'number' },
+          label: { type: 'string', example: 'Springfield, Illinois, US' }
+        }
+      },
+      AirQuality: {
+        type: 'object',
+        properties: {
+          city: { type: 'string' },
+          lat: { type: 'number' },
+          lon: { type: 'number' },
+          aqi: { type: 'integer', minimum: 1, maximum: 5 },
+          category: { type: 'string', example: 'Moderate' },
+          color: { type: 'string' },
+          guidance: { type: 'string' },
+          components: {
+            type: 'object',
+            description: 'Concentrations in μg/m³',
+            properties: Object.fromEntries(['pm2_5', 'pm10', 'o3', 'no2', 'so2', 'co'].map(name => [name, { type: 'number' }]))
+          },
+          observedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      FavoriteInput: {
+        type: 'object',
+        required: ['city'],
+        properties: {
+          city: { type: 'string', maxLength: 100 },
+          state: { type: 'string', maxLength: 100 },
+          country: { type: 'string', maxLength: 100 },
+          lat: { type: 'number', minimum: -90, maximum: 90 },
+          lon: { type: 'number', minimum: -180, maximum: 180 }
+        }
+      },
+      Favorite: {
+        allOf: [
+          ref('Weather'),
+          {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              lastUpdated: { type: 'string', format: 'date-time' },
+              label: { type: 'string', description: 'Custom name shown instead of the city' },
+              notes: { type: 'string' },
+              tags: { type: 'array', items: { type: 'string' } },
+              position: { type: 'integer', description: 'Place in the user\'s order (0 = first)' }
+            }
+          }
+        ]
+      },
+      FavoriteUpdate: {
+        type: 'object',
+        minProperties: 1,
+        properties: {
+          label: { type: 'string', maxLength: 50, nullable: true },
+          notes: { type: 'string', maxLength: 500, nullable: true },
+          tags: { type: 'array', maxItems: 10, items: { type: 'string', minLength: 1, maxLength: 30 } }
+        }
+      },
+      HistoryItem: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          city: { type: 'string' },
+          state: { type: 'string' },
+          country: { type: 'string' },
+          lat: { type: 'number', nullable: true },
+          lon: { type: 'number', nullable: true },
+          temperature: { type: 'string', example: '28°C' },
+          description: { type: 'string' },
+          iconUrl: { type: 'string' },
+          time: { type: 'string' },
+          count: { type: 'integer', description: 'Searches of this place (collapse=true only)' },
+          firstSearched: { type: 'string', format: 'date-time', description: 'Earliest of those searches (collapse=true only)' }
+        }
+      },
+      AlertRuleInput: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { type: 'string', enum: Object.keys(RULE_TYPES) },
+          threshold: { type: 'number', description: 'Temperature / wind speed, or minimum rain chance (%) for rain_within' },
+          hours: { type: 'integer', minimum: 1, maximum: 120, description: 'Look-ahead for rain_within (default 12)' },
+          units: { type: 'string', enum: Object.keys(TEMPERATURE_UNITS) }
+        }
+      },
+      AlertRule: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          favoriteId: { type: 'string' },
+          city: { type: 'string' },
+          type: { type: 'string', enum: Object.keys(RULE_TYPES) },
+          threshold: { type: 'number' },
+          hours: { type: 'integer' },
+          units: { type: 'string' },
+          enabled: { type: 'boolean' },
+          summary: { type: 'string', example: 'Temperature above 35°C' },
+          lastTriggeredAt: { type: 'string', format: 'date-time', nullable: true }
+        }
+      },
+      Alert: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          ruleId: { type: 'string' },
+          city: { type: 'string' },
+          type: { type: 'string' },
+          value: { type: 'number' },
+          message: { type: 'string' },
+          read: { type: 'boolean' },
+          triggeredAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Credentials: {
+        type: 'object',
+        required: ['username', 'password'],
+        properties: { username: { type: 'string' }, password: { type: 'string', format: 'password' } }
+      },
+      User: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          username: { type: 'string' },
+          role: { type: 'string', enum: ['user', 'admin'] }
+        }
+      },
+      Session: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', enum: [true] },
+          user: ref('User'),
+          token: { type: 'string' },
+          expiresAt: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  }
+};
+
+module.exports = spec;
@@ -0,0 +1,113 @@
+/**
+ * ===============================================
+ * AUTH MIDDLEWARE - Token Sessions
+ * ===============================================
+ * Resolves "Authorization: Bearer <token>" headers to a user.
+ * Tokens are random strings handed out at login; only their
+ * SHA-256 hash is stored in the 'sessions' collection.
+ */
+
+const crypto = require('crypto');
+const { sendError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { sessionsRepository, usersRepository } = require('../repositories');
+
+/**
+ * Hashes a session token for storage/lookup
+ * @param {string} token - Raw token sent by the client
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Extracts the bearer token from a request, if any
+ * @param {Object} req - Express request
+ * @returns {string|null} Raw token
+ */
+const readToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Checks the X-Admin-Key header against ADMIN_API_KEY in constant time
+ * @param {Object} req - Express request
+ * @returns {boolean} true when a valid admin key was sent
+ */
+const hasAdminKey = (req) => {
+  const expected = process.env.ADMIN_API_KEY;
+  const provided = req.get('X-Admin-Key');
+  if (!expected || !provided) return false;
+  // Compare digests so differing lengths don't leak through timing
+  return crypto.timingSafeEqual(
+    Buffer.from(hashToken(provided), 'hex'),
+    Buffer.from(hashToken(expected), 'hex')
+  );
+};
+
+/**
+ * Resolves a user's role. Admins are either marked role: 'admin' in the
+ * users collection or listed in ADMIN_USERNAMES (comma separated).
+ * @param {Object} user - User document
+ * @returns {string} 'admin' or 'user'
+ */
+const resolveRole = (user) => {
+  const admins = (process.env.ADMIN_USERNAMES || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  return user.role === 'admin' || admins.includes(user.username) ? 'admin' : 'user';
+};
+
+/**
+ * Creates the auth middleware.
+ *
+ * authenticate - Optional: attaches req.user when a valid token is sent,
+ *                otherwise continues anonymously (req.user = null)
+ * requireAuth  - Rejects anonymous requests with 401
+ * requireAdmin - Allows admins (role) or callers with the admin API key,
+ *                401 for anonymous callers, 403 for regular users
+ */
+const createAuthMiddleware = () => {
+  const authenticate = async (req, res, next) => {
+    req.user = null;
+    const token = readToken(req);
+    if (!token) return next();
+
+    try {
+      const session = await sessionsRepository.findActive(hashToken(token));
+      if (session) {
+        const user = await usersRepository.findById(session.userId);
+        if (user) {
+          req.user = { _id: user._id, username: user.username, role: resolveRole(user) };
+          req.sessionId = session._id;
+        }
+      }
+      next();
+    } catch (error) {
+      logger.error('Session lookup failed', { error });
+      sendError(res, 'INTERNAL_ERROR', 'Server Error: ' + error.message);
+    }
+  };
+
+  const requireAuth = (req, res, next) => {
+    if (!req.user) {
+      return sendError(res, 'AUTH_REQUIRED');
+    }
+    next();
+  };
+
+  const requireAdmin = (req, res, next) => {
+    req.adminKey = hasAdminKey(req);
+    if (req.adminKey || req.user?.role === 'admin') return next();
+    if (!req.user) {
+      return sendError(res, 'AUTH_REQUIRED', 'Admin login or X-Admin-Key required');
+    }
+    sendError(res, 'FORBIDDEN');
+  };
+
+  return { authenticate, requireAuth, requireAdmin };
+};
+
+module.exports = { createAuthMiddleware, hashToken, readToken, hasAdminKey };
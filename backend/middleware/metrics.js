@@ -0,0 +1,37 @@
+/**
+ * ===============================================
+ * METRICS MIDDLEWARE - Request Counts and Latency
+ * ===============================================
+ * Records http_requests_total and http_request_duration_seconds
+ * (utils/metrics.js) for every response. Requests are labelled with
+ * the matched route pattern (e.g. /api/weather/:city), never the raw
+ * URL, so city names can't blow up the number of series.
+ */
+
+const metrics = require('../utils/metrics');
+
+/**
+ * Route label for a finished request
+ * @param {Object} req - Express request
+ * @returns {string} e.g. '/api/weather/:city', '/api/weather/*' when rejected
+ *   by router-level middleware (auth, rate limit), 'unmatched' otherwise
+ */
+const routeLabel = (req) => {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  return req.baseUrl ? `${req.baseUrl}/*` : 'unmatched';
+};
+
+/**
+ * Express middleware; mount before the routes
+ */
+const recordRequestMetrics = (req, res, next) => {
+  const stopTimer = metrics.httpDuration.startTimer({ method: req.method });
+  res.on('finish', () => {
+    const route = routeLabel(req);
+    stopTimer({ route });
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+};
+
+module.exports = { recordRequestMetrics, routeLabel };
@@ -0,0 +1,109 @@
+/**
+ * ===============================================
+ * RATE LIMIT MIDDLEWARE - Per-IP / Per-User Limits
+ * ===============================================
+ * Fixed-window request counter so a single client can't burn the
+ * shared provider key for everyone. Logged-in requests are counted
+ * per user, anonymous requests per client IP.
+ *
+ * Every response carries the IETF RateLimit headers:
+ *   RateLimit-Limit     - requests allowed per window
+ *   RateLimit-Remaining - requests left in the current window
+ *   RateLimit-Reset     - seconds until the window resets
+ *   RateLimit-Policy    - e.g. "60;w=60"
+ * Rejected requests get 429 RATE_LIMITED plus Retry-After.
+ *
+ * CONFIGURATION (.env):
+ *   RATE_LIMIT_WINDOW_SECONDS - window length (default 60)
+ *   RATE_LIMIT_PER_IP         - anonymous requests per window (default 60, 0 disables)
+ *   RATE_LIMIT_PER_USER       - logged-in requests per window (default 120, 0 disables)
+ *   RATE_LIMIT_AUTH_WINDOW_SECONDS - login/register window (default 900)
+ *   RATE_LIMIT_AUTH_PER_IP         - login/register attempts per IP and window
+ *                                    (default 10, 0 disables)
+ *
+ * Behind a reverse proxy set TRUST_PROXY so req.ip is the client's address.
+ */
+
+const { sendError } = require('../utils/errors');
+
+/**
+ * Reads a non-negative integer setting
+ */
+const readLimit = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+/**
+ * Creates the rate limit middleware. Counters live in memory (per process).
+ * @param {Object} [options] - Overrides for the .env settings
+ * @param {number} [options.windowSeconds]
+ * @param {number} [options.perIp]
+ * @param {number} [options.perUser]
+ * @param {Function} [options.cost] - (req) => requests this call counts as (default 1)
+ * @returns {Function} Express middleware (expects req.user from authenticate)
+ */
+const createRateLimiter = ({
+  windowSeconds = readLimit('RATE_LIMIT_WINDOW_SECONDS', 60) || 60,
+  perIp = readLimit('RATE_LIMIT_PER_IP', 60),
+  perUser = readLimit('RATE_LIMIT_PER_USER', 120),
+  cost = () => 1
+} = {}) => {
+  const windowMs = windowSeconds * 1000;
+  const counters = new Map(); // 'user:<id>' | 'ip:<address>' -> { count, resetAt }
+  let nextSweep = Date.now() + windowMs;
+
+  // Drops finished windows so idle clients don't accumulate
+  const sweep = (now) => {
+    if (now < nextSweep) return;
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+    nextSweep = now + windowMs;
+  };
+
+  return (req, res, next) => {
+    const key = req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+    const limit = req.user ? perUser : perIp;
+    if (!limit) return next();
+
+    const now = Date.now();
+    sweep(now);
+
+    let counter = counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      counters.set(key, counter);
+    }
+    counter.count += cost(req);
+
+    const resetSeconds = Math.max(1, Math.ceil((counter.resetAt - now) / 1000));
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, limit - counter.count)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+    res.set('RateLimit-Policy', `${limit};w=${windowSeconds}`);
+
+    if (counter.count > limit) {
+      res.set('Retry-After', String(resetSeconds));
+      return sendError(res, 'RATE_LIMITED', `Too many requests. Try again in ${resetSeconds} s`);
+    }
+    next();
+  };
+};
+
+/**
+ * Tighter per-IP limiter for login and registration, which attract
+ * credential stuffing and cost a scrypt hash per request.
+ * Counted separately from the weather API limits.
+ * @returns {Function} Express middleware
+ */
+const createAuthRateLimiter = () => {
+  const perIp = readLimit('RATE_LIMIT_AUTH_PER_IP', 10);
+  return createRateLimiter({
+    windowSeconds: readLimit('RATE_LIMIT_AUTH_WINDOW_SECONDS', 900) || 900,
+    perIp,
+    perUser: perIp // Not signed in yet: every attempt is counted per IP anyway
+  });
+};
+
+module.exports = { createRateLimiter, createAuthRateLimiter };
@@ -0,0 +1,47 @@
+/**
+ * ===============================================
+ * REQUEST LOGGER - Request IDs and Access Logs
+ * ===============================================
+ * Gives every request an ID, reusing a well-formed incoming X-Request-Id
+ * (e.g. from a proxy) or generating a UUID. The ID is:
+ *   - sent back in the X-Request-Id response header
+ *   - in every log line written while handling the request (utils/logger.js)
+ *   - in the error envelope as `requestId` (utils/errors.js)
+ * One line is logged per finished request.
+ */
+
+const { randomUUID } = require('node:crypto');
+const logger = require('../utils/logger');
+const { routeLabel } = require('./metrics');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Accept incoming IDs that are safe to echo and log
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Express middleware; mount first so everything after it is logged with the ID
+ */
+const requestLogger = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    logger.log(level, 'Request completed', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      route: routeLabel(req),
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      userId: req.user?._id?.toString()
+    });
+  });
+
+  logger.runWithContext({ requestId: req.id }, next);
+};
+
+module.exports = { requestLogger, REQUEST_ID_HEADER };
@@ -0,0 +1,163 @@
+/**
+ * ===============================================
+ * VALIDATION MIDDLEWARE - Params, Query & Body Checks
+ * ===============================================
+ * Rejects bad input before it reaches a controller (or the weather
+ * provider) with a VALIDATION_FAILED error listing every problem.
+ *
+ * A schema describes each part of the request with field rules:
+ *
+ *   validate({
+ *     params: { id: objectId() },
+ *     query: { units: oneOf(['metric', 'imperial']) },
+ *     body: { city: string({ required: true }) },
+ *     check: (req) => 'message' | null   // cross-field rules
+ *   })
+ *
+ * A rule is a function (value) => error message | null.
+ * Values are only checked, never rewritten - controllers still read
+ * req.params / req.query / req.body.
+ */
+
+const { ObjectId } = require('mongodb');
+const { sendError } = require('../utils/errors');
+
+// Request parts a schema can describe, in reporting order
+const LOCATIONS = ['params', 'query', 'body'];
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/**
+ * String rule (length measured after trimming)
+ * @param {Object} [options] - { required, min, max }
+ */
+const string = ({ required = false, min = 1, max = 100 } = {}) => (value) => {
+  if (isMissing(value)) return required ? 'is required' : null;
+  if (typeof value !== 'string') return 'must be a string';
+  const length = value.trim().length;
+  if (length < min) return `must be at least ${min} characters`;
+  if (length > max) return `must be at most ${max} characters`;
+  return null;
+};
+
+/**
+ * Number rule - accepts numbers and numeric strings (query values)
+ * @param {Object} [options] - { required, min, max, integer }
+ */
+const number = ({ required = false, min = -Infinity, max = Infinity, integer = false } = {}) => (value) => {
+  if (isMissing(value)) return required ? 'is required' : null;
+  const parsed = typeof value === 'number' ? value
+    : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+  if (!Number.isFinite(parsed)) return 'must be a number';
+  if (integer && !Number.isInteger(parsed)) return 'must be an integer';
+  if (parsed < min || parsed > max) return `must be between ${min} and ${max}`;
+  return null;
+};
+
+/**
+ * Enumeration rule
+ * @param {Array} values - Allowed values
+ * @param {Object} [options] - { required }
+ */
+const oneOf = (values, { required = false } = {}) => (value) => {
+  if (isMissing(value)) return required ? 'is required' : null;
+  return values.includes(value) ? null : `must be one of: ${values.join(', ')}`;
+};
+
+/**
+ * Query flag rule (?dryRun=true|false|1|0)
+ */
+const flag = () => oneOf(['true', 'false', '1', '0']);
+
+/**
+ * Whether a query flag is on (?name=true|1), for controllers reading flag() params
+ * @param {Object} req - Express request
+ * @param {string} name - Query parameter
+ */
+const isFlag = (req, name) => ['true', '1'].includes(String(req.query[name]).toLowerCase());
+
+/**
+ * MongoDB ObjectId rule (required unless told otherwise)
+ * @param {Object} [options] - { required }
+ */
+const objectId = ({ required = true } = {}) => (value) => {
+  if (isMissing(value)) return required ? 'is required' : null;
+  return typeof value === 'string' && ObjectId.isValid(value) ? null : 'must be a valid ID';
+};
+
+/**
+ * ISO 8601 date or date-time rule ('2024-01-31' or '2024-01-31T08:00:00Z')
+ * @param {Object} [options] - { required }
+ */
+const isoDate = ({ required = false } = {}) => (value) => {
+  if (isMissing(value)) return required ? 'is required' : null;
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value) && !Number.isNaN(Date.parse(value))
+    ? null
+    : 'must be an ISO 8601 date';
+};
+
+/**
+ * Array rule - every item must pass the item rule
+ * @param {Function} itemRule - Rule for one item, e.g. string({ max: 30 })
+ * @param {Object} [options] - { required, min, max } - max may be a function
+ *   read on every request (limits configured through .env)
+ */
+const arrayOf = (itemRule, { required = false, min = 0, max = 100 } = {}) => (value) => {
+  if (value === undefined || value === null) return required ? 'is required' : null;
+  if (!Array.isArray(value)) return 'must be an array';
+  if (value.length < min) return `must have at least ${min} items`;
+  const limit = typeof max === 'function' ? max() : max;
+  if (value.length > limit) return `must have at most ${limit} items`;
+  for (let index = 0; index < value.length; index += 1) {
+    const message = isMissing(value[index]) ? 'is required' : itemRule(value[index]);
+    if (message) return `item ${index + 1} ${message}`;
+  }
+  return null;
+};
+
+/**
+ * Cross-field check: lat and lon must be given together
+ */
+const coordsPair = (source) => {
+  const hasLat = !isMissing(source?.lat);
+  const hasLon = !isMissing(source?.lon);
+  return hasLat === hasLon ? null : 'lat and lon must be given together';
+};
+
+/**
+ * Builds the validation middleware for a schema
+ * @param {Object} schema - { params?, query?, body?, check? }
+ * @returns {Function} Express middleware
+ */
+const validate = (schema) => (req, res, next) => {
+  const details = [];
+
+  LOCATIONS.forEach(location => {
+    const rules = schema[location];
+    if (!rules) return;
+
+    const source = req[location];
+    if (location === 'body' && (typeof source !== 'object' || source === null || Array.isArray(source))) {
+      details.push({ location, field: null, message: 'body must be a JSON object' });
+      return;
+    }
+
+    Object.entries(rules).forEach(([field, rule]) => {
+      const message = rule(source?.[field]);
+      if (message) details.push({ location, field, message: `${field} ${message}` });
+    });
+  });
+
+  // Cross-field rules only run once every field is individually valid
+  if (!details.length && schema.check) {
+    const message = schema.check(req);
+    if (message) details.push({ location: null, field: null, message });
+  }
+
+  if (details.length) {
+    return sendError(res, 'VALIDATION_FAILED', details[0].message, details);
+  }
+  next();
+};
+
+module.exports = { validate, string, number, oneOf, flag, isFlag, objectId, isoDate, arrayOf, coordsPair };
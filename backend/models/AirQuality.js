@@ -0,0 +1,88 @@
+/**
+ * ===============================================
+ * AIR QUALITY MODEL - Pollutants & Health Guidance
+ * ===============================================
+ * Wraps an OpenWeatherMap /air_pollution payload: the 1-5 air quality
+ * index plus the main pollutant concentrations (all in μg/m³).
+ */
+
+/**
+ * OpenWeatherMap AQI levels with a display colour and health guidance
+ */
+const AQI_LEVELS = {
+  1: { category: 'Good', color: '#2ecc71', guidance: 'Air quality is good. Enjoy outdoor activities.' },
+  2: { category: 'Fair', color: '#a3cb38', guidance: 'Acceptable. Unusually sensitive people should watch for symptoms.' },
+  3: { category: 'Moderate', color: '#f1c40f', guidance: 'Sensitive groups (asthma, heart disease, children, elderly) should reduce long outdoor exertion.' },
+  4: { category: 'Poor', color: '#e67e22', guidance: 'Everyone should limit prolonged outdoor exertion. Sensitive groups should stay indoors.' },
+  5: { category: 'Very Poor', color: '#c0392b', guidance: 'Health alert: avoid outdoor activity and keep windows closed. Consider wearing a mask outside.' }
+};
+
+// Pollutants reported to the frontend, in display order
+const POLLUTANTS = ['pm2_5', 'pm10', 'o3', 'no2', 'so2', 'co'];
+
+/**
+ * ========== AirQualityModel CLASS ==========
+ */
+class AirQualityModel {
+  /**
+   * @param {Object} data
+   * @param {string} data.city - Place name the reading is for
+   * @param {number} data.lat - Latitude
+   * @param {number} data.lon - Longitude
+   * @param {number} data.aqi - OpenWeatherMap air quality index (1 = Good ... 5 = Very Poor)
+   * @param {Object} data.components - Concentrations in μg/m³ keyed by pollutant
+   * @param {Date} data.observedAt - When the reading was taken
+   */
+  constructor(data = {}) {
+    this.city = data.city || '';
+    this.lat = data.lat ?? null;
+    this.lon = data.lon ?? null;
+    this.aqi = AQI_LEVELS[data.aqi] ? data.aqi : 1;
+    this.components = data.components || {};
+    this.observedAt = data.observedAt || new Date();
+  }
+
+  /**
+   * Formats the reading for the air quality card
+   * @returns {Object} { city, aqi, category, color, guidance, components, observedAt }
+   */
+  toFrontend() {
+    const level = AQI_LEVELS[this.aqi];
+    const components = {};
+    POLLUTANTS.forEach(name => {
+      components[name] = Math.round((this.components[name] || 0) * 10) / 10;
+    });
+
+    return {
+      city: this.city,
+      lat: this.lat,
+      lon: this.lon,
+      aqi: this.aqi,
+      category: level.category,
+      color: level.color,
+      guidance: level.guidance,
+      components,
+      observedAt: this.observedAt
+    };
+  }
+
+  /**
+   * Creates an AirQualityModel from an OpenWeatherMap /air_pollution payload
+   * @param {Object} apiData - { coord, list: [{ dt, main: { aqi }, components }] }
+   * @param {Object} place - { name, lat, lon } the reading was requested for
+   * @returns {AirQualityModel} New instance
+   */
+  static fromApiResponse(apiData, place = {}) {
+    const reading = apiData.list?.[0] || {};
+    return new AirQualityModel({
+      city: place.name,
+      lat: place.lat ?? apiData.coord?.lat,
+      lon: place.lon ?? apiData.coord?.lon,
+      aqi: reading.main?.aqi,
+      components: reading.components,
+      observedAt: reading.dt ? new Date(reading.dt * 1000) : new Date()
+    });
+  }
+}
+
+module.exports = { AirQualityModel, AQI_LEVELS };
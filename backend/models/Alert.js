@@ -0,0 +1,238 @@
+/**
+ * ===============================================
+ * ALERT MODELS - Threshold Rules & Triggered Alerts
+ * ===============================================
+ * AlertRuleModel: a condition attached to one favorite city
+ *   (temperature above/below X, wind above Y, rain within N hours).
+ * AlertModel: a stored notification produced when a rule matches.
+ */
+
+const { ObjectId } = require('mongodb');
+const { TEMPERATURE_UNITS, WIND_UNITS, convertTemperature, convertWind } = require('../utils/units');
+
+// Supported rule types and what their threshold means
+const RULE_TYPES = {
+  temp_above: 'Temperature above',
+  temp_below: 'Temperature below',
+  wind_above: 'Wind speed above',
+  rain_within: 'Rain expected within'
+};
+
+const MAX_RAIN_HOURS = 120; // The forecast only covers 5 days
+
+/**
+ * ========== AlertRuleModel CLASS ==========
+ */
+class AlertRuleModel {
+  /**
+   * @param {Object} data
+   * @param {string} data.type - One of RULE_TYPES
+   * @param {number} data.threshold - °/speed limit, or min rain probability (%) for rain_within
+   * @param {number} data.hours - Look-ahead window for rain_within
+   * @param {string} data.units - 'metric' or 'imperial' (units of the threshold)
+   */
+  constructor(data = {}) {
+    this._id = data._id ? new ObjectId(data._id) : null;
+    this.userId = data.userId || null;
+    this.favoriteId = data.favoriteId || null;
+    this.city = data.city || '';
+    // Coordinates of the favorite when it was picked from geocoding candidates
+    this.lat = data.lat ?? null;
+    this.lon = data.lon ?? null;
+    this.type = data.type;
+    this.threshold = Number(data.threshold ?? (data.type === 'rain_within' ? 50 : 0));
+    this.hours = data.type === 'rain_within' ? Number(data.hours ?? 12) : undefined;
+    this.units = data.units === 'imperial' ? 'imperial' : 'metric';
+    this.enabled = data.enabled !== false;
+    this.lastTriggeredAt = data.lastTriggeredAt || null;
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  /**
+   * Validates a rule coming from the client
+   * @param {Object} body - Request body
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validate(body = {}) {
+    if (!RULE_TYPES[body.type]) {
+      return `type must be one of: ${Object.keys(RULE_TYPES).join(', ')}`;
+    }
+    if (body.threshold !== undefined && !Number.isFinite(Number(body.threshold))) {
+      return 'threshold must be a number';
+    }
+    if (body.type !== 'rain_within' && body.threshold === undefined) {
+      return 'threshold is required';
+    }
+    if (body.type === 'rain_within') {
+      const hours = Number(body.hours ?? 12);
+      if (!Number.isInteger(hours) || hours < 1 || hours > MAX_RAIN_HOURS) {
+        return `hours must be a whole number between 1 and ${MAX_RAIN_HOURS}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Human readable summary, e.g. "Temperature above 35°C"
+   */
+  describe() {
+    const temp = this.units === 'metric' ? '°C' : '°F';
+    const speed = this.units === 'metric' ? 'm/s' : 'mph';
+    switch (this.type) {
+      case 'temp_above':
+      case 'temp_below':
+        return `${RULE_TYPES[this.type]} ${this.threshold}${temp}`;
+      case 'wind_above':
+        return `${RULE_TYPES[this.type]} ${this.threshold} ${speed}`;
+      default:
+        return `${RULE_TYPES[this.type]} ${this.hours} h (≥${this.threshold}% chance)`;
+    }
+  }
+
+  /**
+   * The threshold in the units readings are compared in (°C, m/s);
+   * rain_within thresholds are percentages in every unit system
+   */
+  metricThreshold() {
+    if (this.units === 'metric' || this.type === 'rain_within') return this.threshold;
+    return this.type === 'wind_above'
+      ? this.threshold / WIND_UNITS.mph.factor
+      : (this.threshold - 32) * 5 / 9;
+  }
+
+  /**
+   * Checks the rule against fresh data
+   * @param {Object} current - Current weather payload (OpenWeatherMap format, metric)
+   * @param {Object} forecast - Forecast payload, only needed for rain_within
+   * @returns {Object|null} { value, message } when the rule matches (value in this.units), otherwise null
+   */
+  evaluate(current, forecast) {
+    const celsius = current?.main?.temp;
+    const ms = current?.wind?.speed;
+    const limit = this.metricThreshold();
+    const unit = TEMPERATURE_UNITS[this.units];
+
+    switch (this.type) {
+      case 'temp_above':
+      case 'temp_below': {
+        const matches = this.type === 'temp_above' ? celsius > limit : celsius < limit;
+        if (!matches) return null;
+        const temp = convertTemperature(celsius, this.units);
+        const side = this.type === 'temp_above' ? 'above' : 'below';
+        return { value: temp, message: `${this.city}: ${Math.round(temp)}${unit}, ${side} your ${this.threshold}${unit} limit` };
+      }
+      case 'wind_above': {
+        if (!(ms > limit)) return null;
+        const wind = convertWind(ms, this.units === 'metric' ? 'ms' : 'mph');
+        return { value: wind, message: `${this.city}: wind ${wind} ${this.units === 'metric' ? 'm/s' : 'mph'}, above your ${this.threshold} limit` };
+      }
+      case 'rain_within': {
+        const horizon = Date.now() / 1000 + this.hours * 3600;
+        // First slot inside the window whose precipitation chance reaches the threshold
+        const wet = (forecast?.list || []).find(slot =>
+          slot.dt <= horizon && slot.pop > 0 && slot.pop * 100 >= this.threshold
+        );
+        if (!wet) return null;
+        const inHours = Math.max(0, Math.round((wet.dt - Date.now() / 1000) / 3600));
+        return {
+          value: Math.round((wet.pop || 0) * 100),
+          message: `${this.city}: ${Math.round((wet.pop || 0) * 100)}% chance of rain in about ${inHours} h`
+        };
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Converts the rule to MongoDB document format
+   */
+  toDocument() {
+    const doc = {
+      userId: this.userId,
+      favoriteId: this.favoriteId,
+      city: this.city,
+      lat: this.lat,
+      lon: this.lon,
+      type: this.type,
+      threshold: this.threshold,
+      hours: this.hours,
+      units: this.units,
+      enabled: this.enabled,
+      lastTriggeredAt: this.lastTriggeredAt,
+      createdAt: this.createdAt
+    };
+    if (doc.hours === undefined) delete doc.hours;
+    if (doc.lat === null || doc.lon === null) {
+      delete doc.lat;
+      delete doc.lon;
+    }
+    return doc;
+  }
+
+  /**
+   * Formats the rule for the frontend
+   */
+  toFrontend() {
+    return {
+      id: this._id?.toString(),
+      favoriteId: this.favoriteId?.toString(),
+      city: this.city,
+      type: this.type,
+      threshold: this.threshold,
+      hours: this.hours,
+      units: this.units,
+      enabled: this.enabled,
+      summary: this.describe(),
+      lastTriggeredAt: this.lastTriggeredAt
+    };
+  }
+}
+
+/**
+ * ========== AlertModel CLASS ==========
+ * A triggered alert waiting to be shown to the user
+ */
+class AlertModel {
+  constructor(data = {}) {
+    this._id = data._id ? new ObjectId(data._id) : null;
+    this.userId = data.userId || null;
+    this.ruleId = data.ruleId || null;
+    this.favoriteId = data.favoriteId || null;
+    this.city = data.city || '';
+    this.type = data.type || '';
+    this.value = data.value;
+    this.message = data.message || '';
+    this.read = Boolean(data.read);
+    this.triggeredAt = data.triggeredAt || new Date();
+  }
+
+  toDocument() {
+    return {
+      userId: this.userId,
+      ruleId: this.ruleId,
+      favoriteId: this.favoriteId,
+      city: this.city,
+      type: this.type,
+      value: this.value,
+      message: this.message,
+      read: this.read,
+      triggeredAt: this.triggeredAt
+    };
+  }
+
+  toFrontend() {
+    return {
+      id: this._id?.toString(),
+      ruleId: this.ruleId?.toString(),
+      city: this.city,
+      type: this.type,
+      value: this.value,
+      message: this.message,
+      read: this.read,
+      triggeredAt: this.triggeredAt
+    };
+  }
+}
+
+module.exports = { AlertRuleModel, AlertModel, RULE_TYPES };
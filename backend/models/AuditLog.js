@@ -0,0 +1,64 @@
+/**
+ * ===============================================
+ * AUDIT LOG MODEL - Destructive Action Records
+ * ===============================================
+ * Records who cleared what and when in the 'auditLog' collection.
+ * Written for every destructive call, including dry runs.
+ */
+
+/**
+ * ========== AuditLogModel CLASS ==========
+ */
+class AuditLogModel {
+  /**
+   * @param {Object} data
+   * @param {string} data.action - What was done (e.g. 'clear-all', 'clear-history')
+   * @param {Object} data.actor - Who did it ({ type, userId, username, ip })
+   * @param {Object} data.scope - What was targeted ({ collections, filter })
+   * @param {Object} data.counts - Documents deleted (or that would be, for dry runs)
+   * @param {boolean} data.dryRun - true when nothing was actually deleted
+   */
+  constructor(data = {}) {
+    this.action = data.action || '';
+    this.actor = data.actor || {};
+    this.scope = data.scope || {};
+    this.counts = data.counts || {};
+    this.dryRun = Boolean(data.dryRun);
+    this.timestamp = data.timestamp || new Date();
+  }
+
+  /**
+   * Converts the entry to MongoDB document format
+   */
+  toDocument() {
+    return {
+      action: this.action,
+      actor: this.actor,
+      scope: this.scope,
+      counts: this.counts,
+      dryRun: this.dryRun,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Describes the caller of a request for the audit trail.
+   * Admin API key callers have no user account, so only the key is noted.
+   * @param {Object} req - Express request (after auth middleware)
+   * @returns {Object} { type: 'user' | 'apiKey', userId, username, ip }
+   */
+  static actorFromRequest(req) {
+    if (req.user) {
+      return {
+        type: 'user',
+        userId: req.user._id,
+        username: req.user.username,
+        role: req.user.role,
+        ip: req.ip
+      };
+    }
+    return { type: req.adminKey ? 'apiKey' : 'anonymous', ip: req.ip };
+  }
+}
+
+module.exports = { AuditLogModel };
@@ -0,0 +1,102 @@
+/**
+ * ===============================================
+ * COMPARISON MODEL - Several Places Side by Side
+ * ===============================================
+ * Holds the current weather and daily forecast of each compared place
+ * (or the error that place failed with) and picks the winners:
+ *  - warmest: highest current temperature
+ *  - wettest: most rain + snow expected over the forecast
+ *  - windiest: highest current wind speed
+ *
+ * Winners are chosen on canonical units (°C, mm, m/s), so they are the
+ * same whatever units the response is converted to.
+ *
+ * CONFIGURATION (.env):
+ *   COMPARE_MAX_PLACES - places per comparison (default 6)
+ */
+
+const { resolveUnits, unitLabels, convertPrecipitation } = require('../utils/units');
+
+/**
+ * Rounds to one decimal place (precipitation totals)
+ */
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * ========== ComparisonModel CLASS ==========
+ */
+class ComparisonModel {
+  /**
+   * @param {Array} entries - One per requested place, in request order:
+   *   { query, weather: WeatherModel, forecast: ForecastModel } or { query, error: ApiError }
+   */
+  constructor(entries = []) {
+    this.entries = entries;
+  }
+
+  /**
+   * Places allowed in one comparison
+   */
+  static maxPlaces() {
+    return parseInt(process.env.COMPARE_MAX_PLACES, 10) || 6;
+  }
+
+  /**
+   * Total rain + snow over the forecast (mm)
+   * @param {ForecastModel} forecast
+   */
+  static precipitation(forecast) {
+    return round1(forecast.slots.reduce((total, slot) => total + slot.rain + slot.snow, 0));
+  }
+
+  /**
+   * Index of the entry with the highest value (null when no entry has one,
+   * or when every value is 0 - nobody is "wettest" in a dry week)
+   * @param {Function} value - (entry) => number
+   */
+  pick(value) {
+    let best = null;
+    this.entries.forEach((entry, index) => {
+      if (entry.error) return;
+      if (best === null || value(entry) > value(this.entries[best])) best = index;
+    });
+    return best !== null && value(this.entries[best]) > 0 ? best : null;
+  }
+
+  /**
+   * ========== HIGHLIGHTS ==========
+   * @returns {Object} { warmest, wettest, windiest } - indexes into places (or null)
+   */
+  highlights() {
+    return {
+      // Temperatures can be negative, so compare them shifted above absolute zero
+      warmest: this.pick(entry => entry.weather.temperature + 273.15),
+      wettest: this.pick(entry => ComparisonModel.precipitation(entry.forecast)),
+      windiest: this.pick(entry => entry.weather.windSpeed)
+    };
+  }
+
+  /**
+   * ========== FRONTEND FORMAT ==========
+   * @param {string|Object} units - Units selection (see utils/units.js)
+   * @returns {Object} { places, highlights, unitLabels }
+   */
+  toFrontend(units = 'metric') {
+    const selection = resolveUnits(units);
+    return {
+      places: this.entries.map(({ query, weather, forecast, error }) => (error
+        ? { query, success: false, code: error.code, error: error.message }
+        : {
+          query,
+          success: true,
+          current: weather.toFrontend(selection),
+          forecast: forecast.toDaily(selection),
+          precipitation: convertPrecipitation(ComparisonModel.precipitation(forecast), selection.temperature)
+        })),
+      highlights: this.highlights(),
+      unitLabels: unitLabels(selection)
+    };
+  }
+}
+
+module.exports = { ComparisonModel };
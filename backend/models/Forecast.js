@@ -0,0 +1,181 @@
+/**
+ * ===============================================
+ * FORECAST MODEL - Daily & Hourly Forecast Formatting
+ * ===============================================
+ * Turns the 5-day / 3-hour forecast payload into:
+ *  - a daily summary grouped by the city's LOCAL calendar day
+ *  - the raw 3-hour timeline for hourly views and charts
+ *
+ * Slots are kept in canonical units (°C, m/s, mm) and converted to the
+ * requested units by toDaily() / toHourly().
+ */
+
+const {
+  resolveUnits, unitLabels, convertTemperature, convertWind, convertPrecipitation
+} = require('../utils/units');
+
+const ICON_URL = (icon) => `http://openweathermap.org/img/wn/${icon}@2x.png`;
+
+/**
+ * ========== ForecastModel CLASS ==========
+ * Wraps a forecast payload ({ city, list }) in the OpenWeatherMap format.
+ */
+class ForecastModel {
+  /**
+   * @param {Object} data
+   * @param {string} data.city - City name
+   * @param {string} data.country - Country code
+   * @param {number} data.timezone - City UTC offset in seconds
+   * @param {Array} data.slots - Normalized 3-hour slots (see fromApiResponse)
+   */
+  constructor(data = {}) {
+    this.city = data.city || '';
+    this.country = data.country || '';
+    this.timezone = data.timezone || 0;
+    this.slots = data.slots || [];
+  }
+
+  /**
+   * Converts a slot timestamp to a Date shifted into the city's local time.
+   * Read the result with getUTC* methods / timeZone: 'UTC' formatting.
+   * @param {number} dt - Unix timestamp in seconds
+   */
+  toLocalDate(dt) {
+    return new Date((dt + this.timezone) * 1000);
+  }
+
+  /**
+   * ========== DAILY SUMMARY ==========
+   * Groups 3-hour slots by local calendar day and aggregates each day:
+   * min/max temperature, dominant condition, max precipitation probability
+   * and total rain/snow.
+   * @param {string|Object} units - Units selection (see utils/units.js)
+   * @returns {Array} One entry per local day, in chronological order
+   */
+  toDaily(units = 'metric') {
+    const { temperature } = resolveUnits(units);
+    const temp = (celsius) => Math.round(convertTemperature(celsius, temperature));
+    const precipitation = (mm) => convertPrecipitation(mm, temperature);
+    const days = new Map(); // 'YYYY-MM-DD' -> slots[]
+
+    this.slots.forEach(slot => {
+      const key = this.toLocalDate(slot.dt).toISOString().slice(0, 10);
+      if (!days.has(key)) days.set(key, []);
+      days.get(key).push(slot);
+    });
+
+    return Array.from(days.entries()).map(([isoDate, slots]) => {
+      const condition = ForecastModel.dominantCondition(slots);
+      return {
+        isoDate,
+        date: new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('en-US', {
+          weekday: 'short', day: 'numeric', timeZone: 'UTC'
+        }),
+        tempMin: temp(Math.min(...slots.map(s => s.tempMin))),
+        tempMax: temp(Math.max(...slots.map(s => s.tempMax))),
+        icon: ICON_URL(condition.icon),
+        description: condition.description,
+        pop: Math.round(Math.max(...slots.map(s => s.pop)) * 100),
+        rain: precipitation(slots.reduce((total, s) => total + s.rain, 0)),
+        snow: precipitation(slots.reduce((total, s) => total + s.snow, 0)),
+        slots: slots.length
+      };
+    });
+  }
+
+  /**
+   * ========== HOURLY TIMELINE ==========
+   * Returns the raw 3-hour slots formatted for the frontend
+   * @param {string|Object} units - Units selection (see utils/units.js)
+   * @returns {Array} Chronological list of 3-hour forecast points
+   */
+  toHourly(units = 'metric') {
+    const selection = resolveUnits(units);
+    const temp = (celsius) => Math.round(convertTemperature(celsius, selection.temperature));
+
+    return this.slots.map(slot => {
+      const local = this.toLocalDate(slot.dt);
+      return {
+        dt: slot.dt,
+        time: new Date(slot.dt * 1000).toISOString(),
+        isoDate: local.toISOString().slice(0, 10),
+        label: local.toLocaleString('en-US', {
+          weekday: 'short', hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'UTC'
+        }),
+        temp: temp(slot.temp),
+        feelsLike: temp(slot.feelsLike),
+        humidity: slot.humidity,
+        windSpeed: convertWind(slot.windSpeed, selection.wind),
+        pop: Math.round(slot.pop * 100),
+        rain: convertPrecipitation(slot.rain, selection.temperature),
+        snow: convertPrecipitation(slot.snow, selection.temperature),
+        icon: ICON_URL(slot.icon),
+        description: slot.description
+      };
+    });
+  }
+
+  /**
+   * Display labels for the units used by toDaily() / toHourly()
+   * @param {string|Object} units - Units selection
+   */
+  static unitLabels(units = 'metric') {
+    return unitLabels(resolveUnits(units));
+  }
+
+  /**
+   * Picks the most frequent condition in a day. Ties go to the condition
+   * seen first during daylight hours so a clear night doesn't win over rain.
+   * @param {Array} slots - Slots belonging to one day
+   * @returns {Object} { icon, description } using the day ('d') icon variant
+   */
+  static dominantCondition(slots) {
+    const counts = new Map(); // icon code without d/n -> { count, description, daytime }
+
+    slots.forEach(slot => {
+      const code = slot.icon.slice(0, 2);
+      const entry = counts.get(code) || { count: 0, description: slot.description, daytime: false };
+      entry.count += 1;
+      entry.daytime = entry.daytime || slot.icon.endsWith('d');
+      counts.set(code, entry);
+    });
+
+    const [code, best] = Array.from(counts.entries()).reduce((winner, candidate) => {
+      const [, w] = winner;
+      const [, c] = candidate;
+      if (c.count > w.count || (c.count === w.count && c.daytime && !w.daytime)) return candidate;
+      return winner;
+    });
+
+    return { icon: `${code}d`, description: best.description };
+  }
+
+  /**
+   * Creates a ForecastModel from an OpenWeatherMap /forecast payload
+   * @param {Object} apiData - Raw forecast response ({ city, list }) in metric units
+   * @returns {ForecastModel} New instance with normalized slots
+   */
+  static fromApiResponse(apiData) {
+    return new ForecastModel({
+      city: apiData.city?.name,
+      country: apiData.city?.country,
+      timezone: apiData.city?.timezone,
+      slots: (apiData.list || []).map(item => ({
+        dt: item.dt,
+        temp: item.main?.temp ?? 0,
+        tempMin: item.main?.temp_min ?? item.main?.temp ?? 0,
+        tempMax: item.main?.temp_max ?? item.main?.temp ?? 0,
+        feelsLike: item.main?.feels_like ?? 0,
+        humidity: item.main?.humidity ?? 0,
+        windSpeed: item.wind?.speed ?? 0,
+        pop: item.pop ?? 0,
+        rain: item.rain?.['3h'] ?? 0,
+        snow: item.snow?.['3h'] ?? 0,
+        icon: item.weather?.[0]?.icon || '01d',
+        description: item.weather?.[0]?.description || ''
+      }))
+    });
+  }
+}
+
+module.exports = { ForecastModel };
@@ -0,0 +1,99 @@
+/**
+ * ===============================================
+ * LOCATION MODEL - Geocoding Candidates
+ * ===============================================
+ * A named place with coordinates, as returned by the geocoding endpoint.
+ * Candidates let the user pick the right "Springfield"; the chosen one is
+ * then looked up by coordinates instead of by name.
+ */
+
+/**
+ * Rounds a coordinate to 4 decimals (~10 m), plenty for a city
+ */
+const roundCoord = (value) => Math.round(Number(value) * 10000) / 10000;
+
+/**
+ * ========== LocationModel CLASS ==========
+ */
+class LocationModel {
+  /**
+   * @param {Object} data
+   * @param {string} data.name - Place name
+   * @param {string} data.state - State / region (may be empty)
+   * @param {string} data.country - ISO country code
+   * @param {number} data.lat - Latitude
+   * @param {number} data.lon - Longitude
+   */
+  constructor(data = {}) {
+    this.name = data.name || '';
+    this.state = data.state || '';
+    this.country = data.country || '';
+    this.lat = roundCoord(data.lat);
+    this.lon = roundCoord(data.lon);
+  }
+
+  /**
+   * Human readable label, e.g. "Springfield, Illinois, US"
+   */
+  get label() {
+    return [this.name, this.state, this.country].filter(Boolean).join(', ');
+  }
+
+  /**
+   * Formats the candidate for the autocomplete dropdown
+   * @returns {Object} { name, state, country, lat, lon, label }
+   */
+  toFrontend() {
+    return {
+      name: this.name,
+      state: this.state,
+      country: this.country,
+      lat: this.lat,
+      lon: this.lon,
+      label: this.label
+    };
+  }
+
+  /**
+   * Checks that a pair of query values are usable coordinates
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {boolean} true when both are numbers within range
+   */
+  static isValidCoords(lat, lon) {
+    return Number.isFinite(lat) && Number.isFinite(lon) &&
+      Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+  }
+
+  /**
+   * Creates a LocationModel from one OpenWeatherMap Geocoding API entry
+   * @param {Object} apiData - { name, local_names, state, country, lat, lon }
+   * @returns {LocationModel} New instance
+   */
+  static fromApiResponse(apiData) {
+    return new LocationModel({
+      name: apiData.local_names?.en || apiData.name,
+      state: apiData.state,
+      country: apiData.country,
+      lat: apiData.lat,
+      lon: apiData.lon
+    });
+  }
+
+  /**
+   * Removes candidates that point at the same place (OpenWeatherMap
+   * sometimes returns a city twice with slightly different coordinates)
+   * @param {Array<LocationModel>} locations - Candidates in provider order
+   * @returns {Array<LocationModel>} First candidate per label
+   */
+  static dedupe(locations) {
+    const seen = new Set();
+    return locations.filter(location => {
+      if (seen.has(location.label)) return false;
+      seen.add(location.label);
+      return true;
+    });
+  }
+}
+
+module.exports = { LocationModel };
@@ -0,0 +1,159 @@
+/**
+ * ===============================================
+ * TIMELINE MODEL - Observed Weather per Hour or Day
+ * ===============================================
+ * Summarizes the observations saved with every search into hourly or
+ * daily buckets: min, max and average temperature, humidity and pressure.
+ *
+ * Buckets are read from two collections and merged here:
+ *  - searchHistory: recent searches, one observation each
+ *  - weatherRollups: hourly summaries of searches older than the
+ *    retention window (see services/historyRetention.js)
+ * Both repositories return buckets as
+ *   { _id: bucket start, count, tempMin, tempMax, tempSum, humidityMin, ... }
+ *
+ * Values stay in canonical units (°C, %, hPa) until toFrontend().
+ */
+
+const { resolveUnits, unitLabels, convertTemperature, convertPressure } = require('../utils/units');
+
+// Bucket sizes
+const BUCKET_MS = { hour: 3600 * 1000, day: 24 * 3600 * 1000 };
+
+// Longest range per bucket size (keeps responses small)
+const MAX_RANGE_DAYS = { hour: 31, day: 366 };
+
+// Range when ?from= is omitted, and the longest range shown hourly by default
+const DEFAULT_RANGE_DAYS = 7;
+const AUTO_HOURLY_DAYS = 2;
+
+// Summarized readings (field prefix in the buckets)
+const METRICS = ['temp', 'humidity', 'pressure'];
+
+/**
+ * ========== TimelineModel CLASS ==========
+ */
+class TimelineModel {
+  /**
+   * @param {Object} data
+   * @param {string} data.city - City name
+   * @param {string} data.bucket - 'hour' or 'day'
+   * @param {Date} data.from - Start of the range (inclusive)
+   * @param {Date} data.to - End of the range (exclusive)
+   * @param {number} data.timezone - City UTC offset in seconds (days are local days)
+   * @param {Array} data.buckets - Merged buckets, oldest first (see merge())
+   */
+  constructor(data = {}) {
+    this.city = data.city || '';
+    this.bucket = data.bucket || 'day';
+    this.from = data.from;
+    this.to = data.to;
+    this.timezone = data.timezone || 0;
+    this.buckets = data.buckets || [];
+  }
+
+  /**
+   * Fills in the defaults of ?from=&to=&bucket=: the last 7 days, hourly
+   * for ranges up to 2 days and daily beyond
+   * @param {Object} query - req.query
+   * @param {Date} [now]
+   * @returns {Object} { from, to, bucket }
+   */
+  static resolveRange(query = {}, now = new Date()) {
+    const to = query.to ? new Date(query.to) : now;
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * BUCKET_MS.day);
+    const bucket = query.bucket || (to - from <= AUTO_HOURLY_DAYS * BUCKET_MS.day ? 'hour' : 'day');
+    return { from, to, bucket };
+  }
+
+  /**
+   * Checks a requested range (used by the route schema)
+   * @param {Object} query - req.query
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validateRange(query) {
+    const { from, to, bucket } = TimelineModel.resolveRange(query);
+    if (from >= to) return 'from must be before to';
+    if (to - from > MAX_RANGE_DAYS[bucket] * BUCKET_MS.day) {
+      return `${bucket === 'hour' ? 'Hourly' : 'Daily'} timelines cover at most ${MAX_RANGE_DAYS[bucket]} days`;
+    }
+    return null;
+  }
+
+  /**
+   * UTC offset in the "+HH:MM" form used by $dateTrunc
+   * @param {number} seconds - e.g. 19800
+   * @returns {string} e.g. '+05:30'
+   */
+  static utcOffset(seconds = 0) {
+    const minutes = Math.round(Math.abs(seconds) / 60);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${seconds < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+  }
+
+  /**
+   * Merges bucket lists from several sources into one list, oldest first
+   * (counts and sums add up, min/max combine)
+   * @param {...Array} lists - Buckets from the repositories
+   * @returns {Array} { start, count, tempMin, tempMax, tempSum, ... }
+   */
+  static merge(...lists) {
+    const merged = new Map(); // start time (ms) -> bucket
+    lists.flat().forEach(({ _id: start, ...stats }) => {
+      const key = start.getTime();
+      const bucket = merged.get(key);
+      if (!bucket) {
+        merged.set(key, { start, ...stats });
+        return;
+      }
+      bucket.count += stats.count;
+      METRICS.forEach(metric => {
+        bucket[`${metric}Sum`] += stats[`${metric}Sum`];
+        bucket[`${metric}Min`] = Math.min(bucket[`${metric}Min`], stats[`${metric}Min`]);
+        bucket[`${metric}Max`] = Math.max(bucket[`${metric}Max`], stats[`${metric}Max`]);
+      });
+    });
+    return [...merged.values()].sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Display labels for the requested units
+   * @param {string|Object} units - Units selection (see utils/units.js)
+   */
+  static unitLabels(units = 'metric') {
+    return unitLabels(resolveUnits(units));
+  }
+
+  /**
+   * ========== FRONTEND FORMAT ==========
+   * @param {string|Object} units - Units selection (see utils/units.js)
+   * @returns {Array} One point per bucket with data, oldest first:
+   *   { start, label, count, temperature: { min, max, avg }, humidity: {...}, pressure: {...} }
+   */
+  toFrontend(units = 'metric') {
+    const selection = resolveUnits(units);
+    const temp = (celsius) => Math.round(convertTemperature(celsius, selection.temperature) * 10) / 10;
+    const pressure = (hpa) => convertPressure(hpa, selection.pressure);
+    const humidity = (percent) => Math.round(percent);
+
+    const summary = (bucket, metric, convert) => ({
+      min: convert(bucket[`${metric}Min`]),
+      max: convert(bucket[`${metric}Max`]),
+      avg: convert(bucket[`${metric}Sum`] / bucket.count)
+    });
+
+    return this.buckets.map(bucket => ({
+      start: bucket.start.toISOString(),
+      // Local day or hour, formatted as if in UTC (the start is shifted by the offset)
+      label: new Date(bucket.start.getTime() + this.timezone * 1000).toLocaleString('en-US', this.bucket === 'day'
+        ? { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' }
+        : { weekday: 'short', hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'UTC' }),
+      count: bucket.count,
+      temperature: summary(bucket, 'temp', temp),
+      humidity: summary(bucket, 'humidity', humidity),
+      pressure: summary(bucket, 'pressure', pressure)
+    }));
+  }
+}
+
+module.exports = { TimelineModel };
@@ -0,0 +1,112 @@
+/**
+ * ===============================================
+ * USER MODEL - Accounts & Password Hashing
+ * ===============================================
+ * Defines the user account record and password helpers.
+ * Passwords are hashed with Node's built-in scrypt, so no
+ * native bcrypt dependency is needed.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64; // Derived key length in bytes
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/; // Lowercase letters, digits, _ . -
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * ========== UserModel CLASS ==========
+ * Represents a registered user. The password hash never leaves the backend.
+ */
+class UserModel {
+  /**
+   * @param {Object} data - User data (from request body or database)
+   */
+  constructor(data = {}) {
+    this._id = data._id || null;
+    this.username = UserModel.normalizeUsername(data.username);
+    this.passwordHash = data.passwordHash || '';
+    this.role = data.role || 'user'; // 'user' or 'admin'
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  /**
+   * Usernames are case-insensitive, so they are stored lowercased
+   * @param {string} username - Raw username
+   */
+  static normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+  }
+
+  /**
+   * Validates registration input
+   * @param {string} username - Requested username
+   * @param {string} password - Plain-text password
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validateCredentials(username, password) {
+    if (!USERNAME_PATTERN.test(UserModel.normalizeUsername(username))) {
+      return 'Username must be 3-32 characters: letters, numbers, _ . -';
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Hashes a password with a random salt
+   * @param {string} password - Plain-text password
+   * @returns {Promise<string>} 'scrypt$<salt hex>$<hash hex>'
+   */
+  static async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+  }
+
+  /**
+   * Checks a password against a stored hash in constant time
+   * @param {string} password - Plain-text password to check
+   * @param {string} stored - Value produced by hashPassword()
+   * @returns {Promise<boolean>} true when the password matches
+   */
+  static async verifyPassword(password, stored) {
+    const [scheme, salt, hashHex] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Converts the user to MongoDB document format
+   * @returns {Object} Document ready for the 'users' collection
+   */
+  toDocument() {
+    return {
+      username: this.username,
+      passwordHash: this.passwordHash,
+      role: this.role,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Public view of the user (no password hash)
+   * @returns {Object} { id, username, role, createdAt }
+   */
+  toFrontend() {
+    return {
+      id: this._id?.toString(),
+      username: this.username,
+      role: this.role,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = { UserModel };
@@ -4,9 +4,47 @@
  * ===============================================
  * Defines data structures for weather information.
  * Handles conversion between API responses and frontend display.
+ *
+ * Values are stored in canonical units (°C, m/s, hPa) and converted to
+ * the user's units only in toFrontend() - see utils/units.js.
  */
 
 const { ObjectId } = require('mongodb');
+const {
+  resolveUnits, unitLabels, convertTemperature, convertWind, convertPressure, convertDistance,
+  convertPrecipitation
+} = require('../utils/units');
+
+/**
+ * Rounds to one decimal place (precision kept for stored temperatures)
+ */
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// 16-point compass used to label wind directions
+const COMPASS_POINTS = [
+  'N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+  'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'
+];
+
+/**
+ * Compass label for a wind direction ("from" bearing in degrees)
+ * @param {number|null} degrees - 0 = North, 90 = East
+ * @returns {string|null} e.g. 'WSW', or null when unknown
+ */
+const compassDirection = (degrees) => {
+  if (degrees === null || degrees === undefined) return null;
+  return COMPASS_POINTS[Math.round((((degrees % 360) + 360) % 360) / 22.5) % 16];
+};
+
+/**
+ * Unix seconds from an API payload to a Date (null when missing)
+ */
+const fromUnix = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+/**
+ * Optional number passthrough: rounds to one decimal, keeps null for "not reported"
+ */
+const optional = (value) => (typeof value === 'number' ? round1(value) : null);
 
 /**
  * ========== WeatherModel CLASS ==========
@@ -21,6 +59,13 @@ class WeatherModel {
   constructor(data = {}) {
     this.city = data.city || '';
     this.country = data.country || '';
+    this.state = data.state || '';
+    // Where the weather is for: coordinates, UTC offset (seconds) and a
+    // geocoded "Name, State, Country" label
+    this.lat = data.lat ?? null;
+    this.lon = data.lon ?? null;
+    this.timezone = data.timezone ?? 0;
+    this.locality = data.locality || '';
     this.temperature = data.temperature || 0;
     this.feelsLike = data.feelsLike || 0;
     this.description = data.description || '';
@@ -28,6 +73,18 @@ class WeatherModel {
     this.humidity = data.humidity || 0;
     this.windSpeed = data.windSpeed || 0;
     this.pressure = data.pressure || 0;
+    // Extended conditions (null when the provider doesn't report them)
+    this.tempMin = data.tempMin ?? null;       // °C
+    this.tempMax = data.tempMax ?? null;       // °C
+    this.windDeg = data.windDeg ?? null;       // degrees the wind blows from
+    this.windGust = data.windGust ?? null;     // m/s
+    this.visibility = data.visibility ?? null; // metres
+    this.clouds = data.clouds ?? null;         // cloud cover %
+    this.rain1h = data.rain1h ?? null;         // mm in the last hour
+    this.snow1h = data.snow1h ?? null;         // mm in the last hour
+    this.sunrise = data.sunrise || null;
+    this.sunset = data.sunset || null;
+    this.observedAt = data.observedAt || null; // when the provider measured it
     this.timestamp = data.timestamp || new Date();
   }
 
@@ -48,12 +105,29 @@ class WeatherModel {
     const doc = {
       city: this.city.trim(),
       country: this.country,
+      state: this.state,
+      lat: this.lat,
+      lon: this.lon,
+      timezone: this.timezone,
+      locality: this.locality,
       temperature: this.temperature,
+      feelsLike: this.feelsLike,
       description: this.description,
       icon: this.icon,
       humidity: this.humidity,
       windSpeed: this.windSpeed,
       pressure: this.pressure,
+      tempMin: this.tempMin,
+      tempMax: this.tempMax,
+      windDeg: this.windDeg,
+      windGust: this.windGust,
+      visibility: this.visibility,
+      clouds: this.clouds,
+      rain1h: this.rain1h,
+      snow1h: this.snow1h,
+      sunrise: this.sunrise,
+      sunset: this.sunset,
+      observedAt: this.observedAt,
       timestamp: this.timestamp
     };
     // Remove empty values
@@ -67,46 +141,93 @@ class WeatherModel {
 
   /**
    * Converts weather data to format suitable for frontend display
-   * Includes units and formatted strings for UI rendering
-   * @param {string} units - Temperature units: 'metric' (°C) or 'imperial' (°F)
+   * Converts the stored canonical values into the requested units
+   * @param {string|Object} units - 'metric' / 'imperial' or { temperature, wind, pressure }
    * @returns {Object} Formatted weather data for React components
    */
   toFrontend(units = 'metric') {
+    const selection = resolveUnits(units);
+    const temperatureOrNull = (celsius) => (celsius === null
+      ? null : Math.round(convertTemperature(celsius, selection.temperature)));
     return {
       city: this.city,
       country: this.country,
-      temperature: this.temperature,
-      feelsLike: this.feelsLike,
+      state: this.state,
+      lat: this.lat,
+      lon: this.lon,
+      timezone: this.timezone,
+      locality: this.locality,
+      temperature: Math.round(convertTemperature(this.temperature, selection.temperature)),
+      feelsLike: Math.round(convertTemperature(this.feelsLike, selection.temperature)),
       description: this.description.charAt(0).toUpperCase() + this.description.slice(1),
       iconUrl: `http://openweathermap.org/img/wn/${this.icon}@2x.png`,
       humidity: this.humidity,
-      windSpeed: this.windSpeed,
-      pressure: this.pressure,
-      units: units
+      windSpeed: convertWind(this.windSpeed, selection.wind),
+      pressure: convertPressure(this.pressure, selection.pressure),
+      tempMin: temperatureOrNull(this.tempMin),
+      tempMax: temperatureOrNull(this.tempMax),
+      windDeg: this.windDeg,
+      windDirection: compassDirection(this.windDeg),
+      windGust: this.windGust === null ? null : convertWind(this.windGust, selection.wind),
+      visibility: this.visibility === null ? null : convertDistance(this.visibility, selection.temperature),
+      clouds: this.clouds,
+      rain1h: this.rain1h === null ? null : convertPrecipitation(this.rain1h, selection.temperature),
+      snow1h: this.snow1h === null ? null : convertPrecipitation(this.snow1h, selection.temperature),
+      sunrise: this.sunrise,
+      sunset: this.sunset,
+      observedAt: this.observedAt,
+      units: selection.temperature,
+      unitSelection: selection,
+      unitLabels: unitLabels(selection)
     };
   }
 
   /**
    * Static method to create WeatherModel from OpenWeather API response
    * Extracts only necessary fields from the complex API response
-   * @param {Object} apiData - Raw response from OpenWeather API
+   * @param {Object} apiData - Raw response from OpenWeather API, in metric units
+   * @param {LocationModel} [location] - Chosen or reverse-geocoded place; its name and
+   *   coordinates replace the provider's (often weather-station) name and position
    * @returns {WeatherModel} New instance with extracted data
    */
-  static fromApiResponse(apiData) {
+  static fromApiResponse(apiData, location = null) {
+    const country = location?.country || apiData.sys?.country || '';
     return new WeatherModel({
-      city: apiData.name,
-      country: apiData.sys?.country || '',
-      temperature: Math.round(apiData.main?.temp || 0),
-      feelsLike: Math.round(apiData.main?.feels_like || 0),
+      city: location?.name || apiData.name,
+      country,
+      state: location?.state,
+      lat: location?.lat ?? apiData.coord?.lat,
+      lon: location?.lon ?? apiData.coord?.lon,
+      timezone: apiData.timezone,
+      locality: location ? location.label : [apiData.name, country].filter(Boolean).join(', '),
+      temperature: round1(apiData.main?.temp || 0),
+      feelsLike: round1(apiData.main?.feels_like || 0),
       description: apiData.weather?.[0]?.description || '',
       icon: apiData.weather?.[0]?.icon || '',
       humidity: apiData.main?.humidity || 0,
       windSpeed: apiData.wind?.speed || 0,
-      pressure: apiData.main?.pressure || 0
+      pressure: apiData.main?.pressure || 0,
+      tempMin: optional(apiData.main?.temp_min),
+      tempMax: optional(apiData.main?.temp_max),
+      windDeg: apiData.wind?.deg ?? null,
+      windGust: optional(apiData.wind?.gust),
+      visibility: apiData.visibility ?? null,
+      clouds: apiData.clouds?.all ?? null,
+      rain1h: optional(apiData.rain?.['1h']),
+      snow1h: optional(apiData.snow?.['1h']),
+      sunrise: fromUnix(apiData.sys?.sunrise),
+      sunset: fromUnix(apiData.sys?.sunset),
+      observedAt: fromUnix(apiData.dt)
     });
   }
 }
 
+// Extended conditions that are only stored when the provider reports them
+WeatherModel.EXTENDED_FIELDS = [
+  'tempMin', 'tempMax', 'windDeg', 'windGust', 'visibility',
+  'clouds', 'rain1h', 'snow1h', 'sunrise', 'sunset', 'observedAt'
+];
+
 /**
  * ========== SearchHistory CLASS ==========
  * Extends WeatherModel to add MongoDB ID for database records
@@ -125,15 +246,20 @@ class SearchHistory extends WeatherModel {
   /**
    * Formats historical search data for frontend display
    * Includes formatted timestamp and weather icon
-   * @param {string} units - Temperature units: 'metric' (°C) or 'imperial' (°F)
+   * @param {string|Object} units - 'metric' / 'imperial' or { temperature, wind, pressure }
    * @returns {Object} Formatted history item for UI
    */
   toFrontend(units = 'metric') {
-    const unitSymbol = units === 'metric' ? '°C' : '°F';
+    const selection = resolveUnits(units);
+    const unitSymbol = unitLabels(selection).temperature;
     return {
       id: this._id?.toString(),
       city: this.city,
-      temperature: `${this.temperature}${unitSymbol}`,
+      state: this.state,
+      country: this.country,
+      lat: this.lat,
+      lon: this.lon,
+      temperature: `${Math.round(convertTemperature(this.temperature, selection.temperature))}${unitSymbol}`,
       description: this.description.charAt(0).toUpperCase() + this.description.slice(1),
       iconUrl: `http://openweathermap.org/img/wn/${this.icon}@2x.png`,
       time: this.timestamp.toLocaleString('en-IN', {
@@ -0,0 +1,46 @@
+/**
+ * ===============================================
+ * PROVIDER HTTP CLIENT - Logged Upstream Requests
+ * ===============================================
+ * axios instance shared by the network providers. Every upstream call
+ * is logged with its full URL (appid redacted by utils/logger.js), status
+ * and duration: at debug level when it gets an answer, at warn level
+ * when the provider fails (5xx, 401, 429) or can't be reached.
+ */
+
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+const http = axios.create();
+
+// Statuses that mean something is wrong on our side or theirs (404 is just an unknown city)
+const isAlarming = (status) => !status || status >= 500 || status === 401 || status === 429;
+
+http.interceptors.request.use((config) => {
+  config.startedAt = Date.now();
+  return config;
+});
+
+const logCall = (config, status, error) => {
+  const fields = {
+    method: config.method?.toUpperCase(),
+    url: http.getUri(config),
+    status,
+    durationMs: Date.now() - config.startedAt
+  };
+  if (error) fields.error = error;
+  logger.log(isAlarming(status) && error ? 'warn' : 'debug', error ? 'Upstream request failed' : 'Upstream request', fields);
+};
+
+http.interceptors.response.use(
+  (response) => {
+    logCall(response.config, response.status);
+    return response;
+  },
+  (error) => {
+    if (error.config) logCall(error.config, error.response?.status, error);
+    return Promise.reject(error);
+  }
+);
+
+module.exports = http;
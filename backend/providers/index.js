@@ -0,0 +1,127 @@
+/**
+ * ===============================================
+ * WEATHER PROVIDERS - Provider Selection
+ * ===============================================
+ * Chooses the upstream weather source from configuration.
+ * Every provider exposes the same methods and returns payloads
+ * in the OpenWeatherMap format:
+ *
+ *   getCurrentByCity(city, units)
+ *   getCurrentByCoords(lat, lon, units)
+ *   getForecastByCity(city, units)
+ *   getForecastByCoords(lat, lon, units)
+ *   geocode(query, limit)  - candidates in the OpenWeatherMap Geocoding API shape
+ *   reverseGeocode(lat, lon, limit) - named places near coordinates (same shape)
+ *   getAirQuality(lat, lon) - pollutant concentrations (OpenWeatherMap /air_pollution shape)
+ *   ping(timeout)           - resolves when the API is reachable and accepts our key
+ *
+ * Set WEATHER_PROVIDER in .env to one of:
+ *   openweathermap (default) - needs OPENWEATHER_API_KEY
+ *   openmeteo                - keyless, uses the public Open-Meteo API
+ *   stub                     - offline fixtures, no network at all
+ *
+ * Every call made through getProvider() is counted against the daily
+ * upstream budget (see quota.js) and recorded in the upstream metrics
+ * (utils/metrics.js). ping() - the readiness check - is neither.
+ */
+
+const OpenWeatherMapProvider = require('./openWeatherMap');
+const OpenMeteoProvider = require('./openMeteo');
+const StubProvider = require('./stub');
+const quota = require('./quota'); // Daily upstream call budget
+const metrics = require('../utils/metrics'); // upstream_* counters and latency
+
+// Registry of provider factories keyed by configuration name
+const PROVIDERS = {
+  openweathermap: () => new OpenWeatherMapProvider({ apiKey: process.env.OPENWEATHER_API_KEY }),
+  openmeteo: () => new OpenMeteoProvider(),
+  stub: () => new StubProvider()
+};
+
+// Methods that reach the upstream API (each call is one unit of budget)
+const PROVIDER_METHODS = [
+  'getCurrentByCity', 'getCurrentByCoords', 'getForecastByCity', 'getForecastByCoords',
+  'geocode', 'reverseGeocode', 'getAirQuality'
+];
+
+// Lazily created provider instance shared by all controllers
+let activeProvider = null;
+
+/**
+ * Wraps a provider so every upstream method records its outcome and latency
+ * @param {Object} provider - Provider instance
+ * @returns {Object} Provider with instrumented methods (other properties inherited)
+ */
+const withMetrics = (provider) => {
+  const instrumented = Object.create(provider);
+  PROVIDER_METHODS.forEach(method => {
+    if (typeof provider[method] !== 'function') return;
+    instrumented[method] = async (...args) => {
+      const labels = { provider: provider.name, method };
+      const stopTimer = metrics.upstreamDuration.startTimer(labels);
+      try {
+        const result = await provider[method](...args);
+        metrics.upstreamRequests.inc({ ...labels, outcome: 'success' });
+        return result;
+      } catch (error) {
+        metrics.upstreamRequests.inc({ ...labels, outcome: 'error' });
+        metrics.upstreamErrors.inc({ ...labels, status: error.response?.status || 'none' });
+        throw error;
+      } finally {
+        stopTimer();
+      }
+    };
+  });
+  return instrumented;
+};
+
+/**
+ * Wraps a provider so every upstream method first consumes daily budget
+ * @param {Object} provider - Provider instance
+ * @returns {Object} Provider with metered methods (other properties inherited)
+ */
+const withQuota = (provider) => {
+  const metered = Object.create(provider);
+  PROVIDER_METHODS.forEach(method => {
+    if (typeof provider[method] !== 'function') return;
+    metered[method] = async (...args) => {
+      await quota.consume();
+      return provider[method](...args);
+    };
+  });
+  return metered;
+};
+
+/**
+ * Creates a provider by name
+ * @param {string} name - Provider key (see PROVIDERS)
+ * @returns {Object} Provider instance
+ * @throws {Error} If the name is not a known provider
+ */
+const createProvider = (name = 'openweathermap') => {
+  const factory = PROVIDERS[name.toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown WEATHER_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory();
+};
+
+/**
+ * Returns the configured provider, creating it on first use
+ */
+const getProvider = () => {
+  if (!activeProvider) {
+    activeProvider = withQuota(withMetrics(createProvider(process.env.WEATHER_PROVIDER || 'openweathermap')));
+  }
+  return activeProvider;
+};
+
+/**
+ * Replaces the active provider (used by tests to inject a stub)
+ * @param {Object|null} provider - Provider instance, or null to reset to configuration
+ */
+const setProvider = (provider) => {
+  activeProvider = provider ? withQuota(withMetrics(provider)) : null;
+};
+
+module.exports = { createProvider, getProvider, setProvider, OpenWeatherMapProvider, OpenMeteoProvider, StubProvider };
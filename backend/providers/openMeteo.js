@@ -0,0 +1,326 @@
+/**
+ * ===============================================
+ * OPEN-METEO PROVIDER - Keyless Weather Source
+ * ===============================================
+ * Adapter for the free Open-Meteo API (no API key needed).
+ * Open-Meteo uses a different payload format, so every response
+ * is translated into the OpenWeatherMap shape the models expect.
+ */
+
+const http = require('./http'); // Logged axios instance for Open-Meteo requests
+const { createProviderError } = require('./providerError');
+
+const GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1/search';
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+const AIR_QUALITY_URL = 'https://air-quality-api.open-meteo.com/v1/air-quality';
+
+// Air quality variables, mapped to OpenWeatherMap component names
+const AIR_FIELDS = {
+  pm2_5: 'pm2_5',
+  pm10: 'pm10',
+  o3: 'ozone',
+  no2: 'nitrogen_dioxide',
+  so2: 'sulphur_dioxide',
+  co: 'carbon_monoxide'
+};
+
+// Hourly variables requested for both current and forecast lookups
+const HOURLY_FIELDS = [
+  'temperature_2m', 'apparent_temperature', 'relative_humidity_2m',
+  'precipitation_probability', 'rain', 'snowfall',
+  'weather_code', 'wind_speed_10m', 'surface_pressure'
+].join(',');
+
+const CURRENT_FIELDS = [
+  'temperature_2m', 'apparent_temperature', 'relative_humidity_2m',
+  'weather_code', 'wind_speed_10m', 'surface_pressure', 'is_day',
+  'wind_direction_10m', 'wind_gusts_10m', 'cloud_cover', 'visibility',
+  'rain', 'snowfall'
+].join(',');
+
+// Daily variables used for today's sunrise/sunset and min/max
+const DAILY_FIELDS = 'sunrise,sunset,temperature_2m_max,temperature_2m_min';
+
+/**
+ * WMO weather interpretation codes mapped to an OpenWeatherMap
+ * description and icon prefix (day/night suffix is added later)
+ */
+const WMO_CODES = {
+  0: ['clear sky', '01'],
+  1: ['mainly clear', '02'],
+  2: ['partly cloudy', '03'],
+  3: ['overcast clouds', '04'],
+  45: ['fog', '50'],
+  48: ['depositing rime fog', '50'],
+  51: ['light drizzle', '09'],
+  53: ['drizzle', '09'],
+  55: ['heavy drizzle', '09'],
+  56: ['freezing drizzle', '09'],
+  57: ['heavy freezing drizzle', '09'],
+  61: ['light rain', '10'],
+  63: ['moderate rain', '10'],
+  65: ['heavy rain', '10'],
+  66: ['freezing rain', '13'],
+  67: ['heavy freezing rain', '13'],
+  71: ['light snow', '13'],
+  73: ['snow', '13'],
+  75: ['heavy snow', '13'],
+  77: ['snow grains', '13'],
+  80: ['light rain showers', '09'],
+  81: ['rain showers', '09'],
+  82: ['violent rain showers', '09'],
+  85: ['snow showers', '13'],
+  86: ['heavy snow showers', '13'],
+  95: ['thunderstorm', '11'],
+  96: ['thunderstorm with hail', '11'],
+  99: ['thunderstorm with heavy hail', '11']
+};
+
+/**
+ * Converts a WMO code into an OpenWeatherMap-style weather entry
+ * @param {number} code - WMO weather code
+ * @param {boolean} isDay - Whether to use the day or night icon
+ * @returns {Object} { description, icon }
+ */
+const toWeatherEntry = (code, isDay = true) => {
+  const [description, icon] = WMO_CODES[code] || ['unknown', '03'];
+  return { id: code, description, icon: `${icon}${isDay ? 'd' : 'n'}` };
+};
+
+class OpenMeteoProvider {
+  constructor() {
+    this.name = 'openmeteo';
+  }
+
+  /**
+   * Readiness check: a minimal forecast request (Open-Meteo needs no key)
+   * @param {number} timeout - Milliseconds before giving up
+   */
+  async ping(timeout = 5000) {
+    await http.get(FORECAST_URL, { params: { latitude: 0, longitude: 0, current: 'temperature_2m' }, timeout });
+  }
+
+  /**
+   * Searches Open-Meteo geocoding for places matching a name
+   * @param {string} name - City name
+   * @param {number} count - Maximum number of results
+   * @returns {Promise<Array>} Raw Open-Meteo results (may be empty)
+   */
+  async searchPlaces(name, count) {
+    const response = await http.get(GEOCODING_URL, {
+      params: { name, count, language: 'en', format: 'json' }
+    });
+    return response.data.results || [];
+  }
+
+  /**
+   * Resolves a city name to coordinates using Open-Meteo geocoding
+   * @param {string} city - City name
+   * @returns {Promise<Object>} First geocoding result
+   * @throws {Error} 404 provider error when nothing matches
+   */
+  async findPlace(city) {
+    const [place] = await this.searchPlaces(city, 1);
+    if (!place) {
+      throw createProviderError(404, 'city not found');
+    }
+    return place;
+  }
+
+  /**
+   * Candidate locations for a free-text query, in the OpenWeatherMap
+   * Geocoding API shape
+   * @param {string} query - City name
+   * @param {number} limit - Maximum number of candidates
+   * @returns {Promise<Array>} [{ name, state, country, lat, lon }]
+   */
+  async geocode(query, limit = 5) {
+    const places = await this.searchPlaces(query, limit);
+    return places.map(place => ({
+      name: place.name,
+      state: place.admin1,
+      country: place.country_code || '',
+      lat: place.latitude,
+      lon: place.longitude
+    }));
+  }
+
+  /**
+   * Fetches current and hourly data for a coordinate pair
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {string} units - 'metric' or 'imperial'
+   */
+  async fetchForecast(lat, lon, units) {
+    const imperial = units === 'imperial';
+    const response = await http.get(FORECAST_URL, {
+      params: {
+        latitude: lat,
+        longitude: lon,
+        current: CURRENT_FIELDS,
+        hourly: HOURLY_FIELDS,
+        daily: DAILY_FIELDS,
+        forecast_days: 6,
+        timezone: 'auto',
+        timeformat: 'unixtime',
+        temperature_unit: imperial ? 'fahrenheit' : 'celsius',
+        wind_speed_unit: imperial ? 'mph' : 'ms'
+      }
+    });
+    return response.data;
+  }
+
+  /**
+   * Translates an Open-Meteo response into an OpenWeatherMap /weather payload.
+   * Today's sunrise/sunset and min/max come from the first daily entry;
+   * snowfall is reported in cm and converted to mm like OpenWeatherMap.
+   */
+  toCurrentPayload(data, place) {
+    const current = data.current;
+    const daily = data.daily || {};
+    const payload = {
+      name: place.name,
+      coord: { lat: data.latitude, lon: data.longitude },
+      sys: {
+        country: place.country_code || '',
+        sunrise: daily.sunrise?.[0],
+        sunset: daily.sunset?.[0]
+      },
+      main: {
+        temp: current.temperature_2m,
+        feels_like: current.apparent_temperature,
+        temp_min: daily.temperature_2m_min?.[0],
+        temp_max: daily.temperature_2m_max?.[0],
+        humidity: current.relative_humidity_2m,
+        pressure: Math.round(current.surface_pressure)
+      },
+      weather: [toWeatherEntry(current.weather_code, current.is_day === 1)],
+      wind: {
+        speed: current.wind_speed_10m,
+        deg: current.wind_direction_10m,
+        gust: current.wind_gusts_10m
+      },
+      clouds: { all: current.cloud_cover },
+      visibility: current.visibility,
+      timezone: data.utc_offset_seconds,
+      dt: current.time
+    };
+
+    if (current.rain > 0) payload.rain = { '1h': current.rain };
+    if (current.snowfall > 0) payload.snow = { '1h': Math.round(current.snowfall * 100) / 10 };
+    return payload;
+  }
+
+  /**
+   * Translates an Open-Meteo response into an OpenWeatherMap /forecast payload.
+   * Hourly values are sampled every 3 hours to mirror the OpenWeatherMap list,
+   * with rain and snow summed over each 3-hour window.
+   */
+  toForecastPayload(data, place) {
+    const hourly = data.hourly;
+    const now = Math.floor(Date.now() / 1000);
+    const start = Math.max(hourly.time.findIndex(t => t >= now), 0);
+    const list = [];
+
+    for (let i = start; i < hourly.time.length && list.length < 40; i += 3) {
+      const window = [i, i + 1, i + 2].filter(j => j < hourly.time.length);
+      // Total over the 3 hours, in tenths (scale converts units first, so there are no float artifacts)
+      const sum = (field, scale = 1) =>
+        Math.round(window.reduce((total, j) => total + (hourly[field][j] || 0), 0) * scale * 10) / 10;
+      const localHour = new Date((hourly.time[i] + data.utc_offset_seconds) * 1000).getUTCHours();
+
+      list.push({
+        dt: hourly.time[i],
+        main: {
+          temp: hourly.temperature_2m[i],
+          feels_like: hourly.apparent_temperature[i],
+          humidity: hourly.relative_humidity_2m[i],
+          pressure: Math.round(hourly.surface_pressure[i])
+        },
+        weather: [toWeatherEntry(hourly.weather_code[i], localHour >= 6 && localHour < 18)],
+        wind: { speed: hourly.wind_speed_10m[i] },
+        pop: (hourly.precipitation_probability[i] || 0) / 100,
+        rain: { '3h': sum('rain') },
+        // Open-Meteo reports snowfall in cm, OpenWeatherMap in mm
+        snow: { '3h': sum('snowfall', 10) }
+      });
+    }
+
+    return {
+      city: {
+        name: place.name,
+        country: place.country_code || '',
+        coord: { lat: data.latitude, lon: data.longitude },
+        timezone: data.utc_offset_seconds
+      },
+      list
+    };
+  }
+
+  /**
+   * Current air quality, translated into an OpenWeatherMap /air_pollution payload.
+   * The European AQI (0-100+) is mapped onto OpenWeatherMap's 1-5 index.
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   */
+  async getAirQuality(lat, lon) {
+    const response = await http.get(AIR_QUALITY_URL, {
+      params: {
+        latitude: lat,
+        longitude: lon,
+        current: [...Object.values(AIR_FIELDS), 'european_aqi'].join(','),
+        timeformat: 'unixtime'
+      }
+    });
+    const current = response.data.current;
+    const components = {};
+    Object.entries(AIR_FIELDS).forEach(([name, field]) => {
+      components[name] = current[field] ?? 0;
+    });
+
+    return {
+      coord: { lat: response.data.latitude, lon: response.data.longitude },
+      list: [{
+        dt: current.time,
+        main: { aqi: Math.min(5, Math.floor((current.european_aqi || 0) / 20) + 1) },
+        components
+      }]
+    };
+  }
+
+  /**
+   * Open-Meteo has no reverse geocoding; callers fall back to the
+   * coordinate label used by getCurrentByCoords()
+   * @returns {Promise<Array>} Always empty
+   */
+  async reverseGeocode() {
+    return [];
+  }
+
+  async getCurrentByCity(city, units = 'metric') {
+    const place = await this.findPlace(city);
+    const data = await this.fetchForecast(place.latitude, place.longitude, units);
+    return this.toCurrentPayload(data, place);
+  }
+
+  async getCurrentByCoords(lat, lon, units = 'metric') {
+    const data = await this.fetchForecast(lat, lon, units);
+    // Open-Meteo has no reverse geocoding, so label the place by its coordinates
+    const place = { name: `${lat.toFixed(2)}, ${lon.toFixed(2)}`, country_code: '' };
+    return this.toCurrentPayload(data, place);
+  }
+
+  async getForecastByCity(city, units = 'metric') {
+    const place = await this.findPlace(city);
+    const data = await this.fetchForecast(place.latitude, place.longitude, units);
+    return this.toForecastPayload(data, place);
+  }
+
+  async getForecastByCoords(lat, lon, units = 'metric') {
+    const data = await this.fetchForecast(lat, lon, units);
+    const place = { name: `${lat.toFixed(2)}, ${lon.toFixed(2)}`, country_code: '' };
+    return this.toForecastPayload(data, place);
+  }
+}
+
+module.exports = OpenMeteoProvider;
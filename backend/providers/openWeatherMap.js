@@ -0,0 +1,118 @@
+/**
+ * ===============================================
+ * OPENWEATHERMAP PROVIDER - Default Weather Source
+ * ===============================================
+ * Thin wrapper around the OpenWeatherMap 2.5 REST API.
+ * Responses are returned untouched because the rest of the
+ * backend already speaks the OpenWeatherMap payload format.
+ */
+
+const http = require('./http'); // Logged axios instance for OpenWeatherMap requests
+
+const BASE_URL = 'https://api.openweathermap.org/data/2.5';
+const GEO_URL = 'https://api.openweathermap.org/geo/1.0';
+
+class OpenWeatherMapProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - OpenWeatherMap API key (appid)
+   */
+  constructor({ apiKey } = {}) {
+    this.name = 'openweathermap';
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Performs a GET request against the OpenWeatherMap API
+   * @param {string} path - Endpoint path, e.g. '/weather'
+   * @param {Object} params - Query parameters (appid is added here)
+   * @param {string} baseUrl - API root (weather data by default, GEO_URL for geocoding)
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async request(path, params, baseUrl = BASE_URL) {
+    const response = await http.get(`${baseUrl}${path}`, {
+      params: { ...params, appid: this.apiKey }
+    });
+    return response.data;
+  }
+
+  /**
+   * Current weather for a city name
+   * @param {string} city - City name as typed by the user
+   * @param {string} units - 'metric' or 'imperial'
+   */
+  getCurrentByCity(city, units = 'metric') {
+    return this.request('/weather', { q: city, units, lang: 'en' });
+  }
+
+  /**
+   * Current weather for GPS coordinates
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {string} units - 'metric' or 'imperial'
+   */
+  getCurrentByCoords(lat, lon, units = 'metric') {
+    return this.request('/weather', { lat, lon, units });
+  }
+
+  /**
+   * 5-day / 3-hour forecast for a city name
+   * @param {string} city - City name
+   * @param {string} units - 'metric' or 'imperial'
+   */
+  getForecastByCity(city, units = 'metric') {
+    return this.request('/forecast', { q: city, units });
+  }
+
+  /**
+   * 5-day / 3-hour forecast for GPS coordinates
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {string} units - 'metric' or 'imperial'
+   */
+  getForecastByCoords(lat, lon, units = 'metric') {
+    return this.request('/forecast', { lat, lon, units });
+  }
+
+  /**
+   * Current air pollution for GPS coordinates (Air Pollution API)
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Promise<Object>} { coord, list: [{ dt, main: { aqi }, components }] }
+   */
+  getAirQuality(lat, lon) {
+    return this.request('/air_pollution', { lat, lon });
+  }
+
+  /**
+   * Candidate locations for a free-text query (Geocoding API)
+   * @param {string} query - City name, optionally "City,State,Country"
+   * @param {number} limit - Maximum number of candidates (OpenWeatherMap allows 5)
+   * @returns {Promise<Array>} [{ name, state, country, lat, lon }]
+   */
+  geocode(query, limit = 5) {
+    return this.request('/direct', { q: query, limit }, GEO_URL);
+  }
+
+  /**
+   * Named places near a coordinate pair (reverse geocoding)
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} limit - Maximum number of places
+   * @returns {Promise<Array>} [{ name, state, country, lat, lon }], nearest first
+   */
+  reverseGeocode(lat, lon, limit = 1) {
+    return this.request('/reverse', { lat, lon, limit }, GEO_URL);
+  }
+
+  /**
+   * Readiness check: one cheap authenticated lookup, so an invalid
+   * API key fails (401) just like an unreachable API does
+   * @param {number} timeout - Milliseconds before giving up
+   */
+  async ping(timeout = 5000) {
+    await http.get(`${BASE_URL}/weather`, { params: { lat: 0, lon: 0, appid: this.apiKey }, timeout });
+  }
+}
+
+module.exports = OpenWeatherMapProvider;
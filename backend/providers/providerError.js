@@ -0,0 +1,22 @@
+/**
+ * ===============================================
+ * PROVIDER ERROR - Upstream Error Shape
+ * ===============================================
+ * Builds errors that look like axios HTTP errors so that
+ * handleError() in the controller can map them to status codes
+ * regardless of which provider produced them.
+ */
+
+/**
+ * Creates an Error carrying an axios-style `response` object
+ * @param {number} status - HTTP status code to report (e.g. 404)
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with error.response.status and error.response.data.message
+ */
+const createProviderError = (status, message) => {
+  const error = new Error(message);
+  error.response = { status, data: { message } };
+  return error;
+};
+
+module.exports = { createProviderError };
@@ -0,0 +1,109 @@
+/**
+ * ===============================================
+ * UPSTREAM QUOTA - Daily Provider Call Budget
+ * ===============================================
+ * Counts every call made to the weather provider per UTC day and
+ * refuses new calls once the daily budget is spent. The cache then
+ * answers with its last known (stale) data instead - see cache.wrap().
+ *
+ * Counters are persisted through the upstream usage repository
+ * ({ _id: 'YYYY-MM-DD', calls }) once configure() is called with it,
+ * and kept in memory until then.
+ *
+ * CONFIGURATION (.env):
+ *   UPSTREAM_DAILY_BUDGET - provider calls allowed per UTC day (default 1000, 0 = unlimited)
+ *
+ * NOTE: Exported as a singleton, like config/db.js.
+ */
+
+const { ApiError } = require('../utils/errors');
+const metrics = require('../utils/metrics'); // Exposes today's usage on /metrics
+const logger = require('../utils/logger').child({ component: 'upstreamQuota' }); // Structured logs
+
+/**
+ * Today's counter ID (UTC date)
+ */
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Seconds until the next UTC midnight, when the budget resets
+ */
+const secondsUntilReset = () => {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+};
+
+class UpstreamQuota {
+  constructor() {
+    this.repository = null;
+    this.memory = new Map(); // day -> calls, used until a database is configured
+
+    metrics.register(new metrics.Gauge('upstream_calls_today',
+      'Weather provider calls counted against today\'s budget', async () => (await this.usage()).calls));
+    metrics.register(new metrics.Gauge('upstream_budget_remaining',
+      'Provider calls left today (NaN when unlimited)', async () => (await this.usage()).remaining ?? NaN));
+  }
+
+  /**
+   * Daily budget from UPSTREAM_DAILY_BUDGET (0 = unlimited)
+   */
+  get budget() {
+    const value = parseInt(process.env.UPSTREAM_DAILY_BUDGET, 10);
+    return Number.isNaN(value) || value < 0 ? 1000 : value;
+  }
+
+  /**
+   * ========== CONFIGURE STORE ==========
+   * Persists counters in MongoDB. Called once during startup.
+   * @param {Object} options
+   * @param {Object} options.repository - repositories/upstreamUsageRepository
+   */
+  configure({ repository } = {}) {
+    if (repository) this.repository = repository;
+    logger.info('📊 Upstream budget configured', { callsPerDay: this.budget || 'unlimited' });
+  }
+
+  /**
+   * Records one provider call, or throws when today's budget is spent
+   * @throws {ApiError} UPSTREAM_BUDGET_EXHAUSTED (with retryAfter seconds)
+   */
+  async consume() {
+    const day = today();
+    const budget = this.budget;
+
+    if (!this.repository) {
+      const calls = this.memory.get(day) || 0;
+      if (budget && calls >= budget) throw this.exhausted();
+      this.memory.clear(); // Only today's counter is needed
+      this.memory.set(day, calls + 1);
+      return;
+    }
+
+    if (!(await this.repository.increment(day, budget))) throw this.exhausted();
+  }
+
+  /**
+   * Today's usage
+   * @returns {Promise<Object>} { date, calls, budget, remaining } (remaining null when unlimited)
+   */
+  async usage() {
+    const day = today();
+    const calls = this.repository
+      ? await this.repository.calls(day)
+      : this.memory.get(day) || 0;
+    const budget = this.budget;
+    return { date: day, calls, budget, remaining: budget ? Math.max(0, budget - calls) : null };
+  }
+
+  /**
+   * Error thrown once the budget is spent
+   */
+  exhausted() {
+    const error = new ApiError('UPSTREAM_BUDGET_EXHAUSTED');
+    error.retryAfter = secondsUntilReset();
+    return error;
+  }
+}
+
+module.exports = new UpstreamQuota();
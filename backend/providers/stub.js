@@ -0,0 +1,209 @@
+/**
+ * ===============================================
+ * STUB PROVIDER - Offline Fixture Weather Source
+ * ===============================================
+ * Serves weather from local JSON fixtures so the backend can run
+ * without network access or an API key (dev machines, tests).
+ * Forecasts are generated deterministically from the fixture.
+ */
+
+const fixtures = require('./fixtures/current.json');
+const airQualityFixtures = require('./fixtures/airQuality.json');
+const { createProviderError } = require('./providerError');
+
+const THREE_HOURS = 3 * 60 * 60; // Forecast step in seconds
+
+/**
+ * Deep copies a fixture so callers can never mutate the shared data
+ */
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Converts a metric fixture payload to imperial in place
+ * (°C → °F and m/s → mph, matching OpenWeatherMap behaviour)
+ */
+const toImperial = (payload) => {
+  const toF = (c) => Math.round((c * 9 / 5 + 32) * 10) / 10;
+  const toMph = (ms) => Math.round(ms * 2.23694 * 10) / 10;
+  ['temp', 'feels_like', 'temp_min', 'temp_max'].forEach(field => {
+    if (payload.main[field] !== undefined) payload.main[field] = toF(payload.main[field]);
+  });
+  payload.wind.speed = toMph(payload.wind.speed);
+  if (payload.wind.gust !== undefined) payload.wind.gust = toMph(payload.wind.gust);
+  return payload;
+};
+
+/**
+ * Today's Unix timestamp for a local "HH:MM" time in a UTC offset
+ * @param {string} time - Local wall-clock time, e.g. '06:27'
+ * @param {number} timezone - UTC offset in seconds
+ */
+const localTimeToday = (time, timezone) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const localNow = new Date(Date.now() + timezone * 1000);
+  const localMidnight = Date.UTC(localNow.getUTCFullYear(), localNow.getUTCMonth(), localNow.getUTCDate());
+  return Math.floor(localMidnight / 1000) + hours * 3600 + minutes * 60 - timezone;
+};
+
+class StubProvider {
+  /**
+   * @param {Object} options
+   * @param {Object} options.fixtures - Override the bundled fixtures (keyed by lowercase city)
+   * @param {Object} options.airQuality - Override the air quality fixtures (same keys)
+   */
+  constructor({ fixtures: custom, airQuality } = {}) {
+    this.name = 'stub';
+    this.fixtures = custom || fixtures;
+    this.airQuality = airQuality || airQualityFixtures;
+  }
+
+  /**
+   * Readiness check: fixtures are always available
+   */
+  async ping() {}
+
+  /**
+   * Finds the fixture for a city name (case-insensitive)
+   * @throws {Error} 404 provider error for unknown cities
+   */
+  findCity(city) {
+    const fixture = this.fixtures[String(city).trim().toLowerCase()];
+    if (!fixture) {
+      throw createProviderError(404, 'city not found');
+    }
+    return fixture;
+  }
+
+  /**
+   * Returns the fixture closest to a coordinate pair
+   */
+  findNearest(lat, lon) {
+    return Object.values(this.fixtures).reduce((best, fixture) => {
+      const distance = (fixture.coord.lat - lat) ** 2 + (fixture.coord.lon - lon) ** 2;
+      return !best || distance < best.distance ? { fixture, distance } : best;
+    }, null).fixture;
+  }
+
+  /**
+   * Builds a current-weather payload stamped with the current time,
+   * with today's sunrise/sunset from the fixture's local daylight hours
+   */
+  toCurrentPayload(fixture, units) {
+    const { daylight, ...payload } = clone(fixture);
+    payload.dt = Math.floor(Date.now() / 1000);
+    if (daylight) {
+      payload.sys.sunrise = localTimeToday(daylight.sunrise, fixture.timezone);
+      payload.sys.sunset = localTimeToday(daylight.sunset, fixture.timezone);
+    }
+    return units === 'imperial' ? toImperial(payload) : payload;
+  }
+
+  async getCurrentByCity(city, units = 'metric') {
+    return this.toCurrentPayload(this.findCity(city), units);
+  }
+
+  async getCurrentByCoords(lat, lon, units = 'metric') {
+    return this.toCurrentPayload(this.findNearest(lat, lon), units);
+  }
+
+  /**
+   * Fixtures whose name starts with the query, in the OpenWeatherMap
+   * Geocoding API shape
+   */
+  async geocode(query, limit = 5) {
+    const prefix = String(query).trim().toLowerCase();
+    return Object.values(this.fixtures)
+      .filter(fixture => fixture.name.toLowerCase().startsWith(prefix))
+      .slice(0, limit)
+      .map(fixture => ({
+        name: fixture.name,
+        state: fixture.state,
+        country: fixture.sys.country,
+        lat: fixture.coord.lat,
+        lon: fixture.coord.lon
+      }));
+  }
+
+  /**
+   * Air pollution of the nearest fixture city
+   * (OpenWeatherMap /air_pollution shape; clean air when a city has no entry)
+   */
+  async getAirQuality(lat, lon) {
+    const fixture = this.findNearest(lat, lon);
+    const air = this.airQuality[fixture.name.toLowerCase()] ||
+      { aqi: 1, components: { pm2_5: 5, pm10: 10, o3: 40, no2: 8, so2: 2, co: 200 } };
+    return {
+      coord: { lat, lon },
+      list: [{ dt: Math.floor(Date.now() / 1000), main: { aqi: air.aqi }, components: clone(air.components) }]
+    };
+  }
+
+  /**
+   * The nearest fixture, when it is within ~50 km of the coordinates
+   */
+  async reverseGeocode(lat, lon, limit = 1) {
+    const fixture = this.findNearest(lat, lon);
+    const distance = Math.hypot(fixture.coord.lat - lat, fixture.coord.lon - lon);
+    if (distance > 0.5) return [];
+    return [{
+      name: fixture.name,
+      state: fixture.state,
+      country: fixture.sys.country,
+      lat: fixture.coord.lat,
+      lon: fixture.coord.lon
+    }].slice(0, limit);
+  }
+
+  async getForecastByCity(city, units = 'metric') {
+    return this.buildForecast(this.findCity(city), units);
+  }
+
+  async getForecastByCoords(lat, lon, units = 'metric') {
+    return this.buildForecast(this.findNearest(lat, lon), units);
+  }
+
+  /**
+   * Generates a 40-slot, 3-hourly forecast around the fixture's values.
+   * Temperature follows a daily sine curve peaking mid-afternoon local time.
+   */
+  buildForecast(fixture, units) {
+    const start = Math.floor(Date.now() / 1000 / THREE_HOURS) * THREE_HOURS + THREE_HOURS;
+    const list = [];
+
+    for (let i = 0; i < 40; i++) {
+      const dt = start + i * THREE_HOURS;
+      const localHour = new Date((dt + fixture.timezone) * 1000).getUTCHours();
+      const swing = 4 * Math.sin(((localHour - 9) / 24) * 2 * Math.PI);
+      const pop = Math.round(((Math.sin(i / 3) + 1) / 2) * 100) / 100;
+
+      const slot = {
+        dt,
+        main: {
+          ...fixture.main,
+          temp: Math.round((fixture.main.temp + swing) * 10) / 10,
+          temp_min: Math.round((fixture.main.temp + swing) * 10) / 10,
+          temp_max: Math.round((fixture.main.temp + swing) * 10) / 10,
+          feels_like: Math.round((fixture.main.feels_like + swing) * 10) / 10
+        },
+        weather: clone(fixture.weather),
+        wind: { ...fixture.wind },
+        pop,
+        rain: { '3h': pop > 0.6 ? Math.round(pop * 20) / 10 : 0 },
+        snow: { '3h': 0 }
+      };
+      list.push(units === 'imperial' ? toImperial(slot) : slot);
+    }
+
+    return {
+      city: {
+        name: fixture.name,
+        country: fixture.sys.country,
+        coord: clone(fixture.coord),
+        timezone: fixture.timezone
+      },
+      list
+    };
+  }
+}
+
+module.exports = StubProvider;
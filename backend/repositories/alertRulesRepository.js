@@ -0,0 +1,88 @@
+/**
+ * ===============================================
+ * ALERT RULES REPOSITORY - 'alertRules' Collection
+ * ===============================================
+ * Alert rules (AlertRuleModel.toDocument()), each attached to one
+ * favorite of one user.
+ *
+ * NOTE: Exported as a singleton, like config/db.js.
+ */
+
+const { ObjectId } = require('mongodb');
+const database = require('../config/db');
+
+const COLLECTION = 'alertRules';
+
+class AlertRulesRepository {
+  get collection() {
+    return database.getCollection(COLLECTION);
+  }
+
+  async createIndexes() {
+    await this.collection.createIndex({ userId: 1, favoriteId: 1 });
+  }
+
+  /**
+   * A user's rules, oldest first
+   * @param {ObjectId} userId - Owner
+   * @param {string|ObjectId} [favoriteId] - Only rules on this favorite
+   */
+  async listByUser(userId, favoriteId) {
+    const filter = { userId };
+    if (favoriteId) filter.favoriteId = new ObjectId(favoriteId);
+    return this.collection.find(filter).sort({ createdAt: 1 }).toArray();
+  }
+
+  /**
+   * Every enabled rule, for the scheduler
+   */
+  async listEnabled() {
+    return this.collection.find({ enabled: true }).toArray();
+  }
+
+  /**
+   * @param {Object} doc - AlertRuleModel.toDocument()
+   * @returns {Promise<ObjectId>} New rule ID
+   */
+  async insert(doc) {
+    const result = await this.collection.insertOne(doc);
+    return result.insertedId;
+  }
+
+  /**
+   * Remembers when a rule last fired (for the cooldown)
+   */
+  async markTriggered(id, triggeredAt) {
+    await this.collection.updateOne({ _id: id }, { $set: { lastTriggeredAt: triggeredAt } });
+  }
+
+  /**
+   * Deletes one of the user's rules
+   * @returns {Promise<boolean>} false when nothing matched
+   */
+  async removeForUser(id, userId) {
+    const result = await this.collection.deleteOne({ _id: new ObjectId(id), userId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Deletes the rules attached to a favorite (when the favorite is removed)
+   */
+  async removeByFavorite(favoriteId, userId) {
+    await this.collection.deleteMany({ favoriteId: new ObjectId(favoriteId), userId });
+  }
+
+  /**
+   * Deletes every rule (or only counts them on a dry run)
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun]
+   * @returns {Promise<number>} Documents deleted (or that would be)
+   */
+  async clear({ dryRun = false } = {}) {
+    return dryRun
+      ? this.collection.countDocuments({})
+      : (await this.collection.deleteMany({})).deletedCount;
+  }
+}
+
+module.exports = new AlertRulesRepository();
@@ -0,0 +1,74 @@
+/**
+ * ===============================================
+ * ALERTS REPOSITORY - 'alerts' Collection
+ * ===============================================
+ * Alerts triggered by the scheduler (AlertModel.toDocument()).
+ *
+ * NOTE: Exported as a singleton, like config/db.js.
+ */
+
+const { ObjectId } = require('mongodb');
+const database = require('../config/db');
+
+const COLLECTION = 'alerts';
+
+class AlertsRepository {
+  get collection() {
+    return database.getCollection(COLLECTION);
+  }
+
+  async createIndexes() {
+    await this.collection.createIndex({ userId: 1, triggeredAt: -1 });
+  }
+
+  /**
+   * A user's latest alerts, newest first
+   * @param {ObjectId} userId - Owner
+   * @param {Object} [options]
+   * @param {boolean} [options.unreadOnly]
+   * @param {number} [options.limit]
+   */
+  async listByUser(userId, { unreadOnly = false, limit = 50 } = {}) {
+    const filter = { userId };
+    if (unreadOnly) filter.read = false;
+    return this.collection.find(filter).sort({ triggeredAt: -1 }).limit(limit).toArray();
+  }
+
+  /**
+   * @param {Object} doc - AlertModel.toDocument()
+   */
+  async insert(doc) {
+    await this.collection.insertOne(doc);
+  }
+
+  /**
+   * Marks one of the user's alerts as read
+   * @returns {Promise<boolean>} false when nothing matched
+   */
+  async markRead(id, userId) {
+    const result = await this.collection.updateOne({ _id: new ObjectId(id), userId }, { $set: { read: true } });
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Deletes all of a user's alerts
+   * @returns {Promise<number>} Alerts deleted
+   */
+  async clearForUser(userId) {
+    return (await this.collection.deleteMany({ userId })).deletedCount;
+  }
+
+  /**
+   * Deletes every alert (or only counts them on a dry run)
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun]
+   * @returns {Promise<number>} Documents deleted (or that would be)
+   */
+  async clear({ dryRun = false } = {}) {
+    return dryRun
+      ? this.collection.countDocuments({})
+      : (await this.collection.deleteMany({})).deletedCount;
+  }
+}
+
+module.exports = new AlertsRepository();
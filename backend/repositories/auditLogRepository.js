@@ -0,0 +1,34 @@
+/**
+ * ===============================================
+ * AUDIT LOG REPOSITORY - 'auditLog' Collection
+ * ===============================================
+ * Records of destructive calls (AuditLogModel.toDocument()).
+ *
+ * NOTE: Exported as a singleton, like config/db.js.
+ */
+
+const database = require('../config/db');
+
+const COLLECTION = 'auditLog';
+
+class AuditLogRepository {
+  get collection() {
+    return database.getCollection(COLLECTION);
+  }
+
+  /**
+   * The audit log is read newest first
+   */
+  async createIndexes() {
+    await this.collection.createIndex({ timestamp: -1 });
+  }
+
+  /**
+   * @param {Object} doc - AuditLogModel.toDocument()
+   */
+  async insert(doc) {
+    await this.collection.insertOne(doc);
+  }
+}
+
+module.exports = new AuditLogRepository();
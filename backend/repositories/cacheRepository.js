@@ -0,0 +1,76 @@
+/**
+ * ===============================================
+ * CACHE REPOSITORY - Shared Persistent Cache Store
+ * ===============================================
+ * Stores response cache entries in the 'weatherCache' collection so the
+ * cache survives restarts and is shared between server instances.
+ * Used as the cache store when CACHE_STORE=mongo (see cache/index.js).
+ * A TTL index on staleUntil lets MongoDB delete entries once they are
+ * too old even for the stale fallback.
+ *
+ * NOTE: Exported as a singleton, like config/db.js.
+ */
+
+const database = require('../config/db');
+
+const COLLECTION = 'weatherCache';
+
+class CacheRepository {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  get collection() {
+    return database.getCollection(COLLECTION);
+  }
+
+  /**
+   * Creates the TTL index (safe to call repeatedly)
+   */
+  async createIndexes() {
+    await this.collection.createIndex({ staleUntil: 1 }, { expireAfterSeconds: 0 });
+  }
+
+  /**
+   * Returns the stored entry or null when missing/expired.
+   * The TTL monitor only runs once a minute, so expiry is also checked here.
+   * @param {string} key - Cache key
+   * @param {Object} [options]
+   * @param {boolean} [options.allowStale] - Also return expired entries still in their stale window
+   */
+  async get(key, { allowStale = false } = {}) {
+    const now = new Date();
+    const doc = await this.collection.findOne({
+      _id: key,
+      [allowStale ? 'staleUntil' : 'expiresAt']: { $gt: now }
+    });
+    if (!doc) return null;
+    return { value: doc.value, storedAt: doc.storedAt.getTime(), expiresAt: doc.expiresAt.getTime() };
+  }
+
+  /**
+   * Upserts a value for ttlSeconds, kept as a stale fallback for staleSeconds more
+   * @param {string} key - Cache key
+   * @param {*} value - Any BSON-serialisable value
+   * @param {number} ttlSeconds - Time to live in seconds
+   * @param {number} [staleSeconds] - Extra seconds the expired value may still be served
+   */
+  async set(key, value, ttlSeconds, staleSeconds = 0) {
+    const storedAt = new Date();
+    const expiresAt = new Date(storedAt.getTime() + ttlSeconds * 1000);
+    await this.collection.updateOne(
+      { _id: key },
+      { $set: { value, storedAt, expiresAt, staleUntil: new Date(expiresAt.getTime() + staleSeconds * 1000) } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Removes every entry
+   */
+  async clear() {
+    await this.collection.deleteMany({});
+  }
+}
+
+module.exports = new CacheRepository();
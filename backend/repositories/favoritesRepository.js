@@ -0,0 +1,165 @@
+/**
+ * ===============================================
+ * FAVORITES REPOSITORY - 'favorites' Collection
+ * ===============================================
+ * Favorite places per user, each with its last weather snapshot
+ * (WeatherModel.toDocument() fields plus userId, lastUpdated and the
+ * lower-case city name `cityLower`) and the user's own settings: label,
+ * notes, tags and position (list order).
+ *
+ * NOTE: Exported as a singleton, like config/db.js.
+ */
+
+const { ObjectId } = require('mongodb');
+const database = require('../config/db');
+
+const COLLECTION = 'favorites';
+
+// Coordinates closer than this (degrees, ~1 km) are the same place, as in the frontend's isSamePlace()
+const SAME_PLACE_DEGREES = 0.01;
+
+class FavoritesRepository {
+  get collection() {
+    return database.getCollection(COLLECTION);
+  }
+
+  /**
+   * Favorites are always read per user, by name or by coordinates
+   */
+  async createIndexes() {
+    await this.collection.createIndex({ userId: 1, cityLower: 1 });
+    await this.collection.createIndex({ userId: 1, lat: 1, lon: 1 });
+  }
+
+  /**
+   * All favorites of a user, in the user's order (position, then oldest first)
+   * @param {ObjectId} userId - Owner
+   * @returns {Promise<Object[]>} Favorite documents
+   */
+  async listByUser(userId) {
+    return this.collection.find({ userId }).sort({ position: 1, _id: 1 }).toArray();
+  }
+
+  /**
+   * Favorites matching a filter (all of them by default), for the refresher
+   * @param {Object} [filter] - MongoDB filter, e.g. { userId }
+   */
+  async findAll(filter = {}) {
+    return this.collection.find(filter).toArray();
+  }
+
+  /**
+   * The user's favorite for the same place, if any
+   * Coordinates match within SAME_PLACE_DEGREES; city names ignoring case
+   * and surrounding spaces.
+   * @param {ObjectId} userId - Owner
+   * @param {Object} place - { lat, lon } for a chosen place, or { city }
+   * @returns {Promise<Object|null>} Existing favorite
+   */
+  async findDuplicate(userId, place) {
+    if (place.city !== undefined) {
+      return this.collection.findOne({ userId, cityLower: String(place.city).trim().toLowerCase() });
+    }
+    const near = (value) => ({ $gt: value - SAME_PLACE_DEGREES, $lt: value + SAME_PLACE_DEGREES });
+    return this.collection.findOne({ userId, lat: near(place.lat), lon: near(place.lon) });
+  }
+
+  /**
+   * One favorite, only if it belongs to the user
+   * @param {string|ObjectId} id - Favorite ID
+   * @param {ObjectId} userId - Owner
+   */
+  async findByIdForUser(id, userId) {
+    return this.collection.findOne({ _id: new ObjectId(id), userId });
+  }
+
+  /**
+   * Saves a new favorite for a user, at the end of their list
+   * @param {ObjectId} userId - Owner
+   * @param {Object} snapshot - WeatherModel.toDocument() fields
+   * @returns {Promise<ObjectId>} New favorite ID
+   */
+  async insert(userId, snapshot) {
+    const [last] = await this.collection.find({ userId }).sort({ position: -1 }).limit(1).toArray();
+    const position = typeof last?.position === 'number' ? last.position + 1 : 0;
+    const result = await this.collection.insertOne({
+      ...snapshot,
+      cityLower: snapshot.city.trim().toLowerCase(),
+      userId,
+      position,
+      lastUpdated: new Date()
+    });
+    return result.insertedId;
+  }
+
+  /**
+   * Changes the user's settings on one of their favorites
+   * @param {string|ObjectId} id - Favorite ID
+   * @param {ObjectId} userId - Owner
+   * @param {Object} fields - Values to set (label, notes, tags)
+   * @param {string[]} [clearedFields] - Fields to remove
+   * @returns {Promise<Object|null>} Updated favorite, null when it isn't the user's
+   */
+  async updateForUser(id, userId, fields, clearedFields = []) {
+    const filter = { _id: new ObjectId(id), userId };
+    const update = {};
+    if (Object.keys(fields).length) update.$set = fields;
+    if (clearedFields.length) update.$unset = Object.fromEntries(clearedFields.map(field => [field, '']));
+
+    const result = await this.collection.updateOne(filter, update);
+    return result.matchedCount ? this.collection.findOne(filter) : null;
+  }
+
+  /**
+   * Saves the order of a user's favorites
+   * Favorites missing from ids keep their relative order after the listed ones.
+   * @param {ObjectId} userId - Owner
+   * @param {string[]} ids - Favorite IDs, first shown first
+   * @returns {Promise<number>} How many of the IDs were the user's favorites
+   */
+  async reorder(userId, ids) {
+    const listed = ids.map(id => id.toString());
+    const unlisted = (await this.listByUser(userId)).filter(favorite => !listed.includes(favorite._id.toString()));
+
+    const results = await Promise.all([
+      ...listed.map((id, position) => this.collection.updateOne({ _id: new ObjectId(id), userId }, { $set: { position } })),
+      ...unlisted.map((favorite, index) => this.collection.updateOne({ _id: favorite._id }, { $set: { position: listed.length + index } }))
+    ]);
+    return results.slice(0, listed.length).filter(result => result.matchedCount).length;
+  }
+
+  /**
+   * Replaces a favorite's weather snapshot
+   * @param {ObjectId} id - Favorite ID
+   * @param {Object} snapshot - Fields to set
+   * @param {string[]} [staleFields] - Fields to remove (readings no longer reported)
+   */
+  async updateSnapshot(id, snapshot, staleFields = []) {
+    const update = { $set: { ...snapshot, lastUpdated: new Date() } };
+    if (staleFields.length) update.$unset = Object.fromEntries(staleFields.map(field => [field, '']));
+    await this.collection.updateOne({ _id: id }, update);
+  }
+
+  /**
+   * Deletes one of the user's favorites
+   * @returns {Promise<boolean>} false when nothing matched
+   */
+  async removeForUser(id, userId) {
+    const result = await this.collection.deleteOne({ _id: new ObjectId(id), userId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Deletes every favorite (or only counts them on a dry run)
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun]
+   * @returns {Promise<number>} Documents deleted (or that would be)
+   */
+  async clear({ dryRun = false } = {}) {
+    return dryRun
+      ? this.collection.countDocuments({})
+      : (await this.collection.deleteMany({})).deletedCount;
+  }
+}
+
+module.exports = new FavoritesRepository();
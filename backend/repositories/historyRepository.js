@@ -0,0 +1,256 @@
+/**
+ * ===============================================
+ * HISTORY REPOSITORY - 'searchHistory' Collection
+ * ===============================================
+ * One document per weather lookup by a logged-in user
+ * (WeatherModel.toDocument() fields plus userId, the lower-case city name
+ * `cityLower` and the `place` key timelines are built on).
+ *
+ * NOTE: Exported as a singleton, like config/db.js.
+ */
+
+const { ObjectId } = require('mongodb');
+const database = require('../config/db');
+
+const COLLECTION = 'searchHistory';
+
+// Matches regex special characters in user input
+const REGEX_SPECIALS = /[.*+?^${}()|[\]\\]/g;
+
+/**
+ * Repeat searches of one place share a key: the city (any case), state and country.
+ * add() stores it as `place`; GROUP_KEY computes the same key inside an aggregation.
+ */
+const placeKey = (doc) => `${doc.city.toLowerCase()}|${doc.state || ''}|${doc.country || ''}`;
+const GROUP_KEY = { $concat: [{ $toLower: '$city' }, '|', { $ifNull: ['$state', ''] }, '|', { $ifNull: ['$country', ''] }] };
+
+/**
+ * Case-insensitive pattern matching any part of a city name (user input is escaped)
+ * @param {string} city
+ */
+const cityPattern = (city) => new RegExp(city.trim().replace(REGEX_SPECIALS, '\\$&'), 'i');
+
+// $group fields summarizing observations (see models/Timeline.js)
+const OBSERVATION_STATS = {
+  count: { $sum: 1 },
+  tempMin: { $min: '$temperature' },
+  tempMax: { $max: '$temperature' },
+  tempSum: { $sum: '$temperature' },
+  humidityMin: { $min: '$humidity' },
+  humidityMax: { $max: '$humidity' },
+  humiditySum: { $sum: '$humidity' },
+  pressureMin: { $min: '$pressure' },
+  pressureMax: { $max: '$pressure' },
+  pressureSum: { $sum: '$pressure' }
+};
+
+class HistoryRepository {
+  get collection() {
+    return database.getCollection(COLLECTION);
+  }
+
+  /**
+   * History is listed per user newest first; cityLower and place support lookups
+   * across users (timelines) and timestamp the retention sweep
+   */
+  async createIndexes() {
+    await this.collection.createIndex({ userId: 1, timestamp: -1 });
+    await this.collection.createIndex({ cityLower: 1, timestamp: -1 });
+    await this.collection.createIndex({ place: 1, timestamp: 1 });
+    await this.collection.createIndex({ timestamp: 1 });
+  }
+
+  /**
+   * Records a lookup for a user
+   * @param {ObjectId} userId - Owner
+   * @param {Object} snapshot - WeatherModel.toDocument() fields (includes timestamp)
+   */
+  async add(userId, snapshot) {
+    await this.collection.insertOne({
+      ...snapshot,
+      cityLower: snapshot.city.toLowerCase(),
+      place: placeKey(snapshot),
+      userId
+    });
+  }
+
+  /**
+   * Filter for a user's lookups in a time range and/or matching a city
+   * @param {ObjectId} userId
+   * @param {Object} query - { from, to, city } (see list())
+   */
+  buildFilter(userId, { from, to, city }) {
+    const filter = { userId };
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = from;
+      if (to) filter.timestamp.$lt = to;
+    }
+    if (city) filter.city = { $regex: cityPattern(city) };
+    return filter;
+  }
+
+  /**
+   * One page of the user's lookups, newest first
+   * @param {ObjectId} userId - Owner
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Page size
+   * @param {Object} [options.after] - { timestamp, id } of the previous page's last item
+   * @param {Date} [options.from] - Only lookups at or after this time
+   * @param {Date} [options.to] - Only lookups before this time
+   * @param {string} [options.city] - Only cities containing this text (any case)
+   */
+  async list(userId, { limit = 10, after, ...query } = {}) {
+    const filter = this.buildFilter(userId, query);
+    if (after) {
+      filter.$or = [
+        { timestamp: { $lt: after.timestamp } },
+        { timestamp: after.timestamp, _id: { $lt: new ObjectId(after.id) } }
+      ];
+    }
+    return this.collection
+      .find(filter)
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  /**
+   * Like list(), but repeat searches of a place are collapsed into one
+   * entry: the latest lookup plus count and firstSearched.
+   * Entries are ordered by their latest lookup; `key` is the page tie-breaker.
+   * @param {ObjectId} userId - Owner
+   * @param {Object} [options] - Same as list(); after.id is an entry key
+   * @returns {Promise<Array>} Latest lookup documents with key, count and firstSearched
+   */
+  async listCollapsed(userId, { limit = 10, after, ...query } = {}) {
+    const pipeline = [
+      { $match: this.buildFilter(userId, query) },
+      { $sort: { timestamp: -1, _id: -1 } },
+      { $group: { _id: GROUP_KEY, latest: { $first: '$$ROOT' }, count: { $sum: 1 }, firstSearched: { $min: '$timestamp' } } }
+    ];
+    if (after) {
+      pipeline.push({
+        $match: {
+          $or: [
+            { 'latest.timestamp': { $lt: after.timestamp } },
+            { 'latest.timestamp': after.timestamp, _id: { $gt: after.id } }
+          ]
+        }
+      });
+    }
+    pipeline.push({ $sort: { 'latest.timestamp': -1, _id: 1 } }, { $limit: limit });
+
+    const groups = await this.collection.aggregate(pipeline).toArray();
+    return groups.map(({ _id: key, latest, count, firstSearched }) => ({ ...latest, key, count, firstSearched }));
+  }
+
+  /**
+   * Deletes one of the user's lookups, or every lookup of the same place
+   * @param {string|ObjectId} id - History document ID
+   * @param {ObjectId} userId - Owner
+   * @param {Object} [options]
+   * @param {boolean} [options.repeats] - Also delete the place's other lookups
+   * @returns {Promise<number>} Documents deleted (0 when not the user's)
+   */
+  async removeForUser(id, userId, { repeats = false } = {}) {
+    const doc = await this.collection.findOne({ _id: new ObjectId(id), userId });
+    if (!doc) return 0;
+    if (!repeats) return (await this.collection.deleteOne({ _id: doc._id })).deletedCount;
+
+    const key = placeKey(doc);
+    const sameCity = await this.collection
+      .find(this.buildFilter(userId, { city: doc.city }))
+      .project({ city: 1, state: 1, country: 1 })
+      .toArray();
+    const ids = sameCity.filter(other => placeKey(other) === key).map(other => other._id);
+    return (await this.collection.deleteMany({ _id: { $in: ids } })).deletedCount;
+  }
+
+  /**
+   * ========== OBSERVATIONS (all users) ==========
+   */
+
+  /**
+   * The latest observation of a city by anyone (place key, name and timezone for timelines)
+   * @param {string} city - City name (any case)
+   * @param {Object} [where] - { state, country } to tell same-named places apart
+   * @returns {Promise<Object|null>}
+   */
+  async latestForCity(city, { state, country } = {}) {
+    const filter = { cityLower: city.trim().toLowerCase() };
+    if (state) filter.state = state;
+    if (country) filter.country = country;
+    const [latest] = await this.collection
+      .find(filter)
+      .sort({ timestamp: -1 })
+      .limit(1)
+      .toArray();
+    return latest || null;
+  }
+
+  /**
+   * Summarizes every user's observations of a place per hour or day
+   * @param {string} place - Place key (see latestForCity())
+   * @param {Object} range
+   * @param {Date} range.from - Inclusive
+   * @param {Date} range.to - Exclusive
+   * @param {string} range.unit - 'hour' or 'day'
+   * @param {string} [range.timezone] - "+HH:MM" offset that days start in
+   * @returns {Promise<Array>} Buckets { _id: start, count, tempMin, ... } (see models/Timeline.js)
+   */
+  async summarize(place, { from, to, unit, timezone = '+00:00' }) {
+    return this.collection.aggregate([
+      { $match: { place, timestamp: { $gte: from, $lt: to } } },
+      { $group: { _id: { $dateTrunc: { date: '$timestamp', unit, timezone } }, ...OBSERVATION_STATS } }
+    ]).toArray();
+  }
+
+  /**
+   * Hourly summaries (UTC hours) per place of everything older than a date,
+   * in the shape rollupsRepository.save() stores
+   * @param {Date} before
+   * @returns {Promise<Array>} { place, city, state, country, start, count, tempMin, ... }
+   */
+  async hourlySummaries(before) {
+    const groups = await this.collection.aggregate([
+      { $match: { timestamp: { $lt: before } } },
+      {
+        $group: {
+          _id: { place: GROUP_KEY, start: { $dateTrunc: { date: '$timestamp', unit: 'hour' } } },
+          city: { $first: { $toLower: '$city' } },
+          state: { $first: '$state' },
+          country: { $first: '$country' },
+          ...OBSERVATION_STATS
+        }
+      }
+    ]).toArray();
+    return groups.map(({ _id, ...stats }) => ({ ..._id, ...stats }));
+  }
+
+  /**
+   * Deletes every user's lookups older than a date (retention)
+   * @param {Date} before
+   * @returns {Promise<number>} Documents deleted
+   */
+  async removeOlderThan(before) {
+    return (await this.collection.deleteMany({ timestamp: { $lt: before } })).deletedCount;
+  }
+
+  /**
+   * Deletes one user's history, or everyone's when userId is omitted
+   * (or only counts it on a dry run)
+   * @param {Object} [options]
+   * @param {ObjectId} [options.userId]
+   * @param {boolean} [options.dryRun]
+   * @returns {Promise<number>} Documents deleted (or that would be)
+   */
+  async clear({ userId, dryRun = false } = {}) {
+    const filter = userId ? { userId } : {};
+    return dryRun
+      ? this.collection.countDocuments(filter)
+      : (await this.collection.deleteMany(filter)).deletedCount;
+  }
+}
+
+module.exports = new HistoryRepository();
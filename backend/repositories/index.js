@@ -0,0 +1,52 @@
+/**
+ * ===============================================
+ * REPOSITORIES - Data Access Layer
+ * ===============================================
+ * Every read and write of a MongoDB collection goes through one of
+ * these repositories; controllers, middleware and services never touch
+ * collections directly. Each repository gets its collection from the
+ * config/db.js Database singleton, so the database must be connected
+ * before any repository method is called.
+ *
+ * createIndexes() is run once at startup, after database.connect().
+ * (The cache repository creates its own index when the cache is
+ * switched to CACHE_STORE=mongo.)
+ */
+
+const favoritesRepository = require('./favoritesRepository');
+const historyRepository = require('./historyRepository');
+const usersRepository = require('./usersRepository');
+const sessionsRepository = require('./sessionsRepository');
+const alertRulesRepository = require('./alertRulesRepository');
+const alertsRepository = require('./alertsRepository');
+const auditLogRepository = require('./auditLogRepository');
+const upstreamUsageRepository = require('./upstreamUsageRepository');
+const cacheRepository = require('./cacheRepository');
+const rollupsRepository = require('./rollupsRepository');
+
+/**
+ * Creates the indexes of every data repository (safe to call repeatedly)
+ */
+const createIndexes = async () => {
+  const repositories = [
+    favoritesRepository, historyRepository, usersRepository, sessionsRepository,
+    alertRulesRepository, alertsRepository, auditLogRepository, rollupsRepository
+  ];
+  for (const repository of repositories) {
+    await repository.createIndexes();
+  }
+};
+
+module.exports = {
+  favoritesRepository,
+  historyRepository,
+  usersRepository,
+  sessionsRepository,
+  alertRulesRepository,
+  alertsRepository,
+  auditLogRepository,
+  upstreamUsageRepository,
+  cacheRepository,
+  rollupsRepository,
+  createIndexes
+};
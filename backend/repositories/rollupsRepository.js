@@ -0,0 +1,97 @@
+/**
+ * ===============================================
+ * ROLLUPS REPOSITORY - 'weatherRollups' Collection
+ * ===============================================
+ * Hourly summaries of observations whose searches were removed by the
+ * history retention sweep (services/historyRetention.js), so timelines
+ * still reach back past the retention window:
+ *
+ *   { place: 'london||GB', city: 'london', state, country, start (UTC hour),
+ *     count, tempMin, tempMax, tempSum, humidityMin, ..., pressureSum }
+ *
+ * NOTE: Exported as a singleton, like config/db.js.
+ */
+
+const database = require('../config/db');
+
+const COLLECTION = 'weatherRollups';
+
+// Summarized readings (see models/Timeline.js)
+const METRICS = ['temp', 'humidity', 'pressure'];
+
+class RollupsRepository {
+  get collection() {
+    return database.getCollection(COLLECTION);
+  }
+
+  /**
+   * One rollup per place and hour; timelines read by place and time,
+   * and look places up by city when no recent search names them
+   */
+  async createIndexes() {
+    await this.collection.createIndex({ place: 1, start: 1 }, { unique: true });
+    await this.collection.createIndex({ city: 1, start: 1 });
+  }
+
+  /**
+   * Stores hourly summaries, replacing any stored for the same place and hour.
+   * Sweeps cover whole hours, so a retried sweep writes the same values.
+   * @param {Array} summaries - historyRepository.hourlySummaries() results
+   * @returns {Promise<number>} Summaries stored
+   */
+  async save(summaries) {
+    for (const { place, start, ...fields } of summaries) {
+      await this.collection.updateOne({ place, start }, { $set: fields }, { upsert: true });
+    }
+    return summaries.length;
+  }
+
+  /**
+   * Key of the most recently rolled-up place with a city name
+   * @param {string} city - City name (any case)
+   * @param {Object} [where] - { state, country } to tell same-named places apart
+   * @returns {Promise<string|null>}
+   */
+  async latestPlace(city, { state, country } = {}) {
+    const filter = { city: city.trim().toLowerCase() };
+    if (state) filter.state = state;
+    if (country) filter.country = country;
+    const [latest] = await this.collection.find(filter).sort({ start: -1 }).limit(1).toArray();
+    return latest?.place || null;
+  }
+
+  /**
+   * Summarizes a place's rollups per hour or day
+   * (same arguments and bucket shape as historyRepository.summarize())
+   * @param {string} place - Place key, as stored by save()
+   * @param {Object} range - { from, to, unit, timezone }
+   * @returns {Promise<Array>} Buckets { _id: start, count, tempMin, ... }
+   */
+  async summarize(place, { from, to, unit, timezone = '+00:00' }) {
+    const stats = { count: { $sum: '$count' } };
+    METRICS.forEach(metric => {
+      stats[`${metric}Min`] = { $min: `$${metric}Min` };
+      stats[`${metric}Max`] = { $max: `$${metric}Max` };
+      stats[`${metric}Sum`] = { $sum: `$${metric}Sum` };
+    });
+
+    return this.collection.aggregate([
+      { $match: { place, start: { $gte: from, $lt: to } } },
+      { $group: { _id: { $dateTrunc: { date: '$start', unit, timezone } }, ...stats } }
+    ]).toArray();
+  }
+
+  /**
+   * Deletes every rollup (or only counts them on a dry run)
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun]
+   * @returns {Promise<number>} Documents deleted (or that would be)
+   */
+  async clear({ dryRun = false } = {}) {
+    return dryRun
+      ? this.collection.countDocuments({})
+      : (await this.collection.deleteMany({})).deletedCount;
+  }
+}
+
+module.exports = new RollupsRepository();
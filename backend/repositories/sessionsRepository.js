@@ -0,0 +1,51 @@
+/**
+ * ===============================================
+ * SESSIONS REPOSITORY - 'sessions' Collection
+ * ===============================================
+ * Login sessions keyed by the SHA-256 hash of their token.
+ * A TTL index deletes sessions once they expire.
+ *
+ * NOTE: Exported as a singleton, like config/db.js.
+ */
+
+const database = require('../config/db');
+
+const COLLECTION = 'sessions';
+
+class SessionsRepository {
+  get collection() {
+    return database.getCollection(COLLECTION);
+  }
+
+  async createIndexes() {
+    await this.collection.createIndex({ tokenHash: 1 }, { unique: true });
+    await this.collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  }
+
+  /**
+   * Stores a session
+   * @param {Object} session - { tokenHash, userId, createdAt, expiresAt }
+   */
+  async insert(session) {
+    await this.collection.insertOne(session);
+  }
+
+  /**
+   * The unexpired session for a token hash
+   * (the TTL monitor only runs once a minute, so expiry is also checked here)
+   * @param {string} tokenHash - hashToken(token)
+   */
+  async findActive(tokenHash) {
+    return this.collection.findOne({ tokenHash, expiresAt: { $gt: new Date() } });
+  }
+
+  /**
+   * Ends a session
+   * @param {string} tokenHash - hashToken(token)
+   */
+  async deleteByTokenHash(tokenHash) {
+    await this.collection.deleteOne({ tokenHash });
+  }
+}
+
+module.exports = new SessionsRepository();
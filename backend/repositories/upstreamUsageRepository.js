@@ -0,0 +1,56 @@
+/**
+ * ===============================================
+ * UPSTREAM USAGE REPOSITORY - 'upstreamUsage' Collection
+ * ===============================================
+ * Provider calls per UTC day: { _id: 'YYYY-MM-DD', calls }.
+ * Used by providers/quota.js to enforce UPSTREAM_DAILY_BUDGET.
+ *
+ * NOTE: Exported as a singleton, like config/db.js.
+ */
+
+const database = require('../config/db');
+
+const COLLECTION = 'upstreamUsage';
+
+class UpstreamUsageRepository {
+  get collection() {
+    return database.getCollection(COLLECTION);
+  }
+
+  /**
+   * Counts one call for a day, unless the day already reached budget
+   * @param {string} day - 'YYYY-MM-DD'
+   * @param {number} budget - Calls allowed that day (0 = unlimited)
+   * @returns {Promise<boolean>} false when the budget is spent
+   */
+  async increment(day, budget) {
+    if (!budget) {
+      await this.collection.updateOne({ _id: day }, { $inc: { calls: 1 } }, { upsert: true });
+      return true;
+    }
+
+    try {
+      // Only matches while calls < budget; otherwise the upsert collides
+      // with the day's existing document, which means the budget is spent
+      await this.collection.updateOne(
+        { _id: day, calls: { $lt: budget } },
+        { $inc: { calls: 1 } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Calls counted for a day
+   * @param {string} day - 'YYYY-MM-DD'
+   */
+  async calls(day) {
+    return (await this.collection.findOne({ _id: day }))?.calls || 0;
+  }
+}
+
+module.exports = new UpstreamUsageRepository();
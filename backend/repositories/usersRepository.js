@@ -0,0 +1,52 @@
+/**
+ * ===============================================
+ * USERS REPOSITORY - 'users' Collection
+ * ===============================================
+ * Accounts (UserModel.toDocument()); usernames are unique.
+ *
+ * NOTE: Exported as a singleton, like config/db.js.
+ */
+
+const database = require('../config/db');
+
+const COLLECTION = 'users';
+
+class UsersRepository {
+  get collection() {
+    return database.getCollection(COLLECTION);
+  }
+
+  /**
+   * Unique usernames (also guards registration races)
+   */
+  async createIndexes() {
+    await this.collection.createIndex({ username: 1 }, { unique: true });
+  }
+
+  /**
+   * @param {string} username - Normalized username
+   */
+  async findByUsername(username) {
+    return this.collection.findOne({ username });
+  }
+
+  /**
+   * @param {ObjectId} id - User ID
+   */
+  async findById(id) {
+    return this.collection.findOne({ _id: id });
+  }
+
+  /**
+   * Creates an account
+   * @param {Object} doc - UserModel.toDocument()
+   * @returns {Promise<ObjectId>} New user ID
+   * @throws {Error} code 11000 when the username is taken
+   */
+  async insert(doc) {
+    const result = await this.collection.insertOne(doc);
+    return result.insertedId;
+  }
+}
+
+module.exports = new UsersRepository();
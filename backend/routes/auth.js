@@ -0,0 +1,46 @@
+/**
+ * ===============================================
+ * AUTH ROUTES - Registration & Sessions
+ * ===============================================
+ * Defines account endpoints under /api/auth.
+ */
+
+const controller = require('../controllers/authController');
+const { createAuthMiddleware } = require('../middleware/auth');
+const { createAuthRateLimiter } = require('../middleware/rateLimit'); // Per-IP login/register attempts
+const { handleError } = require('../utils/errors'); // Shared error envelope
+
+/**
+ * Creates and returns Express router with all auth endpoints.
+ * Controllers reach MongoDB through the repositories.
+ */
+const createAuthRoutes = () => {
+  const router = require('express').Router();
+  const { authenticate, requireAuth } = createAuthMiddleware();
+  const limitAttempts = createAuthRateLimiter(); // One counter shared by register and login
+
+  router.use(require('express').json());
+
+  // POST /api/auth/register
+  // Creates an account { username, password } and returns a session token
+  router.post('/register', limitAttempts, controller.register);
+
+  // POST /api/auth/login
+  // Exchanges { username, password } for a session token
+  router.post('/login', limitAttempts, controller.login);
+
+  // POST /api/auth/logout
+  // Invalidates the bearer token sent in the Authorization header
+  router.post('/logout', controller.logout);
+
+  // GET /api/auth/me
+  // Returns the logged-in user (401 when the token is missing/expired)
+  router.get('/me', authenticate, requireAuth, controller.me);
+
+  // Errors thrown before a controller runs (e.g. malformed JSON bodies) use the envelope too
+  router.use((error, req, res, next) => handleError(res, error));
+
+  return router;
+};
+
+module.exports = createAuthRoutes;
@@ -0,0 +1,32 @@
+/**
+ * ===============================================
+ * HEALTH ROUTES - Probes and Metrics
+ * ===============================================
+ * Defines the unauthenticated operational endpoints, mounted at the
+ * server root (not under /api) where orchestrators expect them.
+ */
+
+const controller = require('../controllers/healthController');
+
+/**
+ * Creates and returns Express router with the health and metrics endpoints.
+ */
+const createHealthRoutes = () => {
+  const router = require('express').Router();
+
+  // GET /health/live
+  // 200 while the process is running (liveness probe)
+  router.get('/health/live', controller.live);
+
+  // GET /health/ready
+  // 200 when MongoDB and the weather provider are reachable, 503 otherwise (readiness probe)
+  router.get('/health/ready', controller.ready);
+
+  // GET /metrics
+  // Prometheus metrics: request counts/latency per route, upstream calls and errors, cache hit ratio
+  router.get('/metrics', controller.getMetrics);
+
+  return router;
+};
+
+module.exports = createHealthRoutes;
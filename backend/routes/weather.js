@@ -7,53 +7,145 @@
  */
 
 const controller = require('../controllers/weatherController');
+const alertController = require('../controllers/alertController');
+const { createAuthMiddleware } = require('../middleware/auth');
+const { validate } = require('../middleware/validate'); // Params/query/body checks
+const { createRateLimiter } = require('../middleware/rateLimit'); // Per-IP / per-user request limits
+const schemas = require('./weatherSchemas'); // Input rules per endpoint
+const { ComparisonModel } = require('../models/Comparison'); // Places allowed per comparison
+const { handleError } = require('../utils/errors'); // Shared error envelope
 
 /**
  * Creates and returns Express router with all weather endpoints.
- * The dbClient is passed to each route so controllers can access MongoDB.
+ * Controllers reach MongoDB through the repositories.
  */
-const createWeatherRoutes = (dbClient) => {
+const createWeatherRoutes = () => {
   const router = require('express').Router();
   
+  const { authenticate, requireAuth, requireAdmin } = createAuthMiddleware();
+  
+  // Clearing everyone's history (?scope=all) is an admin action
+  const requireHistoryClearAccess = (req, res, next) =>
+    (req.query.scope === 'all' ? requireAdmin : requireAuth)(req, res, next);
+  
   // Apply JSON body parser to all POST requests
   router.use(require('express').json());
   
+  // Every route validates its params/query/body (schemas in ./weatherSchemas.js) and
+  // answers errors with the envelope documented in utils/errors.js
+  
+  // Resolve the bearer token (if any) to req.user for every route
+  router.use(authenticate);
+  
+  // Limit requests per user (logged in) or per IP (anonymous); sets RateLimit-* headers.
+  // A comparison looks up every place, so it counts once per place. The body isn't
+  // validated yet, so the cost is capped at the most places a comparison accepts.
+  router.use(createRateLimiter({
+    cost: (req) => (req.method === 'POST' && req.path === '/compare' && Array.isArray(req.body?.places)
+      ? Math.min(ComparisonModel.maxPlaces(), Math.max(1, req.body.places.length))
+      : 1)
+  }));
+  
   /**
    * ========== SPECIFIC ROUTES FIRST (before generic :id/:city routes) ==========
    */
   
-  // GET /api/weather/history
-  // Returns all previous city searches from database
-  router.get('/history', (req, res) => controller.getSearchHistory(req, res, dbClient));
+  // GET /api/weather/history[?limit=&cursor=&from=&to=&city=&collapse=true]
+  // Returns one page of the logged-in user's previous city searches (newest first)
+  router.get('/history', requireAuth, validate(schemas.listHistory), controller.getSearchHistory);
+  
+  // DELETE /api/weather/history[?scope=all][&dryRun=true]
+  // Clears the logged-in user's search history (scope=all: everyone's, admin only)
+  // Every call is recorded in the audit log
+  router.delete('/history', requireHistoryClearAccess, validate(schemas.clearHistory), controller.clearHistory);
   
-  // DELETE /api/weather/history
-  // Clears all search history records from database
-  router.delete('/history', (req, res) => controller.clearHistory(req, res, dbClient));
+  // DELETE /api/weather/history/:id[?repeats=true]
+  // Deletes one search (repeats=true: every search of that place)
+  router.delete('/history/:id', requireAuth, validate(schemas.deleteHistoryItem), controller.deleteHistoryItem);
   
   // GET /api/weather/favorites
-  // Returns all favorite cities saved by user
-  router.get('/favorites', (req, res) => controller.getFavorites(req, res, dbClient));
+  // Returns all favorite cities saved by the logged-in user
+  router.get('/favorites', requireAuth, validate(schemas.unitsOnly), controller.getFavorites);
   
   // POST /api/weather/favorites
-  // Adds a new city to favorites list
-  router.post('/favorites', (req, res) => controller.addFavorite(req, res, dbClient));
+  // Adds a new city to the logged-in user's favorites list
+  router.post('/favorites', requireAuth, validate(schemas.addFavorite), controller.addFavorite);
+  
+  // POST /api/weather/favorites/refresh
+  // Re-fetches current weather for all of the logged-in user's favorites
+  router.post('/favorites/refresh', requireAuth, validate(schemas.noInput), controller.refreshFavorites);
+  
+  // PUT /api/weather/favorites/order
+  // Saves the order of the logged-in user's favorites { ids: [...] }
+  router.put('/favorites/order', requireAuth, validate(schemas.reorderFavorites), controller.reorderFavorites);
+  
+  // PATCH /api/weather/favorites/:id
+  // Sets a favorite's custom label, notes and tags
+  router.patch('/favorites/:id', requireAuth, validate(schemas.updateFavorite), controller.updateFavorite);
   
   // DELETE /api/weather/favorites/:id
-  // Removes a favorite city by ID (MUST be before /:city route)
-  router.delete('/favorites/:id', (req, res) => controller.removeFavorite(req, res, dbClient));
+  // Removes one of the logged-in user's favorites by ID (MUST be before /:city route)
+  router.delete('/favorites/:id', requireAuth, validate(schemas.byId), controller.removeFavorite);
+  
+  // POST /api/weather/favorites/:id/rules
+  // Adds an alert rule { type, threshold, hours?, units? } to a favorite
+  router.post('/favorites/:id/rules', requireAuth, validate(schemas.createRule), alertController.createRule);
+  
+  // GET /api/weather/alerts/rules[?favoriteId=]
+  // Lists the logged-in user's alert rules
+  router.get('/alerts/rules', requireAuth, validate(schemas.listRules), alertController.getRules);
   
-  // DELETE /api/weather/clear-all
-  // Clears all data from database (for testing/debugging)
-  router.delete('/clear-all', (req, res) => controller.clearAllData(req, res, dbClient));
+  // DELETE /api/weather/alerts/rules/:ruleId
+  // Removes one alert rule
+  router.delete('/alerts/rules/:ruleId', requireAuth, validate(schemas.deleteRule), alertController.deleteRule);
   
-  // GET /api/weather/current?lat=X&lon=Y
+  // GET /api/weather/alerts[?unread=true]
+  // Returns alerts triggered by the scheduler, newest first
+  router.get('/alerts', requireAuth, validate(schemas.listAlerts), alertController.getAlerts);
+  
+  // POST /api/weather/alerts/:id/read
+  // Marks an alert as read
+  router.post('/alerts/:id/read', requireAuth, validate(schemas.byId), alertController.markAlertRead);
+  
+  // DELETE /api/weather/alerts
+  // Clears all of the logged-in user's alerts
+  router.delete('/alerts', requireAuth, validate(schemas.noInput), alertController.clearAlerts);
+  
+  // DELETE /api/weather/clear-all[?dryRun=true]
+  // Clears all history (and its rollups), favorites, alert rules and alerts (admin role or X-Admin-Key header required)
+  // Every call is recorded in the audit log
+  router.delete('/clear-all', requireAdmin, validate(schemas.clearAll), controller.clearAllData);
+  
+  // GET /api/weather/geocode?q=Springfield&limit=5
+  // Candidate places (name, state, country, coordinates) for autocomplete
+  // MUST come before /:city or "geocode" would be treated as a city name
+  router.get('/geocode', validate(schemas.geocode), controller.geocode);
+
+  // GET /api/weather/air-quality?city=Mumbai  or  ?lat=X&lon=Y
+  // AQI category, health guidance and pollutant concentrations
+  router.get('/air-quality', validate(schemas.airQuality), controller.getAirQuality);
+
+  // GET /api/weather/current?lat=X&lon=Y[&name=&state=&country=]
   // Gets weather for a specific latitude and longitude
-  // Used for geolocation-based weather queries
-  router.get('/current', (req, res) => controller.getCurrentLocation(req, res, dbClient));
+  // Used for geolocation and for places chosen from geocoding candidates
+  router.get('/current', validate(schemas.currentLocation), controller.getCurrentLocation);
+
+  // POST /api/weather/compare[?units=] { places: [{ city } or { lat, lon, name? }, ...] }
+  // Current weather and daily forecast of several places in one call,
+  // with the warmest, wettest and windiest highlighted
+  router.post('/compare', validate(schemas.compare), controller.comparePlaces);
+
+  // GET /api/weather/forecast/:city/hourly[?lat=&lon=]
+  // Gets the raw 3-hour forecast timeline for a city
+  router.get('/forecast/:city/hourly', validate(schemas.forecast), controller.getHourlyForecast);
   
-  // GET /api/weather/forecast/:city
-  // Gets 5-day forecast for a specified city (MUST be before /:city route)
-  router.get('/forecast/:city', (req, res) => controller.getForecast(req, res, dbClient));
+  // GET /api/weather/forecast/:city[?lat=&lon=]
+  // Gets 5-day daily summary (min/max per local day) for a city (MUST be before /:city route)
+  router.get('/forecast/:city', validate(schemas.forecast), controller.getForecast);
+  
+  // GET /api/weather/:city/timeline[?state=&country=&from=&to=&bucket=hour|day]
+  // Observed min/max/average per hour or day from stored searches (MUST be before /:city route)
+  router.get('/:city/timeline', validate(schemas.timeline), controller.getTimeline);
   
   /**
    * ========== GENERIC ROUTE LAST (catches everything else) ==========
@@ -62,7 +154,10 @@ const createWeatherRoutes = (dbClient) => {
   // GET /api/weather/:city
   // Gets current weather for a specified city
   // This is the main weather search endpoint
-  router.get('/:city', (req, res) => controller.getWeatherByCity(req, res, dbClient));
+  router.get('/:city', validate(schemas.weatherByCity), controller.getWeatherByCity);
+  
+  // Errors thrown before a controller runs (e.g. malformed JSON bodies) use the same envelope
+  router.use((error, req, res, next) => handleError(res, error));
   
   return router;
 };
@@ -0,0 +1,218 @@
+/**
+ * ===============================================
+ * WEATHER ROUTE SCHEMAS - Input Rules per Endpoint
+ * ===============================================
+ * Validation schemas for routes/weather.js (see middleware/validate.js).
+ * Unknown fields are ignored; only the ones listed here are checked.
+ */
+
+const { ObjectId } = require('mongodb');
+const { string, number, oneOf, flag, objectId, isoDate, arrayOf, coordsPair } = require('../middleware/validate');
+const { TEMPERATURE_UNITS, WIND_UNITS, PRESSURE_UNITS } = require('../utils/units');
+const { AlertRuleModel } = require('../models/Alert');
+const { TimelineModel } = require('../models/Timeline');
+const { ComparisonModel } = require('../models/Comparison');
+const { decodeCursor } = require('../utils/cursor');
+
+// ?units=&wind=&pressure= accepted by every endpoint that returns weather
+const unitsQuery = {
+  units: oneOf(Object.keys(TEMPERATURE_UNITS)),
+  wind: oneOf(Object.keys(WIND_UNITS)),
+  pressure: oneOf(Object.keys(PRESSURE_UNITS))
+};
+
+// Optional ?lat=&lon= pair
+const coordsQuery = {
+  lat: number({ min: -90, max: 90 }),
+  lon: number({ min: -180, max: 180 })
+};
+
+// City names, place names and labels
+const cityName = (options = {}) => string({ max: 100, ...options });
+
+// One compared place: { city } or { lat, lon } (optionally named)
+const comparePlaceFields = {
+  city: cityName(),
+  name: cityName(),
+  state: cityName(),
+  country: cityName(),
+  ...coordsQuery
+};
+const comparePlace = (place) => {
+  if (typeof place !== 'object' || Array.isArray(place)) return 'must be an object';
+  for (const [field, rule] of Object.entries(comparePlaceFields)) {
+    const message = rule(place[field]);
+    if (message) return `${field} ${message}`;
+  }
+  return coordsPair(place) || (place.city || place.lat !== undefined ? null : 'needs a city or lat/lon');
+};
+
+const schemas = {
+  // GET /:city
+  weatherByCity: {
+    params: { city: cityName({ required: true }) },
+    query: unitsQuery
+  },
+
+  // GET /current?lat=&lon=[&name=&state=&country=]
+  currentLocation: {
+    query: {
+      ...unitsQuery,
+      lat: number({ required: true, min: -90, max: 90 }),
+      lon: number({ required: true, min: -180, max: 180 }),
+      name: cityName(),
+      state: cityName(),
+      country: cityName()
+    }
+  },
+
+  // GET /forecast/:city and /forecast/:city/hourly
+  forecast: {
+    params: { city: cityName({ required: true }) },
+    query: { ...unitsQuery, ...coordsQuery },
+    check: (req) => coordsPair(req.query)
+  },
+
+  // GET /:city/timeline[?state=&country=&from=&to=&bucket=hour|day]
+  timeline: {
+    params: { city: cityName({ required: true }) },
+    query: {
+      ...unitsQuery,
+      state: cityName(),
+      country: cityName(),
+      from: isoDate(),
+      to: isoDate(),
+      bucket: oneOf(['hour', 'day'])
+    },
+    check: (req) => TimelineModel.validateRange(req.query)
+  },
+
+  // POST /compare[?units=] { places: [{ city } or { lat, lon, name?, state?, country? }, ...] }
+  compare: {
+    query: unitsQuery,
+    body: { places: arrayOf(comparePlace, { required: true, min: 2, max: ComparisonModel.maxPlaces }) }
+  },
+
+  // GET /geocode?q=&limit=
+  geocode: {
+    query: {
+      q: string({ required: true, min: 2, max: 100 }),
+      limit: number({ min: 1, max: 5, integer: true })
+    }
+  },
+
+  // GET /air-quality?city= or ?lat=&lon=
+  airQuality: {
+    query: { ...coordsQuery, city: cityName() },
+    check: (req) => coordsPair(req.query)
+      || (req.query.city || req.query.lat !== undefined ? null : 'city or lat/lon is required')
+  },
+
+  // GET /history[?limit=&cursor=&from=&to=&city=&collapse=true]
+  listHistory: {
+    query: {
+      ...unitsQuery,
+      limit: number({ min: 1, max: 50, integer: true }),
+      cursor: string({ max: 200 }),
+      from: isoDate(),
+      to: isoDate(),
+      city: cityName(),
+      collapse: flag()
+    },
+    check: (req) => {
+      const { cursor, from, to } = req.query;
+      if (from && to && Date.parse(from) >= Date.parse(to)) return 'from must be before to';
+      if (cursor === undefined) return null;
+      // Plain lists continue after a document ID, collapsed ones after a place key
+      const after = decodeCursor(cursor);
+      const collapsed = ['true', '1'].includes(req.query.collapse);
+      return after && (collapsed || ObjectId.isValid(after.id)) ? null : 'cursor is invalid';
+    }
+  },
+
+  // DELETE /history/:id[?repeats=true]
+  deleteHistoryItem: {
+    params: { id: objectId() },
+    query: { repeats: flag() }
+  },
+
+  // GET /favorites
+  unitsOnly: {
+    query: unitsQuery
+  },
+
+  // DELETE /history[?scope=all][&dryRun=true]
+  clearHistory: {
+    query: { scope: oneOf(['all']), dryRun: flag() }
+  },
+
+  // DELETE /clear-all[?dryRun=true]
+  clearAll: {
+    query: { dryRun: flag() }
+  },
+
+  // POST /favorites { city, state?, country?, lat?, lon? }
+  addFavorite: {
+    body: {
+      city: cityName({ required: true }),
+      state: cityName(),
+      country: cityName(),
+      lat: number({ min: -90, max: 90 }),
+      lon: number({ min: -180, max: 180 })
+    },
+    check: (req) => coordsPair(req.body)
+  },
+
+  // PATCH /favorites/:id[?units=] { label?, notes?, tags? } - null or '' clears label/notes
+  updateFavorite: {
+    params: { id: objectId() },
+    query: unitsQuery,
+    body: {
+      label: cityName({ max: 50 }),
+      notes: string({ max: 500 }),
+      tags: arrayOf(string({ max: 30 }), { max: 10 })
+    },
+    check: (req) => (['label', 'notes', 'tags'].some(field => field in req.body)
+      ? null
+      : 'label, notes or tags is required')
+  },
+
+  // PUT /favorites/order { ids: [favoriteId, ...] } - first ID is shown first
+  reorderFavorites: {
+    body: { ids: arrayOf(objectId(), { required: true, max: 200 }) },
+    check: (req) => (new Set(req.body.ids).size === req.body.ids.length ? null : 'ids must not repeat')
+  },
+
+  // Routes that take no input: POST /favorites/refresh, DELETE /alerts
+  // (listed so every route goes through validate(); the body may be absent)
+  noInput: {},
+
+  // Routes addressing one document: /favorites/:id, /alerts/:id/read
+  byId: {
+    params: { id: objectId() }
+  },
+
+  // POST /favorites/:id/rules { type, threshold, hours?, units? }
+  createRule: {
+    params: { id: objectId() },
+    body: { units: oneOf(Object.keys(TEMPERATURE_UNITS)) },
+    check: (req) => AlertRuleModel.validate(req.body)
+  },
+
+  // GET /alerts/rules[?favoriteId=]
+  listRules: {
+    query: { favoriteId: objectId({ required: false }) }
+  },
+
+  // DELETE /alerts/rules/:ruleId
+  deleteRule: {
+    params: { ruleId: objectId() }
+  },
+
+  // GET /alerts[?unread=true]
+  listAlerts: {
+    query: { unread: flag() }
+  }
+};
+
+module.exports = schemas;
@@ -4,92 +4,246 @@
  * ===============================================
  * Main entry point for the weather application backend.
  * Handles all API requests from the React frontend.
+ *
+ * Exports:
+ *   createApp(config)               - the Express app, without connecting or listening (used by tests)
+ *   connectDBAndStartServer(config) - connects to MongoDB, starts schedulers and listens
+ * Running `node server.js` validates the environment (config/env.js),
+ * calls connectDBAndStartServer(), exits on failure and shuts down
+ * gracefully on SIGINT/SIGTERM.
+ *
+ * With SERVE_FRONTEND (default in production) the same process also
+ * serves the React build, so the app needs no separate static host.
  */
 
-require('dotenv').config(); // Load environment variables from .env file
+require('dotenv').config({ quiet: true }); // Load environment variables from .env file (no banner in the JSON log stream)
+const path = require('path');
 const express = require('express'); // Web framework
 const cors = require('cors'); // Cross-origin resource sharing
-const { MongoClient } = require('mongodb'); // MongoDB database client
+const { loadConfig } = require('./config/env'); // Typed, validated environment
+const database = require('./config/db'); // MongoDB connection singleton
+const { createIndexes, upstreamUsageRepository } = require('./repositories'); // Data access layer
+const cache = require('./cache'); // Response cache for provider lookups
+const alertScheduler = require('./services/alertScheduler'); // Periodic alert rule checks
+const favoritesRefresher = require('./services/favoritesRefresher'); // Periodic favorite snapshot updates
+const historyRetention = require('./services/historyRetention'); // Downsamples searches past the retention window
+const upstreamQuota = require('./providers/quota'); // Daily provider call budget
+const { recordRequestMetrics } = require('./middleware/metrics'); // Request counts/latency for /metrics
+const { requestLogger } = require('./middleware/requestLogger'); // Request IDs + one log line per request
+const logger = require('./utils/logger'); // Structured JSON logs (LOG_LEVEL)
+const { handleError } = require('./utils/errors'); // Shared error envelope
+const swaggerUi = require('swagger-ui-express'); // Interactive API docs viewer
+const openApiSpec = require('./docs/openapi'); // OpenAPI 3 description of every route
 
-const app = express(); // Initialize Express application
-const PORT = process.env.PORT || 5000; // Server port (default: 5000)
+// Paths answered by the API itself, never by the React app's index.html
+const API_PATHS = /^\/(api|health)(\/|$)|^\/metrics$/;
 
 /**
- * ========== MIDDLEWARE CONFIGURATION ==========
- * These middleware functions process all incoming requests
+ * ========== APP FACTORY ==========
+ * Builds the Express application. Does not connect, start schedulers
+ * or listen; routes reach MongoDB through the repositories once
+ * config/db.js is connected.
+ *
+ * @param {Object} [config] - loadConfig() result (defaults to the current
+ *   environment without requiring the database/API key settings)
+ * @returns {Object} Express application
  */
+const createApp = (config = loadConfig({ checkRequired: false })) => {
+  const app = express(); // Initialize Express application
 
-// Enable CORS to allow requests from React frontend at localhost:3000
-app.use(cors({ origin: 'http://localhost:3000' }));
+  /**
+   * ========== MIDDLEWARE CONFIGURATION ==========
+   * These middleware functions process all incoming requests
+   */
 
-// Parse incoming JSON request bodies
-app.use(express.json());
+  // Behind a reverse proxy, trust X-Forwarded-For so per-IP rate limits see the client
+  // (TRUST_PROXY = number of proxy hops, e.g. 1)
+  if (config.trustProxy) {
+    app.set('trust proxy', parseInt(config.trustProxy, 10) || config.trustProxy);
+  }
 
-// Parse incoming URL-encoded form data
-app.use(express.urlencoded({ extended: true }));
+  // Tag every request with an ID (X-Request-Id) used in its log lines and error envelope
+  app.use(requestLogger);
 
-/**
- * ========== HEALTH CHECK ENDPOINT ==========
- * Simple GET endpoint to verify server is running
- * Used for debugging and connection validation
- */
-app.get('/api/test', (req, res) => {
-  res.json({ 
-    success: true, 
-    message: '✅ Weather Backend Running!', 
-    timestamp: new Date().toISOString()
+  // Count every request and its latency per route (exposed on GET /metrics)
+  app.use(recordRequestMetrics);
+
+  // Allow browser requests from the React dev server / other front ends (CORS_ORIGINS, '*' = any)
+  app.use(cors({
+    origin: config.corsOrigins.includes('*') ? '*' : config.corsOrigins,
+    // Response headers the frontend may read cross-origin (request IDs, cache status, rate limits)
+    exposedHeaders: [
+      'X-Request-Id', 'X-Cache', 'Age', 'Retry-After',
+      'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'
+    ]
+  }));
+
+  // Parse incoming JSON request bodies
+  app.use(express.json());
+
+  // Parse incoming URL-encoded form data
+  app.use(express.urlencoded({ extended: true }));
+
+  /**
+   * ========== HEALTH CHECK ENDPOINT ==========
+   * Simple GET endpoint to verify server is running
+   * Used for debugging and connection validation
+   * (does not check dependencies - probes should use /health/ready)
+   */
+  app.get('/api/test', (req, res) => {
+    res.json({
+      success: true,
+      message: '✅ Weather Backend Running!',
+      timestamp: new Date().toISOString()
+    });
   });
-});
 
-// Global MongoDB client instance
-let dbClient;
+  // GET /health/live, GET /health/ready, GET /metrics
+  app.use(require('./routes/health')());
+
+  /**
+   * ========== API DOCUMENTATION ==========
+   * GET /api/docs              - interactive Swagger UI
+   * GET /api/docs/openapi.json - raw OpenAPI 3 spec
+   */
+  app.get('/api/docs/openapi.json', (req, res) => res.json(openApiSpec));
+  app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openApiSpec));
+
+  // Weather lookups, favorites, history and alerts
+  app.use('/api/weather', require('./routes/weather')());
+
+  // Account registration/login; favorites and history are scoped per user
+  app.use('/api/auth', require('./routes/auth')());
+
+  // Errors raised before a router runs (e.g. malformed JSON from the body
+  // parsers above) get the JSON envelope instead of Express's HTML page
+  app.use('/api', (error, req, res, next) => handleError(res, error));
+
+  /**
+   * ========== REACT APP (SERVE_FRONTEND) ==========
+   * Static files from FRONTEND_BUILD_DIR; any other GET outside the API
+   * gets index.html so client-side routes survive a reload.
+   */
+  if (config.serveFrontend) {
+    app.use(express.static(config.frontendBuildDir));
+    app.use((req, res, next) => {
+      if (req.method !== 'GET' || API_PATHS.test(req.path)) return next();
+      res.sendFile(path.join(config.frontendBuildDir, 'index.html'));
+    });
+  }
+
+  return app;
+};
 
 /**
  * ========== DATABASE CONNECTION & SERVER START ==========
  * Async function that:
- * 1. Connects to MongoDB
- * 2. Initializes all routes with the database client
- * 3. Starts the Express server
+ * 1. Connects to MongoDB (config/db.js, retried with backoff)
+ * 2. Creates the indexes of every repository
+ * 3. Initializes all routes and starts the Express server
+ *
+ * @param {Object} [config] - loadConfig() result
+ * @returns {Promise<Object>} { app, server }
+ * @throws {Error} If the database connection fails (the caller decides whether to exit)
  */
-const connectDBAndStartServer = async () => {
+const connectDBAndStartServer = async (config = loadConfig()) => {
   try {
-    console.log('🔌 Connecting to MongoDB...');
-    
-    // Create new MongoDB client and establish connection
-    dbClient = new MongoClient(process.env.MONGODB_URI);
-    await dbClient.connect();
-    
-    console.log('✅ MongoDB Connected to weatherdb');
-    
-    // Load and initialize weather routes, passing the database client
-    // This allows routes to access MongoDB without creating new connections
-    const weatherRoutes = require('./routes/weather')(dbClient);
-    app.use('/api/weather', weatherRoutes);
-    
+    logger.info('🔌 Connecting to MongoDB...');
+
+    // Establish the shared connection (database name from MONGODB_DB_NAME)
+    await database.connect(config);
+
+    // favorites/history/users/sessions/alerts indexes
+    await createIndexes();
+
+    // Pick the cache store (memory by default, MongoDB when CACHE_STORE=mongo)
+    await cache.configure(config);
+
+    // Persist the per-day count of provider calls (enforces UPSTREAM_DAILY_BUDGET)
+    upstreamQuota.configure({ repository: upstreamUsageRepository });
+
+    const app = createApp(config);
+
+    // Evaluate favorite alert rules in the background
+    alertScheduler.start(config);
+
+    // Keep favorite weather snapshots from going stale
+    favoritesRefresher.start(config);
+
+    // Roll up and delete searches older than HISTORY_RETENTION_DAYS
+    historyRetention.start(config);
+
     // Start listening for incoming HTTP requests
-    app.listen(PORT, () => {
-      console.log(`🚀 Server running: http://localhost:${PORT}`);
-      console.log('📋 Test endpoints:');
-      console.log('   GET  http://localhost:5000/api/test');
-      console.log('   GET  http://localhost:5000/api/weather/Mumbai');
-      console.log('   GET  http://localhost:5000/api/weather/history');
+    const server = app.listen(config.port, () => {
+      const url = `http://localhost:${config.port}`;
+      logger.info('🚀 Server running', {
+        url,
+        frontend: config.serveFrontend ? url : undefined,
+        corsOrigins: config.corsOrigins,
+        docs: `${url}/api/docs`,
+        health: `${url}/health/ready`,
+        metrics: `${url}/metrics`
+      });
     });
+
+    return { app, server };
   } catch (error) {
-    console.error('❌ MongoDB Connection Failed:', error.message);
-    process.exit(1); // Exit process if database connection fails
+    logger.error('❌ MongoDB Connection Failed', { error });
+    throw error;
   }
 };
 
 /**
  * ========== GRACEFUL SHUTDOWN ==========
- * Handle SIGINT (Ctrl+C) signal to cleanly close database connection
- * before shutting down the server
+ * Stops the schedulers, stops accepting connections, waits for requests
+ * in flight (up to SHUTDOWN_TIMEOUT_SECONDS) and closes the database.
+ *
+ * @param {Object} server - HTTP server returned by connectDBAndStartServer()
+ * @param {Object} config - loadConfig() result
+ * @returns {Promise<boolean>} false if in-flight requests were cut off by the timeout
  */
-process.on('SIGINT', async () => {
-  if (dbClient) await dbClient.close();
-  console.log('🔌 MongoDB connection closed');
-  process.exit(0);
-});
+const shutdown = async (server, config) => {
+  alertScheduler.stop();
+  favoritesRefresher.stop();
+  historyRetention.stop();
+  cache.stop();
+
+  let timer;
+  const drained = await Promise.race([
+    new Promise(resolve => server.close(() => resolve(true))),
+    new Promise(resolve => { timer = setTimeout(() => resolve(false), config.shutdownTimeoutSeconds * 1000); })
+  ]);
+  clearTimeout(timer);
+  if (!drained) server.closeAllConnections();
+
+  await database.disconnect();
+  return drained;
+};
+
+module.exports = { createApp, connectDBAndStartServer, shutdown };
 
 // ========== START APPLICATION ==========
-connectDBAndStartServer();
+// Only when run directly (node server.js); requiring this file has no side effects
+if (require.main === module) {
+  let config;
+  try {
+    config = loadConfig();
+  } catch (error) {
+    logger.error('❌ Configuration error', { problems: error.problems || [error.message] });
+    process.exit(1);
+  }
+
+  connectDBAndStartServer(config)
+    .then(({ server }) => {
+      // Ctrl+C locally, SIGTERM from Docker/Kubernetes/systemd
+      ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, async () => {
+        logger.info('🛑 Shutting down...', { signal });
+        const drained = await shutdown(server, config).catch(error => {
+          logger.error('❌ Shutdown failed', { error });
+          return false;
+        });
+        process.exit(drained ? 0 : 1);
+      }));
+    })
+    .catch(() => process.exit(1)); // Exit process if database connection fails
+}
@@ -0,0 +1,151 @@
+/**
+ * ===============================================
+ * ALERT SCHEDULER - Periodic Rule Evaluation
+ * ===============================================
+ * Every ALERT_CHECK_INTERVAL_MINUTES the scheduler loads all enabled
+ * alert rules, fetches fresh weather for their cities (metric, through the
+ * same response cache entries as the weather routes) and stores an alert
+ * for every rule that matches.
+ *
+ * CONFIGURATION (.env, passed in as the loadConfig() result):
+ *   ALERT_CHECK_INTERVAL_MINUTES - how often to check (default 15, 0 disables)
+ *   ALERT_COOLDOWN_MINUTES       - min. gap between alerts of one rule (default 180)
+ *
+ * NOTE: Exported as a singleton, like config/db.js.
+ */
+
+const { getProvider } = require('../providers'); // Configured weather provider
+const cache = require('../cache'); // Shared response cache
+const { AlertRuleModel, AlertModel } = require('../models/Alert');
+const { alertRulesRepository, alertsRepository } = require('../repositories');
+const logger = require('../utils/logger').child({ component: 'alertScheduler' }); // Structured logs
+
+class AlertScheduler {
+  constructor() {
+    this.timer = null;
+    this.running = false; // Prevents overlapping runs when a check is slow
+    this.configure();
+  }
+
+  /**
+   * Applies the validated settings (defaults when not set)
+   * @param {Object} [config] - loadConfig() result
+   */
+  configure(config = {}) {
+    this.cooldownMinutes = config.alertCooldownMinutes ?? 180;
+  }
+
+  /**
+   * ========== START ==========
+   * Begins periodic checks. Safe to call once at startup.
+   * @param {Object} [config] - loadConfig() result
+   */
+  start(config = {}) {
+    this.configure(config);
+    const minutes = config.alertCheckIntervalMinutes ?? 15;
+    if (minutes <= 0) {
+      logger.info('🔕 Alert scheduler disabled');
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => logger.error('Alert check failed', { error }));
+    }, minutes * 60 * 1000);
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+    logger.info('🔔 Alert scheduler started', { intervalMinutes: minutes });
+  }
+
+  /**
+   * Stops periodic checks (graceful shutdown)
+   */
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * ========== RUN ONE CHECK ==========
+   * Evaluates every enabled rule once. Rules for the same place share a
+   * single weather lookup, whatever units their thresholds are in. Rules on
+   * favorites with coordinates are looked up by coordinates, older ones by
+   * city name.
+   * @returns {Promise<Object>} { checked, triggered } counts
+   */
+  async runOnce() {
+    if (this.running) return { checked: 0, triggered: 0, skipped: true };
+    this.running = true;
+
+    try {
+      const cooldownMs = this.cooldownMinutes * 60 * 1000;
+      const rules = (await alertRulesRepository.listEnabled())
+        .map(doc => new AlertRuleModel(doc));
+
+      // Group rules by place (the cache key) so each place is fetched once
+      const groups = new Map();
+      rules.forEach(rule => {
+        const key = rule.lat !== null
+          ? cache.coordsKey('current', rule.lat, rule.lon, 'metric')
+          : cache.cityKey('weather', rule.city, 'metric');
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(rule);
+      });
+
+      let triggered = 0;
+
+      for (const group of groups.values()) {
+        const { city, lat, lon } = group[0];
+        try {
+          const { value: current } = lat !== null
+            ? await cache.wrap('current', cache.coordsKey('current', lat, lon, 'metric'),
+              () => getProvider().getCurrentByCoords(lat, lon, 'metric'))
+            : await cache.wrap('weather', cache.cityKey('weather', city, 'metric'),
+              () => getProvider().getCurrentByCity(city, 'metric'));
+
+          // Forecast is only needed for rain rules
+          let forecast = null;
+          if (group.some(rule => rule.type === 'rain_within')) {
+            forecast = (lat !== null
+              ? await cache.wrap('forecast', cache.coordsKey('forecast', lat, lon, 'metric'),
+                () => getProvider().getForecastByCoords(lat, lon, 'metric'))
+              : await cache.wrap('forecast', cache.cityKey('forecast', city, 'metric'),
+                () => getProvider().getForecastByCity(city, 'metric'))).value;
+          }
+
+          for (const rule of group) {
+            // Skip rules that fired recently so users aren't spammed every interval
+            if (rule.lastTriggeredAt && Date.now() - new Date(rule.lastTriggeredAt).getTime() < cooldownMs) {
+              continue;
+            }
+
+            const match = rule.evaluate(current, forecast);
+            if (!match) continue;
+
+            const alert = new AlertModel({
+              userId: rule.userId,
+              ruleId: rule._id,
+              favoriteId: rule.favoriteId,
+              city: rule.city,
+              type: rule.type,
+              value: match.value,
+              message: match.message
+            });
+            await alertsRepository.insert(alert.toDocument());
+            await alertRulesRepository.markTriggered(rule._id, alert.triggeredAt);
+            triggered += 1;
+          }
+        } catch (error) {
+          // One failing city must not stop the rest of the check
+          logger.error('Alert check failed for city', { city, error });
+        }
+      }
+
+      if (triggered > 0) logger.info('🔔 Triggered alerts', { count: triggered });
+      return { checked: rules.length, triggered };
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new AlertScheduler();
@@ -0,0 +1,110 @@
+/**
+ * ===============================================
+ * FAVORITES REFRESHER - Keeps Favorite Snapshots Current
+ * ===============================================
+ * Favorites store a weather snapshot. This service periodically
+ * re-fetches the weather for every favorite and updates the snapshot
+ * and its lastUpdated timestamp.
+ *
+ * CONFIGURATION (.env, passed in as the loadConfig() result):
+ *   FAVORITES_REFRESH_INTERVAL_MINUTES - how often to refresh (default 30, 0 disables)
+ *   FAVORITES_REFRESH_CONCURRENCY      - parallel provider calls (default 3)
+ *
+ * NOTE: Exported as a singleton, like config/db.js.
+ */
+
+const { getProvider } = require('../providers'); // Configured weather provider
+const cache = require('../cache'); // Shared response cache
+const { WeatherModel } = require('../models/Weather');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { favoritesRepository } = require('../repositories');
+const logger = require('../utils/logger').child({ component: 'favoritesRefresher' }); // Structured logs
+
+class FavoritesRefresher {
+  constructor() {
+    this.timer = null;
+    this.running = false; // Prevents overlapping runs when a refresh is slow
+    this.configure();
+  }
+
+  /**
+   * Applies the validated settings (defaults when not set)
+   * @param {Object} [config] - loadConfig() result
+   */
+  configure(config = {}) {
+    this.concurrency = config.favoritesRefreshConcurrency ?? 3;
+  }
+
+  /**
+   * ========== START ==========
+   * Begins periodic refreshes. Safe to call once at startup.
+   * @param {Object} [config] - loadConfig() result
+   */
+  start(config = {}) {
+    this.configure(config);
+    // loadConfig() treats an empty value as unset, so it can't disable refreshes
+    const minutes = config.favoritesRefreshIntervalMinutes ?? 30;
+    if (minutes <= 0) {
+      logger.info('⏸️  Favorites refresher disabled');
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.refresh().catch(error => logger.error('Favorites refresh failed', { error }));
+    }, minutes * 60 * 1000);
+    // Don't keep the process alive just for the refresher
+    this.timer.unref();
+    logger.info('🔄 Favorites refresher started', { intervalMinutes: minutes });
+  }
+
+  /**
+   * Stops periodic refreshes (graceful shutdown)
+   */
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * ========== REFRESH ==========
+   * Re-fetches weather for favorites matching filter and updates their snapshot.
+   * The saved city name is kept so the user's label doesn't change.
+   *
+   * @param {Object} filter - MongoDB filter, e.g. { userId } for one user
+   * @returns {Promise<Object>} { refreshed, failed } counts
+   */
+  async refresh(filter = {}) {
+    const global = Object.keys(filter).length === 0;
+    if (global && this.running) return { refreshed: 0, failed: 0, skipped: true };
+    if (global) this.running = true;
+
+    try {
+      const favorites = await favoritesRepository.findAll(filter);
+      const results = await mapWithConcurrency(favorites, this.concurrency, async (favorite) => {
+        // Favorites chosen from geocoding candidates are refreshed by coordinates
+        const hasCoords = favorite.lat !== undefined && favorite.lon !== undefined;
+        const { value: apiData } = hasCoords
+          ? await cache.wrap('current', cache.coordsKey('current', favorite.lat, favorite.lon, 'metric'),
+            () => getProvider().getCurrentByCoords(favorite.lat, favorite.lon, 'metric'))
+          : await cache.wrap('weather', cache.cityKey('weather', favorite.city, 'metric'),
+            () => getProvider().getCurrentByCity(favorite.city, 'metric'));
+
+        // Only the weather changes; keep the saved name, place, coordinates and
+        // the time the favorite was saved (lastUpdated records the refresh)
+        const { city, state, lat, lon, locality, timestamp, ...snapshot } = WeatherModel.fromApiResponse(apiData).toDocument();
+        // Drop extended readings that are no longer reported (e.g. rain that stopped)
+        const stale = WeatherModel.EXTENDED_FIELDS.filter(field => !(field in snapshot));
+        await favoritesRepository.updateSnapshot(favorite._id, snapshot, stale);
+      });
+
+      const failed = results.filter(r => r.status === 'rejected');
+      failed.forEach(r => logger.error('Favorite refresh failed', { error: r.reason }));
+
+      return { refreshed: results.length - failed.length, failed: failed.length };
+    } finally {
+      if (global) this.running = false;
+    }
+  }
+}
+
+module.exports = new FavoritesRefresher();
@@ -0,0 +1,97 @@
+/**
+ * ===============================================
+ * HISTORY RETENTION - Downsamples Old Searches
+ * ===============================================
+ * Opt-in: when HISTORY_RETENTION_DAYS is set, older searches are rolled up
+ * into hourly summaries per place (weatherRollups) and then deleted, so
+ * users' history stays bounded while city timelines keep their past.
+ *
+ * CONFIGURATION (.env, passed in as the loadConfig() result):
+ *   HISTORY_RETENTION_DAYS             - days a search is kept (default 0: keeps everything)
+ *   HISTORY_RETENTION_INTERVAL_MINUTES - how often to sweep (default 60)
+ *
+ * NOTE: Exported as a singleton, like config/db.js.
+ */
+
+const { historyRepository, rollupsRepository } = require('../repositories');
+const logger = require('../utils/logger').child({ component: 'historyRetention' }); // Structured logs
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+class HistoryRetention {
+  constructor() {
+    this.timer = null;
+    this.running = false; // Prevents overlapping sweeps
+    this.configure();
+  }
+
+  /**
+   * Applies the validated settings (defaults when not set)
+   * @param {Object} [config] - loadConfig() result
+   */
+  configure(config = {}) {
+    this.retentionDays = config.historyRetentionDays ?? 0; // 0 = forever
+  }
+
+  /**
+   * ========== START ==========
+   * Begins periodic sweeps. Safe to call once at startup.
+   * @param {Object} [config] - loadConfig() result
+   */
+  start(config = {}) {
+    this.configure(config);
+    const minutes = config.historyRetentionIntervalMinutes ?? 60;
+    if (this.retentionDays <= 0) {
+      logger.info('⏸️  History retention disabled (set HISTORY_RETENTION_DAYS to downsample old searches)');
+      return;
+    }
+    if (minutes <= 0) {
+      logger.info('⏸️  History retention disabled');
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => logger.error('History retention sweep failed', { error }));
+    }, minutes * 60 * 1000);
+    // Don't keep the process alive just for the sweep
+    this.timer.unref();
+    logger.info('🧹 History retention started', { retentionDays: this.retentionDays, intervalMinutes: minutes });
+  }
+
+  /**
+   * Stops periodic sweeps (graceful shutdown)
+   */
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * ========== SWEEP ==========
+   * Rolls up and deletes searches older than the retention window.
+   * @param {Date} [now]
+   * @returns {Promise<Object>} { rolledUp, deleted } counts
+   */
+  async sweep(now = new Date()) {
+    if (this.running || this.retentionDays <= 0) return { rolledUp: 0, deleted: 0, skipped: true };
+    this.running = true;
+
+    try {
+      // Whole hours only, so each hour is summarized by exactly one sweep
+      const cutoff = new Date(Math.floor((now.getTime() - this.retentionDays * DAY_MS) / HOUR_MS) * HOUR_MS);
+
+      // Summaries are stored before the searches are deleted, so a failure
+      // in between keeps the searches (the next sweep summarizes them again)
+      const rolledUp = await rollupsRepository.save(await historyRepository.hourlySummaries(cutoff));
+      const deleted = await historyRepository.removeOlderThan(cutoff);
+
+      if (deleted) logger.info('Downsampled old searches', { deleted, rolledUp, cutoff });
+      return { rolledUp, deleted };
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new HistoryRetention();
@@ -0,0 +1,930 @@
+/**
+ * ===============================================
+ * API TESTS - Routes Against a Fake Database
+ * ===============================================
+ * Boots the real Express app from server.js with config/db.js
+ * connected to an in-memory MongoClient stand-in (helpers/fakeDb.js)
+ * and the offline stub provider, then drives it over HTTP.
+ */
+
+// Settings read when the routers are built - set before requiring the app
+process.env.WEATHER_PROVIDER = 'stub';
+process.env.RATE_LIMIT_PER_IP = '0';
+process.env.RATE_LIMIT_PER_USER = '0';
+process.env.RATE_LIMIT_AUTH_PER_IP = '0';
+process.env.UPSTREAM_DAILY_BUDGET = '0';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error'; // Keep request logs out of the test output
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../server');
+const database = require('../config/db');
+const { ObjectId } = require('mongodb');
+const { createIndexes, historyRepository } = require('../repositories');
+const historyRetention = require('../services/historyRetention');
+const alertScheduler = require('../services/alertScheduler');
+const { setProvider, StubProvider } = require('../providers');
+const { createProviderError } = require('../providers/providerError');
+const cache = require('../cache');
+const { FakeMongoClient } = require('./helpers/fakeDb');
+
+const dbClient = new FakeMongoClient();
+let server;
+let baseUrl;
+
+/**
+ * Starts an app on a random port
+ * @returns {Promise<Object>} { server, baseUrl }
+ */
+const listen = (app) => new Promise(resolve => {
+  const started = app.listen(0, () => resolve({ server: started, baseUrl: `http://127.0.0.1:${started.address().port}` }));
+});
+
+/**
+ * Sends a request and parses the JSON body
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+const request = async (method, path, { token, body, url = baseUrl } = {}) => {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  const response = await fetch(url + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+/**
+ * Registers a user and returns their session token
+ */
+const registerUser = async (username = 'tester') => {
+  const { body } = await request('POST', '/api/auth/register', { body: { username, password: 'secret123' } });
+  return body.token;
+};
+
+/**
+ * Provider whose every lookup fails with the given upstream status
+ */
+const failingProvider = (status, message) => ({
+  name: 'failing',
+  getCurrentByCity: async () => { throw createProviderError(status, message); }
+});
+
+before(async () => {
+  await database.connect({ client: dbClient });
+  ({ server, baseUrl } = await listen(createApp()));
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await database.disconnect();
+});
+
+beforeEach(async () => {
+  dbClient.reset();
+  await createIndexes();
+  await cache.clear();
+  setProvider(new StubProvider());
+});
+
+describe('auth', () => {
+  test('register returns a token that /me accepts', async () => {
+    const token = await registerUser();
+    const { status, body } = await request('GET', '/api/auth/me', { token });
+    assert.equal(status, 200);
+    assert.equal(body.user.username, 'tester');
+  });
+
+  test('duplicate username is 409 ALREADY_EXISTS', async () => {
+    await registerUser();
+    const { status, body } = await request('POST', '/api/auth/register', { body: { username: 'tester', password: 'secret123' } });
+    assert.equal(status, 409);
+    assert.equal(body.code, 'ALREADY_EXISTS');
+  });
+
+  test('wrong password is 401 INVALID_CREDENTIALS', async () => {
+    await registerUser();
+    const { status, body } = await request('POST', '/api/auth/login', { body: { username: 'tester', password: 'wrong-password' } });
+    assert.equal(status, 401);
+    assert.equal(body.code, 'INVALID_CREDENTIALS');
+  });
+
+  test('malformed JSON is a 400 VALIDATION_FAILED envelope', async () => {
+    const response = await fetch(`${baseUrl}/api/auth/login`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"username":'
+    });
+    const body = await response.json();
+    assert.equal(response.status, 400);
+    assert.equal(body.code, 'VALIDATION_FAILED');
+    assert.ok(body.requestId);
+  });
+
+  test('login attempts are limited per IP', async () => {
+    process.env.RATE_LIMIT_AUTH_PER_IP = '2';
+    const limited = await listen(createApp());
+    process.env.RATE_LIMIT_AUTH_PER_IP = '0';
+    try {
+      const attempt = () => request('POST', '/api/auth/login', {
+        url: limited.baseUrl, body: { username: 'nobody', password: 'wrong-password' }
+      });
+      assert.equal((await attempt()).status, 401);
+      assert.equal((await attempt()).status, 401);
+      const { status, headers, body } = await attempt();
+      assert.equal(status, 429);
+      assert.equal(body.code, 'RATE_LIMITED');
+      assert.equal(headers.get('ratelimit-limit'), '2');
+      assert.ok(Number(headers.get('retry-after')) > 0);
+    } finally {
+      await new Promise(resolve => limited.server.close(resolve));
+    }
+  });
+
+  test('missing token is 401 AUTH_REQUIRED', async () => {
+    const { status, body } = await request('GET', '/api/weather/favorites');
+    assert.equal(status, 401);
+    assert.equal(body.code, 'AUTH_REQUIRED');
+  });
+});
+
+describe('weather lookups', () => {
+  test('known city returns weather and cache metadata', async () => {
+    const first = await request('GET', '/api/weather/Mumbai');
+    assert.equal(first.status, 200);
+    assert.equal(first.body.data.city, 'Mumbai');
+    assert.equal(first.body.cache.hit, false);
+
+    const second = await request('GET', '/api/weather/mumbai');
+    assert.equal(second.body.cache.hit, true);
+  });
+
+  test('unknown city is 404 CITY_NOT_FOUND', async () => {
+    const { status, body } = await request('GET', '/api/weather/Atlantis');
+    assert.equal(status, 404);
+    assert.deepEqual({ success: body.success, code: body.code }, { success: false, code: 'CITY_NOT_FOUND' });
+  });
+
+  test('invalid query is 400 VALIDATION_FAILED', async () => {
+    const { status, body } = await request('GET', '/api/weather/current?lat=200&lon=0');
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_FAILED');
+  });
+
+  test('provider 401 maps to 401 PROVIDER_AUTH_FAILED', async () => {
+    setProvider(failingProvider(401, 'Invalid API key'));
+    const { status, body } = await request('GET', '/api/weather/London');
+    assert.equal(status, 401);
+    assert.equal(body.code, 'PROVIDER_AUTH_FAILED');
+  });
+
+  test('provider 429 maps to 429 PROVIDER_RATE_LIMITED', async () => {
+    setProvider(failingProvider(429, 'Too many requests'));
+    const { status, body } = await request('GET', '/api/weather/London');
+    assert.equal(status, 429);
+    assert.equal(body.code, 'PROVIDER_RATE_LIMITED');
+  });
+
+  test('provider 500 maps to 502 PROVIDER_ERROR', async () => {
+    setProvider(failingProvider(500, 'upstream exploded'));
+    const { status, body } = await request('GET', '/api/weather/London');
+    assert.equal(status, 502);
+    assert.equal(body.code, 'PROVIDER_ERROR');
+  });
+
+  test('imperial responses give precipitation in inches', async () => {
+    const metric = await request('GET', '/api/weather/forecast/London/hourly');
+    const imperial = await request('GET', '/api/weather/forecast/London/hourly?units=imperial');
+    assert.equal(metric.body.unitLabels.precipitation, 'mm');
+    assert.equal(imperial.body.unitLabels.precipitation, 'in');
+
+    const rainy = metric.body.hourly.findIndex(slot => slot.rain > 0);
+    assert.ok(rainy >= 0);
+    assert.equal(imperial.body.hourly[rainy].rain, Math.round((metric.body.hourly[rainy].rain / 25.4) * 100) / 100);
+  });
+
+  test('per-IP rate limit answers 429 RATE_LIMITED with Retry-After', async () => {
+    process.env.RATE_LIMIT_PER_IP = '1';
+    const limited = await listen(createApp());
+    process.env.RATE_LIMIT_PER_IP = '0';
+    try {
+      await request('GET', '/api/weather/Tokyo', { url: limited.baseUrl });
+      const { status, headers, body } = await request('GET', '/api/weather/Tokyo', { url: limited.baseUrl });
+      assert.equal(status, 429);
+      assert.equal(body.code, 'RATE_LIMITED');
+      assert.ok(Number(headers.get('retry-after')) > 0);
+    } finally {
+      await new Promise(resolve => limited.server.close(resolve));
+    }
+  });
+});
+
+describe('forecast', () => {
+  test('daily summaries aggregate the 3-hour slots of each local day', async () => {
+    const daily = await request('GET', '/api/weather/forecast/Tokyo');
+    assert.equal(daily.status, 200);
+    assert.equal(daily.body.city, 'Tokyo');
+
+    // Shares the cache entry with the daily forecast
+    const hourly = await request('GET', '/api/weather/forecast/Tokyo/hourly');
+    assert.equal(hourly.headers.get('x-cache'), 'HIT');
+    assert.equal(hourly.body.hourly.length, 40);
+    assert.equal(daily.body.forecast.reduce((total, day) => total + day.slots, 0), 40);
+
+    daily.body.forecast.forEach(day => {
+      const slots = hourly.body.hourly.filter(slot => slot.isoDate === day.isoDate);
+      assert.equal(slots.length, day.slots);
+      assert.equal(day.tempMax, Math.max(...slots.map(slot => slot.temp)));
+      assert.equal(day.tempMin, Math.min(...slots.map(slot => slot.temp)));
+      assert.equal(day.pop, Math.max(...slots.map(slot => slot.pop)));
+      assert.equal(day.rain, Math.round(slots.reduce((total, slot) => total + slot.rain, 0) * 10) / 10);
+    });
+  });
+
+  test('coordinates win over the city name', async () => {
+    const { status, body } = await request('GET', '/api/weather/forecast/Anywhere/hourly?lat=35.68&lon=139.69');
+    assert.equal(status, 200);
+    assert.equal(body.city, 'Tokyo');
+  });
+
+  test('unknown city is 404 and half a coordinate pair is 400', async () => {
+    const unknown = await request('GET', '/api/weather/forecast/Atlantis');
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.code, 'CITY_NOT_FOUND');
+
+    const half = await request('GET', '/api/weather/forecast/Tokyo?lat=35.68');
+    assert.equal(half.status, 400);
+    assert.equal(half.body.code, 'VALIDATION_FAILED');
+    assert.ok(half.body.requestId);
+  });
+});
+
+describe('geocode', () => {
+  test('returns candidate places', async () => {
+    const { status, body } = await request('GET', '/api/weather/geocode?q=lon');
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map(place => [place.name, place.country]), [['London', 'GB']]);
+    assert.deepEqual((await request('GET', '/api/weather/geocode?q=zz')).body.results, []);
+  });
+
+  test('rejects short queries and large limits', async () => {
+    for (const query of ['q=l', 'q=london&limit=9', '']) {
+      const { status, body } = await request('GET', `/api/weather/geocode?${query}`);
+      assert.equal(status, 400);
+      assert.equal(body.code, 'VALIDATION_FAILED');
+    }
+  });
+
+});
+
+describe('air quality', () => {
+  test('by city or coordinates', async () => {
+    const byCity = await request('GET', '/api/weather/air-quality?city=Mumbai');
+    assert.equal(byCity.status, 200);
+    assert.equal(byCity.body.data.aqi, 4);
+    assert.equal(byCity.body.data.category, 'Poor');
+
+    const byCoords = await request('GET', '/api/weather/air-quality?lat=51.51&lon=-0.13');
+    assert.equal(byCoords.body.data.category, 'Fair');
+    assert.equal(byCoords.body.data.components.pm2_5, 11.2);
+  });
+
+  test('needs a known city or a full coordinate pair', async () => {
+    const unknown = await request('GET', '/api/weather/air-quality?city=Atlantis');
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.code, 'CITY_NOT_FOUND');
+
+    for (const query of ['', 'lat=51.51', 'lat=95&lon=0']) {
+      const { status, body } = await request('GET', `/api/weather/air-quality?${query}`);
+      assert.equal(status, 400);
+      assert.equal(body.code, 'VALIDATION_FAILED');
+    }
+  });
+});
+
+describe('favorites', () => {
+  test('add, list and remove a favorite', async () => {
+    const token = await registerUser();
+    const added = await request('POST', '/api/weather/favorites', { token, body: { city: 'London' } });
+    assert.equal(added.status, 200);
+
+    const listed = await request('GET', '/api/weather/favorites', { token });
+    assert.equal(listed.body.favorites.length, 1);
+
+    const removed = await request('DELETE', `/api/weather/favorites/${listed.body.favorites[0].id}`, { token });
+    assert.equal(removed.status, 200);
+    assert.equal((await request('GET', '/api/weather/favorites', { token })).body.favorites.length, 0);
+  });
+
+  test('duplicate favorite is 409 ALREADY_EXISTS, whatever the case of the name', async () => {
+    const token = await registerUser();
+    await request('POST', '/api/weather/favorites', { token, body: { city: 'London' } });
+    const { status, body } = await request('POST', '/api/weather/favorites', { token, body: { city: ' london ' } });
+    assert.equal(status, 409);
+    assert.equal(body.code, 'ALREADY_EXISTS');
+  });
+
+  test('chosen places within 0.01° of a favorite are duplicates', async () => {
+    const token = await registerUser();
+    const add = (lat, lon) => request('POST', '/api/weather/favorites', { token, body: { city: 'London', lat, lon } });
+    assert.equal((await add(51.5085, -0.1257)).status, 200);
+    assert.equal((await add(51.5049, -0.1201)).status, 409);
+    assert.equal((await add(51.5285, -0.1257)).status, 200);
+  });
+
+  test('PATCH sets and clears label, notes and tags', async () => {
+    const token = await registerUser();
+    await request('POST', '/api/weather/favorites', { token, body: { city: 'London' } });
+    const [favorite] = (await request('GET', '/api/weather/favorites', { token })).body.favorites;
+    assert.deepEqual(favorite.tags, []);
+
+    const updated = await request('PATCH', `/api/weather/favorites/${favorite.id}`, {
+      token, body: { label: ' Home ', notes: 'Flat on Baker Street', tags: ['Family', 'family', ' UK '] }
+    });
+    assert.equal(updated.status, 200);
+    assert.deepEqual([updated.body.favorite.label, updated.body.favorite.notes], ['Home', 'Flat on Baker Street']);
+    assert.deepEqual(updated.body.favorite.tags, ['family', 'uk']);
+
+    await request('PATCH', `/api/weather/favorites/${favorite.id}`, { token, body: { label: null } });
+    const [after] = (await request('GET', '/api/weather/favorites', { token })).body.favorites;
+    assert.equal(after.label, undefined);
+    assert.equal(after.notes, 'Flat on Baker Street');
+  });
+
+  test('PATCH rejects empty bodies and bad tags', async () => {
+    const token = await registerUser();
+    const path = '/api/weather/favorites/507f1f77bcf86cd799439011';
+    assert.equal((await request('PATCH', path, { token, body: {} })).status, 400);
+    assert.equal((await request('PATCH', path, { token, body: { tags: 'uk' } })).body.code, 'VALIDATION_FAILED');
+    assert.equal((await request('PATCH', path, { token, body: { notes: 'x' } })).status, 404);
+  });
+
+  test('reorder persists the position of each favorite', async () => {
+    const token = await registerUser();
+    for (const city of ['London', 'Tokyo', 'Mumbai']) {
+      await request('POST', '/api/weather/favorites', { token, body: { city } });
+    }
+    const listed = (await request('GET', '/api/weather/favorites', { token })).body.favorites;
+    assert.deepEqual(listed.map(f => f.city), ['London', 'Tokyo', 'Mumbai']);
+
+    const byCity = Object.fromEntries(listed.map(f => [f.city, f.id]));
+    const reordered = await request('PUT', '/api/weather/favorites/order', { token, body: { ids: [byCity.Mumbai, byCity.London] } });
+    assert.equal(reordered.status, 200);
+
+    const after = (await request('GET', '/api/weather/favorites', { token })).body.favorites;
+    assert.deepEqual(after.map(f => f.city), ['Mumbai', 'London', 'Tokyo']);
+
+    await request('POST', '/api/weather/favorites', { token, body: { city: 'Karad' } });
+    const appended = (await request('GET', '/api/weather/favorites', { token })).body.favorites;
+    assert.equal(appended.at(-1).city, 'Karad');
+  });
+
+  test("reorder with another user's favorite is 404 NOT_FOUND", async () => {
+    const owner = await registerUser('owner');
+    await request('POST', '/api/weather/favorites', { token: owner, body: { city: 'Tokyo' } });
+    const [favorite] = (await request('GET', '/api/weather/favorites', { token: owner })).body.favorites;
+
+    const intruder = await registerUser('intruder');
+    const { status } = await request('PUT', '/api/weather/favorites/order', { token: intruder, body: { ids: [favorite.id] } });
+    assert.equal(status, 404);
+  });
+
+  test('invalid favorite ID is 400 VALIDATION_FAILED', async () => {
+    const token = await registerUser();
+    const { status, body } = await request('DELETE', '/api/weather/favorites/not-an-id', { token });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_FAILED');
+  });
+
+  test('unknown favorite ID is 404 NOT_FOUND', async () => {
+    const token = await registerUser();
+    const { status, body } = await request('DELETE', '/api/weather/favorites/507f1f77bcf86cd799439011', { token });
+    assert.equal(status, 404);
+    assert.equal(body.code, 'NOT_FOUND');
+  });
+
+  test("another user's favorite is 404 NOT_FOUND", async () => {
+    const owner = await registerUser('owner');
+    await request('POST', '/api/weather/favorites', { token: owner, body: { city: 'Tokyo' } });
+    const [favorite] = (await request('GET', '/api/weather/favorites', { token: owner })).body.favorites;
+
+    const intruder = await registerUser('intruder');
+    const { status } = await request('DELETE', `/api/weather/favorites/${favorite.id}`, { token: intruder });
+    assert.equal(status, 404);
+  });
+
+  test('refresh re-fetches the weather of the user\'s favorites only', async () => {
+    const alice = await registerUser('alice');
+    const bob = await registerUser('bob');
+    await request('POST', '/api/weather/favorites', { token: alice, body: { city: 'London' } });
+    await request('POST', '/api/weather/favorites', { token: bob, body: { city: 'Tokyo' } });
+    const favorites = database.getCollection('favorites');
+    for (const favorite of await favorites.find({}).toArray()) {
+      await favorites.updateOne({ _id: favorite._id }, { $set: { temperature: -40 } });
+    }
+
+    const { status, body } = await request('POST', '/api/weather/favorites/refresh', { token: alice });
+    assert.equal(status, 200);
+    assert.equal(body.refreshed, 1);
+    assert.equal(body.failed, 0);
+
+    const [london] = (await request('GET', '/api/weather/favorites', { token: alice })).body.favorites;
+    assert.equal(london.temperature, 13);
+    const [tokyo] = (await request('GET', '/api/weather/favorites', { token: bob })).body.favorites;
+    assert.equal(tokyo.temperature, -40);
+  });
+
+  test('refresh keeps the time the favorite was saved', async () => {
+    const token = await registerUser('alice');
+    await request('POST', '/api/weather/favorites', { token, body: { city: 'London' } });
+    const favorites = database.getCollection('favorites');
+    const [saved] = await favorites.find({}).toArray();
+    const savedAt = new Date('2020-01-01T00:00:00Z');
+    await favorites.updateOne({ _id: saved._id }, { $set: { timestamp: savedAt } });
+
+    await request('POST', '/api/weather/favorites/refresh', { token });
+
+    const [refreshed] = await favorites.find({}).toArray();
+    assert.equal(refreshed.timestamp.getTime(), savedAt.getTime());
+    assert.ok(refreshed.lastUpdated > savedAt);
+  });
+
+  test('refresh needs a login', async () => {
+    const { status, body } = await request('POST', '/api/weather/favorites/refresh');
+    assert.equal(status, 401);
+    assert.equal(body.code, 'AUTH_REQUIRED');
+  });
+});
+
+describe('search history', () => {
+  test('lists the user\'s searches newest first', async () => {
+    const token = await registerUser();
+    for (const city of ['London', 'Tokyo', 'Mumbai']) {
+      await request('GET', `/api/weather/${city}`, { token });
+      await new Promise(resolve => setTimeout(resolve, 5)); // Distinct timestamps
+    }
+
+    const { status, body } = await request('GET', '/api/weather/history', { token });
+    assert.equal(status, 200);
+    assert.deepEqual(body.history.map(item => item.city), ['Mumbai', 'Tokyo', 'London']);
+  });
+
+  test('anonymous searches are not stored', async () => {
+    await request('GET', '/api/weather/London');
+    const token = await registerUser();
+    const { body } = await request('GET', '/api/weather/history', { token });
+    assert.deepEqual(body.history, []);
+  });
+
+  test('clearing history removes only the user\'s own entries', async () => {
+    const alice = await registerUser('alice');
+    const bob = await registerUser('bob');
+    await request('GET', '/api/weather/London', { token: alice });
+    await request('GET', '/api/weather/Tokyo', { token: bob });
+
+    const cleared = await request('DELETE', '/api/weather/history', { token: alice });
+    assert.equal(cleared.status, 200);
+    assert.deepEqual((await request('GET', '/api/weather/history', { token: alice })).body.history, []);
+    assert.equal((await request('GET', '/api/weather/history', { token: bob })).body.history.length, 1);
+  });
+  test('pages with a cursor, filters by city and collapses repeats', async () => {
+    const token = await registerUser();
+    for (const city of ['London', 'Mumbai', 'London', 'Tokyo', 'london']) {
+      await request('GET', `/api/weather/${city}`, { token });
+    }
+
+    const first = await request('GET', '/api/weather/history?limit=3', { token });
+    assert.equal(first.body.history.length, 3);
+    const second = await request('GET', `/api/weather/history?limit=3&cursor=${first.body.nextCursor}`, { token });
+    assert.equal(second.body.history.length, 2);
+    assert.equal(second.body.nextCursor, null);
+    const ids = [...first.body.history, ...second.body.history].map(item => item.id);
+    assert.equal(new Set(ids).size, 5);
+
+    const filtered = await request('GET', '/api/weather/history?city=LON', { token });
+    assert.equal(filtered.body.history.length, 3);
+
+    const collapsed = await request('GET', '/api/weather/history?collapse=true', { token });
+    assert.deepEqual(collapsed.body.history.map(item => item.count).sort(), [1, 1, 3]);
+    assert.equal(collapsed.body.history.find(item => item.count === 3).city.toLowerCase(), 'london');
+
+    const future = await request('GET', '/api/weather/history?from=2999-01-01', { token });
+    assert.deepEqual(future.body.history, []);
+  });
+
+  test('rejects malformed cursors and date ranges', async () => {
+    const token = await registerUser();
+    const badCursor = await request('GET', '/api/weather/history?cursor=nonsense', { token });
+    assert.equal(badCursor.status, 400);
+    assert.equal(badCursor.body.code, 'VALIDATION_FAILED');
+
+    const backwards = await request('GET', '/api/weather/history?from=2024-02-01&to=2024-01-01', { token });
+    assert.match(backwards.body.error, /from must be before to/);
+  });
+
+  test('deletes one search, or every search of that place', async () => {
+    const alice = await registerUser('alice');
+    for (const city of ['London', 'London', 'Tokyo']) {
+      await request('GET', `/api/weather/${city}`, { token: alice });
+    }
+    const [latest] = (await request('GET', '/api/weather/history', { token: alice })).body.history;
+
+    const bob = await registerUser('bob');
+    assert.equal((await request('DELETE', `/api/weather/history/${latest.id}`, { token: bob })).status, 404);
+
+    const single = await request('DELETE', `/api/weather/history/${latest.id}`, { token: alice });
+    assert.equal(single.body.deleted, 1);
+
+    const [london] = (await request('GET', '/api/weather/history', { token: alice })).body.history;
+    const repeats = await request('DELETE', `/api/weather/history/${london.id}?repeats=true`, { token: alice });
+    assert.equal(repeats.body.deleted, 2);
+    assert.equal((await request('GET', '/api/weather/history', { token: alice })).body.history.length, 0);
+  });
+});
+
+describe('timeline', () => {
+  /**
+   * Stores a search of a city by a new user, as the weather lookups do
+   */
+  const observe = (city, timestamp, temperature, extra = {}) => historyRepository.add(new ObjectId(), {
+    city, country: 'GB', timezone: 0, temperature, humidity: 60, pressure: 1010, description: 'clear', icon: '01d',
+    timestamp: new Date(timestamp), ...extra
+  });
+
+  test('summarizes every user\'s observations per day and per hour', async () => {
+    await observe('London', '2024-03-01T08:00:00Z', 10);
+    await observe('london', '2024-03-01T20:00:00Z', 14, { humidity: 80 });
+    await observe('London', '2024-03-02T09:00:00Z', 5);
+    await observe('Paris', '2024-03-01T09:00:00Z', 20);
+
+    const daily = await request('GET', '/api/weather/London/timeline?from=2024-03-01&to=2024-03-03&bucket=day');
+    assert.equal(daily.status, 200);
+    assert.equal(daily.body.bucket, 'day');
+    assert.deepEqual(daily.body.points.map(point => point.count), [2, 1]);
+    assert.deepEqual(daily.body.points[0].temperature, { min: 10, max: 14, avg: 12 });
+    assert.deepEqual(daily.body.points[0].humidity, { min: 60, max: 80, avg: 70 });
+
+    const imperial = await request('GET', '/api/weather/London/timeline?from=2024-03-01&to=2024-03-03&bucket=day&units=imperial');
+    assert.equal(imperial.body.points[0].temperature.avg, 53.6);
+
+    // Ranges up to 2 days default to hourly buckets
+    const hourly = await request('GET', '/api/weather/London/timeline?from=2024-03-01&to=2024-03-02');
+    assert.equal(hourly.body.bucket, 'hour');
+    assert.deepEqual(hourly.body.points.map(point => point.start), ['2024-03-01T08:00:00.000Z', '2024-03-01T20:00:00.000Z']);
+  });
+
+  test('daily buckets follow the city\'s local days', async () => {
+    // 20:00 UTC is 01:30 the next day in Pune (UTC+05:30)
+    await observe('Pune', '2024-03-01T20:00:00Z', 25, { country: 'IN', timezone: 19800 });
+    const { body } = await request('GET', '/api/weather/Pune/timeline?from=2024-02-28&to=2024-03-05');
+    assert.equal(body.timezone, 19800);
+    assert.equal(body.points[0].start, '2024-03-01T18:30:00.000Z');
+  });
+
+  test('old searches are rolled up hourly and still appear after the retention sweep', async () => {
+    await observe('London', '2024-03-01T08:10:00Z', 10);
+    await observe('London', '2024-03-01T08:40:00Z', 12);
+    await observe('London', '2024-03-02T12:00:00Z', 30);
+
+    historyRetention.configure({ historyRetentionDays: 1 });
+    try {
+      const now = new Date('2024-03-03T00:30:00Z'); // Cutoff: 2024-03-02T00:00
+      assert.deepEqual(await historyRetention.sweep(now), { rolledUp: 1, deleted: 2 });
+      assert.deepEqual(await historyRetention.sweep(now), { rolledUp: 0, deleted: 0 });
+    } finally {
+      historyRetention.configure();
+    }
+
+    const { body } = await request('GET', '/api/weather/london/timeline?from=2024-03-01&to=2024-03-03&bucket=day');
+    assert.deepEqual(body.points.map(point => [point.count, point.temperature.avg]), [[2, 11], [1, 30]]);
+  });
+
+  test('the retention sweep keeps every search unless a retention period is configured', async () => {
+    await observe('London', '2020-03-01T08:10:00Z', 10);
+
+    assert.equal((await historyRetention.sweep()).skipped, true);
+    assert.equal(await database.getCollection('searchHistory').countDocuments({}), 1);
+  });
+
+  test('keeps places that share a name apart', async () => {
+    await observe('Springfield', '2024-03-01T08:00:00Z', 10, { country: 'US', state: 'Illinois' });
+    await observe('springfield', '2024-03-01T09:00:00Z', 20, { country: 'US', state: 'Missouri' });
+    await observe('Springfield', '2024-03-01T10:00:00Z', 22, { country: 'US', state: 'Missouri' });
+
+    const range = 'from=2024-03-01&to=2024-03-02&bucket=day';
+    const latest = await request('GET', `/api/weather/SPRINGFIELD/timeline?${range}`);
+    assert.deepEqual(latest.body.points.map(point => [point.count, point.temperature.avg]), [[2, 21]]);
+
+    const illinois = await request('GET', `/api/weather/Springfield/timeline?state=Illinois&country=US&${range}`);
+    assert.deepEqual(illinois.body.points.map(point => [point.count, point.temperature.avg]), [[1, 10]]);
+
+    const unknown = await request('GET', `/api/weather/Shelbyville/timeline?${range}`);
+    assert.equal(unknown.status, 200);
+    assert.deepEqual(unknown.body.points, []);
+  });
+
+  test('rejects ranges too long for the bucket size', async () => {
+    const { status, body } = await request('GET', '/api/weather/London/timeline?from=2024-01-01&to=2024-03-01&bucket=hour');
+    assert.equal(status, 400);
+    assert.match(body.error, /at most 31 days/);
+  });
+});
+
+describe('compare', () => {
+  test('returns each place side by side with the warmest, wettest and windiest', async () => {
+    const { status, body } = await request('POST', '/api/weather/compare?units=imperial', {
+      body: { places: [{ city: 'London' }, { city: 'Mumbai' }, { lat: 35.68, lon: 139.69, name: 'Tokyo' }] }
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.places.map(place => place.current.city), ['London', 'Mumbai', 'Tokyo']);
+    assert.ok(body.places.every(place => place.success && place.forecast.length >= 5));
+    assert.equal(body.places[1].current.temperature, 86); // 30.2 °C
+    assert.equal(body.unitLabels.temperature, '°F');
+    assert.equal(body.highlights.warmest, 1);
+    assert.equal(body.highlights.windiest, 0);
+    // The stub forecasts the same rain everywhere; ties go to the first place
+    assert.equal(body.highlights.wettest, 0);
+  });
+
+  test('reports a failing place without failing the others', async () => {
+    const { status, body } = await request('POST', '/api/weather/compare', {
+      body: { places: [{ city: 'Atlantis' }, { city: 'Karad' }] }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.places[0].success, false);
+    assert.equal(body.places[0].code, 'CITY_NOT_FOUND');
+    assert.deepEqual(body.places[0].query, { city: 'Atlantis' });
+    assert.equal(body.places[1].current.city, 'Karad');
+    assert.equal(body.highlights.warmest, 1);
+  });
+
+  test('looks up at most 3 places at a time', async () => {
+    const stub = new StubProvider();
+    let inFlight = 0;
+    let peak = 0;
+    const getCurrentByCity = stub.getCurrentByCity.bind(stub);
+    stub.getCurrentByCity = async (...args) => {
+      peak = Math.max(peak, ++inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight -= 1;
+      return getCurrentByCity(...args);
+    };
+    setProvider(stub);
+
+    const cities = ['London', 'Mumbai', 'Tokyo', 'Karad', 'New York'];
+    const { status } = await request('POST', '/api/weather/compare', { body: { places: cities.map(city => ({ city })) } });
+    assert.equal(status, 200);
+    assert.equal(peak, 3);
+  });
+
+  test('counts every place against the rate limit', async () => {
+    process.env.RATE_LIMIT_PER_IP = '3';
+    const limited = await listen(createApp());
+    process.env.RATE_LIMIT_PER_IP = '0';
+    try {
+      const places = [{ city: 'London' }, { city: 'Tokyo' }];
+      const first = await request('POST', '/api/weather/compare', { url: limited.baseUrl, body: { places } });
+      assert.equal(first.status, 200);
+      assert.equal(first.headers.get('ratelimit-remaining'), '1');
+
+      const second = await request('POST', '/api/weather/compare', { url: limited.baseUrl, body: { places } });
+      assert.equal(second.status, 429);
+      assert.equal(second.body.code, 'RATE_LIMITED');
+    } finally {
+      await new Promise(resolve => limited.server.close(resolve));
+    }
+  });
+
+  test('rejects too few, too many and malformed places', async () => {
+    const one = await request('POST', '/api/weather/compare', { body: { places: [{ city: 'London' }] } });
+    assert.equal(one.status, 400);
+    assert.match(one.body.error, /places must have at least 2 items/);
+
+    const seven = await request('POST', '/api/weather/compare', {
+      body: { places: Array.from({ length: 7 }, () => ({ city: 'London' })) }
+    });
+    assert.equal(seven.status, 400);
+    assert.match(seven.body.error, /places must have at most 6 items/);
+
+    const malformed = await request('POST', '/api/weather/compare', { body: { places: [{ city: 'London' }, { lat: 10 }] } });
+    assert.equal(malformed.status, 400);
+    assert.match(malformed.body.error, /item 2 lat and lon must be given together/);
+  });
+
+  test('an oversized comparison is rejected by validation, not charged per place', async () => {
+    process.env.RATE_LIMIT_PER_IP = '6';
+    const limited = await listen(createApp());
+    process.env.RATE_LIMIT_PER_IP = '0';
+    try {
+      const places = Array.from({ length: 1000 }, () => ({ city: 'London' }));
+      const { status, body } = await request('POST', '/api/weather/compare', { url: limited.baseUrl, body: { places } });
+      assert.equal(status, 400);
+      assert.equal(body.code, 'VALIDATION_FAILED');
+    } finally {
+      await new Promise(resolve => limited.server.close(resolve));
+    }
+  });
+});
+
+describe('alerts', () => {
+  /**
+   * Saves London as a favorite and returns its ID
+   */
+  const addLondon = async (token) => {
+    await request('POST', '/api/weather/favorites', { token, body: { city: 'London' } });
+    return (await request('GET', '/api/weather/favorites', { token })).body.favorites[0].id;
+  };
+
+  test('the scheduler compares metric readings with thresholds in either unit system', async () => {
+    const token = await registerUser('alice');
+    const favoriteId = await addLondon(token);
+    // London is 12.8°C (55°F) with 5.7 m/s (12.8 mph) wind
+    const rules = [
+      { type: 'temp_above', threshold: 50, units: 'imperial' },
+      { type: 'temp_above', threshold: 60, units: 'imperial' },
+      { type: 'wind_above', threshold: 12, units: 'imperial' },
+      { type: 'temp_below', threshold: 13 }
+    ];
+    for (const rule of rules) {
+      assert.equal((await request('POST', `/api/weather/favorites/${favoriteId}/rules`, { token, body: rule })).status, 201);
+    }
+
+    const stub = new StubProvider();
+    let lookups = 0;
+    const getCurrentByCoords = stub.getCurrentByCoords.bind(stub);
+    stub.getCurrentByCoords = async (...args) => {
+      lookups += 1;
+      return getCurrentByCoords(...args);
+    };
+    setProvider(stub);
+
+    assert.deepEqual(await alertScheduler.runOnce(), { checked: 4, triggered: 3 });
+    assert.equal(lookups, 1);
+
+    const { body } = await request('GET', '/api/weather/alerts', { token });
+    assert.deepEqual(body.alerts.map(alert => alert.message).sort(), [
+      'London: 13°C, below your 13°C limit',
+      'London: 55°F, above your 50°F limit',
+      'London: wind 12.8 mph, above your 12 limit'
+    ]);
+
+    // The weather routes read the same cache entry
+    const current = await request('GET', '/api/weather/current?lat=51.5085&lon=-0.1257');
+    assert.equal(current.headers.get('x-cache'), 'HIT');
+  });
+
+  test('rules are added, listed and removed by their owner only', async () => {
+    const alice = await registerUser('alice');
+    const favoriteId = await addLondon(alice);
+    const created = await request('POST', `/api/weather/favorites/${favoriteId}/rules`, {
+      token: alice, body: { type: 'wind_above', threshold: 10 }
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.rule.summary, 'Wind speed above 10 m/s');
+
+    const listed = await request('GET', `/api/weather/alerts/rules?favoriteId=${favoriteId}`, { token: alice });
+    assert.deepEqual(listed.body.rules.map(rule => rule.id), [created.body.rule.id]);
+
+    const bob = await registerUser('bob');
+    assert.deepEqual((await request('GET', '/api/weather/alerts/rules', { token: bob })).body.rules, []);
+    const stranger = await request('DELETE', `/api/weather/alerts/rules/${created.body.rule.id}`, { token: bob });
+    assert.equal(stranger.status, 404);
+    assert.equal(stranger.body.code, 'NOT_FOUND');
+    const onOthersFavorite = await request('POST', `/api/weather/favorites/${favoriteId}/rules`, {
+      token: bob, body: { type: 'wind_above', threshold: 10 }
+    });
+    assert.equal(onOthersFavorite.status, 404);
+
+    const removed = await request('DELETE', `/api/weather/alerts/rules/${created.body.rule.id}`, { token: alice });
+    assert.equal(removed.status, 200);
+    assert.deepEqual((await request('GET', '/api/weather/alerts/rules', { token: alice })).body.rules, []);
+  });
+
+  test('invalid rules and IDs are 400 VALIDATION_FAILED', async () => {
+    const token = await registerUser('alice');
+    const favoriteId = await addLondon(token);
+    const invalid = [
+      [`/api/weather/favorites/${favoriteId}/rules`, { type: 'hail', threshold: 1 }, /type must be one of/],
+      [`/api/weather/favorites/${favoriteId}/rules`, { type: 'temp_above' }, /threshold is required/],
+      [`/api/weather/favorites/${favoriteId}/rules`, { type: 'rain_within', hours: 200 }, /hours must be a whole number/],
+      ['/api/weather/favorites/not-an-id/rules', { type: 'temp_above', threshold: 1 }, /id/]
+    ];
+    for (const [path, body, message] of invalid) {
+      const response = await request('POST', path, { token, body });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, 'VALIDATION_FAILED');
+      assert.match(response.body.error, message);
+    }
+
+    const badRuleId = await request('DELETE', '/api/weather/alerts/rules/123', { token });
+    assert.equal(badRuleId.status, 400);
+    assert.equal((await request('GET', '/api/weather/alerts/rules')).status, 401);
+  });
+
+  test('a cooldown of 0 lets a rule fire on every check', async () => {
+    const token = await registerUser('alice');
+    const favoriteId = await addLondon(token);
+    await request('POST', `/api/weather/favorites/${favoriteId}/rules`, { token, body: { type: 'temp_above', threshold: 0 } });
+
+    alertScheduler.configure({ alertCooldownMinutes: 0 });
+    try {
+      assert.equal((await alertScheduler.runOnce()).triggered, 1);
+      assert.equal((await alertScheduler.runOnce()).triggered, 1);
+    } finally {
+      alertScheduler.configure();
+    }
+  });
+
+  test('triggered alerts are listed, marked read and cleared', async () => {
+    const alice = await registerUser('alice');
+    const favoriteId = await addLondon(alice);
+    await request('POST', `/api/weather/favorites/${favoriteId}/rules`, { token: alice, body: { type: 'temp_above', threshold: 0 } });
+
+    assert.equal((await alertScheduler.runOnce()).triggered, 1);
+    // Within the cooldown the rule does not fire again
+    assert.equal((await alertScheduler.runOnce()).triggered, 0);
+
+    const listed = await request('GET', '/api/weather/alerts', { token: alice });
+    assert.equal(listed.body.unread, 1);
+    const [alert] = listed.body.alerts;
+    assert.equal(alert.message, 'London: 13°C, above your 0°C limit');
+
+    const bob = await registerUser('bob');
+    assert.equal((await request('POST', `/api/weather/alerts/${alert.id}/read`, { token: bob })).status, 404);
+    const unread = await request('GET', '/api/weather/alerts?unread=1', { token: alice });
+    assert.deepEqual(unread.body.alerts.map(item => item.id), [alert.id]);
+    assert.equal((await request('POST', `/api/weather/alerts/${alert.id}/read`, { token: alice })).status, 200);
+    assert.deepEqual((await request('GET', '/api/weather/alerts?unread=1', { token: alice })).body.alerts, []);
+    assert.equal((await request('GET', '/api/weather/alerts?unread=true', { token: alice })).body.unread, 0);
+
+    const cleared = await request('DELETE', '/api/weather/alerts', { token: alice });
+    assert.equal(cleared.body.message, 'Cleared 1 alerts');
+    assert.deepEqual((await request('GET', '/api/weather/alerts', { token: alice })).body.alerts, []);
+  });
+});
+
+describe('clear-all', () => {
+  test('deletes history, rollups, favorites, alert rules and alerts, reporting every count first on a dry run', async () => {
+    const token = await registerUser('alice');
+    await request('GET', '/api/weather/London', { token });
+    await request('POST', '/api/weather/favorites', { token, body: { city: 'London' } });
+    const [favorite] = (await request('GET', '/api/weather/favorites', { token })).body.favorites;
+    await request('POST', `/api/weather/favorites/${favorite.id}/rules`, { token, body: { type: 'temp_above', threshold: 0 } });
+    await alertScheduler.runOnce();
+    await database.getCollection('weatherRollups').insertOne({ place: 'london||GB', city: 'london', start: new Date(), count: 1 });
+
+    process.env.ADMIN_USERNAMES = 'root';
+    try {
+      const admin = await registerUser('root');
+      const counts = { searchHistory: 1, weatherRollups: 1, favorites: 1, alertRules: 1, alerts: 1 };
+
+      const dryRun = await request('DELETE', '/api/weather/clear-all?dryRun=true', { token: admin });
+      assert.equal(dryRun.status, 200);
+      assert.deepEqual(dryRun.body.deleted, counts);
+      assert.equal((await request('GET', '/api/weather/alerts', { token })).body.alerts.length, 1);
+
+      const cleared = await request('DELETE', '/api/weather/clear-all', { token: admin });
+      assert.deepEqual(cleared.body.deleted, counts);
+      assert.equal((await request('GET', '/api/weather/alerts', { token })).body.alerts.length, 0);
+      assert.equal((await request('GET', '/api/weather/alerts/rules', { token })).body.rules.length, 0);
+      assert.equal(await database.getCollection('weatherRollups').countDocuments({}), 0);
+    } finally {
+      delete process.env.ADMIN_USERNAMES;
+    }
+
+    const audit = await database.getCollection('auditLog').find({ action: 'clear-all' }).sort({ timestamp: 1 }).toArray();
+    assert.deepEqual(audit.map(entry => [entry.dryRun, entry.counts.alertRules, entry.counts.alerts]), [[true, 1, 1], [false, 1, 1]]);
+    assert.deepEqual(audit[0].scope.collections, ['searchHistory', 'weatherRollups', 'favorites', 'alertRules', 'alerts']);
+  });
+
+  test('needs an admin: 401 anonymous, 403 for regular users', async () => {
+    const token = await registerUser('alice');
+    await request('POST', '/api/weather/favorites', { token, body: { city: 'London' } });
+
+    const anonymous = await request('DELETE', '/api/weather/clear-all');
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.code, 'AUTH_REQUIRED');
+
+    const regular = await request('DELETE', '/api/weather/clear-all', { token });
+    assert.equal(regular.status, 403);
+    assert.equal(regular.body.code, 'FORBIDDEN');
+    assert.ok(regular.body.requestId);
+
+    assert.equal((await request('GET', '/api/weather/favorites', { token })).body.favorites.length, 1);
+    assert.equal(await database.getCollection('auditLog').countDocuments({ action: 'clear-all' }), 0);
+  });
+
+  test('the admin API key is accepted and rejects malformed flags', async () => {
+    process.env.ADMIN_API_KEY = 'test-admin-key';
+    try {
+      const clear = (query) => fetch(`${baseUrl}/api/weather/clear-all${query}`, {
+        method: 'DELETE', headers: { 'X-Admin-Key': 'test-admin-key' }
+      });
+      const dryRun = await clear('?dryRun=1');
+      assert.equal(dryRun.status, 200);
+      assert.equal((await dryRun.json()).dryRun, true);
+
+      const malformed = await clear('?dryRun=maybe');
+      assert.equal(malformed.status, 400);
+      assert.equal((await malformed.json()).code, 'VALIDATION_FAILED');
+    } finally {
+      delete process.env.ADMIN_API_KEY;
+    }
+  });
+});
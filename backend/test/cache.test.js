@@ -0,0 +1,45 @@
+/**
+ * ===============================================
+ * CACHE TESTS - In-Memory Store Sweep and Settings
+ * ===============================================
+ * Exercises cache/memoryStore.js directly, with explicit timestamps,
+ * and how the response cache reads its settings.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error'; // Keep "cache configured" logs out of the test output
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryStore = require('../cache/memoryStore');
+
+test('the sweep drops entries past their stale window, even if never read', async () => {
+  const store = new MemoryStore();
+  try {
+    await store.set('expired', 1, 0, 0);
+    await store.set('stale', 2, 0, 60);
+    await store.set('fresh', 3, 60);
+
+    assert.equal(store.sweep(Date.now() + 1), 1);
+    assert.deepEqual([...store.entries.keys()], ['stale', 'fresh']);
+    assert.equal((await store.get('stale', { allowStale: true })).value, 2);
+  } finally {
+    store.stop();
+  }
+});
+
+test('CACHE_ENABLED is read in any case, like config/env.js validates it', async () => {
+  const cache = require('../cache');
+  try {
+    await cache.configure({ cacheEnabled: 'false' });
+    assert.equal(cache.enabled, false);
+
+    process.env.CACHE_ENABLED = 'FALSE';
+    await cache.configure();
+    assert.equal(cache.enabled, false);
+  } finally {
+    delete process.env.CACHE_ENABLED;
+    await cache.configure();
+    cache.stop();
+  }
+  assert.equal(cache.enabled, true);
+});
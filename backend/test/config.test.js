@@ -0,0 +1,96 @@
+/**
+ * ===============================================
+ * CONFIG TESTS - Environment Validation and Serving
+ * ===============================================
+ * loadConfig() on hand-made environments, plus the app's CORS,
+ * React build serving and graceful shutdown built from such a config.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error'; // Keep request logs out of the test output
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../config/env');
+const { createApp, shutdown } = require('../server');
+
+const buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-build-'));
+fs.writeFileSync(path.join(buildDir, 'index.html'), '<div id="root"></div>');
+fs.writeFileSync(path.join(buildDir, 'app.js'), 'console.log("app");');
+
+after(() => fs.rmSync(buildDir, { recursive: true, force: true }));
+
+/**
+ * Serves an app built from the given environment and runs fn(baseUrl)
+ */
+const withApp = async (env, fn) => {
+  const server = createApp(loadConfig({ env, checkRequired: false })).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+};
+
+test('applies defaults and converts types', () => {
+  const config = loadConfig({ env: { MONGODB_URI: 'mongodb://db', OPENWEATHER_API_KEY: 'key', PORT: '8080', CORS_ORIGINS: 'https://a.example, https://b.example' } });
+  assert.equal(config.port, 8080);
+  assert.deepEqual(config.corsOrigins, ['https://a.example', 'https://b.example']);
+  assert.equal(config.mongodbDbName, 'weatherdb');
+  assert.equal(config.serveFrontend, false);
+  assert.ok(Object.isFrozen(config));
+});
+
+test('reports every missing or malformed variable at once', () => {
+  assert.throws(() => loadConfig({ env: { PORT: 'eighty', CACHE_STORE: 'redis' } }), (error) => {
+    assert.ok(error instanceof ConfigError);
+    assert.equal(error.problems.length, 4);
+    assert.match(error.message, /PORT must be an integer/);
+    assert.match(error.message, /CACHE_STORE must be one of: memory, mongo/);
+    assert.match(error.message, /MONGODB_URI is required/);
+    assert.match(error.message, /OPENWEATHER_API_KEY is required/);
+    return true;
+  });
+});
+
+test('the API key is only required for OpenWeatherMap', () => {
+  assert.doesNotThrow(() => loadConfig({ env: { MONGODB_URI: 'mongodb://db', WEATHER_PROVIDER: 'openmeteo' } }));
+});
+
+test('serving the frontend requires a build', () => {
+  const env = { MONGODB_URI: 'mongodb://db', WEATHER_PROVIDER: 'stub', NODE_ENV: 'production' };
+  assert.throws(() => loadConfig({ env: { ...env, FRONTEND_BUILD_DIR: path.join(buildDir, 'missing') } }), /has no index\.html/);
+  assert.equal(loadConfig({ env: { ...env, FRONTEND_BUILD_DIR: buildDir } }).serveFrontend, true);
+});
+
+test('CORS allows only the configured origins', async () => {
+  await withApp({ CORS_ORIGINS: 'https://weather.example' }, async (baseUrl) => {
+    const allowed = await fetch(`${baseUrl}/api/test`, { headers: { Origin: 'https://weather.example' } });
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://weather.example');
+    const exposed = allowed.headers.get('access-control-expose-headers').split(',');
+    ['X-Request-Id', 'X-Cache', 'Age', 'Retry-After', 'RateLimit-Remaining', 'RateLimit-Reset']
+      .forEach(header => assert.ok(exposed.includes(header), header));
+
+    const other = await fetch(`${baseUrl}/api/test`, { headers: { Origin: 'https://evil.example' } });
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+  });
+});
+
+test('serves the React build and falls back to index.html outside the API', async () => {
+  await withApp({ SERVE_FRONTEND: 'true', FRONTEND_BUILD_DIR: buildDir }, async (baseUrl) => {
+    assert.match(await (await fetch(`${baseUrl}/app.js`)).text(), /console\.log/);
+    assert.match(await (await fetch(`${baseUrl}/favorites/london`)).text(), /id="root"/);
+    assert.equal((await (await fetch(`${baseUrl}/api/test`)).json()).success, true);
+    assert.equal((await fetch(`${baseUrl}/api/nope`)).status, 404);
+  });
+});
+
+test('shutdown stops accepting connections and reports a clean drain', async () => {
+  const server = createApp(loadConfig({ env: {}, checkRequired: false })).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  assert.equal(await shutdown(server, { shutdownTimeoutSeconds: 1 }), true);
+  assert.equal(server.listening, false);
+});
@@ -0,0 +1,102 @@
+/**
+ * ===============================================
+ * HEALTH & METRICS TESTS - Probes and /metrics
+ * ===============================================
+ * Runs the app on the in-memory database (helpers/fakeDb.js) with the
+ * stub provider and checks readiness reacts to each dependency.
+ */
+
+process.env.WEATHER_PROVIDER = 'stub';
+process.env.RATE_LIMIT_PER_IP = '0';
+process.env.UPSTREAM_DAILY_BUDGET = '0';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error'; // Keep request logs out of the test output
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../server');
+const database = require('../config/db');
+const { setProvider, StubProvider } = require('../providers');
+const { createProviderError } = require('../providers/providerError');
+const { resetProviderCheck } = require('../controllers/healthController');
+const cache = require('../cache');
+const metrics = require('../utils/metrics');
+const { FakeMongoClient } = require('./helpers/fakeDb');
+
+const dbClient = new FakeMongoClient();
+let server;
+let baseUrl;
+
+const get = async (path) => {
+  const response = await fetch(baseUrl + path);
+  const isJson = response.headers.get('content-type').includes('json');
+  return { status: response.status, headers: response.headers, body: isJson ? await response.json() : await response.text() };
+};
+
+before(async () => {
+  await database.connect({ client: dbClient });
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await database.disconnect();
+});
+
+beforeEach(async () => {
+  setProvider(new StubProvider());
+  resetProviderCheck();
+  metrics.reset();
+  await cache.clear();
+});
+
+test('liveness always succeeds', async () => {
+  const { status, body } = await get('/health/live');
+  assert.equal(status, 200);
+  assert.equal(body.status, 'ok');
+});
+
+test('ready when the database and stub provider answer', async () => {
+  const { status, body } = await get('/health/ready');
+  assert.equal(status, 200);
+  assert.equal(body.status, 'ready');
+  assert.equal(body.checks.database.status, 'up');
+  assert.deepEqual([body.checks.provider.provider, body.checks.provider.status], ['stub', 'up']);
+});
+
+test('not ready when the provider rejects the API key', async () => {
+  setProvider({ name: 'broken', ping: async () => { throw createProviderError(401, 'Invalid API key'); } });
+  const { status, body } = await get('/health/ready');
+  assert.equal(status, 503);
+  assert.equal(body.status, 'not_ready');
+  assert.deepEqual([body.checks.provider.status, body.checks.provider.error], ['down', 'HTTP 401']);
+});
+
+test('not ready when the database is down', async () => {
+  await database.disconnect();
+  try {
+    const { status, body } = await get('/health/ready');
+    assert.equal(status, 503);
+    assert.equal(body.checks.database.status, 'down');
+  } finally {
+    await database.connect({ client: dbClient });
+  }
+});
+
+test('metrics report requests per route, upstream calls and cache hit ratio', async () => {
+  await get('/api/weather/Mumbai');
+  await get('/api/weather/Mumbai');
+  await get('/api/weather/Atlantis');
+
+  const { status, headers, body } = await get('/metrics');
+  assert.equal(status, 200);
+  assert.match(headers.get('content-type'), /^text\/plain/);
+  assert.match(body, /http_requests_total\{method="GET",route="\/api\/weather\/:city",status="200"\} 2/);
+  assert.match(body, /http_requests_total\{method="GET",route="\/api\/weather\/:city",status="404"\} 1/);
+  assert.match(body, /http_request_duration_seconds_count\{method="GET",route="\/api\/weather\/:city"\} 3/);
+  assert.match(body, /upstream_requests_total\{provider="stub",method="getCurrentByCity",outcome="success"\} 1/);
+  assert.match(body, /upstream_errors_total\{provider="stub",method="getCurrentByCity",status="404"\} 1/);
+  assert.match(body, /api_errors_total\{code="CITY_NOT_FOUND"\} 1/);
+  assert.match(body, /cache_hit_ratio 0\.333/);
+});
@@ -0,0 +1,358 @@
+/**
+ * ===============================================
+ * FAKE DATABASE - In-Memory MongoClient Stand-In
+ * ===============================================
+ * Implements just the part of the MongoDB driver API the backend
+ * uses, so route tests run without a mongod:
+ *
+ *   client.db(name).collection(name), db.command({ ping: 1 })
+ *   insertOne, findOne, find().sort().skip().limit().project().toArray(),
+ *   updateOne ($set, $inc, $unset, $setOnInsert, upsert), deleteOne,
+ *   deleteMany, countDocuments, createIndex (unique),
+ *   aggregate([...]).toArray() ($match, $sort, $group, $skip, $limit)
+ *
+ * Filters support equality (ObjectIds and Dates by value) plus
+ * $gt, $gte, $lt, $lte, $ne, $in, $regex and a top-level $or.
+ * Aggregation expressions support field paths, $$ROOT, $toLower,
+ * $concat, $ifNull and $dateTrunc (hour/day, "+HH:MM" timezones); $group supports $first, $last, $sum, $min,
+ * $max and $avg. Unique indexes (and _id) raise an error with code
+ * 11000 like the real driver.
+ */
+
+const { ObjectId } = require('mongodb');
+
+/**
+ * Reads a possibly dotted field path ('main.temp')
+ */
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+/**
+ * Comparable primitive for ObjectIds and Dates
+ */
+const comparable = (value) => {
+  if (value instanceof ObjectId) return value.toHexString();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const isEqual = (a, b) => comparable(a) === comparable(b);
+
+const OPERATORS = {
+  $gt: (value, arg) => value != null && comparable(value) > comparable(arg),
+  $gte: (value, arg) => value != null && comparable(value) >= comparable(arg),
+  $lt: (value, arg) => value != null && comparable(value) < comparable(arg),
+  $lte: (value, arg) => value != null && comparable(value) <= comparable(arg),
+  $ne: (value, arg) => !isEqual(value, arg),
+  $in: (value, arg) => arg.some(item => isEqual(value, item)),
+  $regex: (value, arg) => typeof value === 'string' && new RegExp(arg).test(value)
+};
+
+/**
+ * True when a filter value is an operator object like { $gt: 5 }
+ */
+const isOperatorObject = (condition) => condition !== null && typeof condition === 'object'
+  && !(condition instanceof ObjectId) && !(condition instanceof Date)
+  && Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith('$'));
+
+/**
+ * Tests a document against a filter
+ */
+const matches = (doc, filter = {}) => Object.entries(filter).every(([path, condition]) => {
+  if (path === '$or') return condition.some(branch => matches(doc, branch));
+  const value = getPath(doc, path);
+  if (!isOperatorObject(condition)) return isEqual(value, condition);
+  return Object.entries(condition).every(([operator, arg]) => {
+    if (!OPERATORS[operator]) throw new Error(`fakeDb: unsupported operator ${operator}`);
+    return OPERATORS[operator](value, arg);
+  });
+});
+
+/**
+ * Builds a duplicate key error shaped like the driver's
+ */
+const duplicateKeyError = (collection, fields) => {
+  const error = new Error(`E11000 duplicate key error collection: ${collection} index: ${fields.join('_')}`);
+  error.code = 11000;
+  return error;
+};
+
+/**
+ * Applies an update document ($set, $inc, $unset, $setOnInsert) in place
+ */
+const applyUpdate = (doc, update, inserting) => {
+  Object.entries(update).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([field, arg]) => {
+      if (operator === '$set' || (operator === '$setOnInsert' && inserting)) doc[field] = arg;
+      else if (operator === '$inc') doc[field] = (doc[field] || 0) + arg;
+      else if (operator === '$unset') delete doc[field];
+      else if (operator !== '$setOnInsert') throw new Error(`fakeDb: unsupported update operator ${operator}`);
+    });
+  });
+  return doc;
+};
+
+/**
+ * Sorts documents by a sort spec like { timestamp: -1, _id: 1 }
+ */
+const sortDocs = (docs, spec) => {
+  const keys = Object.entries(spec);
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const left = comparable(getPath(a, path));
+      const right = comparable(getPath(b, path));
+      if (left < right) return -direction;
+      if (left > right) return direction;
+    }
+    return 0;
+  });
+};
+
+// $dateTrunc units
+const UNIT_MS = { hour: 3600 * 1000, day: 24 * 3600 * 1000 };
+
+/**
+ * Truncates a date to the start of its hour/day in a "+HH:MM" timezone
+ */
+const dateTrunc = (date, unit, timezone = '+00:00') => {
+  const [, sign, hours, minutes] = /^([+-])(\d{2}):?(\d{2})$/.exec(timezone) || [];
+  if (!UNIT_MS[unit] || !sign) throw new Error(`fakeDb: unsupported $dateTrunc ${unit} ${timezone}`);
+  const offset = (sign === '-' ? -1 : 1) * (hours * 3600 + minutes * 60) * 1000;
+  const local = date.getTime() + offset;
+  return new Date(local - (((local % UNIT_MS[unit]) + UNIT_MS[unit]) % UNIT_MS[unit]) - offset);
+};
+
+/**
+ * Evaluates an aggregation expression against a document
+ */
+const evaluate = (doc, expression) => {
+  if (expression === '$$ROOT') return doc;
+  if (typeof expression === 'string' && expression.startsWith('$')) return getPath(doc, expression.slice(1));
+  if (expression === null || typeof expression !== 'object' || expression instanceof Date || expression instanceof ObjectId) return expression;
+
+  const [operator] = Object.keys(expression);
+  const arg = expression[operator];
+  switch (operator) {
+    case '$toLower': return String(evaluate(doc, arg) ?? '').toLowerCase();
+    case '$concat': return arg.map(part => evaluate(doc, part)).join('');
+    case '$ifNull': return evaluate(doc, arg[0]) ?? evaluate(doc, arg[1]);
+    case '$dateTrunc': return dateTrunc(evaluate(doc, arg.date), arg.unit, arg.timezone);
+    default:
+      if (!operator.startsWith('$')) {
+        return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(doc, value)]));
+      }
+      throw new Error(`fakeDb: unsupported expression ${operator}`);
+  }
+};
+
+const ACCUMULATORS = {
+  $first: (values) => values[0],
+  $last: (values) => values[values.length - 1],
+  $sum: (values) => values.reduce((total, value) => total + (typeof value === 'number' ? value : 0), 0),
+  $min: (values) => sortDocs(values.filter(value => value != null).map(value => ({ value })), { value: 1 })[0]?.value ?? null,
+  $max: (values) => sortDocs(values.filter(value => value != null).map(value => ({ value })), { value: -1 })[0]?.value ?? null,
+  $avg: (values) => {
+    const numbers = values.filter(value => typeof value === 'number');
+    return numbers.length ? numbers.reduce((total, value) => total + value, 0) / numbers.length : null;
+  }
+};
+
+/**
+ * Runs { _id, field: { $accumulator: expression } } over documents
+ */
+const group = (docs, { _id: key, ...fields }) => {
+  const groups = new Map();
+  docs.forEach(doc => {
+    const id = evaluate(doc, key);
+    const hash = JSON.stringify(id);
+    if (!groups.has(hash)) groups.set(hash, { id, docs: [] });
+    groups.get(hash).docs.push(doc);
+  });
+  return [...groups.values()].map(({ id, docs: members }) => ({
+    _id: id,
+    ...Object.fromEntries(Object.entries(fields).map(([field, accumulator]) => {
+      const [operator] = Object.keys(accumulator);
+      if (!ACCUMULATORS[operator]) throw new Error(`fakeDb: unsupported accumulator ${operator}`);
+      return [field, ACCUMULATORS[operator](members.map(doc => evaluate(doc, accumulator[operator])))];
+    }))
+  }));
+};
+
+const STAGES = {
+  $match: (docs, filter) => docs.filter(doc => matches(doc, filter)),
+  $sort: (docs, spec) => sortDocs(docs, spec),
+  $group: (docs, spec) => group(docs, spec),
+  $skip: (docs, count) => docs.slice(count),
+  $limit: (docs, count) => docs.slice(0, count)
+};
+
+/**
+ * Result of aggregate(); runs the pipeline on toArray()
+ */
+class FakeAggregationCursor {
+  constructor(docs, pipeline) {
+    this.docs = docs;
+    this.pipeline = pipeline;
+  }
+
+  async toArray() {
+    return this.pipeline.reduce((docs, stage) => {
+      const [name] = Object.keys(stage);
+      if (!STAGES[name]) throw new Error(`fakeDb: unsupported stage ${name}`);
+      return STAGES[name](docs, stage[name]);
+    }, this.docs.map(doc => ({ ...doc })));
+  }
+}
+
+/**
+ * Chainable result of find()
+ */
+class FakeCursor {
+  constructor(docs) {
+    this.docs = docs;
+    this.sortSpec = null;
+    this.skipCount = 0;
+    this.limitCount = 0;
+    this.projection = null;
+  }
+
+  sort(spec) { this.sortSpec = spec; return this; }
+  skip(count) { this.skipCount = count; return this; }
+  limit(count) { this.limitCount = count; return this; }
+  project(spec) { this.projection = spec; return this; }
+
+  async toArray() {
+    let docs = this.sortSpec ? sortDocs(this.docs, this.sortSpec) : [...this.docs];
+    docs = docs.slice(this.skipCount, this.limitCount ? this.skipCount + this.limitCount : undefined);
+    if (this.projection) {
+      const included = Object.keys(this.projection).filter(key => this.projection[key]);
+      docs = docs.map(doc => {
+        const projected = Object.fromEntries(included.map(key => [key, doc[key]]));
+        if (this.projection._id !== 0) projected._id = doc._id;
+        return projected;
+      });
+    }
+    return docs.map(doc => ({ ...doc }));
+  }
+}
+
+class FakeCollection {
+  constructor(name) {
+    this.name = name;
+    this.docs = [];
+    this.uniqueIndexes = []; // Arrays of field names
+  }
+
+  /**
+   * Throws 11000 when doc collides with another document on _id or a unique index
+   */
+  assertUnique(doc, ignore) {
+    [['_id'], ...this.uniqueIndexes].forEach(fields => {
+      const clash = this.docs.find(other => other !== ignore
+        && fields.every(field => isEqual(getPath(other, field), getPath(doc, field))));
+      if (clash) throw duplicateKeyError(this.name, fields);
+    });
+  }
+
+  async createIndex(keys, options = {}) {
+    if (options.unique) this.uniqueIndexes.push(Object.keys(keys));
+    return Object.entries(keys).map(([key, direction]) => `${key}_${direction}`).join('_');
+  }
+
+  async insertOne(doc) {
+    const stored = { _id: new ObjectId(), ...doc };
+    this.assertUnique(stored);
+    this.docs.push(stored);
+    doc._id = doc._id || stored._id; // The driver also sets _id on the passed document
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async findOne(filter) {
+    const doc = this.docs.find(candidate => matches(candidate, filter));
+    return doc ? { ...doc } : null;
+  }
+
+  find(filter) {
+    return new FakeCursor(this.docs.filter(doc => matches(doc, filter)));
+  }
+
+  aggregate(pipeline) {
+    return new FakeAggregationCursor(this.docs, pipeline);
+  }
+
+  async countDocuments(filter) {
+    return this.docs.filter(doc => matches(doc, filter)).length;
+  }
+
+  async updateOne(filter, update, { upsert = false } = {}) {
+    const doc = this.docs.find(candidate => matches(candidate, filter));
+    if (doc) {
+      const updated = applyUpdate({ ...doc }, update, false);
+      this.assertUnique(updated, doc);
+      Object.keys(doc).forEach(key => delete doc[key]);
+      Object.assign(doc, updated);
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+    }
+    if (!upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+
+    // Seed the new document with the filter's plain equality fields
+    const seed = Object.fromEntries(Object.entries(filter).filter(([, condition]) => !isOperatorObject(condition)));
+    const { insertedId } = await this.insertOne(applyUpdate(seed, update, true));
+    return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: insertedId };
+  }
+
+  async deleteOne(filter) {
+    const index = this.docs.findIndex(doc => matches(doc, filter));
+    if (index === -1) return { acknowledged: true, deletedCount: 0 };
+    this.docs.splice(index, 1);
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(filter) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter(doc => !matches(doc, filter));
+    return { acknowledged: true, deletedCount: before - this.docs.length };
+  }
+}
+
+class FakeDb {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new FakeCollection(name));
+    return this.collections.get(name);
+  }
+
+  async command(command) {
+    if (command.ping) return { ok: 1 };
+    throw new Error(`fakeDb: unsupported command ${Object.keys(command)[0]}`);
+  }
+}
+
+/**
+ * Drop-in replacement for a connected MongoClient
+ */
+class FakeMongoClient {
+  constructor() {
+    this.databases = new Map();
+  }
+
+  db(name = 'test') {
+    if (!this.databases.has(name)) this.databases.set(name, new FakeDb());
+    return this.databases.get(name);
+  }
+
+  async connect() { return this; }
+  async close() {}
+
+  /**
+   * Drops every collection (call between tests).
+   * Database objects are kept, so code holding client.db(name) sees the empty state.
+   */
+  reset() {
+    this.databases.forEach(db => db.collections.clear());
+  }
+}
+
+module.exports = { FakeMongoClient };
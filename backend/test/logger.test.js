@@ -0,0 +1,111 @@
+/**
+ * ===============================================
+ * LOGGER TESTS - JSON Lines, Redaction, Request IDs
+ * ===============================================
+ * Captures the logger's output by replacing its write() and drives the
+ * app (fake database, stub provider) to check request correlation.
+ */
+
+process.env.WEATHER_PROVIDER = 'stub';
+process.env.RATE_LIMIT_PER_IP = '0';
+process.env.UPSTREAM_DAILY_BUDGET = '0';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createServer } = require('node:http');
+const logger = require('../utils/logger');
+const { Logger } = require('../utils/logger');
+const http = require('../providers/http');
+const { createApp } = require('../server');
+const database = require('../config/db');
+const cache = require('../cache');
+const { FakeMongoClient } = require('./helpers/fakeDb');
+
+const dbClient = new FakeMongoClient();
+const originalWrite = logger.write;
+let lines;
+let server;
+let baseUrl;
+
+before(async () => {
+  await database.connect({ client: dbClient });
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  logger.write = originalWrite;
+  await new Promise(resolve => server.close(resolve));
+  await database.disconnect();
+  delete process.env.LOG_LEVEL;
+});
+
+beforeEach(async () => {
+  lines = [];
+  logger.write = (line) => lines.push(JSON.parse(line));
+  process.env.LOG_LEVEL = 'debug';
+  await cache.clear();
+});
+
+test('writes one JSON object per line, filtered by LOG_LEVEL', () => {
+  const written = [];
+  const local = new Logger({ write: (line, level) => written.push({ line: JSON.parse(line), level }) });
+
+  process.env.LOG_LEVEL = 'warn';
+  local.info('hidden');
+  local.warn('shown', { city: 'Pune' });
+  local.child({ component: 'cache' }).error('child line');
+
+  assert.equal(written.length, 2);
+  assert.deepEqual([written[0].line.level, written[0].line.msg, written[0].line.city], ['warn', 'shown', 'Pune']);
+  assert.equal(written[1].line.component, 'cache');
+  assert.ok(!Number.isNaN(Date.parse(written[0].line.time)));
+
+  process.env.LOG_LEVEL = 'silent';
+  local.error('nothing');
+  assert.equal(written.length, 2);
+});
+
+test('redacts API keys from logged URLs and errors', () => {
+  const error = new Error('GET https://api.example.com/weather?q=Pune&appid=abc123 failed');
+  logger.warn('Upstream failed', { url: 'https://api.example.com/weather?appid=abc123&q=Pune', error });
+
+  const [line] = lines;
+  assert.equal(line.url, 'https://api.example.com/weather?appid=[REDACTED]&q=Pune');
+  assert.equal(line.error.message, 'GET https://api.example.com/weather?q=Pune&appid=[REDACTED] failed');
+  assert.doesNotMatch(JSON.stringify(lines), /abc123/);
+});
+
+test('upstream requests are logged with the appid redacted', async () => {
+  const upstream = createServer((req, res) => res.end('{}')).listen(0);
+  await new Promise(resolve => upstream.once('listening', resolve));
+  try {
+    await http.get(`http://127.0.0.1:${upstream.address().port}/weather`, { params: { q: 'Pune', appid: 'secret-key' } });
+  } finally {
+    await new Promise(resolve => upstream.close(resolve));
+  }
+
+  const line = lines.find(entry => entry.msg === 'Upstream request');
+  assert.match(line.url, /\/weather\?q=Pune&appid=\[REDACTED\]$/);
+  assert.equal(line.status, 200);
+  assert.doesNotMatch(JSON.stringify(lines), /secret-key/);
+});
+
+test('request ID is returned, logged on every line and in the error envelope', async () => {
+  const response = await fetch(`${baseUrl}/api/weather/Atlantis`, { headers: { 'X-Request-Id': 'trace-42' } });
+  const body = await response.json();
+
+  assert.equal(response.headers.get('x-request-id'), 'trace-42');
+  assert.equal(body.requestId, 'trace-42');
+  assert.ok(lines.length >= 2);
+  assert.ok(lines.every(line => line.requestId === 'trace-42'));
+
+  const completed = lines.find(line => line.msg === 'Request completed');
+  assert.deepEqual([completed.route, completed.status], ['/api/weather/:city', 404]);
+});
+
+test('malformed incoming request IDs are replaced', async () => {
+  const response = await fetch(`${baseUrl}/api/test`, { headers: { 'X-Request-Id': 'bad id\twith spaces' } });
+  assert.match(response.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+});
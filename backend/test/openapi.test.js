@@ -0,0 +1,65 @@
+/**
+ * ===============================================
+ * OPENAPI SPEC TESTS - Spec Matches the Routers
+ * ===============================================
+ * Fails when a route registered by createWeatherRoutes(),
+ * createAuthRoutes() or createHealthRoutes() has no operation in docs/openapi.js.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const spec = require('../docs/openapi');
+const createWeatherRoutes = require('../routes/weather');
+const createAuthRoutes = require('../routes/auth');
+const createHealthRoutes = require('../routes/health');
+
+/**
+ * Lists "METHOD /path" for every route on a router, in OpenAPI path syntax
+ * @param {Function} router - Express router
+ * @param {string} prefix - Mount path, e.g. '/api/weather'
+ */
+const listRoutes = (router, prefix) => router.stack
+  .filter(layer => layer.route)
+  .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+    method,
+    path: prefix + layer.route.path.replace(/:(\w+)/g, '{$1}')
+  })));
+
+test('every weather route is documented', () => {
+  const missing = listRoutes(createWeatherRoutes(), '/api/weather')
+    .filter(({ method, path }) => !spec.paths[path]?.[method])
+    .map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+  assert.deepEqual(missing, [], `Missing from docs/openapi.js: ${missing.join(', ')}`);
+});
+
+test('every auth route is documented', () => {
+  const missing = listRoutes(createAuthRoutes(), '/api/auth')
+    .filter(({ method, path }) => !spec.paths[path]?.[method])
+    .map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+  assert.deepEqual(missing, [], `Missing from docs/openapi.js: ${missing.join(', ')}`);
+});
+
+test('every health route is documented', () => {
+  const missing = listRoutes(createHealthRoutes(), '')
+    .filter(({ method, path }) => !spec.paths[path]?.[method])
+    .map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+  assert.deepEqual(missing, [], `Missing from docs/openapi.js: ${missing.join(', ')}`);
+});
+
+test('path parameters are declared for every templated path', () => {
+  Object.entries(spec.paths).forEach(([path, operations]) => {
+    const names = [...path.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+    Object.entries(operations).forEach(([method, operation]) => {
+      const declared = (operation.parameters || []).filter(p => p.in === 'path').map(p => p.name);
+      assert.deepEqual(declared.sort(), [...names].sort(), `${method.toUpperCase()} ${path}`);
+    });
+  });
+});
+
+test('every $ref points at a defined schema', () => {
+  const refs = JSON.stringify(spec).match(/#\/components\/schemas\/\w+/g) || [];
+  refs.forEach(target => {
+    const name = target.split('/').pop();
+    assert.ok(spec.components.schemas[name], `Undefined schema ${name}`);
+  });
+});
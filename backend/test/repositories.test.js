@@ -0,0 +1,107 @@
+/**
+ * ===============================================
+ * REPOSITORY TESTS - Data Access on a Fake Database
+ * ===============================================
+ * Exercises repositories directly on config/db.js connected to the
+ * in-memory MongoClient stand-in (helpers/fakeDb.js).
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error'; // Keep connect/disconnect logs out of the test output
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const database = require('../config/db');
+const {
+  createIndexes, favoritesRepository, historyRepository, usersRepository, upstreamUsageRepository
+} = require('../repositories');
+const { FakeMongoClient } = require('./helpers/fakeDb');
+
+const dbClient = new FakeMongoClient();
+
+// Same name on every reconnect, as loadConfig() would give
+const connect = () => database.connect({ client: dbClient, mongodbDbName: 'weatherdb_test' });
+
+before(connect);
+
+after(async () => {
+  await database.disconnect();
+});
+
+beforeEach(async () => {
+  dbClient.reset();
+  await createIndexes();
+});
+
+test('uses the configured database name (MONGODB_DB_NAME)', async () => {
+  await usersRepository.insert({ username: 'alice' });
+  assert.equal(await dbClient.db('weatherdb_test').collection('users').countDocuments({}), 1);
+  assert.equal(await dbClient.db('weatherdb').collection('users').countDocuments({}), 0);
+});
+
+test('repositories throw before the database is connected', async () => {
+  await database.disconnect();
+  try {
+    assert.throws(() => historyRepository.collection, /Database not connected/);
+  } finally {
+    await connect();
+  }
+});
+
+test('history lists newest first and clears per user', async () => {
+  const alice = new ObjectId();
+  const bob = new ObjectId();
+  await historyRepository.add(alice, { city: 'London', timestamp: new Date('2024-01-01') });
+  await historyRepository.add(alice, { city: 'Tokyo', timestamp: new Date('2024-01-03') });
+  await historyRepository.add(alice, { city: 'Mumbai', timestamp: new Date('2024-01-02') });
+  await historyRepository.add(bob, { city: 'Karad', timestamp: new Date('2024-01-04') });
+
+  const recent = await historyRepository.list(alice, { limit: 2 });
+  assert.deepEqual(recent.map(item => item.city), ['Tokyo', 'Mumbai']);
+
+  assert.equal(await historyRepository.clear({ userId: alice, dryRun: true }), 3);
+  assert.equal(await historyRepository.clear({ userId: alice }), 3);
+  assert.equal((await historyRepository.list(bob)).length, 1);
+});
+
+test('history pages past items sharing a timestamp and collapses repeats', async () => {
+  const user = new ObjectId();
+  const at = new Date('2024-01-01T12:00:00Z');
+  for (const city of ['Pune', 'pune', 'Pune', 'Goa']) {
+    await historyRepository.add(user, { city, country: 'IN', timestamp: at });
+  }
+
+  const first = await historyRepository.list(user, { limit: 3 });
+  const last = first[first.length - 1];
+  const rest = await historyRepository.list(user, { limit: 3, after: { timestamp: last.timestamp, id: last._id.toString() } });
+  assert.equal(rest.length, 1);
+  assert.equal(new Set([...first, ...rest].map(item => item._id.toString())).size, 4);
+
+  const collapsed = await historyRepository.listCollapsed(user);
+  assert.deepEqual(collapsed.map(entry => [entry.key, entry.count]), [['goa||IN', 1], ['pune||IN', 3]]);
+
+  assert.equal(await historyRepository.removeForUser(collapsed[1]._id, user, { repeats: true }), 3);
+  assert.equal((await historyRepository.list(user)).length, 1);
+});
+
+test('favorites are only visible to their owner', async () => {
+  const owner = new ObjectId();
+  const id = await favoritesRepository.insert(owner, { city: 'London' });
+
+  assert.ok(await favoritesRepository.findDuplicate(owner, { city: 'London' }));
+  assert.equal(await favoritesRepository.findByIdForUser(id.toString(), new ObjectId()), null);
+  assert.equal(await favoritesRepository.removeForUser(id.toString(), new ObjectId()), false);
+  assert.equal(await favoritesRepository.removeForUser(id.toString(), owner), true);
+});
+
+test('usernames are unique', async () => {
+  await usersRepository.insert({ username: 'alice' });
+  await assert.rejects(usersRepository.insert({ username: 'alice' }), { code: 11000 });
+});
+
+test('upstream usage stops counting at the budget', async () => {
+  assert.equal(await upstreamUsageRepository.increment('2024-01-01', 2), true);
+  assert.equal(await upstreamUsageRepository.increment('2024-01-01', 2), true);
+  assert.equal(await upstreamUsageRepository.increment('2024-01-01', 2), false);
+  assert.equal(await upstreamUsageRepository.calls('2024-01-01'), 2);
+});
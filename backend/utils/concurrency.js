@@ -0,0 +1,40 @@
+/**
+ * ===============================================
+ * CONCURRENCY HELPERS
+ * ===============================================
+ * Runs async work over a list with a cap on parallel calls,
+ * so batch jobs don't flood the weather provider.
+ */
+
+/**
+ * Maps items through an async function, at most `limit` at a time.
+ * Never rejects: each result is { status: 'fulfilled', value } or
+ * { status: 'rejected', reason }, in the same order as the input
+ * (like Promise.allSettled).
+ *
+ * @param {Array} items - Input items
+ * @param {number} limit - Maximum number of concurrent calls (>= 1)
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Settled results in input order
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+};
+
+module.exports = { mapWithConcurrency };
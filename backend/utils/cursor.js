@@ -0,0 +1,35 @@
+/**
+ * ===============================================
+ * PAGE CURSORS - Opaque "Continue After" Tokens
+ * ===============================================
+ * Lists sorted newest first hand out a cursor pointing at the last item
+ * of a page; the next request passes it back as ?cursor= and gets the
+ * items after it. Unlike ?page=, new items arriving in between don't
+ * shift the pages.
+ *
+ * A cursor is base64url JSON of the last item's sort keys:
+ *   { t: timestamp in ms, id: tie-breaker (document ID or group key) }
+ */
+
+/**
+ * @param {Date} timestamp - Sort time of the last item on the page
+ * @param {string} id - Tie-breaker for items with the same time
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (timestamp, id) => Buffer.from(JSON.stringify({ t: timestamp.getTime(), id: String(id) })).toString('base64url');
+
+/**
+ * @param {string} cursor - Value from encodeCursor()
+ * @returns {{ timestamp: Date, id: string }|null} null when the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Number.isFinite(t) || typeof id !== 'string' || !id) return null;
+    return { timestamp: new Date(t), id };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { encodeCursor, decodeCursor };
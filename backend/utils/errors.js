@@ -0,0 +1,134 @@
+/**
+ * ===============================================
+ * API ERRORS - One Error Envelope for Every Route
+ * ===============================================
+ * Every failed request is answered with the same JSON shape:
+ *
+ *   {
+ *     "success": false,
+ *     "code": "VALIDATION_FAILED",        // machine-readable, see ERROR_CODES
+ *     "error": "lat must be between -90 and 90", // human-readable message
+ *     "details": [ ... ],                 // optional, e.g. per-field problems
+ *     "requestId": "6f1c..."              // same as the X-Request-Id header
+ *   }
+ *
+ * Clients should branch on `code`; `error` is for logs and fallbacks.
+ * Quote `requestId` when reporting a problem: it finds the request's log lines.
+ */
+
+const metrics = require('./metrics'); // api_errors_total per code
+const logger = require('./logger'); // Structured logs
+
+/**
+ * Error codes with their HTTP status and default message
+ */
+const ERROR_CODES = {
+  VALIDATION_FAILED: { status: 400, message: 'Invalid request' },
+  AUTH_REQUIRED: { status: 401, message: 'Login required' },
+  INVALID_CREDENTIALS: { status: 401, message: 'Invalid username or password' },
+  FORBIDDEN: { status: 403, message: 'Admin access required' },
+  NOT_FOUND: { status: 404, message: 'Resource not found' },
+  CITY_NOT_FOUND: { status: 404, message: 'City not found' },
+  ALREADY_EXISTS: { status: 409, message: 'Already exists' },
+  RATE_LIMITED: { status: 429, message: 'Too many requests. Slow down' },
+  PROVIDER_AUTH_FAILED: { status: 401, message: 'Invalid API key' },
+  PROVIDER_RATE_LIMITED: { status: 429, message: 'Too many requests. Try again later' },
+  PROVIDER_ERROR: { status: 502, message: 'Weather provider error' },
+  PROVIDER_UNAVAILABLE: { status: 503, message: 'Weather provider unreachable' },
+  UPSTREAM_BUDGET_EXHAUSTED: { status: 503, message: 'Daily weather lookup budget used up and no cached data available' },
+  INTERNAL_ERROR: { status: 500, message: 'Server Error' }
+};
+
+/**
+ * Error that carries an API error code; thrown from anywhere and
+ * turned into the envelope by handleError()
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} code - Key of ERROR_CODES
+   * @param {string} [message] - Overrides the code's default message
+   * @param {*} [details] - Extra machine-readable context
+   */
+  constructor(code, message, details) {
+    super(message || (ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR).message);
+    this.name = 'ApiError';
+    this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+    this.status = ERROR_CODES[this.code].status;
+    this.details = details;
+  }
+}
+
+/**
+ * Sends the error envelope
+ * @param {Object} res - Express response
+ * @param {string} code - Key of ERROR_CODES
+ * @param {string} [message] - Overrides the code's default message
+ * @param {*} [details] - Extra machine-readable context
+ */
+const sendError = (res, code, message, details) => {
+  const error = new ApiError(code, message, details);
+  metrics.apiErrors.inc({ code: error.code });
+  const body = { success: false, code: error.code, error: error.message };
+  if (details !== undefined) body.details = details;
+  if (res.req?.id) body.requestId = res.req.id;
+  return res.status(error.status).json(body);
+};
+
+/**
+ * Maps ApiErrors, malformed JSON bodies, weather provider errors
+ * (axios-style error.response) and anything else to an ApiError.
+ * Used by handleError() and by batch endpoints that report errors per item.
+ * @param {Error} error - Caught error
+ * @returns {ApiError} With retryAfter (seconds) when the provider sent one
+ */
+const toApiError = (error) => {
+  if (error instanceof ApiError) {
+    logger.debug('Request rejected', { code: error.code, error });
+    return error;
+  }
+
+  // express.json() could not parse the body
+  if (error.type === 'entity.parse.failed') {
+    return new ApiError('VALIDATION_FAILED', 'Malformed JSON body');
+  }
+
+  // Upstream weather provider answered with an error status
+  if (error.response) {
+    const statusCode = error.response.status;
+    logger.debug('Weather provider returned an error', { error });
+
+    if (statusCode === 401) return new ApiError('PROVIDER_AUTH_FAILED');
+    if (statusCode === 404) return new ApiError('CITY_NOT_FOUND');
+    if (statusCode === 429) {
+      const rateLimited = new ApiError('PROVIDER_RATE_LIMITED');
+      rateLimited.retryAfter = error.response.headers?.['retry-after'];
+      return rateLimited;
+    }
+
+    return new ApiError('PROVIDER_ERROR', error.response.data?.message || error.message);
+  }
+
+  // Request was sent but the provider never answered (DNS, timeout, ...)
+  if (error.request) {
+    logger.debug('Weather provider unreachable', { error });
+    return new ApiError('PROVIDER_UNAVAILABLE');
+  }
+
+  // Generic server error
+  logger.error('Unexpected error', { error });
+  return new ApiError('INTERNAL_ERROR', 'Server Error: ' + (error.message || 'Unknown error'));
+};
+
+/**
+ * Centralized error handler for controllers
+ * Sends the envelope for any caught error (see toApiError())
+ * @param {Object} res - Express response
+ * @param {Error} error - Caught error
+ */
+const handleError = (res, error) => {
+  const apiError = toApiError(error);
+  if (apiError.retryAfter) res.set('Retry-After', String(apiError.retryAfter));
+  return sendError(res, apiError.code, apiError.message, apiError.details);
+};
+
+module.exports = { ERROR_CODES, ApiError, sendError, handleError, toApiError };
@@ -0,0 +1,130 @@
+/**
+ * ===============================================
+ * LOGGER - Structured JSON Logs with Request IDs
+ * ===============================================
+ * Writes one JSON object per line:
+ *
+ *   {"time":"2024-01-01T12:00:00.000Z","level":"info","msg":"Request completed",
+ *    "requestId":"6f1c...","method":"GET","path":"/api/weather/Mumbai","status":200}
+ *
+ * CONFIGURATION (.env):
+ *   LOG_LEVEL - error | warn | info (default) | debug | silent
+ *
+ * Code running inside a request (controllers, cache, providers) logs the
+ * request's ID without passing it around: middleware/requestLogger.js runs
+ * the rest of the request in runWithContext().
+ *
+ * Secrets in query strings (appid, api keys, tokens) are redacted from
+ * every logged string, so upstream URLs can be logged as they are.
+ *
+ * NOTE: The logger is exported as a singleton, like utils/metrics.js.
+ */
+
+const { AsyncLocalStorage } = require('node:async_hooks');
+
+// Lower number = more severe; a message is written when its level <= LOG_LEVEL
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Query parameters whose values never reach the logs
+const SECRET_PARAMS = /([?&](?:appid|api_?key|key|token|access_token|password)=)[^&#\s"]*/gi;
+
+/**
+ * Replaces secret query parameter values with [REDACTED]
+ * @param {string} text - URL or any string that may contain one
+ * @returns {string} e.g. '/data/2.5/weather?q=Pune&appid=[REDACTED]'
+ */
+const redact = (text) => String(text).replace(SECRET_PARAMS, '$1[REDACTED]');
+
+/**
+ * Makes a field value safe to log: errors become plain objects,
+ * strings are redacted
+ */
+const serialize = (value, level) => {
+  if (value instanceof Error) {
+    const error = { name: value.name, message: redact(value.message) };
+    if (value.code !== undefined) error.code = value.code;
+    if (value.response?.status) error.status = value.response.status;
+    if (level === 'error' && value.stack) error.stack = redact(value.stack);
+    return error;
+  }
+  if (typeof value === 'string') return redact(value);
+  return value;
+};
+
+class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.write] - Receives (line, level); defaults to stdout (stderr for warn/error)
+   * @param {Object} [options.bindings] - Fields added to every line (see child())
+   */
+  constructor({ write, bindings = {} } = {}) {
+    this.write = write || ((line, level) => {
+      (LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+    });
+    this.bindings = bindings;
+    this.context = new AsyncLocalStorage();
+  }
+
+  /**
+   * Current level from LOG_LEVEL (read on every call so tests can change it)
+   */
+  get level() {
+    const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+    return level === 'silent' || LEVELS[level] !== undefined ? level : 'info';
+  }
+
+  /**
+   * Whether a message at this level would be written
+   * @param {string} level
+   */
+  isEnabled(level) {
+    return this.level !== 'silent' && LEVELS[level] <= LEVELS[this.level];
+  }
+
+  /**
+   * Writes one log line
+   * @param {string} level - error | warn | info | debug
+   * @param {string} msg - Human-readable message
+   * @param {Object} [fields] - Extra structured fields
+   */
+  log(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const entry = { time: new Date().toISOString(), level, msg: redact(msg), ...this.bindings, ...this.context.getStore() };
+    Object.entries(fields).forEach(([name, value]) => {
+      if (value !== undefined) entry[name] = serialize(value, level);
+    });
+    this.write(JSON.stringify(entry), level);
+  }
+
+  error(msg, fields) { this.log('error', msg, fields); }
+  warn(msg, fields) { this.log('warn', msg, fields); }
+  info(msg, fields) { this.log('info', msg, fields); }
+  debug(msg, fields) { this.log('debug', msg, fields); }
+
+  /**
+   * Logger that adds fixed fields to every line, e.g. logger.child({ component: 'cache' })
+   * Writes through its parent (so replacing the parent's write() covers it)
+   * and shares the parent's request context.
+   * @param {Object} bindings
+   */
+  child(bindings) {
+    const child = new Logger({ write: (...args) => this.write(...args), bindings: { ...this.bindings, ...bindings } });
+    child.context = this.context;
+    return child;
+  }
+
+  /**
+   * Runs fn with fields (e.g. { requestId }) added to every line logged
+   * from it, including from async work it starts
+   * @param {Object} fields
+   * @param {Function} fn
+   */
+  runWithContext(fields, fn) {
+    return this.context.run(fields, fn);
+  }
+}
+
+module.exports = new Logger();
+module.exports.Logger = Logger;
+module.exports.redact = redact;
@@ -0,0 +1,232 @@
+/**
+ * ===============================================
+ * METRICS - Prometheus Counters and Histograms
+ * ===============================================
+ * In-process metrics rendered in the Prometheus text exposition
+ * format by GET /metrics:
+ *
+ *   http_requests_total{method,route,status}          - API requests answered
+ *   http_request_duration_seconds{method,route}       - API latency histogram
+ *   api_errors_total{code}                             - error envelopes sent, per code
+ *   upstream_requests_total{provider,method,outcome}   - weather provider calls (success/error)
+ *   upstream_errors_total{provider,method,status}      - failed provider calls per HTTP status
+ *   upstream_request_duration_seconds{provider,method} - provider latency histogram
+ *   cache_lookups_total{endpoint,result}               - response cache hits and misses
+ *                                                        (stale = misses answered with expired data)
+ *   cache_hit_ratio                                    - hits / (hits + misses)
+ *   upstream_calls_today, upstream_budget_remaining    - gauges (registered by providers/quota.js)
+ *   process_uptime_seconds                             - gauge
+ *
+ * Counters live in memory and reset on restart (Prometheus handles that).
+ *
+ * NOTE: The registry is exported as a singleton, like config/db.js.
+ */
+
+// Latency buckets in seconds (Prometheus client defaults)
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escapes a label value for the exposition format
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Renders a label set, e.g. {method="GET",status="200"} (empty string when there are none)
+ * @param {Object} labels - Label name -> value
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * Base class: one metric name with values per label set
+ */
+class Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - HELP text
+   * @param {string[]} [labelNames] - Allowed labels, in output order
+   */
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // serialized labels -> { labels, ...values }
+  }
+
+  /**
+   * Returns the series for a label set, creating it on first use
+   */
+  seriesFor(labels = {}, create) {
+    const picked = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) this.series.set(key, { labels: picked, ...create() });
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Counter extends Metric {
+  /**
+   * Adds to the counter
+   * @param {Object} [labels]
+   * @param {number} [value]
+   */
+  inc(labels, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  /**
+   * Sum of all series whose labels match the given subset
+   * @param {Object} [labels]
+   */
+  total(labels = {}) {
+    let sum = 0;
+    this.series.forEach(series => {
+      if (Object.entries(labels).every(([name, value]) => series.labels[name] === value)) sum += series.value;
+    });
+    return sum;
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} counter`,
+      ...[...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${series.value}`)
+    ];
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @param {number[]} [buckets] - Upper bounds in ascending order
+   */
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * Records one observation
+   * @param {Object} labels
+   * @param {number} value - e.g. seconds
+   */
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * Starts a timer; call the returned function to observe the elapsed seconds
+   * @param {Object} labels
+   */
+  startTimer(labels) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    this.series.forEach(series => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    });
+    return lines;
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {Function} collect - (Async) function returning the current value
+   */
+  constructor(name, help, collect) {
+    super(name, help);
+    this.collect = collect;
+  }
+
+  async render() {
+    // A failing source (e.g. database down) must not break the whole scrape
+    const value = await Promise.resolve().then(this.collect).catch(() => NaN);
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} gauge`,
+      `${this.name} ${Number.isFinite(value) ? value : 'NaN'}`
+    ];
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+
+    this.httpRequests = this.register(new Counter('http_requests_total',
+      'API requests answered', ['method', 'route', 'status']));
+    this.httpDuration = this.register(new Histogram('http_request_duration_seconds',
+      'API request latency in seconds', ['method', 'route']));
+    this.apiErrors = this.register(new Counter('api_errors_total',
+      'Error envelopes sent, by error code', ['code']));
+    this.upstreamRequests = this.register(new Counter('upstream_requests_total',
+      'Weather provider calls', ['provider', 'method', 'outcome']));
+    this.upstreamErrors = this.register(new Counter('upstream_errors_total',
+      'Failed weather provider calls by HTTP status (none = no response)', ['provider', 'method', 'status']));
+    this.upstreamDuration = this.register(new Histogram('upstream_request_duration_seconds',
+      'Weather provider latency in seconds', ['provider', 'method']));
+    this.cacheLookups = this.register(new Counter('cache_lookups_total',
+      'Response cache lookups by result (hit, miss; stale = miss answered with expired data)', ['endpoint', 'result']));
+
+    this.register(new Gauge('cache_hit_ratio', 'Share of cache lookups answered from the cache', () => {
+      const hits = this.cacheLookups.total({ result: 'hit' });
+      const misses = this.cacheLookups.total({ result: 'miss' });
+      return hits + misses ? hits / (hits + misses) : 0;
+    }));
+    this.register(new Gauge('process_uptime_seconds', 'Seconds since the server started', () => process.uptime()));
+  }
+
+  /**
+   * Adds a metric to the /metrics output
+   * @param {Metric} metric
+   * @returns {Metric} The same metric
+   */
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Renders every metric in the Prometheus text format
+   * @returns {Promise<string>}
+   */
+  async render() {
+    const blocks = await Promise.all(this.metrics.map(metric => metric.render()));
+    return blocks.flat().join('\n') + '\n';
+  }
+
+  /**
+   * Clears all recorded values (tests)
+   */
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+}
+
+module.exports = new MetricsRegistry();
+module.exports.Counter = Counter;
+module.exports.Histogram = Histogram;
+module.exports.Gauge = Gauge;
@@ -0,0 +1,129 @@
+/**
+ * ===============================================
+ * UNITS - Measurement Conversion
+ * ===============================================
+ * The backend stores and caches everything in canonical SI-style units:
+ *   temperature °C, wind speed m/s, pressure hPa, precipitation mm
+ * and converts only when formatting responses.
+ *
+ * Temperature, wind speed and pressure units are chosen independently:
+ *   ?units=metric|imperial        (temperature, default metric)
+ *   ?wind=ms|kmh|mph|kn           (default: ms for metric, mph for imperial)
+ *   ?pressure=hpa|inhg            (default: hpa)
+ */
+
+// Temperature systems and their display symbols
+const TEMPERATURE_UNITS = {
+  metric: '°C',
+  imperial: '°F'
+};
+
+// Wind speed units: factor from m/s and display label
+const WIND_UNITS = {
+  ms: { factor: 1, label: 'm/s' },
+  kmh: { factor: 3.6, label: 'km/h' },
+  mph: { factor: 2.236936, label: 'mph' },
+  kn: { factor: 1.943844, label: 'kn' }
+};
+
+// Pressure units: factor from hPa, display label and decimals shown
+const PRESSURE_UNITS = {
+  hpa: { factor: 1, label: 'hPa', decimals: 0 },
+  inhg: { factor: 0.0295300, label: 'inHg', decimals: 2 }
+};
+
+/**
+ * Rounds to a number of decimals
+ */
+const round = (value, decimals = 0) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Resolves a units selection from a string or a partial object.
+ * 'metric' / 'imperial' strings are accepted for backwards compatibility.
+ * @param {string|Object} units - 'metric', 'imperial' or { temperature, wind, pressure }
+ * @returns {Object} { temperature, wind, pressure } with defaults filled in
+ */
+const resolveUnits = (units = 'metric') => {
+  const selection = typeof units === 'string' ? { temperature: units } : { ...units };
+  const temperature = TEMPERATURE_UNITS[selection.temperature] ? selection.temperature : 'metric';
+  const wind = WIND_UNITS[selection.wind] ? selection.wind : (temperature === 'imperial' ? 'mph' : 'ms');
+  const pressure = PRESSURE_UNITS[selection.pressure] ? selection.pressure : 'hpa';
+  return { temperature, wind, pressure };
+};
+
+/**
+ * Reads the units selection from a request query string
+ * @param {Object} query - req.query ({ units, wind, pressure })
+ * @returns {Object} Resolved { temperature, wind, pressure }
+ */
+const parseUnitsQuery = (query = {}) => resolveUnits({
+  temperature: query.units,
+  wind: query.wind,
+  pressure: query.pressure
+});
+
+/**
+ * Converts a temperature from °C
+ * @param {number} celsius - Temperature in °C
+ * @param {string} system - 'metric' or 'imperial'
+ * @returns {number} Unrounded temperature in the requested system
+ */
+const convertTemperature = (celsius, system = 'metric') =>
+  (system === 'imperial' ? celsius * 9 / 5 + 32 : celsius);
+
+/**
+ * Converts a wind speed from m/s (one decimal)
+ * @param {number} ms - Wind speed in m/s
+ * @param {string} unit - Key of WIND_UNITS
+ */
+const convertWind = (ms, unit = 'ms') => round(ms * (WIND_UNITS[unit] || WIND_UNITS.ms).factor, 1);
+
+/**
+ * Converts a pressure from hPa (0 decimals for hPa, 2 for inHg)
+ * @param {number} hpa - Pressure in hPa
+ * @param {string} unit - Key of PRESSURE_UNITS
+ */
+const convertPressure = (hpa, unit = 'hpa') => {
+  const { factor, decimals } = PRESSURE_UNITS[unit] || PRESSURE_UNITS.hpa;
+  return round(hpa * factor, decimals);
+};
+
+/**
+ * Converts a visibility distance from metres (one decimal):
+ * kilometres for metric, miles for imperial
+ * @param {number} meters - Distance in metres
+ * @param {string} system - 'metric' or 'imperial'
+ */
+const convertDistance = (meters, system = 'metric') =>
+  round(system === 'imperial' ? meters / 1609.344 : meters / 1000, 1);
+
+/**
+ * Converts a rain/snow amount from millimetres, following the temperature
+ * system: mm (one decimal) for metric, inches (two decimals) for imperial
+ * @param {number} mm - Amount in mm
+ * @param {string} system - 'metric' or 'imperial'
+ */
+const convertPrecipitation = (mm, system = 'metric') =>
+  (system === 'imperial' ? round(mm / 25.4, 2) : round(mm, 1));
+
+/**
+ * Display labels for a resolved selection
+ * @param {Object} units - Output of resolveUnits()
+ * @returns {Object} { temperature: '°C', wind: 'km/h', pressure: 'hPa', distance: 'km', precipitation: 'mm' }
+ */
+const unitLabels = (units) => ({
+  temperature: TEMPERATURE_UNITS[units.temperature],
+  wind: WIND_UNITS[units.wind].label,
+  pressure: PRESSURE_UNITS[units.pressure].label,
+  distance: units.temperature === 'imperial' ? 'mi' : 'km',
+  precipitation: units.temperature === 'imperial' ? 'in' : 'mm'
+});
+
+module.exports = {
+  TEMPERATURE_UNITS, WIND_UNITS, PRESSURE_UNITS,
+  resolveUnits, parseUnitsQuery, unitLabels,
+  convertTemperature, convertWind, convertPressure, convertDistance, convertPrecipitation
+};
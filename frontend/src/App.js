@@ -6,26 +6,58 @@
  * Handles state management, API calls, and component rendering.
  * 
  * FEATURES:
- * ✓ Search weather by city name
- * ✓ Get weather by GPS location
+ * ✓ Search weather by city name, with autocomplete to pick the right place
+ * ✓ Get weather by GPS location (named by reverse geocoding), pinned as "My Location"
  * ✓ View current weather details (temp, humidity, wind, pressure)
+ * ✓ Air quality (AQI category, pollutants, health guidance)
  * ✓ 5-day weather forecast
+ * ✓ Hourly temperature & precipitation chart
+ * ✓ Past week of observed weather for the city (from stored searches)
+ * ✓ Side-by-side comparison of several places (warmest, wettest, windiest)
  * ✓ Save and manage favorite cities
- * ✓ Search history tracking (last 10 searches)
- * ✓ Temperature unit conversion (°C / °F)
+ * ✓ Search history with a city filter, grouped repeats, per-item delete and infinite scroll
+ * ✓ Unit selection: °C / °F, wind speed and pressure units chosen independently
  * ✓ Dark/Light theme toggle
+ * ✓ User accounts (per-user favorites/history) with an anonymous browser-only mode
+ * ✓ Threshold alerts for favorite cities with browser notifications
+ * ✓ Errors explained by backend error code in a dismissible notice (no alert() popups)
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 
 // ========== COMPONENT IMPORTS ==========
 import SearchForm from './components/SearchForm';      // City search and geolocation input
 import WeatherDisplay from './components/WeatherDisplay'; // Current weather card display
+import AirQualityCard from './components/AirQualityCard'; // AQI and pollutants next to the weather
 import HistoryList from './components/HistoryList';    // Search history list
 import FavoritesList from './components/FavoritesList'; // Favorite cities list
 import ForecastList from './components/ForeCastList';  // 5-day forecast display
+import ForecastChart from './components/ForecastChart'; // Hourly temperature/precipitation chart
+import PastWeek from './components/PastWeek';          // Observed weather over the last 7 days
+import Comparison from './components/Comparison';      // Several places side by side
+import AuthPanel from './components/AuthPanel';        // Login / logout controls
+import AlertsPanel from './components/AlertsPanel';    // Alert rules and triggered alerts
+import Notice from './components/Notice';              // Error / confirmation banner
+import {
+  AUTH_KEY, LOCAL_FAVORITES_KEY, LOCAL_HISTORY_KEY, LOCAL_HISTORY_LIMIT, NOTIFIED_ALERTS_KEY, UNITS_KEY,
+  MY_LOCATION_KEY, loadLocal, saveLocal
+} from './utils/storage'; // localStorage helpers for sessions and anonymous mode
+import {
+  DEFAULT_UNITS, WIND_UNIT_OPTIONS, PRESSURE_UNIT_OPTIONS,
+  unitsQuery, temperatureSymbol, convertTemperature
+} from './utils/units'; // Unit preferences sent to the backend
+import { hasCoords, placeQuery, coordsParams, weatherPath, isSamePlace } from './utils/location'; // Lookups by coordinates
+import { filterHistory, historyKey } from './utils/history'; // Filter/group for browser-only history
+import { getDevicePosition } from './utils/geolocation'; // Device position for "My Location"
+import { ERROR_MESSAGES, errorMessage } from './utils/errors'; // Backend error codes → messages
+import {
+  notificationsSupported, requestNotificationPermission, showAlertNotification
+} from './utils/notifications'; // Browser notifications for alerts
 import './App.css'; // Application stylesheet
 
+// How often to poll the backend for new alerts (ms)
+const ALERT_POLL_INTERVAL = 60 * 1000;
+
 /**
  * ========== MAIN APP COMPONENT ==========
  */
@@ -35,45 +67,121 @@ function App() {
   // Current weather data from API
   const [weatherData, setWeatherData] = useState(null);
   
-  // 5-day forecast data
+  // Air quality for the displayed place (null until loaded)
+  const [airQuality, setAirQuality] = useState(null);
+  
+  // 5-day forecast data (one summary per local day)
   const [forecast, setForecast] = useState([]);
   
-  // User's search history (last 10 searches)
+  // Raw 3-hour forecast timeline for the hourly view
+  const [hourlyForecast, setHourlyForecast] = useState([]);
+  
+  // Observed daily summaries of the last 7 days (null until loaded)
+  const [pastWeek, setPastWeek] = useState(null);
+
+  // Last side-by-side comparison (null until places are compared)
+  const [comparison, setComparison] = useState(null);
+  const [comparing, setComparing] = useState(false);
+  
+  // User's search history (loaded pages, newest first)
   const [history, setHistory] = useState([]);
   
+  // History list options { city, collapse } and the cursor of the next page (null = no more)
+  const [historyFilter, setHistoryFilter] = useState({ city: '', collapse: true });
+  const [historyCursor, setHistoryCursor] = useState(null);
+  
+  // True while the next history page is loading
+  const [historyLoading, setHistoryLoading] = useState(false);
+  
   // User's favorite cities list
   const [favorites, setFavorites] = useState([]);
   
+  // Last weather seen at the device position (pinned "My Location" favorite)
+  const [myLocation, setMyLocation] = useState(() => loadLocal(MY_LOCATION_KEY, null));
+  
   // Loading state for API calls
   const [loading, setLoading] = useState(false);
   
+  // Banner message { id, type, text } shown instead of alert() popups
+  const [notice, setNotice] = useState(null);
+  
+  // Unit preferences { temperature, wind, pressure } (remembered in this browser)
+  const [unitPrefs, setUnitPrefs] = useState(() => ({ ...DEFAULT_UNITS, ...loadLocal(UNITS_KEY, {}) }));
+  
   // Temperature units: 'metric' (°C) or 'imperial' (°F)
-  const [units, setUnits] = useState('metric');
+  const units = unitPrefs.temperature;
   
   // Theme: 'light' or 'dark' mode
   const [theme, setTheme] = useState('light');
   
-  // Backend API URL from .env file
-  const API_URL = process.env.REACT_APP_API_URL;
+  // Logged-in session { token, user } or null for anonymous mode
+  const [auth, setAuth] = useState(() => loadLocal(AUTH_KEY, null));
+  
+  // Triggered alerts and alert rules (logged-in users only)
+  const [alerts, setAlerts] = useState([]);
+  const [alertRules, setAlertRules] = useState([]);
+  
+  // Browser notification permission ('unsupported' when unavailable)
+  const [notificationPermission, setNotificationPermission] = useState(
+    () => (notificationsSupported() ? Notification.permission : 'unsupported')
+  );
+  
+  // IDs of alerts already shown as notifications (survives reloads)
+  const notifiedAlerts = useRef(new Set(loadLocal(NOTIFIED_ALERTS_KEY, [])));
+  
+  // Backend API URL from .env file (same origin when the backend serves this build)
+  const API_URL = process.env.REACT_APP_API_URL || '/api';
+
+  /**
+   * ========== NOTICES ==========
+   * notify() shows a banner; type is 'error', 'success' or 'info'
+   */
+  const notify = useCallback((text, type = 'info') => setNotice({ id: Date.now(), type, text }), []);
+  const dismissNotice = useCallback(() => setNotice(null), []);
+
+  /**
+   * ========== AUTHENTICATED FETCH ==========
+   * fetch() wrapper that adds the session token when logged in
+   * Drops the session if the backend reports it expired (401 AUTH_REQUIRED;
+   * a 401 PROVIDER_AUTH_FAILED is the server's API key, not the session)
+   * Memoized per session so the alert polling effect only restarts on login/logout
+   */
+  const authFetch = useCallback(async (path, options = {}) => {
+    const headers = { ...options.headers };
+    if (auth) {
+      headers.Authorization = `Bearer ${auth.token}`;
+    }
+    const res = await fetch(`${API_URL}${path}`, { ...options, headers });
+    if (res.status === 401 && auth) {
+      const data = await res.clone().json().catch(() => ({}));
+      if (data.code === 'AUTH_REQUIRED') {
+        saveLocal(AUTH_KEY, null);
+        setAuth(null);
+        notify('👤 Your session expired. Please log in again', 'info');
+      }
+    }
+    return res;
+  }, [API_URL, auth, notify]);
 
   /**
    * ========== INITIALIZATION (useEffect) ==========
-   * Runs when component mounts and when theme changes
+   * Runs when component mounts, when theme changes and on login/logout
    * Loads initial data and applies theme styling
    */
   useEffect(() => {
-    // Fetch initial search history and favorites when component loads
+    // Fetch search history and favorites for the current user (or this browser)
     fetchHistory();
     fetchFavorites();
     // Apply theme class to body element for global styling
     document.body.className = theme;
-  }, [theme]); // Re-run when theme changes
+  }, [theme, auth, unitPrefs]); // Re-run when theme, session or units change
 
   /**
    * ========== FETCH WEATHER DATA ==========
    * Main weather fetch function
    * Supports city name searches and geolocation queries
    * Automatically converts units based on user preference
+   * @returns {Promise<Object|null>} The weather shown, or null on errors
    */
   const fetchWeather = async (query) => {
     setLoading(true);
@@ -83,76 +191,363 @@ function App() {
       let endpoint;
       if (query.includes('current')) {
         // Geolocation query: current?lat=X&lon=Y
-        endpoint = `/weather/${query}&units=${units}`;
+        endpoint = `/weather/${query}&${unitsQuery(unitPrefs)}`;
       } else {
         // City name query
-        endpoint = `/weather/${query}?units=${units}`;
+        endpoint = `/weather/${query}?${unitsQuery(unitPrefs)}`;
       }
       
       // Make API request to backend
-      const res = await fetch(`${API_URL}${endpoint}`);
+      const res = await authFetch(endpoint);
       const data = await res.json();
       
       // Handle successful response
       if (data.success) {
-        setWeatherData(data.data);
-        fetchHistory(); // Update history list after new search
+        // Keep cache metadata alongside the weather so the card can show data age
+        setWeatherData({ ...data.data, cache: data.cache });
+        if (auth) {
+          fetchHistory(); // Backend saved the search; refresh the list
+        } else {
+          addLocalHistory(data.data); // Anonymous mode: remember it in this browser
+        }
         
-        // Auto-fetch 5-day forecast for city searches
+        // Auto-fetch 5-day forecast, air quality and the past week for city searches
         if (data.data.city) {
-          fetchForecast(data.data.city);
+          fetchForecast(data.data);
+          fetchAirQuality(data.data);
+          fetchPastWeek(data.data);
         }
-      } else {
-        alert(data.error || 'Failed to fetch weather');
+        return data.data;
       }
+      notify(errorMessage(data, 'Failed to fetch weather'), 'error');
     } catch (err) {
       console.error('Weather fetch error:', err);
-      alert('Network error. Check backend on port 5000');
+      notify(ERROR_MESSAGES.NETWORK_ERROR, 'error');
     } finally {
       setLoading(false);
     }
+    return null;
+  };
+
+  /**
+   * ========== MY LOCATION ==========
+   * Re-resolves the device position every time and shows its weather
+   * The result is remembered for the pinned "My Location" favorite card
+   */
+  const openMyLocation = async () => {
+    let position;
+    try {
+      position = await getDevicePosition();
+    } catch (error) {
+      notify(error.message, 'error');
+      return;
+    }
+
+    const weather = await fetchWeather(`current?lat=${position.lat}&lon=${position.lon}`);
+    if (weather) {
+      const snapshot = {
+        city: weather.city,
+        locality: weather.locality,
+        temperature: weather.temperature,
+        units,
+        description: weather.description,
+        iconUrl: weather.iconUrl,
+        lastUpdated: new Date().toISOString()
+      };
+      saveLocal(MY_LOCATION_KEY, snapshot);
+      setMyLocation(snapshot);
+    }
+  };
+
+  /**
+   * Looks up a place chosen from the autocomplete by its coordinates
+   * @param {Object} place - { name, state, country, lat, lon }
+   */
+  const selectLocation = (place) => {
+    fetchWeather(placeQuery(place));
+  };
+
+  /**
+   * Autocomplete suggestions for the search box
+   * Memoized so the SearchForm debounce effect doesn't restart on every render
+   * @returns {Promise<Array>} Candidate places (empty on errors)
+   */
+  const fetchSuggestions = useCallback(async (query) => {
+    try {
+      const res = await fetch(`${API_URL}/weather/geocode?q=${encodeURIComponent(query)}`);
+      const data = await res.json();
+      return data.success ? data.results : [];
+    } catch (err) {
+      console.error('Suggestions error:', err);
+      return [];
+    }
+  }, [API_URL]);
+
+  /**
+   * Re-fetches the displayed place in the current units
+   * Uses a plain fetch so the reload is not recorded as a new search
+   * @param {Object} place - The displayed weather ({ city, lat, lon, ... })
+   * @param {Object} [prefs] - Units to load in (defaults to the current ones)
+   */
+  const reloadWeather = async (place, prefs = unitPrefs) => {
+    try {
+      const res = await fetch(`${API_URL}${weatherPath(place, unitsQuery(prefs))}`);
+      const data = await res.json();
+      if (data.success) {
+        setWeatherData({ ...data.data, cache: data.cache });
+        fetchForecast(data.data, prefs);
+        fetchPastWeek(data.data, prefs);
+      }
+    } catch (err) {
+      console.error('Weather reload error:', err);
+    }
+  };
+
+  /**
+   * Updates one or more unit preferences and remembers them, then reloads
+   * the displayed city (and the comparison) so every value uses the new units
+   * @param {Object} changes - e.g. { wind: 'kmh' }
+   */
+  const updateUnits = (changes) => {
+    const next = { ...unitPrefs, ...changes };
+    saveLocal(UNITS_KEY, next);
+    setUnitPrefs(next);
+    if (weatherData?.city) {
+      reloadWeather(weatherData, next);
+    }
+    if (comparison) {
+      comparePlaces(comparison.places.map(place => place.query), next);
+    }
   };
 
   /**
    * ========== FETCH 5-DAY FORECAST ==========
-   * Gets weather forecast for the next 5 days
+   * Gets the daily summary and the 3-hour timeline for the next 5 days
    * Called automatically after successful city search
+   * @param {Object} place - Weather data ({ city, lat, lon }); coordinates win when present
+   * @param {Object} [prefs] - Units to load in (defaults to the current ones)
    */
-  const fetchForecast = async (city) => {
+  const fetchForecast = async (place, prefs = unitPrefs) => {
+    const city = encodeURIComponent(place.city);
+    const query = `${unitsQuery(prefs)}${coordsParams(place)}`;
     try {
-      const res = await fetch(`${API_URL}/weather/forecast/${city}?units=${units}`);
+      const [dailyRes, hourlyRes] = await Promise.all([
+        fetch(`${API_URL}/weather/forecast/${city}?${query}`),
+        fetch(`${API_URL}/weather/forecast/${city}/hourly?${query}`)
+      ]);
+      const [daily, hourly] = await Promise.all([dailyRes.json(), hourlyRes.json()]);
+      if (daily.success) {
+        setForecast(daily.forecast);
+      }
+      if (hourly.success) {
+        setHourlyForecast(hourly.hourly);
+      }
+    } catch (err) {
+      console.error('Forecast error:', err);
+    }
+  };
+
+  /**
+   * ========== FETCH PAST WEEK ==========
+   * Loads daily summaries of the observations stored for the city
+   * over the last 7 days (from everyone's searches)
+   * @param {Object} place - Weather data ({ city, state?, country? })
+   * @param {Object} [prefs] - Units to load in (defaults to the current ones)
+   */
+  const fetchPastWeek = async (place, prefs = unitPrefs) => {
+    setPastWeek(null);
+    try {
+      // State and country keep same-named places apart
+      const where = ['state', 'country']
+        .filter(field => place[field])
+        .map(field => `&${field}=${encodeURIComponent(place[field])}`)
+        .join('');
+      const res = await fetch(`${API_URL}/weather/${encodeURIComponent(place.city)}/timeline?bucket=day${where}&${unitsQuery(prefs)}`);
       const data = await res.json();
       if (data.success) {
-        setForecast(data.forecast);
+        setPastWeek(data);
       }
     } catch (err) {
-      console.error('Forecast error:', err);
+      console.error('Past week error:', err);
+    }
+  };
+
+  /**
+   * ========== COMPARE PLACES ==========
+   * Loads current weather and forecasts of several places in one call
+   * @param {Array} places - [{ city } or { lat, lon, name, state, country }, ...]
+   * @param {Object} [prefs] - Units to load in (defaults to the current ones)
+   */
+  const comparePlaces = async (places, prefs = unitPrefs) => {
+    setComparing(true);
+    try {
+      const res = await fetch(`${API_URL}/weather/compare?${unitsQuery(prefs)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ places })
+      });
+      const data = await res.json();
+      if (data.success) {
+        setComparison(data);
+      } else {
+        notify(errorMessage(data, 'Could not compare these places'), 'error');
+      }
+    } catch (err) {
+      console.error('Comparison error:', err);
+      notify(ERROR_MESSAGES.NETWORK_ERROR, 'error');
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  /**
+   * ========== FETCH AIR QUALITY ==========
+   * Loads AQI and pollutants for the displayed place (by coordinates when known)
+   * @param {Object} place - Weather data ({ city, lat, lon })
+   */
+  const fetchAirQuality = async (place) => {
+    setAirQuality(null);
+    const query = hasCoords(place)
+      ? `lat=${place.lat}&lon=${place.lon}&city=${encodeURIComponent(place.city)}`
+      : `city=${encodeURIComponent(place.city)}`;
+    try {
+      const res = await fetch(`${API_URL}/weather/air-quality?${query}`);
+      const data = await res.json();
+      if (data.success) {
+        setAirQuality(data.data);
+      }
+    } catch (err) {
+      console.error('Air quality error:', err);
     }
   };
 
   /**
    * ========== SEARCH HISTORY MANAGEMENT ==========
-   * Fetches all previous searches from backend
+   * Fetches previous searches from backend (logged in)
+   * or from localStorage (anonymous mode)
+   * @param {Object} [filter] - { city, collapse } (default: the current filter)
+   * @param {string} [cursor] - Load the page after this cursor and append it
    */
-  const fetchHistory = async () => {
+  const fetchHistory = async (filter = historyFilter, cursor = null) => {
+    if (!auth) {
+      // Local entries remember the units they were saved in
+      const items = loadLocal(LOCAL_HISTORY_KEY, []).map(item => (
+        item.units && item.units !== units
+          ? { ...item, temperature: `${convertTemperature(item.temperatureValue, item.units, units)}${temperatureSymbol(units)}` }
+          : item
+      ));
+      setHistory(filterHistory(items, filter));
+      setHistoryCursor(null);
+      return;
+    }
     try {
-      const res = await fetch(`${API_URL}/weather/history?units=${units}`);
+      const params = new URLSearchParams({ limit: '20' });
+      if (filter.city.trim()) params.set('city', filter.city.trim());
+      if (filter.collapse) params.set('collapse', 'true');
+      if (cursor) params.set('cursor', cursor);
+
+      const res = await authFetch(`/weather/history?${params}&${unitsQuery(unitPrefs)}`);
       const data = await res.json();
       if (data.success) {
-        setHistory(data.history);
+        setHistory(previous => (cursor ? [...previous, ...data.history] : data.history));
+        setHistoryCursor(data.nextCursor);
       }
     } catch (error) {
       console.error('History fetch failed:', error);
     }
   };
 
+  /**
+   * Loads the next history page (infinite scroll)
+   */
+  const loadMoreHistory = async () => {
+    if (!historyCursor || historyLoading) return;
+    setHistoryLoading(true);
+    await fetchHistory(historyFilter, historyCursor);
+    setHistoryLoading(false);
+  };
+
+  /**
+   * Applies a new history filter and reloads from the first page
+   * @param {Object} filter - { city, collapse }
+   */
+  const changeHistoryFilter = (filter) => {
+    setHistoryFilter(filter);
+    fetchHistory(filter);
+  };
+
+  /**
+   * Deletes one history entry (a grouped entry deletes every search of that place)
+   * @param {Object} item - History item ({ id, count? })
+   */
+  const deleteHistoryItem = async (item) => {
+    const repeats = item.count > 1;
+    if (!auth) {
+      const stored = loadLocal(LOCAL_HISTORY_KEY, []);
+      const next = stored.filter(entry => (repeats
+        ? historyKey(entry) !== historyKey(item)
+        : entry.id !== item.id));
+      saveLocal(LOCAL_HISTORY_KEY, next);
+      fetchHistory();
+      return;
+    }
+    try {
+      const res = await authFetch(`/weather/history/${item.id}${repeats ? '?repeats=true' : ''}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!data.success) {
+        notify(errorMessage(data, 'Failed to delete history item'), 'error');
+        return;
+      }
+      // Drop it from the loaded pages instead of reloading them all
+      setHistory(previous => previous.filter(entry => entry.id !== item.id));
+    } catch (error) {
+      console.error('History delete failed:', error);
+      notify(ERROR_MESSAGES.NETWORK_ERROR, 'error');
+    }
+  };
+
+  /**
+   * Records a search in the browser-only history (anonymous mode)
+   * Uses the same item shape as the backend history endpoint
+   */
+  const addLocalHistory = (weather) => {
+    const item = {
+      id: `local-${Date.now()}`,
+      city: weather.city,
+      state: weather.state,
+      country: weather.country,
+      lat: weather.lat,
+      lon: weather.lon,
+      temperature: `${weather.temperature}${temperatureSymbol(units)}`,
+      temperatureValue: weather.temperature,
+      units,
+      description: weather.description,
+      iconUrl: weather.iconUrl,
+      time: new Date().toLocaleString('en-IN', {
+        hour: '2-digit', minute: '2-digit', day: 'numeric', month: 'short'
+      })
+    };
+    const next = [item, ...loadLocal(LOCAL_HISTORY_KEY, [])].slice(0, LOCAL_HISTORY_LIMIT);
+    saveLocal(LOCAL_HISTORY_KEY, next);
+    setHistory(filterHistory(next, historyFilter));
+  };
+
   /**
    * ========== FAVORITES MANAGEMENT ==========
-   * Fetches all favorite cities from backend
+   * Fetches favorite cities from backend (logged in)
+   * or from localStorage (anonymous mode)
    */
   const fetchFavorites = async () => {
+    if (!auth) {
+      // Local snapshots remember the units they were saved in
+      setFavorites(loadLocal(LOCAL_FAVORITES_KEY, []).map(favorite => ({
+        ...favorite,
+        temperature: convertTemperature(favorite.temperature, favorite.units || units, units)
+      })));
+      return;
+    }
     try {
-      const res = await fetch(`${API_URL}/weather/favorites?units=${units}`);
+      const res = await authFetch(`/weather/favorites?${unitsQuery(unitPrefs)}`);
       const data = await res.json();
       if (data.success) {
         setFavorites(data.favorites || []);
@@ -162,66 +557,399 @@ function App() {
     }
   };
 
+  // The favorite for the displayed place, if it is one (drives the heart toggle)
+  const currentFavorite = weatherData ? favorites.find(favorite => isSamePlace(favorite, weatherData)) : null;
+
   /**
    * TOGGLE FAVORITE
-   * Adds or removes a city from user's favorites
-   * Makes POST request to backend with city name
+   * Removes the displayed place if it is already a favorite, otherwise adds it
+   * Logged in: POST to backend. Anonymous: snapshot the current weather locally
    */
-  const toggleFavorite = async (city) => {
+  const toggleFavorite = async () => {
+    const city = weatherData.city;
+    if (currentFavorite) {
+      if (await handleFavoriteRemove(currentFavorite.id)) {
+        notify(`${currentFavorite.label || city} removed from favorites`, 'success');
+      }
+      return;
+    }
+    // Places chosen from suggestions are saved with their coordinates
+    const place = hasCoords(weatherData)
+      ? { city, state: weatherData.state, country: weatherData.country, lat: weatherData.lat, lon: weatherData.lon }
+      : { city };
+    if (!auth) {
+      const saved = loadLocal(LOCAL_FAVORITES_KEY, []);
+      if (saved.some(f => isSamePlace(f, place))) {
+        notify('Already in favorites', 'info');
+        return;
+      }
+      const next = [...saved, {
+        id: `local-${Date.now()}`,
+        ...place,
+        temperature: weatherData.temperature,
+        units,
+        description: weatherData.description,
+        iconUrl: weatherData.iconUrl,
+        lastUpdated: new Date().toISOString()
+      }];
+      saveLocal(LOCAL_FAVORITES_KEY, next);
+      fetchFavorites(); // Re-reads and converts to the current units
+      notify(`${city} added to favorites!`, 'success');
+      return;
+    }
     try {
-      const res = await fetch(`${API_URL}/weather/favorites`, {
+      const res = await authFetch('/weather/favorites', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ city })
+        body: JSON.stringify(place)
       });
       const data = await res.json();
       
       if (data.success) {
         fetchFavorites(); // Refresh favorites list
-        alert(data.message || `${city} added to favorites!`);
+        notify(data.message || `${city} added to favorites!`, 'success');
       } else {
-        alert(data.error || 'Failed to toggle favorite');
+        // ALREADY_EXISTS keeps the backend's "Already in favorites"
+        notify(errorMessage(data, 'Failed to toggle favorite'), data.code === 'ALREADY_EXISTS' ? 'info' : 'error');
       }
     } catch (error) {
       console.error('Favorite toggle failed:', error);
-      alert('Failed to update favorites');
+      notify(ERROR_MESSAGES.NETWORK_ERROR, 'error');
+    }
+  };
+
+  /**
+   * EDIT FAVORITE
+   * Saves a custom label, notes and tags ({ label, notes, tags })
+   * @returns {Promise<boolean>} true when saved
+   */
+  const updateFavorite = async (favoriteId, changes) => {
+    if (!auth) {
+      const tags = [...new Set((changes.tags || []).map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+      const next = loadLocal(LOCAL_FAVORITES_KEY, []).map(f => (f.id === favoriteId
+        ? { ...f, label: changes.label?.trim() || undefined, notes: changes.notes?.trim() || undefined, tags }
+        : f));
+      saveLocal(LOCAL_FAVORITES_KEY, next);
+      fetchFavorites();
+      return true;
+    }
+    try {
+      const res = await authFetch(`/weather/favorites/${favoriteId}?${unitsQuery(unitPrefs)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      const data = await res.json();
+      if (!data.success) {
+        notify(errorMessage(data, 'Failed to update favorite'), 'error');
+        return false;
+      }
+      setFavorites(current => current.map(f => (f.id === favoriteId ? data.favorite : f)));
+      return true;
+    } catch (error) {
+      console.error('Favorite update failed:', error);
+      notify(ERROR_MESSAGES.NETWORK_ERROR, 'error');
+      return false;
+    }
+  };
+
+  /**
+   * REORDER FAVORITES
+   * Shows the new order right away, then saves it (backend or localStorage)
+   * @param {string[]} ids - Every favorite ID in the new order
+   */
+  const reorderFavorites = async (ids) => {
+    const position = (f) => ids.indexOf(f.id);
+    setFavorites(current => [...current].sort((a, b) => position(a) - position(b)));
+    if (!auth) {
+      saveLocal(LOCAL_FAVORITES_KEY, [...loadLocal(LOCAL_FAVORITES_KEY, [])].sort((a, b) => position(a) - position(b)));
+      return;
+    }
+    try {
+      const res = await authFetch('/weather/favorites/order', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids })
+      });
+      const data = await res.json();
+      if (!data.success) {
+        notify(errorMessage(data, 'Failed to save the order'), 'error');
+        fetchFavorites(); // Back to the saved order
+      }
+    } catch (error) {
+      console.error('Favorite reorder failed:', error);
+      notify(ERROR_MESSAGES.NETWORK_ERROR, 'error');
+      fetchFavorites();
+    }
+  };
+
+  /**
+   * REFRESH ALL FAVORITES
+   * Logged in: backend re-fetches every snapshot
+   * Anonymous: re-fetch each city's weather and update the local copies
+   */
+  const refreshFavorites = async () => {
+    try {
+      if (auth) {
+        await authFetch('/weather/favorites/refresh', { method: 'POST' });
+        await fetchFavorites();
+        return;
+      }
+      const saved = loadLocal(LOCAL_FAVORITES_KEY, []);
+      const next = await Promise.all(saved.map(async (favorite) => {
+        try {
+          const res = await fetch(`${API_URL}${weatherPath(favorite, unitsQuery(unitPrefs))}`);
+          const data = await res.json();
+          if (!data.success) return favorite;
+          return {
+            ...favorite,
+            temperature: data.data.temperature,
+            units,
+            description: data.data.description,
+            iconUrl: data.data.iconUrl,
+            lastUpdated: new Date().toISOString()
+          };
+        } catch (error) {
+          return favorite; // Keep the old snapshot if one city fails
+        }
+      }));
+      saveLocal(LOCAL_FAVORITES_KEY, next);
+      fetchFavorites(); // Re-reads and converts to the current units
+    } catch (error) {
+      console.error('Favorites refresh failed:', error);
     }
   };
 
   /**
    * CLEAR HISTORY
-   * Deletes all search history records
-   * Calls backend DELETE endpoint
+   * Deletes the user's search history records
+   * Calls backend DELETE endpoint (or clears localStorage when anonymous)
    */
   const clearHistory = async () => {
+    if (!auth) {
+      saveLocal(LOCAL_HISTORY_KEY, null);
+      setHistory([]);
+      return;
+    }
     try {
-      await fetch(`${API_URL}/weather/history`, { method: 'DELETE' });
+      await authFetch('/weather/history', { method: 'DELETE' });
       setHistory([]);
-      alert('History cleared!');
+      setHistoryCursor(null);
+      notify('History cleared!', 'success');
     } catch (error) {
       console.error('Clear history failed:', error);
     }
   };
 
+  /**
+   * ========== ACCOUNT MANAGEMENT ==========
+   */
+
+  /**
+   * Logs in or registers, then stores the session token
+   * @param {string} mode - 'login' or 'register'
+   * @returns {Promise<string|null>} Error message for the form, or null on success
+   */
+  const handleLogin = async (mode, username, password) => {
+    try {
+      const res = await fetch(`${API_URL}/auth/${mode}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      });
+      const data = await res.json();
+      if (!data.success) {
+        return errorMessage(data, 'Login failed');
+      }
+      const session = { token: data.token, user: data.user };
+      saveLocal(AUTH_KEY, session);
+      setAuth(session);
+      return null;
+    } catch (error) {
+      console.error('Login failed:', error);
+      return ERROR_MESSAGES.NETWORK_ERROR;
+    }
+  };
+
+  /**
+   * Ends the session on the backend and returns to anonymous mode
+   */
+  const handleLogout = async () => {
+    try {
+      await authFetch('/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Logout failed:', error);
+    }
+    saveLocal(AUTH_KEY, null);
+    setAuth(null);
+  };
+
+  /**
+   * ========== ALERTS MANAGEMENT ==========
+   */
+
+  /**
+   * Fetches triggered alerts and shows a notification for each new unread one
+   */
+  const fetchAlerts = useCallback(async () => {
+    try {
+      const res = await authFetch('/weather/alerts');
+      const data = await res.json();
+      if (!data.success) return;
+
+      setAlerts(data.alerts);
+      const fresh = data.alerts.filter(a => !a.read && !notifiedAlerts.current.has(a.id));
+      fresh.forEach(alert => {
+        notifiedAlerts.current.add(alert.id);
+        showAlertNotification(alert);
+      });
+      if (fresh.length > 0) {
+        // Keep the most recent IDs only
+        saveLocal(NOTIFIED_ALERTS_KEY, Array.from(notifiedAlerts.current).slice(-100));
+      }
+    } catch (error) {
+      console.error('Alerts fetch failed:', error);
+    }
+  }, [authFetch]);
+
+  /**
+   * Fetches the user's alert rules
+   */
+  const fetchAlertRules = useCallback(async () => {
+    try {
+      const res = await authFetch('/weather/alerts/rules');
+      const data = await res.json();
+      if (data.success) {
+        setAlertRules(data.rules);
+      }
+    } catch (error) {
+      console.error('Alert rules fetch failed:', error);
+    }
+  }, [authFetch]);
+
+  /**
+   * ========== ALERT POLLING (useEffect) ==========
+   * While logged in, loads rules once and checks for new alerts every minute
+   */
+  useEffect(() => {
+    if (!auth) {
+      setAlerts([]);
+      setAlertRules([]);
+      return undefined;
+    }
+    fetchAlerts();
+    fetchAlertRules();
+    const timer = setInterval(fetchAlerts, ALERT_POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [auth, fetchAlerts, fetchAlertRules]); // Restart polling on login/logout
+
+  /**
+   * Creates a rule on a favorite
+   * @returns {Promise<string|null>} Error message for the form, or null on success
+   */
+  const createAlertRule = async (favoriteId, rule) => {
+    try {
+      const res = await authFetch(`/weather/favorites/${favoriteId}/rules`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(rule)
+      });
+      const data = await res.json();
+      if (!data.success) return errorMessage(data, 'Failed to add rule');
+      fetchAlertRules();
+      return null;
+    } catch (error) {
+      console.error('Create rule failed:', error);
+      return 'Failed to add rule';
+    }
+  };
+
+  /**
+   * Deletes a rule
+   */
+  const deleteAlertRule = async (ruleId) => {
+    try {
+      await authFetch(`/weather/alerts/rules/${ruleId}`, { method: 'DELETE' });
+      fetchAlertRules();
+    } catch (error) {
+      console.error('Delete rule failed:', error);
+    }
+  };
+
+  /**
+   * Marks an alert as read
+   */
+  const markAlertRead = async (alertId) => {
+    try {
+      await authFetch(`/weather/alerts/${alertId}/read`, { method: 'POST' });
+      setAlerts(current => current.map(a => (a.id === alertId ? { ...a, read: true } : a)));
+    } catch (error) {
+      console.error('Mark alert read failed:', error);
+    }
+  };
+
+  /**
+   * Clears all alerts
+   */
+  const clearAlerts = async () => {
+    try {
+      await authFetch('/weather/alerts', { method: 'DELETE' });
+      setAlerts([]);
+    } catch (error) {
+      console.error('Clear alerts failed:', error);
+    }
+  };
+
+  /**
+   * Asks for notification permission (triggered by a button click)
+   */
+  const enableNotifications = async () => {
+    setNotificationPermission(await requestNotificationPermission());
+  };
+
   /**
    * ========== CLICK HANDLERS ==========
    */
   
   /**
    * Handle city click from history or favorites
-   * Converts different input formats to city name
+   * Entries with coordinates are looked up by coordinates, others by name
    */
   const handleCityClick = (cityOrItem) => {
+    if (typeof cityOrItem !== 'string' && hasCoords(cityOrItem)) {
+      fetchWeather(placeQuery(cityOrItem));
+      return;
+    }
     const city = typeof cityOrItem === 'string' ? cityOrItem : cityOrItem.city;
     fetchWeather(city);
   };
 
   /**
    * Handle removing a favorite
-   * Refreshes favorites list after deletion
+   * Deletes it (backend or localStorage) and refreshes the list
+   * @returns {Promise<boolean>} true when the favorite was removed
    */
-  const handleFavoriteRemove = (favoriteId) => {
-    fetchFavorites();
+  const handleFavoriteRemove = async (favoriteId) => {
+    if (!auth) {
+      const next = loadLocal(LOCAL_FAVORITES_KEY, []).filter(f => f.id !== favoriteId);
+      saveLocal(LOCAL_FAVORITES_KEY, next);
+      fetchFavorites(); // Re-reads and converts to the current units
+      return true;
+    }
+    try {
+      const res = await authFetch(`/weather/favorites/${favoriteId}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!data.success) {
+        notify(errorMessage(data, 'Failed to remove favorite'), 'error');
+        return false;
+      }
+      fetchFavorites();
+      return true;
+    } catch (error) {
+      console.error('Favorite remove failed:', error);
+      notify(ERROR_MESSAGES.NETWORK_ERROR, 'error');
+      return false;
+    }
   };
 
   /**
@@ -234,12 +962,28 @@ function App() {
         <h1>🌤️ Ultimate Weather App</h1>
         <div className="controls">
           <button 
-            onClick={() => setUnits(units === 'metric' ? 'imperial' : 'metric')}
+            onClick={() => updateUnits({ temperature: units === 'metric' ? 'imperial' : 'metric' })}
             className="unit-btn"
             title="Toggle °C / °F"
           >
             {units === 'metric' ? '°F' : '°C'}
           </button>
+          <select
+            className="unit-select"
+            value={unitPrefs.wind}
+            onChange={(e) => updateUnits({ wind: e.target.value })}
+            title="Wind speed unit"
+          >
+            {WIND_UNIT_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+          <select
+            className="unit-select"
+            value={unitPrefs.pressure}
+            onChange={(e) => updateUnits({ pressure: e.target.value })}
+            title="Pressure unit"
+          >
+            {PRESSURE_UNIT_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
           <button 
             onClick={() => setTheme(theme === 'light' ? 'dark' : 'light')}
             className="theme-btn"
@@ -248,12 +992,20 @@ function App() {
             {theme === 'light' ? '🌙' : '☀️'}
           </button>
         </div>
+        {/* 👤 Login / logout (anonymous mode when logged out) */}
+        <AuthPanel user={auth?.user} onLogin={handleLogin} onLogout={handleLogout} />
       </header>
 
       <main className="main-content">
+        {/* ⚠️ Errors and confirmations */}
+        <Notice notice={notice} onDismiss={dismissNotice} />
+
         {/* 🔥 Search + Geolocation */}
         <SearchForm 
           onSearch={fetchWeather} 
+          onSelectLocation={selectLocation}
+          onLocate={openMyLocation}
+          fetchSuggestions={fetchSuggestions}
           loading={loading}
           currentCity={weatherData?.city}
           units={units}
@@ -261,33 +1013,79 @@ function App() {
         
         {/* 🌤️ Current Weather */}
         {weatherData && (
-          <>
-            <WeatherDisplay data={weatherData} />
-            <button 
-              className="fav-btn" 
-              onClick={() => toggleFavorite(weatherData.city)}
-            >
-              ❤️ Add to Favorites
-            </button>
-          </>
+          <div className="current-conditions">
+            <WeatherDisplay
+              data={weatherData}
+              isFavorite={Boolean(currentFavorite)}
+              onToggleFavorite={toggleFavorite}
+            />
+            {/* 🌫️ Air Quality */}
+            {airQuality && <AirQualityCard data={airQuality} />}
+          </div>
         )}
 
         {/* 📅 5-Day Forecast */}
         {forecast.length > 0 && (
-          <ForecastList forecast={forecast} />
+          <ForecastList forecast={forecast} hourly={hourlyForecast} units={units} />
+        )}
+
+        {/* 📈 Hourly Forecast Chart */}
+        {hourlyForecast.length > 1 && (
+          <ForecastChart hourly={hourlyForecast} units={units} theme={theme} />
         )}
+
+        {/* 🗓️ Observed Past Week */}
+        {weatherData && <PastWeek timeline={pastWeek} />}
+
+        {/* ⚖️ Side-by-side Comparison */}
+        <Comparison
+          favorites={favorites}
+          currentPlace={weatherData}
+          comparison={comparison}
+          loading={comparing}
+          onCompare={comparePlaces}
+        />
         
         {/* ⭐ Favorites Section */}
         <FavoritesList 
           favorites={favorites}
+          myLocation={myLocation && {
+            ...myLocation,
+            temperature: convertTemperature(myLocation.temperature, myLocation.units, units)
+          }}
+          onMyLocationClick={openMyLocation}
           units={units}
           onCityClick={handleCityClick}
-          onToggleFavorite={handleFavoriteRemove} // Refresh after remove
+          onToggleFavorite={handleFavoriteRemove} // Deletes and refreshes
+          onUpdate={updateFavorite}
+          onReorder={reorderFavorites}
+          onRefreshAll={refreshFavorites}
+        />
+
+        {/* 🔔 Alerts */}
+        <AlertsPanel
+          loggedIn={Boolean(auth)}
+          favorites={favorites}
+          alerts={alerts}
+          rules={alertRules}
+          units={units}
+          notificationPermission={notificationPermission}
+          onEnableNotifications={enableNotifications}
+          onCreateRule={createAlertRule}
+          onDeleteRule={deleteAlertRule}
+          onMarkRead={markAlertRead}
+          onClear={clearAlerts}
         />
 
         {/* 📜 Search History */}
         <HistoryList 
           history={history} 
+          filter={historyFilter}
+          hasMore={Boolean(historyCursor)}
+          loadingMore={historyLoading}
+          onFilterChange={changeHistoryFilter}
+          onLoadMore={loadMoreHistory}
+          onDelete={deleteHistoryItem}
           onClear={clearHistory}
           onCityClick={handleCityClick}
         />
@@ -1,8 +1,11 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+beforeEach(() => localStorage.clear());
+
+test('renders the app in anonymous mode from browser storage', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: /ultimate weather app/i })).toBeInTheDocument();
+  expect(screen.getByText(/no favorite cities yet/i)).toBeInTheDocument();
+  expect(screen.getByText(/log in to get alerts/i)).toBeInTheDocument();
 });
@@ -0,0 +1,60 @@
+/**
+ * ===============================================
+ * AirQualityCard Component
+ * ===============================================
+ * Shows air quality next to the current weather
+ *
+ * DISPLAYS:
+ * ✓ AQI category with a colour-coded badge (Good → Very Poor)
+ * ✓ Health guidance for that level
+ * ✓ PM2.5, PM10, O₃, NO₂, SO₂ and CO concentrations (μg/m³)
+ */
+
+import React from 'react';
+
+// Pollutant labels in display order
+const POLLUTANTS = [
+  { key: 'pm2_5', label: 'PM2.5' },
+  { key: 'pm10', label: 'PM10' },
+  { key: 'o3', label: 'O₃' },
+  { key: 'no2', label: 'NO₂' },
+  { key: 'so2', label: 'SO₂' },
+  { key: 'co', label: 'CO' }
+];
+
+/**
+ * AirQualityCard Component
+ * @param {Object} data - Air quality from GET /api/weather/air-quality
+ * @param {number} data.aqi - Index from 1 (Good) to 5 (Very Poor)
+ * @param {string} data.category - Category name
+ * @param {string} data.color - Colour for the category
+ * @param {string} data.guidance - Health guidance text
+ * @param {Object} data.components - Concentrations in μg/m³ keyed by pollutant
+ */
+const AirQualityCard = ({ data }) => {
+  return (
+    <section className="air-quality-card" style={{ borderTopColor: data.color }}>
+      <div className="aqi-header">
+        <h3>🌫️ Air Quality</h3>
+        <span className="aqi-badge" style={{ background: data.color }} title={`AQI ${data.aqi} of 5`}>
+          {data.category}
+        </span>
+      </div>
+
+      {/* Health guidance for this level */}
+      <p className="aqi-guidance">{data.guidance}</p>
+
+      {/* Pollutant concentrations */}
+      <dl className="aqi-components">
+        {POLLUTANTS.map(({ key, label }) => (
+          <div key={key} className="aqi-component">
+            <dt>{label}</dt>
+            <dd>{data.components[key]} <small>μg/m³</small></dd>
+          </div>
+        ))}
+      </dl>
+    </section>
+  );
+};
+
+export default AirQualityCard;
@@ -0,0 +1,156 @@
+/**
+ * ===============================================
+ * AlertsPanel Component
+ * ===============================================
+ * Weather alerts for favorite cities
+ *
+ * FEATURES:
+ * ✓ List of triggered alerts with unread badge
+ * ✓ Mark alerts as read / clear all
+ * ✓ Create threshold rules per favorite (temperature, wind, rain)
+ * ✓ Enable browser notifications
+ */
+
+import React, { useState } from 'react';
+
+// Rule types offered in the form, with the label of their threshold field
+const RULE_OPTIONS = [
+  { type: 'temp_above', label: 'Temperature above', unit: (u) => (u === 'metric' ? '°C' : '°F') },
+  { type: 'temp_below', label: 'Temperature below', unit: (u) => (u === 'metric' ? '°C' : '°F') },
+  { type: 'wind_above', label: 'Wind above', unit: (u) => (u === 'metric' ? 'm/s' : 'mph') },
+  { type: 'rain_within', label: 'Rain expected within', unit: () => '% chance' }
+];
+
+/**
+ * AlertsPanel Component
+ * @param {boolean} loggedIn - Alerts need an account; anonymous users see a hint
+ * @param {Array} favorites - Favorite cities rules can be attached to
+ * @param {Array} alerts - Triggered alerts ({ id, message, read, triggeredAt })
+ * @param {Array} rules - Existing rules ({ id, city, summary })
+ * @param {string} units - Units for new rule thresholds
+ * @param {string} notificationPermission - 'granted', 'denied', 'default' or 'unsupported'
+ * @param {Function} onEnableNotifications - Requests notification permission
+ * @param {Function} onCreateRule - async (favoriteId, rule) => error message or null
+ * @param {Function} onDeleteRule - Callback with rule ID
+ * @param {Function} onMarkRead - Callback with alert ID
+ * @param {Function} onClear - Clears all alerts
+ */
+const AlertsPanel = ({
+  loggedIn, favorites, alerts, rules, units,
+  notificationPermission, onEnableNotifications,
+  onCreateRule, onDeleteRule, onMarkRead, onClear
+}) => {
+  // ========== RULE FORM STATE ==========
+  const [favoriteId, setFavoriteId] = useState('');
+  const [type, setType] = useState('temp_above');
+  const [threshold, setThreshold] = useState('');
+  const [hours, setHours] = useState('12');
+  const [formError, setFormError] = useState('');
+
+  if (!loggedIn) {
+    return (
+      <section className="alerts-section">
+        <h3>🔔 Alerts</h3>
+        <p className="empty-state">Log in to get alerts for your favorite cities.</p>
+      </section>
+    );
+  }
+
+  const unread = alerts.filter(a => !a.read).length;
+  const option = RULE_OPTIONS.find(o => o.type === type);
+
+  /**
+   * Submits a new rule for the selected favorite
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const selected = favoriteId || favorites[0]?.id;
+    if (!selected) return;
+
+    const rule = { type, units };
+    if (threshold !== '') rule.threshold = Number(threshold);
+    if (type === 'rain_within') rule.hours = Number(hours);
+
+    const error = await onCreateRule(selected, rule);
+    setFormError(error || '');
+    if (!error) setThreshold('');
+  };
+
+  return (
+    <section className="alerts-section">
+      {/* Header with unread badge and actions */}
+      <div className="section-header">
+        <h3>🔔 Alerts</h3>
+        <span className="count-badge">{unread}</span>
+        {notificationPermission === 'default' && (
+          <button className="alerts-btn" onClick={onEnableNotifications}>Enable notifications</button>
+        )}
+        {alerts.length > 0 && (
+          <button className="clear-btn" onClick={onClear}>🗑️ Clear</button>
+        )}
+      </div>
+
+      {/* Triggered alerts */}
+      {alerts.length === 0 ? (
+        <p className="empty-state">No alerts yet.</p>
+      ) : (
+        <ul className="alerts-list">
+          {alerts.map(alert => (
+            <li key={alert.id} className={`alert-item ${alert.read ? 'read' : 'unread'}`}>
+              <span>{alert.message}</span>
+              <small>{new Date(alert.triggeredAt).toLocaleString('en-IN', {
+                hour: '2-digit', minute: '2-digit', day: 'numeric', month: 'short'
+              })}</small>
+              {!alert.read && (
+                <button className="alerts-btn" onClick={() => onMarkRead(alert.id)}>✓</button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Rules */}
+      <h4 className="alerts-subtitle">Rules</h4>
+      {favorites.length === 0 ? (
+        <p className="empty-state">Add a favorite city to create alert rules.</p>
+      ) : (
+        <form className="rule-form" onSubmit={handleSubmit}>
+          <select value={favoriteId || favorites[0].id} onChange={(e) => setFavoriteId(e.target.value)}>
+            {favorites.map(f => <option key={f.id} value={f.id}>{f.city}</option>)}
+          </select>
+          <select value={type} onChange={(e) => setType(e.target.value)}>
+            {RULE_OPTIONS.map(o => <option key={o.type} value={o.type}>{o.label}</option>)}
+          </select>
+          {type === 'rain_within' && (
+            <input
+              type="number" min="1" max="120" value={hours}
+              onChange={(e) => setHours(e.target.value)}
+              title="Hours ahead"
+            />
+          )}
+          <input
+            type="number"
+            step="any"
+            placeholder={type === 'rain_within' ? '50' : 'Threshold'}
+            value={threshold}
+            onChange={(e) => setThreshold(e.target.value)}
+          />
+          <span className="rule-unit">{option.unit(units)}</span>
+          <button type="submit" className="alerts-btn">Add rule</button>
+          {formError && <p className="auth-error">{formError}</p>}
+        </form>
+      )}
+
+      <ul className="rules-list">
+        {rules.map(rule => (
+          <li key={rule.id}>
+            <span><strong>{rule.city}</strong> · {rule.summary}</span>
+            <button className="alerts-btn" onClick={() => onDeleteRule(rule.id)} title="Remove rule">✕</button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+export default AlertsPanel;
@@ -0,0 +1,76 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import AlertsPanel from './AlertsPanel';
+
+const favorites = [{ id: 'f1', city: 'London' }, { id: 'f2', city: 'Tokyo' }];
+const alerts = [
+  { id: 'a1', message: 'London: temperature above 10°C', read: false, triggeredAt: '2024-03-01T08:00:00Z' },
+  { id: 'a2', message: 'Tokyo: wind above 5 m/s', read: true, triggeredAt: '2024-03-01T07:00:00Z' }
+];
+
+// Renders a logged-in panel; returns the props so tests can check the callbacks
+const renderPanel = (overrides = {}) => {
+  const props = {
+    loggedIn: true,
+    favorites,
+    alerts,
+    rules: [{ id: 'r1', city: 'London', summary: 'Temperature above 10°C' }],
+    units: 'metric',
+    notificationPermission: 'granted',
+    onEnableNotifications: jest.fn(),
+    onCreateRule: jest.fn().mockResolvedValue(null),
+    onDeleteRule: jest.fn(),
+    onMarkRead: jest.fn(),
+    onClear: jest.fn(),
+    ...overrides
+  };
+  render(<AlertsPanel {...props} />);
+  return props;
+};
+
+test('asks anonymous users to log in', () => {
+  render(<AlertsPanel loggedIn={false} favorites={[]} alerts={[]} rules={[]} units="metric" />);
+  expect(screen.getByText(/log in to get alerts/i)).toBeInTheDocument();
+});
+
+test('counts unread alerts and marks one read or clears them all', () => {
+  const { onMarkRead, onClear } = renderPanel();
+  expect(screen.getByText('1', { selector: '.count-badge' })).toBeInTheDocument();
+
+  // Only the unread alert has a mark-read button
+  userEvent.click(screen.getByRole('button', { name: '✓' }));
+  expect(onMarkRead).toHaveBeenCalledWith('a1');
+
+  userEvent.click(screen.getByRole('button', { name: /clear/i }));
+  expect(onClear).toHaveBeenCalled();
+});
+
+test('creates a rule for the chosen favorite in the current units', async () => {
+  const { onCreateRule } = renderPanel({ units: 'imperial' });
+
+  const [favoriteSelect, typeSelect] = screen.getAllByRole('combobox');
+  userEvent.selectOptions(favoriteSelect, 'f2');
+  userEvent.selectOptions(typeSelect, 'temp_below');
+  expect(screen.getByText('°F')).toBeInTheDocument();
+  userEvent.type(screen.getByPlaceholderText('Threshold'), '32');
+  userEvent.click(screen.getByRole('button', { name: /add rule/i }));
+
+  expect(onCreateRule).toHaveBeenCalledWith('f2', { type: 'temp_below', units: 'imperial', threshold: 32 });
+  await waitFor(() => expect(screen.getByPlaceholderText('Threshold')).toHaveValue(null));
+});
+
+test('rain rules send the hours ahead and show the backend error', async () => {
+  const { onCreateRule } = renderPanel({ onCreateRule: jest.fn().mockResolvedValue('threshold is required') });
+
+  userEvent.selectOptions(screen.getAllByRole('combobox')[1], 'rain_within');
+  userEvent.click(screen.getByRole('button', { name: /add rule/i }));
+
+  expect(onCreateRule).toHaveBeenCalledWith('f1', { type: 'rain_within', units: 'metric', hours: 12 });
+  expect(await screen.findByText('threshold is required')).toBeInTheDocument();
+});
+
+test('removes a rule', () => {
+  const { onDeleteRule } = renderPanel();
+  userEvent.click(screen.getByTitle('Remove rule'));
+  expect(onDeleteRule).toHaveBeenCalledWith('r1');
+});
@@ -0,0 +1,101 @@
+/**
+ * ===============================================
+ * AuthPanel Component
+ * ===============================================
+ * Login / register form and logout button
+ *
+ * Logged out = anonymous mode: favorites and history are kept in
+ * this browser only. Logged in = data is stored on the server per user.
+ */
+
+import React, { useState } from 'react';
+
+/**
+ * AuthPanel Component
+ * @param {Object|null} user - Logged-in user ({ username }) or null for anonymous mode
+ * @param {Function} onLogin - async (mode, username, password) => error message or null
+ * @param {Function} onLogout - Callback to end the session
+ */
+const AuthPanel = ({ user, onLogin, onLogout }) => {
+  // 'login' or 'register'
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  // Collapsed by default so anonymous users just see a small prompt
+  const [open, setOpen] = useState(false);
+
+  // ========== LOGGED IN ==========
+  if (user) {
+    return (
+      <div className="auth-panel">
+        <span className="auth-user">👤 {user.username}</span>
+        <button className="auth-btn" onClick={onLogout}>Log out</button>
+      </div>
+    );
+  }
+
+  /**
+   * Submits the login/register form
+   * Shows the error returned by the parent, keeps the form open on failure
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    const message = await onLogin(mode, username.trim(), password);
+    setBusy(false);
+    if (message) {
+      setError(message);
+    } else {
+      setPassword('');
+      setOpen(false);
+    }
+  };
+
+  // ========== ANONYMOUS MODE ==========
+  if (!open) {
+    return (
+      <div className="auth-panel">
+        <small className="auth-hint">Anonymous mode · saved in this browser</small>
+        <button className="auth-btn" onClick={() => setOpen(true)}>Log in</button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="auth-panel auth-form" onSubmit={handleSubmit}>
+      <input
+        type="text"
+        placeholder="Username"
+        autoComplete="username"
+        value={username}
+        onChange={(e) => setUsername(e.target.value)}
+        disabled={busy}
+      />
+      <input
+        type="password"
+        placeholder="Password (8+ characters)"
+        autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        disabled={busy}
+      />
+      <button type="submit" className="auth-btn" disabled={busy || !username || !password}>
+        {mode === 'login' ? 'Log in' : 'Create account'}
+      </button>
+      <button
+        type="button"
+        className="auth-link"
+        onClick={() => { setMode(mode === 'login' ? 'register' : 'login'); setError(''); }}
+      >
+        {mode === 'login' ? 'Need an account?' : 'Have an account?'}
+      </button>
+      <button type="button" className="auth-link" onClick={() => setOpen(false)}>Cancel</button>
+      {error && <p className="auth-error">{error}</p>}
+    </form>
+  );
+};
+
+export default AuthPanel;
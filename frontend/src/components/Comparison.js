@@ -0,0 +1,203 @@
+/**
+ * ===============================================
+ * Comparison Component
+ * ===============================================
+ * Several places side by side (POST /weather/compare)
+ *
+ * FEATURES:
+ * ✓ Pick 2-6 places: typed city names, favorites or the displayed city
+ * ✓ One column per place: current conditions, today's high/low, expected precipitation
+ * ✓ Warmest, wettest and windiest places highlighted
+ * ✓ Places the backend couldn't load show why, the rest still compare
+ */
+
+import React, { useState } from 'react';
+import { hasCoords, isSamePlace } from '../utils/location';
+import { errorMessage } from '../utils/errors';
+
+// Same default as the backend's COMPARE_MAX_PLACES
+const MAX_PLACES = 6;
+
+// Highlight badges, in display order
+const HIGHLIGHTS = [
+  { key: 'warmest', label: '🔥 Warmest' },
+  { key: 'wettest', label: '💧 Wettest' },
+  { key: 'windiest', label: '🌬️ Windiest' }
+];
+
+/**
+ * Request body entry for a place ({ city } or coordinates with a name)
+ * @param {Object} place - Favorite, weather data or { city }
+ */
+const toQuery = (place) => (hasCoords(place)
+  ? { lat: place.lat, lon: place.lon, name: place.city, state: place.state, country: place.country }
+  : { city: place.city });
+
+/**
+ * Comparison Component
+ * @param {Array} favorites - Favorite places offered as quick picks
+ * @param {Object} currentPlace - Displayed weather ({ city, state, country, lat, lon }) or null
+ * @param {Object} comparison - Last /weather/compare response (null = nothing compared yet)
+ * @param {boolean} loading - Whether a comparison is in flight
+ * @param {Function} onCompare - Callback with the request places
+ */
+const Comparison = ({ favorites, currentPlace, comparison, loading, onCompare }) => {
+  // ========== SELECTION STATE ==========
+  const [places, setPlaces] = useState([]); // { city, label, state?, country?, lat?, lon? }
+  const [input, setInput] = useState('');
+
+  const isFull = places.length >= MAX_PLACES;
+  const isSelected = (place) => places.some(selected => isSamePlace(selected, place));
+
+  /**
+   * Adds a place unless it is already picked or the list is full
+   */
+  const addPlace = (place) => {
+    if (isFull || !place.city || isSelected(place)) return;
+    setPlaces([...places, place]);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const city = input.trim();
+    if (!city) return;
+    addPlace({ city, label: city });
+    setInput('');
+  };
+
+  const removePlace = (index) => setPlaces(places.filter((_, i) => i !== index));
+
+  // Quick picks not in the selection yet
+  const suggestions = [
+    ...(currentPlace ? [{ ...currentPlace, label: currentPlace.city }] : []),
+    ...favorites.map(favorite => ({ ...favorite, label: favorite.label || favorite.city }))
+  ].filter((place, index, all) => !isSelected(place)
+    && all.findIndex(other => isSamePlace(other, place)) === index);
+
+  return (
+    <section className="comparison-section">
+      <h3>⚖️ Compare Places</h3>
+
+      {/* ========== PLACE PICKER ========== */}
+      <form className="compare-picker" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder={isFull ? `Up to ${MAX_PLACES} places` : 'Add a city...'}
+          disabled={isFull}
+          aria-label="City to compare"
+        />
+        <button type="submit" className="tag-chip" disabled={isFull || !input.trim()}>+ Add</button>
+        <button
+          type="button"
+          className="compare-btn"
+          disabled={places.length < 2 || loading}
+          onClick={() => onCompare(places.map(toQuery))}
+        >
+          {loading ? 'Comparing...' : 'Compare'}
+        </button>
+      </form>
+
+      {places.length > 0 && (
+        <div className="compare-chips">
+          {places.map((place, index) => (
+            <button
+              key={`${place.label}-${index}`}
+              className="tag-chip active"
+              onClick={() => removePlace(index)}
+              title="Remove from comparison"
+            >
+              {place.label} ✕
+            </button>
+          ))}
+        </div>
+      )}
+
+      {!isFull && suggestions.length > 0 && (
+        <div className="compare-chips compare-suggestions">
+          {suggestions.map((place, index) => (
+            <button key={`${place.label}-${index}`} className="tag-chip" onClick={() => addPlace(place)}>
+              + {place.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* ========== SIDE-BY-SIDE TABLE ========== */}
+      {comparison ? (
+        <ComparisonTable comparison={comparison} />
+      ) : (
+        <p className="empty-state">Pick at least two places to compare them side by side.</p>
+      )}
+    </section>
+  );
+};
+
+/**
+ * One column per compared place, one row per reading
+ * @param {Object} comparison - { places, highlights, unitLabels }
+ */
+const ComparisonTable = ({ comparison }) => {
+  const { places, highlights, unitLabels } = comparison;
+
+  // Highlight badges won by the place at an index
+  const badgesFor = (index) => HIGHLIGHTS.filter(({ key }) => highlights[key] === index);
+  const cellClass = (index, key) => (highlights[key] === index ? `highlight-${key}` : '');
+
+  const rows = [
+    { label: 'Temperature', key: 'warmest', value: (p) => `${p.current.temperature}${unitLabels.temperature}` },
+    { label: 'Feels like', value: (p) => `${p.current.feelsLike}${unitLabels.temperature}` },
+    {
+      label: "Today's high / low",
+      value: (p) => (p.forecast[0]
+        ? `${p.forecast[0].tempMax}° / ${p.forecast[0].tempMin}°`
+        : '—')
+    },
+    { label: 'Humidity', value: (p) => `${p.current.humidity}%` },
+    { label: 'Wind', key: 'windiest', value: (p) => `${p.current.windSpeed} ${unitLabels.wind}` },
+    { label: 'Precipitation (5 days)', key: 'wettest', value: (p) => `${p.precipitation} ${unitLabels.precipitation}` }
+  ];
+
+  return (
+    <div className="comparison-table-wrapper">
+      <table className="comparison-table">
+        <thead>
+          <tr>
+            <th />
+            {places.map((place, index) => (
+              <th key={index}>
+                {place.success ? (
+                  <>
+                    <img src={place.current.iconUrl} alt={place.current.description} />
+                    <span className="compare-city">{place.current.city}</span>
+                    <span className="compare-country">{place.current.country}</span>
+                    {badgesFor(index).map(({ key, label }) => (
+                      <span key={key} className={`compare-badge badge-${key}`}>{label}</span>
+                    ))}
+                  </>
+                ) : (
+                  <span className="compare-city">{place.query.city || place.query.name || `${place.query.lat}, ${place.query.lon}`}</span>
+                )}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.label}>
+              <th scope="row">{row.label}</th>
+              {places.map((place, index) => (
+                <td key={index} className={row.key ? cellClass(index, row.key) : ''}>
+                  {place.success ? row.value(place) : (row === rows[0] ? `⚠️ ${errorMessage(place)}` : '')}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default Comparison;
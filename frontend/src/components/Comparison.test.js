@@ -0,0 +1,92 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Comparison from './Comparison';
+
+const tokyo = { id: 'f1', city: 'Tokyo', label: 'Home', country: 'JP', lat: 35.68, lon: 139.69 };
+
+// Renders the picker; returns the props so tests can check onCompare
+const renderComparison = (overrides = {}) => {
+  const props = {
+    favorites: [tokyo],
+    currentPlace: null,
+    comparison: null,
+    loading: false,
+    onCompare: jest.fn(),
+    ...overrides
+  };
+  render(<Comparison {...props} />);
+  return props;
+};
+
+const addCity = (city) => {
+  userEvent.type(screen.getByLabelText('City to compare'), city);
+  userEvent.click(screen.getByRole('button', { name: '+ Add' }));
+};
+
+test('compares typed cities and favorites, by coordinates when known', () => {
+  const { onCompare } = renderComparison();
+  const compare = screen.getByRole('button', { name: 'Compare' });
+
+  addCity('London');
+  expect(compare).toBeDisabled();
+
+  // Picked favorites leave the quick picks
+  userEvent.click(screen.getByRole('button', { name: '+ Home' }));
+  expect(screen.queryByRole('button', { name: '+ Home' })).not.toBeInTheDocument();
+
+  userEvent.click(compare);
+  expect(onCompare).toHaveBeenCalledWith([
+    { city: 'London' },
+    { lat: 35.68, lon: 139.69, name: 'Tokyo', state: undefined, country: 'JP' }
+  ]);
+});
+
+test('ignores repeats and stops at six places', () => {
+  renderComparison({ favorites: [] });
+  addCity('London');
+  addCity('london');
+  expect(screen.getAllByTitle('Remove from comparison')).toHaveLength(1);
+
+  ['Paris', 'Rome', 'Oslo', 'Lima', 'Cairo'].forEach(addCity);
+  expect(screen.getAllByTitle('Remove from comparison')).toHaveLength(6);
+  expect(screen.getByLabelText('City to compare')).toBeDisabled();
+
+  userEvent.click(screen.getByRole('button', { name: 'London ✕' }));
+  expect(screen.getByLabelText('City to compare')).toBeEnabled();
+});
+
+test('shows places side by side with highlights and why a place failed', () => {
+  const place = (city, temperature, windSpeed, precipitation) => ({
+    success: true,
+    current: {
+      city, country: 'GB', temperature, feelsLike: temperature, humidity: 70, windSpeed,
+      iconUrl: 'https://openweathermap.org/img/wn/04d@2x.png', description: 'clouds'
+    },
+    forecast: [{ tempMax: temperature + 2, tempMin: temperature - 2 }],
+    precipitation
+  });
+  renderComparison({
+    comparison: {
+      places: [
+        place('London', 13, 5.7, 12),
+        place('Leeds', 9, 8.1, 3),
+        { success: false, code: 'CITY_NOT_FOUND', query: { city: 'Atlantis' } }
+      ],
+      highlights: { warmest: 0, wettest: 0, windiest: 1 },
+      unitLabels: { temperature: '°C', wind: 'm/s', precipitation: 'mm' }
+    }
+  });
+
+  const headers = screen.getAllByRole('columnheader');
+  expect(headers[1]).toHaveTextContent('London');
+  expect(headers[1]).toHaveTextContent('🔥 Warmest');
+  expect(headers[1]).toHaveTextContent('💧 Wettest');
+  expect(headers[2]).toHaveTextContent('🌬️ Windiest');
+  expect(headers[3]).toHaveTextContent('Atlantis');
+  // Temperature row first, then "Feels like"
+  const [temperature, feelsLike] = screen.getAllByText('13°C', { selector: 'td' });
+  expect(temperature).toHaveClass('highlight-warmest');
+  expect(feelsLike).not.toHaveClass('highlight-warmest');
+  expect(screen.getByText('15° / 11°')).toBeInTheDocument();
+  expect(screen.getByText(/city not found/i)).toBeInTheDocument();
+});
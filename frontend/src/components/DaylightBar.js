@@ -0,0 +1,54 @@
+/**
+ * ===============================================
+ * DaylightBar Component
+ * ===============================================
+ * Bar from sunrise to sunset with a sun marker at the observation time.
+ * Times are shown in the place's own time zone, not the browser's.
+ */
+
+import React from 'react';
+import { formatLocalTime } from '../utils/time';
+
+/**
+ * DaylightBar Component
+ * @param {string} sunrise - ISO sunrise time
+ * @param {string} sunset - ISO sunset time
+ * @param {string} [observedAt] - ISO time of the reading (defaults to now)
+ * @param {number} timezone - The place's UTC offset in seconds
+ */
+const DaylightBar = ({ sunrise, sunset, observedAt, timezone }) => {
+  const start = new Date(sunrise).getTime();
+  const end = new Date(sunset).getTime();
+  const now = observedAt ? new Date(observedAt).getTime() : Date.now();
+
+  // Position of the sun between sunrise (0) and sunset (1)
+  const progress = Math.min(1, Math.max(0, (now - start) / (end - start)));
+  const isDay = now >= start && now <= end;
+
+  // Day length as "11 h 24 min"
+  const minutes = Math.round((end - start) / 60000);
+  const dayLength = `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+
+  return (
+    <div className="daylight" title={`Daylight: ${dayLength}`}>
+      <div className="daylight-times">
+        <span>🌅 {formatLocalTime(sunrise, timezone)}</span>
+        <span>{dayLength} of daylight</span>
+        <span>🌇 {formatLocalTime(sunset, timezone)}</span>
+      </div>
+      <div
+        className={`daylight-bar ${isDay ? '' : 'night'}`}
+        role="progressbar"
+        aria-label="Daylight elapsed"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.round(progress * 100)}
+      >
+        <div className="daylight-fill" style={{ width: `${progress * 100}%` }} />
+        <span className="daylight-sun" style={{ left: `${progress * 100}%` }}>{isDay ? '☀️' : '🌙'}</span>
+      </div>
+    </div>
+  );
+};
+
+export default DaylightBar;
@@ -0,0 +1,72 @@
+/**
+ * ===============================================
+ * FavoriteEditor Component
+ * ===============================================
+ * Inline form on a favorite card for the user's own settings
+ *
+ * FEATURES:
+ * ✓ Custom label shown instead of the city name
+ * ✓ Free-text notes
+ * ✓ Comma-separated tags (used by the favorites tag filter)
+ */
+
+import React, { useState } from 'react';
+
+/**
+ * FavoriteEditor Component
+ * @param {Object} favorite - Favorite being edited ({ city, label, notes, tags })
+ * @param {Function} onSave - async ({ label, notes, tags }) => boolean; closes the form when true
+ * @param {Function} onCancel - Closes the form without saving
+ */
+const FavoriteEditor = ({ favorite, onSave, onCancel }) => {
+  const [label, setLabel] = useState(favorite.label || '');
+  const [notes, setNotes] = useState(favorite.notes || '');
+  const [tags, setTags] = useState((favorite.tags || []).join(', '));
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const saved = await onSave({
+      label: label.trim() || null,
+      notes: notes.trim() || null,
+      tags: tags.split(',').map(tag => tag.trim()).filter(Boolean)
+    });
+    if (!saved) setSaving(false);
+  };
+
+  return (
+    // Clicks inside the form must not open the city
+    <form className="favorite-editor" onSubmit={handleSubmit} onClick={(e) => e.stopPropagation()}>
+      <input
+        type="text"
+        value={label}
+        onChange={(e) => setLabel(e.target.value)}
+        placeholder={`Label (default: ${favorite.city})`}
+        maxLength={50}
+        aria-label="Label"
+      />
+      <textarea
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        placeholder="Notes"
+        maxLength={500}
+        rows={2}
+        aria-label="Notes"
+      />
+      <input
+        type="text"
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+        placeholder="Tags, comma separated (e.g. family, travel)"
+        aria-label="Tags"
+      />
+      <div className="editor-actions">
+        <button type="submit" disabled={saving}>{saving ? '⏳' : '💾'} Save</button>
+        <button type="button" onClick={onCancel} disabled={saving}>Cancel</button>
+      </div>
+    </form>
+  );
+};
+
+export default FavoriteEditor;
@@ -11,26 +11,80 @@
  * ✓ Current weather info for each favorite
  * ✓ Click to view full weather details
  * ✓ Heart button to remove from favorites
+ * ✓ "Last updated" time and a refresh-all button
+ * ✓ Pinned "My Location" card that re-resolves the device position on click
+ * ✓ Drag-and-drop ordering (saved by the parent)
+ * ✓ Custom label, notes and tags per favorite, and a tag filter
  */
 
 import React, { useState } from 'react';
+import { timeAgo } from '../utils/time';
+import FavoriteEditor from './FavoriteEditor';
 
 /**
  * FavoritesList Component
  * @param {Array} favorites - Array of favorite city objects
- * @param {string} favorites[].id - Unique favorite ID (MongoDB ObjectId)
+ * @param {string} favorites[].id - Unique favorite ID (MongoDB ObjectId, or local-* in anonymous mode)
  * @param {string} favorites[].city - City name
  * @param {number} favorites[].temperature - Current temperature
  * @param {string} favorites[].description - Weather description
  * @param {string} favorites[].iconUrl - URL to weather icon
+ * @param {string} favorites[].lastUpdated - When the snapshot was last refreshed
+ * @param {string} [favorites[].label] - Custom name shown instead of the city
+ * @param {string} [favorites[].notes] - User's notes
+ * @param {string[]} [favorites[].tags] - User's tags
  * @param {string} units - Temperature units: 'metric' (°C) or 'imperial' (°F)
- * @param {Function} onCityClick - Callback when favorite city is clicked
- * @param {Function} onToggleFavorite - Callback to refresh list after removal
+ * @param {Function} onCityClick - Callback with the clicked favorite (looked up by coordinates when it has them)
+ * @param {Function} onToggleFavorite - async (id) => boolean; removes the favorite and refreshes the list
+ * @param {Function} onRefreshAll - async () => void; re-fetches weather for every favorite
+ * @param {Function} [onUpdate] - async (id, { label, notes, tags }) => boolean; saves a favorite's settings
+ * @param {Function} [onReorder] - (ids) => void; saves the new order (every ID, first shown first)
+ * @param {Object|null} myLocation - Last "My Location" snapshot ({ city, locality, temperature, iconUrl, lastUpdated })
+ * @param {Function} onMyLocationClick - Locates the device and shows its weather
  */
-const FavoritesList = ({ favorites, onCityClick, onToggleFavorite, units = 'metric' }) => {
+const FavoritesList = ({
+  favorites, onCityClick, onToggleFavorite, onRefreshAll, onUpdate, onReorder,
+  myLocation, onMyLocationClick, units = 'metric'
+}) => {
   // ========== STATE ==========
   // Track which favorite is being deleted (null = none, or favorite.id)
   const [loadingId, setLoadingId] = useState(null);
+  // True while "Refresh all" is running
+  const [refreshing, setRefreshing] = useState(false);
+  // Favorite whose edit form is open
+  const [editingId, setEditingId] = useState(null);
+  // Tag filter (null = show all)
+  const [activeTag, setActiveTag] = useState(null);
+  // Drag-and-drop: card being dragged and card under the pointer
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null);
+
+  /**
+   * ========== PINNED "MY LOCATION" CARD ==========
+   * Always first; cannot be removed. Shows the last snapshot until clicked.
+   */
+  const myLocationCard = onMyLocationClick && (
+    <div className="favorite-card pinned" onClick={onMyLocationClick} title="Find my current location">
+      <div className="fav-icon">
+        {myLocation?.iconUrl
+          ? <img src={myLocation.iconUrl} alt={myLocation.description} width="48" height="48" />
+          : <span className="pin-icon">📍</span>}
+      </div>
+      <div className="fav-info">
+        <h4 className="fav-city">📍 My Location</h4>
+        {myLocation ? (
+          <>
+            <p className="fav-temp">{myLocation.temperature}°{units === 'metric' ? 'C' : 'F'}</p>
+            <p className="fav-desc">{myLocation.locality || myLocation.city}</p>
+            <small className="fav-updated">Updated {timeAgo(myLocation.lastUpdated)}</small>
+          </>
+        ) : (
+          <p className="fav-desc">Click to locate</p>
+        )}
+      </div>
+      <span className="pin-badge" title="Pinned">📌</span>
+    </div>
+  );
 
   // ========== EMPTY STATE ==========
   // Show empty message if no favorites saved
@@ -41,6 +95,7 @@ const FavoritesList = ({ favorites, onCityClick, onToggleFavorite, units = 'metr
           <h3>⭐ Favorites</h3>
           <span className="empty-badge">0</span>
         </div>
+        {myLocationCard && <div className="favorites-grid">{myLocationCard}</div>}
         <div className="empty-state">
           <p>No favorite cities yet.</p>
           <small>Search a city and click ❤️ to save it!</small>
@@ -51,36 +106,82 @@ const FavoritesList = ({ favorites, onCityClick, onToggleFavorite, units = 'metr
 
   /**
    * ========== REMOVE FAVORITE HANDLER ==========
-   * Deletes a favorite city from the database
-   * Calls parent callback to refresh the list
+   * Asks the parent to delete the favorite (backend or browser storage)
+   * Keeps the spinner until the parent reports the outcome
    */
   const handleToggleFavorite = async (id, e) => {
     e.stopPropagation(); // Prevent triggering city click event
     setLoadingId(id); // Mark this specific favorite as loading
     
-    try {
-      // Make DELETE request to backend API
-      const response = await fetch(`${process.env.REACT_APP_API_URL}/weather/favorites/${id}`, {
-        method: 'DELETE'
-      });
-      
-      const data = await response.json();
-      
-      // Check if deletion was successful
-      if (data.success) {
-        // Refresh favorites list after deletion
-        onToggleFavorite(id);
-      } else {
-        alert(data.message || 'Failed to remove favorite');
-        setLoadingId(null); // Clear loading on error
-      }
-    } catch (error) {
-      console.error('Favorite remove failed:', error);
-      alert('Error removing favorite');
+    const removed = await onToggleFavorite(id);
+    if (!removed) {
       setLoadingId(null); // Clear loading on error
     }
   };
 
+  /**
+   * ========== EDIT HANDLER ==========
+   * Saves label/notes/tags and closes the form when the parent succeeds
+   */
+  const handleSave = async (id, changes) => {
+    const saved = await onUpdate(id, changes);
+    if (saved) setEditingId(null);
+    return saved;
+  };
+
+  /**
+   * ========== DRAG-AND-DROP ORDERING ==========
+   * Dropping a card on another moves it to that card's place.
+   * Works on the full list, so ordering a filtered view keeps hidden favorites in place.
+   */
+  const moveFavorite = (draggedId, targetId) => {
+    if (!draggedId || draggedId === targetId) return;
+    const ids = favorites.map(f => f.id);
+    const to = ids.indexOf(targetId);
+    ids.splice(ids.indexOf(draggedId), 1);
+    ids.splice(to, 0, draggedId);
+    onReorder(ids);
+  };
+
+  const dragProps = (favorite) => (onReorder && editingId !== favorite.id ? {
+    draggable: true,
+    onDragStart: (e) => {
+      e.dataTransfer.effectAllowed = 'move';
+      setDraggingId(favorite.id);
+    },
+    onDragOver: (e) => {
+      e.preventDefault(); // Allow dropping here
+      setDropTargetId(favorite.id);
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      moveFavorite(draggingId, favorite.id);
+      setDropTargetId(null);
+    },
+    onDragEnd: () => {
+      setDraggingId(null);
+      setDropTargetId(null);
+    }
+  } : {});
+
+  // ========== TAG FILTER ==========
+  const allTags = [...new Set(favorites.flatMap(f => f.tags || []))].sort();
+  const tagFilter = allTags.includes(activeTag) ? activeTag : null;
+  const visibleFavorites = tagFilter ? favorites.filter(f => (f.tags || []).includes(tagFilter)) : favorites;
+
+  /**
+   * ========== REFRESH ALL HANDLER ==========
+   * Updates every favorite's weather snapshot
+   */
+  const handleRefreshAll = async () => {
+    setRefreshing(true);
+    try {
+      await onRefreshAll();
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
   // ========== RENDER FAVORITES GRID ==========
   return (
     <section className="favorites-section">
@@ -88,20 +189,49 @@ const FavoritesList = ({ favorites, onCityClick, onToggleFavorite, units = 'metr
       <div className="section-header">
         <h3>⭐ Favorites</h3>
         <span className="count-badge">{favorites.length}</span>
+        {onRefreshAll && (
+          <button className="refresh-btn" onClick={handleRefreshAll} disabled={refreshing} title="Refresh all favorites">
+            {refreshing ? '⏳' : '🔄'} Refresh all
+          </button>
+        )}
       </div>
       
+      {/* Tag filter */}
+      {allTags.length > 0 && (
+        <div className="tag-filter">
+          <button className={`tag-chip ${tagFilter ? '' : 'active'}`} onClick={() => setActiveTag(null)}>
+            All
+          </button>
+          {allTags.map(tag => (
+            <button
+              key={tag}
+              className={`tag-chip ${tagFilter === tag ? 'active' : ''}`}
+              onClick={() => setActiveTag(tagFilter === tag ? null : tag)}
+            >
+              #{tag}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {onReorder && favorites.length > 1 && (
+        <small className="favorites-hint">Drag cards to change their order</small>
+      )}
+
       {/* Grid of favorite cities */}
       <div className="favorites-grid">
-        {favorites.map((favorite) => (
+        {myLocationCard}
+        {visibleFavorites.map((favorite) => (
           <div 
             key={favorite.id} 
-            className="favorite-card"
-            onClick={() => onCityClick(favorite.city)}
+            className={`favorite-card${draggingId === favorite.id ? ' dragging' : ''}${dropTargetId === favorite.id && draggingId !== favorite.id ? ' drop-target' : ''}`}
+            onClick={() => onCityClick(favorite)}
+            {...dragProps(favorite)}
           >
             {/* Weather Icon */}
             <div className="fav-icon">
               <img 
-                src={favorite.icon || favorite.iconUrl} 
+                src={favorite.iconUrl} 
                 alt={favorite.description} 
                 width="48" 
                 height="48"
@@ -110,8 +240,9 @@ const FavoritesList = ({ favorites, onCityClick, onToggleFavorite, units = 'metr
             
             {/* City Information */}
             <div className="fav-info">
-              {/* City name */}
-              <h4 className="fav-city">{favorite.city}</h4>
+              {/* Custom label (or city name), with the city underneath when labelled */}
+              <h4 className="fav-city">{favorite.label || favorite.city}</h4>
+              {favorite.label && <small className="fav-place">{favorite.city}</small>}
               
               {/* Current temperature with proper unit */}
               <p className="fav-temp">{favorite.temperature}°{units === 'metric' ? 'C' : 'F'}</p>
@@ -120,7 +251,39 @@ const FavoritesList = ({ favorites, onCityClick, onToggleFavorite, units = 'metr
               {favorite.description && (
                 <p className="fav-desc">{favorite.description}</p>
               )}
+              
+              {/* When this snapshot was fetched */}
+              {favorite.lastUpdated && (
+                <small className="fav-updated">Updated {timeAgo(favorite.lastUpdated)}</small>
+              )}
+
+              {/* User's notes and tags */}
+              {favorite.notes && <p className="fav-notes">{favorite.notes}</p>}
+              {favorite.tags?.length > 0 && (
+                <div className="fav-tags">
+                  {favorite.tags.map(tag => <span key={tag} className="tag-chip small">#{tag}</span>)}
+                </div>
+              )}
+
+              {editingId === favorite.id && (
+                <FavoriteEditor
+                  favorite={favorite}
+                  onSave={(changes) => handleSave(favorite.id, changes)}
+                  onCancel={() => setEditingId(null)}
+                />
+              )}
             </div>
+
+            {/* Edit label, notes and tags */}
+            {onUpdate && editingId !== favorite.id && (
+              <button
+                className="edit-btn"
+                onClick={(e) => { e.stopPropagation(); setEditingId(favorite.id); }}
+                title="Edit label, notes and tags"
+              >
+                ✏️
+              </button>
+            )}
             
             {/* Remove from Favorites Button */}
             <button 
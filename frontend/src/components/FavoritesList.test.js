@@ -0,0 +1,90 @@
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import FavoritesList from './FavoritesList';
+
+const favorite = (id, city, extra = {}) => ({
+  id,
+  city,
+  temperature: 12,
+  description: 'clouds',
+  iconUrl: 'https://openweathermap.org/img/wn/04d@2x.png',
+  ...extra
+});
+
+const favorites = [
+  favorite('f1', 'London', { label: 'Home', tags: ['family'], notes: 'Flat on Baker St' }),
+  favorite('f2', 'Tokyo', { tags: ['travel'] }),
+  favorite('f3', 'Pune', { tags: ['family', 'travel'] })
+];
+
+// Renders the grid; returns the props so tests can check the callbacks
+const renderList = (overrides = {}) => {
+  const props = {
+    favorites,
+    units: 'metric',
+    onCityClick: jest.fn(),
+    onToggleFavorite: jest.fn().mockResolvedValue(true),
+    onRefreshAll: jest.fn().mockResolvedValue(),
+    onUpdate: jest.fn().mockResolvedValue(true),
+    onReorder: jest.fn(),
+    ...overrides
+  };
+  render(<FavoritesList {...props} />);
+  return props;
+};
+
+const cityNames = () => screen.getAllByRole('heading', { level: 4 }).map(heading => heading.textContent);
+
+test('shows the label with the city underneath, and the notes', () => {
+  renderList();
+  expect(cityNames()).toEqual(['Home', 'Tokyo', 'Pune']);
+  expect(screen.getByText('London')).toHaveClass('fav-place');
+  expect(screen.getByText('Flat on Baker St')).toBeInTheDocument();
+});
+
+test('filters by tag and back to all', () => {
+  renderList();
+  userEvent.click(screen.getByRole('button', { name: '#travel' }));
+  expect(cityNames()).toEqual(['Tokyo', 'Pune']);
+
+  userEvent.click(screen.getByRole('button', { name: 'All' }));
+  expect(cityNames()).toEqual(['Home', 'Tokyo', 'Pune']);
+});
+
+test('edits a favorite without opening it and closes the form once saved', async () => {
+  const { onUpdate, onCityClick } = renderList();
+  userEvent.click(screen.getAllByTitle('Edit label, notes and tags')[1]);
+
+  userEvent.type(screen.getByLabelText('Label'), 'Trip');
+  userEvent.type(screen.getByLabelText('Tags'), ', Work , ');
+  userEvent.click(screen.getByRole('button', { name: /save/i }));
+
+  expect(onUpdate).toHaveBeenCalledWith('f2', { label: 'Trip', notes: null, tags: ['travel', 'Work'] });
+  await waitFor(() => expect(screen.queryByLabelText('Label')).not.toBeInTheDocument());
+  expect(onCityClick).not.toHaveBeenCalled();
+});
+
+test('dropping a card on another moves it to that place', () => {
+  const { onReorder } = renderList();
+  const cards = screen.getAllByRole('heading', { level: 4 }).map(heading => heading.closest('.favorite-card'));
+  const dataTransfer = { effectAllowed: '' };
+
+  fireEvent.dragStart(cards[2], { dataTransfer });
+  fireEvent.dragOver(cards[0], { dataTransfer });
+  expect(cards[0]).toHaveClass('drop-target');
+  fireEvent.drop(cards[0], { dataTransfer });
+
+  expect(onReorder).toHaveBeenCalledWith(['f3', 'f1', 'f2']);
+});
+
+test('removes a favorite and refreshes them all', async () => {
+  const { onToggleFavorite, onRefreshAll, onCityClick } = renderList();
+
+  userEvent.click(screen.getAllByTitle('Remove from favorites')[0]);
+  expect(onToggleFavorite).toHaveBeenCalledWith('f1');
+  expect(onCityClick).not.toHaveBeenCalled();
+
+  userEvent.click(screen.getByTitle('Refresh all favorites'));
+  expect(onRefreshAll).toHaveBeenCalled();
+  await waitFor(() => expect(screen.getByTitle('Refresh all favorites')).toBeEnabled());
+});
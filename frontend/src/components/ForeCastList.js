@@ -2,46 +2,100 @@
  * ===============================================
  * ForeCastList Component
  * ===============================================
- * Displays 5-day weather forecast in a horizontal scrollable grid
- * Shows date, temperature, icon, and description for each day
+ * Displays the 5-day weather forecast in a horizontal scrollable grid
+ * Switches between a daily summary (high/low per day) and the raw
+ * 3-hour timeline
  */
 
-import React from 'react';
+import React, { useState } from 'react';
+import { precipitationUnit } from '../utils/units';
 
 /**
  * ForeCastList Component
- * @param {Array} forecast - Array of forecast day objects
- * @param {string} forecast[].date - Date string (e.g., "Mon, 31")
- * @param {number} forecast[].temp - Temperature for the day
- * @param {string} forecast[].icon - URL to weather icon image
- * @param {string} forecast[].description - Weather description
+ * @param {Array} forecast - Array of daily summary objects
+ * @param {string} forecast[].date - Date string (e.g., "Mon 31")
+ * @param {number} forecast[].tempMin - Lowest temperature of the day
+ * @param {number} forecast[].tempMax - Highest temperature of the day
+ * @param {string} forecast[].icon - URL to icon of the dominant condition
+ * @param {string} forecast[].description - Dominant weather description
+ * @param {number} forecast[].pop - Max precipitation probability (0-100)
+ * @param {number} forecast[].rain - Total rain (mm, inches for imperial)
+ * @param {number} forecast[].snow - Total snow (mm, inches for imperial)
+ * @param {Array} hourly - Array of 3-hour forecast points
+ * @param {string} hourly[].label - Local day and time (e.g., "Tue 15:00")
+ * @param {number} hourly[].temp - Temperature
+ * @param {number} hourly[].pop - Precipitation probability (0-100)
+ * @param {string} units - 'metric' or 'imperial'
  */
-const ForeCastList = ({ forecast }) => {
+const ForeCastList = ({ forecast, hourly = [], units = 'metric' }) => {
+  // Active view: 'daily' summary cards or 'hourly' 3-hour timeline
+  const [view, setView] = useState('daily');
+
   // Empty state check
   if (!forecast || forecast.length === 0) {
     return null;
   }
-  
+
+  const showHourly = view === 'hourly' && hourly.length > 0;
+
   return (
     <section className="forecast-container">
-      <h3>📅 5-Day Forecast</h3>
+      <div className="forecast-header">
+        <h3>📅 5-Day Forecast</h3>
+        {/* Daily / hourly view toggle */}
+        <div className="forecast-toggle">
+          <button
+            className={view === 'daily' ? 'active' : ''}
+            onClick={() => setView('daily')}
+          >
+            Daily
+          </button>
+          <button
+            className={view === 'hourly' ? 'active' : ''}
+            onClick={() => setView('hourly')}
+            disabled={hourly.length === 0}
+          >
+            3-Hourly
+          </button>
+        </div>
+      </div>
+
       <div className="forecast-grid">
-        {/* Map through each day's forecast and render a card */}
-        {forecast.map((day, idx) => (
-          <div key={idx} className="forecast-card">
-            {/* Day and date */}
-            <p className="date">{day.date}</p>
-            
-            {/* Weather icon */}
-            <img src={day.icon} alt={day.description} width="40" height="40" />
-            
-            {/* Temperature */}
-            <p className="temp">{day.temp}°</p>
-            
-            {/* Weather description */}
-            <p className="desc">{day.description}</p>
-          </div>
-        ))}
+        {showHourly
+          ? hourly.map((slot) => (
+            <div key={slot.dt} className="forecast-card">
+              {/* Local day and time */}
+              <p className="date">{slot.label}</p>
+              <img src={slot.icon} alt={slot.description} width="40" height="40" />
+              <p className="temp">{slot.temp}°</p>
+              {/* Chance of precipitation */}
+              <p className="desc">💧 {slot.pop}%</p>
+            </div>
+          ))
+          : forecast.map((day) => (
+            <div key={day.isoDate} className="forecast-card">
+              {/* Day and date */}
+              <p className="date">{day.date}</p>
+
+              {/* Icon of the day's dominant condition */}
+              <img src={day.icon} alt={day.description} width="40" height="40" />
+
+              {/* High / low temperature */}
+              <p className="temp">
+                {day.tempMax}° <span className="temp-min">{day.tempMin}°</span>
+              </p>
+
+              {/* Weather description */}
+              <p className="desc">{day.description}</p>
+
+              {/* Precipitation chance and totals */}
+              <p className="precip">
+                💧 {day.pop}%
+                {day.rain > 0 && ` · ${day.rain} ${precipitationUnit(units)}`}
+                {day.snow > 0 && ` · ❄️ ${day.snow} ${precipitationUnit(units)}`}
+              </p>
+            </div>
+          ))}
       </div>
     </section>
   );
@@ -0,0 +1,200 @@
+/**
+ * ===============================================
+ * ForecastChart Component
+ * ===============================================
+ * Dependency-free SVG chart of the 5-day / 3-hour forecast
+ *
+ * PLOTS:
+ * ✓ Temperature (solid line)
+ * ✓ Feels like temperature (dashed line)
+ * ✓ Precipitation probability (bars, right axis 0-100%)
+ * ✓ Day separators with weekday labels
+ * ✓ Hover tooltip with the values of the nearest 3-hour slot
+ */
+
+import React, { useRef, useState } from 'react';
+
+// ========== CHART GEOMETRY (SVG user units, scaled by viewBox) ==========
+const WIDTH = 800;
+const HEIGHT = 260;
+const PADDING = { top: 20, right: 45, bottom: 40, left: 45 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+
+// ========== COLOURS PER THEME ==========
+const PALETTE = {
+  light: { temp: '#ff6b35', feels: '#764ba2', precip: 'rgba(102, 126, 234, 0.35)', grid: 'rgba(0,0,0,0.08)', text: '#666', separator: 'rgba(0,0,0,0.25)' },
+  dark: { temp: '#ffa36c', feels: '#c9a7ff', precip: 'rgba(120, 160, 255, 0.35)', grid: 'rgba(255,255,255,0.1)', text: 'rgba(255,255,255,0.7)', separator: 'rgba(255,255,255,0.3)' }
+};
+
+/**
+ * ForecastChart Component
+ * @param {Array} hourly - 3-hour forecast points from /forecast/:city/hourly
+ * @param {number} hourly[].temp - Temperature
+ * @param {number} hourly[].feelsLike - Feels like temperature
+ * @param {number} hourly[].pop - Precipitation probability (0-100)
+ * @param {string} hourly[].isoDate - Local calendar day (YYYY-MM-DD)
+ * @param {string} hourly[].label - Local day and time (e.g., "Tue 15:00")
+ * @param {string} units - Temperature units: 'metric' (°C) or 'imperial' (°F)
+ * @param {string} theme - 'light' or 'dark'
+ */
+const ForecastChart = ({ hourly, units = 'metric', theme = 'light' }) => {
+  // Index of the 3-hour slot under the pointer (null = no tooltip)
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const svgRef = useRef(null);
+
+  // Need at least two points to draw a line
+  if (!hourly || hourly.length < 2) {
+    return null;
+  }
+
+  const colors = PALETTE[theme] || PALETTE.light;
+  const unitSymbol = units === 'metric' ? '°C' : '°F';
+
+  // ========== SCALES ==========
+  const temps = hourly.flatMap(point => [point.temp, point.feelsLike]);
+  const minTemp = Math.floor(Math.min(...temps)) - 2;
+  const maxTemp = Math.ceil(Math.max(...temps)) + 2;
+  const step = PLOT_WIDTH / (hourly.length - 1);
+
+  const x = (i) => PADDING.left + i * step;
+  const yTemp = (t) => PADDING.top + (1 - (t - minTemp) / (maxTemp - minTemp)) * PLOT_HEIGHT;
+  const yPop = (p) => PADDING.top + (1 - p / 100) * PLOT_HEIGHT;
+
+  const linePath = (key) => hourly
+    .map((point, i) => `${i === 0 ? 'M' : 'L'}${x(i).toFixed(1)},${yTemp(point[key]).toFixed(1)}`)
+    .join(' ');
+
+  // Five evenly spaced temperature gridlines
+  const tempTicks = Array.from({ length: 5 }, (_, i) => Math.round(minTemp + (i * (maxTemp - minTemp)) / 4));
+
+  // ========== DAY SEPARATORS ==========
+  // A separator sits where the local calendar day changes; each day is labelled at its centre
+  const days = [];
+  hourly.forEach((point, i) => {
+    if (i === 0 || point.isoDate !== hourly[i - 1].isoDate) {
+      days.push({ start: i, end: i, name: point.label.split(' ')[0] });
+    } else {
+      days[days.length - 1].end = i;
+    }
+  });
+
+  /**
+   * Maps the pointer position to the nearest 3-hour slot
+   */
+  const handlePointerMove = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const svgX = ((e.clientX - rect.left) / rect.width) * WIDTH;
+    const index = Math.round((svgX - PADDING.left) / step);
+    setHoverIndex(Math.max(0, Math.min(hourly.length - 1, index)));
+  };
+
+  const hovered = hoverIndex !== null ? hourly[hoverIndex] : null;
+
+  return (
+    <section className="forecast-chart">
+      <h3>📈 Temperature &amp; Precipitation</h3>
+
+      <div className="chart-wrapper">
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          role="img"
+          aria-label={`Temperature, feels like and precipitation chance for the next ${days.length} days`}
+          onMouseMove={handlePointerMove}
+          onMouseLeave={() => setHoverIndex(null)}
+        >
+          {/* Temperature gridlines and left axis labels */}
+          {tempTicks.map(tick => (
+            <g key={tick}>
+              <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={yTemp(tick)} y2={yTemp(tick)} stroke={colors.grid} />
+              <text x={PADDING.left - 8} y={yTemp(tick) + 4} textAnchor="end" fontSize="11" fill={colors.text}>
+                {tick}°
+              </text>
+            </g>
+          ))}
+
+          {/* Right axis labels for precipitation probability */}
+          {[0, 50, 100].map(p => (
+            <text key={p} x={WIDTH - PADDING.right + 8} y={yPop(p) + 4} fontSize="11" fill={colors.text}>
+              {p}%
+            </text>
+          ))}
+
+          {/* Precipitation probability bars */}
+          {hourly.map((point, i) => (
+            <rect
+              key={point.dt}
+              x={x(i) - step * 0.3}
+              y={yPop(point.pop)}
+              width={step * 0.6}
+              height={PADDING.top + PLOT_HEIGHT - yPop(point.pop)}
+              fill={colors.precip}
+            />
+          ))}
+
+          {/* Day separators and weekday labels */}
+          {days.map((day, i) => (
+            <g key={`${day.name}-${day.start}`}>
+              {i > 0 && (
+                <line
+                  x1={x(day.start) - step / 2} x2={x(day.start) - step / 2}
+                  y1={PADDING.top} y2={PADDING.top + PLOT_HEIGHT}
+                  stroke={colors.separator} strokeDasharray="2 4"
+                />
+              )}
+              <text
+                x={(x(day.start) + x(day.end)) / 2}
+                y={HEIGHT - 12}
+                textAnchor="middle"
+                fontSize="12"
+                fill={colors.text}
+              >
+                {day.name}
+              </text>
+            </g>
+          ))}
+
+          {/* Feels like and temperature lines */}
+          <path d={linePath('feelsLike')} fill="none" stroke={colors.feels} strokeWidth="2" strokeDasharray="6 4" />
+          <path d={linePath('temp')} fill="none" stroke={colors.temp} strokeWidth="2.5" />
+
+          {/* Hover guide and markers */}
+          {hovered && (
+            <g>
+              <line
+                x1={x(hoverIndex)} x2={x(hoverIndex)}
+                y1={PADDING.top} y2={PADDING.top + PLOT_HEIGHT}
+                stroke={colors.separator}
+              />
+              <circle cx={x(hoverIndex)} cy={yTemp(hovered.temp)} r="4" fill={colors.temp} />
+              <circle cx={x(hoverIndex)} cy={yTemp(hovered.feelsLike)} r="4" fill={colors.feels} />
+            </g>
+          )}
+        </svg>
+
+        {/* Tooltip positioned over the hovered slot */}
+        {hovered && (
+          <div
+            className="chart-tooltip"
+            style={{ left: `${(x(hoverIndex) / WIDTH) * 100}%` }}
+          >
+            <strong>{hovered.label}</strong>
+            <span>🌡️ {hovered.temp}{unitSymbol}</span>
+            <span>🤔 Feels {hovered.feelsLike}{unitSymbol}</span>
+            <span>💧 {hovered.pop}%</span>
+          </div>
+        )}
+      </div>
+
+      {/* Legend */}
+      <div className="chart-legend">
+        <span><i style={{ background: colors.temp }} /> Temperature ({unitSymbol})</span>
+        <span><i style={{ background: colors.feels }} /> Feels like</span>
+        <span><i style={{ background: colors.precip }} /> Chance of rain</span>
+      </div>
+    </section>
+  );
+};
+
+export default ForecastChart;
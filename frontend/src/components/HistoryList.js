@@ -2,12 +2,20 @@
  * ===============================================
  * HistoryList Component
  * ===============================================
- * Displays user's search history (last 10 searches)
+ * Displays user's search history, newest first
  * Allows clicking on items to view that weather again
  * Can clear all history with one click
+ *
+ * FEATURES:
+ * ✓ Filter box (city name) and "Group repeats" (one entry per place with a count)
+ * ✓ Delete button per entry (a grouped entry deletes every search of that place)
+ * ✓ Infinite scroll: the next page loads when the end of the list is reached
  */
 
-import React from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+
+// Wait this long after the last keystroke before filtering
+const FILTER_DELAY_MS = 300;
 
 /**
  * HistoryList Component
@@ -17,13 +25,76 @@ import React from 'react';
  * @param {string} history[].temperature - Temperature recorded
  * @param {string} history[].iconUrl - URL to weather icon
  * @param {string} history[].time - Formatted timestamp
+ * @param {number} [history[].count] - Searches of this place (grouped entries)
+ * @param {Object} filter - Current list options { city, collapse }
+ * @param {boolean} hasMore - Whether another page can be loaded
+ * @param {boolean} loadingMore - True while the next page is loading
+ * @param {Function} onFilterChange - ({ city, collapse }) => void; reloads the list
+ * @param {Function} onLoadMore - Loads the next page
+ * @param {Function} onDelete - (item) => void; deletes one entry
  * @param {Function} onClear - Callback to clear all history
  * @param {Function} onCityClick - Callback when history item is clicked
  */
-const HistoryList = ({ history, onClear, onCityClick }) => {
+const HistoryList = ({
+  history, filter, hasMore, loadingMore,
+  onFilterChange, onLoadMore, onDelete, onClear, onCityClick
+}) => {
+  // ========== STATE ==========
+  // Filter box text (applied after a short pause in typing)
+  const [cityText, setCityText] = useState(filter.city);
+  const filterTimer = useRef(null);
+
+  // Scrollable list and the marker after its last item
+  const listRef = useRef(null);
+  const sentinelRef = useRef(null);
+
+  // Latest onLoadMore, so the observer below is not recreated on every render
+  const loadMoreRef = useRef(onLoadMore);
+  loadMoreRef.current = onLoadMore;
+
+  /**
+   * ========== INFINITE SCROLL ==========
+   * Loads the next page when the end of the list scrolls into view.
+   * Browsers without IntersectionObserver use the "Load more" button.
+   */
+  useEffect(() => {
+    if (!hasMore || !sentinelRef.current || !('IntersectionObserver' in window)) return undefined;
+    const observer = new IntersectionObserver(
+      ([entry]) => { if (entry.isIntersecting) loadMoreRef.current(); },
+      { root: listRef.current, rootMargin: '100px' }
+    );
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [hasMore, history.length]);
+
+  // Stop a pending filter update when the list goes away
+  useEffect(() => () => clearTimeout(filterTimer.current), []);
+
+  /**
+   * ========== FILTER HANDLERS ==========
+   */
+  const handleCityChange = (e) => {
+    const city = e.target.value;
+    setCityText(city);
+    clearTimeout(filterTimer.current);
+    filterTimer.current = setTimeout(() => onFilterChange({ ...filter, city }), FILTER_DELAY_MS);
+  };
+
+  const handleCollapseChange = (e) => {
+    clearTimeout(filterTimer.current);
+    onFilterChange({ city: cityText, collapse: e.target.checked });
+  };
+
+  const handleDelete = (item, e) => {
+    e.stopPropagation(); // Don't open the city
+    onDelete(item);
+  };
+
+  const filtering = Boolean(filter.city.trim());
+
   // ========== EMPTY STATE ==========
   // Show empty message if no search history exists
-  if (!history.length) {
+  if (!history.length && !filtering) {
     return (
       <section className="history-section">
         <h3>📜 Search History</h3>
@@ -38,33 +109,71 @@ const HistoryList = ({ history, onClear, onCityClick }) => {
     <section className="history-section">
       {/* Header with title and clear button */}
       <div className="history-header">
-        <h3>📜 Recent Searches ({history.length})</h3>
+        <h3>📜 Recent Searches ({history.length}{hasMore ? '+' : ''})</h3>
         <button onClick={onClear} className="clear-btn">
           🗑️ Clear All
         </button>
       </div>
-      
+
+      {/* Filter box and grouping option */}
+      <div className="history-filter">
+        <input
+          type="search"
+          value={cityText}
+          onChange={handleCityChange}
+          placeholder="🔍 Filter by city"
+          aria-label="Filter history by city"
+        />
+        <label>
+          <input type="checkbox" checked={filter.collapse} onChange={handleCollapseChange} />
+          Group repeats
+        </label>
+      </div>
+
+      {!history.length && <p className="empty-state">No searches match "{filter.city}".</p>}
+
       {/* List of history items */}
-      <div className="history-list">
+      <div className="history-list" ref={listRef}>
         {history.map((item) => (
-          <div 
+          <div
             key={item.id}
             className="history-item"
             onClick={() => onCityClick(item)}
           >
             {/* Weather icon */}
             <img src={item.iconUrl} alt="" width="32" height="32" />
-            
+
             {/* City name and temperature */}
             <div className="history-info">
-              <span className="city-name">{item.city}</span>
+              <span className="city-name">
+                {item.city}
+                {item.count > 1 && <span className="repeat-count" title={`Searched ${item.count} times`}>×{item.count}</span>}
+              </span>
               <span className="temp">{item.temperature}</span>
             </div>
-            
-            {/* Search timestamp */}
+
+            {/* Search timestamp (the latest one for grouped entries) */}
             <span className="time">{item.time}</span>
+
+            {/* Delete this entry */}
+            <button
+              className="history-delete"
+              onClick={(e) => handleDelete(item, e)}
+              title={item.count > 1 ? `Delete all ${item.count} searches` : 'Delete this search'}
+            >
+              ✕
+            </button>
           </div>
         ))}
+
+        {/* End of the list: the next page loads when this scrolls into view */}
+        {hasMore && (
+          <div ref={sentinelRef} className="history-more">
+            <button onClick={onLoadMore} disabled={loadingMore}>
+              {loadingMore ? '⏳ Loading...' : 'Load more'}
+            </button>
+          </div>
+        )}
       </div>
     </section>
   );
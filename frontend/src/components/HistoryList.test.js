@@ -0,0 +1,83 @@
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import HistoryList from './HistoryList';
+
+const history = [
+  { id: 'h1', city: 'London', temperature: '13°C', iconUrl: 'https://openweathermap.org/img/wn/04d.png', time: '08:00', count: 3 },
+  { id: 'h2', city: 'Tokyo', temperature: '18°C', iconUrl: 'https://openweathermap.org/img/wn/01d.png', time: '07:00' }
+];
+
+// Renders the list; returns the props so tests can check the callbacks
+const renderList = (overrides = {}) => {
+  const props = {
+    history,
+    filter: { city: '', collapse: false },
+    hasMore: false,
+    loadingMore: false,
+    onFilterChange: jest.fn(),
+    onLoadMore: jest.fn(),
+    onDelete: jest.fn(),
+    onClear: jest.fn(),
+    onCityClick: jest.fn(),
+    ...overrides
+  };
+  render(<HistoryList {...props} />);
+  return props;
+};
+
+afterEach(() => jest.useRealTimers());
+
+test('shows an empty state until something is searched', () => {
+  renderList({ history: [] });
+  expect(screen.getByText(/no searches yet/i)).toBeInTheDocument();
+});
+
+test('groups repeats with a count and deletes an entry without opening it', () => {
+  const { onDelete, onCityClick } = renderList();
+  expect(screen.getByTitle('Searched 3 times')).toHaveTextContent('×3');
+
+  userEvent.click(screen.getByTitle('Delete all 3 searches'));
+  expect(onDelete).toHaveBeenCalledWith(history[0]);
+  expect(onCityClick).not.toHaveBeenCalled();
+
+  userEvent.click(screen.getByText('Tokyo'));
+  expect(onCityClick).toHaveBeenCalledWith(history[1]);
+});
+
+test('filters by city once typing pauses', () => {
+  jest.useFakeTimers();
+  const { onFilterChange } = renderList();
+
+  userEvent.type(screen.getByLabelText('Filter history by city'), 'lon');
+  expect(onFilterChange).not.toHaveBeenCalled();
+
+  act(() => jest.advanceTimersByTime(300));
+  expect(onFilterChange).toHaveBeenCalledTimes(1);
+  expect(onFilterChange).toHaveBeenCalledWith({ city: 'lon', collapse: false });
+});
+
+test('grouping applies at once, keeping the typed filter', () => {
+  jest.useFakeTimers();
+  const { onFilterChange } = renderList();
+
+  userEvent.type(screen.getByLabelText('Filter history by city'), 'tok');
+  userEvent.click(screen.getByLabelText('Group repeats'));
+  expect(onFilterChange).toHaveBeenCalledWith({ city: 'tok', collapse: true });
+
+  // The pending filter update was replaced by the grouping one
+  act(() => jest.advanceTimersByTime(300));
+  expect(onFilterChange).toHaveBeenCalledTimes(1);
+});
+
+test('explains a filter without matches', () => {
+  renderList({ history: [], filter: { city: 'Atlantis', collapse: false } });
+  expect(screen.getByText('No searches match "Atlantis".')).toBeInTheDocument();
+});
+
+test('loads the next page from the end of the list', () => {
+  const { onLoadMore } = renderList({ hasMore: true });
+  expect(screen.getByRole('heading', { name: /recent searches \(2\+\)/i })).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Load more' }));
+  expect(onLoadMore).toHaveBeenCalled();
+});
@@ -0,0 +1,40 @@
+/**
+ * ===============================================
+ * Notice Component
+ * ===============================================
+ * Dismissible status banner used instead of alert() for errors
+ * and confirmations ("Added to favorites", "City not found", ...).
+ * Disappears on its own after a few seconds.
+ */
+
+import React, { useEffect } from 'react';
+
+// How long a notice stays on screen (ms)
+const NOTICE_TIMEOUT = 5000;
+
+/**
+ * Notice Component
+ * @param {Object|null} notice - { id, type: 'error' | 'success' | 'info', text }
+ * @param {Function} onDismiss - Clears the notice
+ */
+const Notice = ({ notice, onDismiss }) => {
+  useEffect(() => {
+    if (!notice) return undefined;
+    const timer = setTimeout(onDismiss, NOTICE_TIMEOUT);
+    return () => clearTimeout(timer);
+  }, [notice, onDismiss]);
+
+  if (!notice) return null;
+
+  return (
+    <div
+      className={`notice notice-${notice.type}`}
+      role={notice.type === 'error' ? 'alert' : 'status'}
+    >
+      <span>{notice.text}</span>
+      <button className="notice-close" onClick={onDismiss} aria-label="Dismiss">✕</button>
+    </div>
+  );
+};
+
+export default Notice;
@@ -0,0 +1,94 @@
+/**
+ * ===============================================
+ * PastWeek Component
+ * ===============================================
+ * Observed weather for the displayed city over the last 7 days,
+ * built by the backend from stored searches (GET /weather/:city/timeline)
+ *
+ * FEATURES:
+ * ✓ One row per local day with observations
+ * ✓ Temperature range bar (min → max on a shared scale) with the average marked
+ * ✓ Average humidity and pressure, and how many observations each day has
+ */
+
+import React from 'react';
+
+/**
+ * PastWeek Component
+ * @param {Object} timeline - Response of /weather/:city/timeline (null = not loaded)
+ * @param {string} timeline.city - City name
+ * @param {Object} timeline.unitLabels - { temperature, pressure } labels
+ * @param {Array} timeline.points - Daily points, oldest first
+ * @param {string} timeline.points[].label - Local day (e.g., "Mon, Mar 4")
+ * @param {number} timeline.points[].count - Observations that day
+ * @param {Object} timeline.points[].temperature - { min, max, avg }
+ * @param {Object} timeline.points[].humidity - { min, max, avg }
+ * @param {Object} timeline.points[].pressure - { min, max, avg }
+ */
+const PastWeek = ({ timeline }) => {
+  if (!timeline) {
+    return null;
+  }
+
+  const { city, points, unitLabels } = timeline;
+
+  // ========== EMPTY STATE ==========
+  if (!points.length) {
+    return (
+      <section className="past-week">
+        <h3>🗓️ Past Week in {city}</h3>
+        <p className="empty-state">No observations stored for {city} in the last 7 days yet. Searches by signed-in users are recorded.</p>
+      </section>
+    );
+  }
+
+  // ========== SHARED TEMPERATURE SCALE ==========
+  const lowest = Math.min(...points.map(point => point.temperature.min));
+  const highest = Math.max(...points.map(point => point.temperature.max));
+  const span = highest - lowest || 1;
+  const position = (value) => `${((value - lowest) / span) * 100}%`;
+  const round = (value) => Math.round(value);
+
+  return (
+    <section className="past-week">
+      <h3>🗓️ Past Week in {city}</h3>
+
+      <div className="past-week-rows">
+        {points.map(point => (
+          <div key={point.start} className="past-week-row">
+            <span className="past-week-day">{point.label}</span>
+
+            {/* Min → max bar with the average marked */}
+            <span className="past-week-temps">
+              <span className="temp-min">{round(point.temperature.min)}{unitLabels.temperature}</span>
+              <span className="range-track">
+                <span
+                  className="range-bar"
+                  style={{
+                    left: position(point.temperature.min),
+                    width: `calc(${position(point.temperature.max)} - ${position(point.temperature.min)})`
+                  }}
+                />
+                <span
+                  className="range-avg"
+                  style={{ left: position(point.temperature.avg) }}
+                  title={`Average ${point.temperature.avg}${unitLabels.temperature}`}
+                />
+              </span>
+              <span className="temp-max">{round(point.temperature.max)}{unitLabels.temperature}</span>
+            </span>
+
+            <span className="past-week-extra">
+              💧 {point.humidity.avg}% · 🔽 {point.pressure.avg} {unitLabels.pressure}
+            </span>
+            <span className="past-week-count" title="Stored observations">
+              {point.count} obs.
+            </span>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+};
+
+export default PastWeek;
@@ -0,0 +1,48 @@
+import { render, screen } from '@testing-library/react';
+import PastWeek from './PastWeek';
+
+const unitLabels = { temperature: '°C', pressure: 'hPa' };
+
+const day = (start, label, temperature, count = 2) => ({
+  start,
+  label,
+  count,
+  temperature,
+  humidity: { min: 60, max: 80, avg: 70 },
+  pressure: { min: 1010, max: 1014, avg: 1012 }
+});
+
+test('renders nothing until the timeline has loaded', () => {
+  const { container } = render(<PastWeek timeline={null} />);
+  expect(container).toBeEmptyDOMElement();
+});
+
+test('explains an empty week', () => {
+  render(<PastWeek timeline={{ city: 'London', points: [], unitLabels }} />);
+  expect(screen.getByText(/no observations stored for london/i)).toBeInTheDocument();
+});
+
+test('shows one row per day on a shared temperature scale', () => {
+  const { container } = render(<PastWeek timeline={{
+    city: 'London',
+    unitLabels,
+    points: [
+      day('2024-03-01T00:00:00.000Z', 'Fri, Mar 1', { min: 10, max: 14.6, avg: 12 }, 3),
+      day('2024-03-02T00:00:00.000Z', 'Sat, Mar 2', { min: 4.4, max: 20, avg: 15 })
+    ]
+  }} />);
+
+  expect(screen.getByRole('heading', { name: /past week in london/i })).toBeInTheDocument();
+  const rows = container.querySelectorAll('.past-week-row');
+  expect(rows).toHaveLength(2);
+  expect(rows[0]).toHaveTextContent('Fri, Mar 1');
+  expect(rows[0]).toHaveTextContent('10°C');
+  expect(rows[0]).toHaveTextContent('15°C'); // Rounded max
+  expect(rows[0]).toHaveTextContent('3 obs.');
+  expect(rows[0]).toHaveTextContent('💧 70% · 🔽 1012 hPa');
+
+  // The scale runs from the week's lowest (4.4) to its highest (20)
+  const bars = container.querySelectorAll('.range-bar');
+  expect(bars[1].style.left).toBe('0%');
+  expect(container.querySelectorAll('.range-avg')[1].style.left).toBe(`${((15 - 4.4) / 15.6) * 100}%`);
+});
@@ -1,21 +1,88 @@
 // src/components/SearchForm.js
-// Component for city search input and geolocation button
+// Component for city search input (with autocomplete) and geolocation button
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+
+// Wait this long after the last keystroke before asking for suggestions (ms)
+const SUGGEST_DELAY = 300;
 
 /**
  * SearchForm Component
  * Renders the search input and "My Location" button.
+ * Typing shows matching places (name, state, country) so the user can pick
+ * the right one; picking a suggestion looks the weather up by coordinates.
  * 
  * @param {Function} onSearch - Callback to parent App.js with search query
+ * @param {Function} onSelectLocation - Callback with a chosen suggestion ({ name, state, country, lat, lon })
+ * @param {Function} onLocate - Shows the weather at the device's current position
+ * @param {Function} fetchSuggestions - async (query) => candidate places
  * @param {boolean} loading - Loading state to disable inputs during API calls
  * @param {string} currentCity - Name of the currently displayed city
  * @param {string} units - Current temperature unit ('metric' or 'imperial')
  */
-const SearchForm = ({ onSearch, loading, currentCity, units }) => {
+const SearchForm = ({ onSearch, onSelectLocation, onLocate, fetchSuggestions, loading, currentCity, units }) => {
   // Local state for the text input field
   const [city, setCity] = useState('');
 
+  // Autocomplete suggestions and the keyboard-highlighted one (-1 = none)
+  const [suggestions, setSuggestions] = useState([]);
+  const [highlighted, setHighlighted] = useState(-1);
+
+  /**
+   * Debounced suggestion lookup
+   * Ignores responses for text the user has already changed
+   */
+  useEffect(() => {
+    const query = city.trim();
+    if (query.length < 2 || !fetchSuggestions) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let stale = false;
+    const timer = setTimeout(async () => {
+      const results = await fetchSuggestions(query);
+      if (!stale) {
+        setSuggestions(results);
+        setHighlighted(-1);
+      }
+    }, SUGGEST_DELAY);
+
+    return () => {
+      stale = true;
+      clearTimeout(timer);
+    };
+  }, [city, fetchSuggestions]);
+
+  /**
+   * Picks a suggestion: search by its coordinates and reset the input
+   */
+  const selectSuggestion = (place) => {
+    onSelectLocation(place);
+    setCity('');
+    setSuggestions([]);
+  };
+
+  /**
+   * Keyboard navigation for the suggestion list
+   * ↑/↓ move the highlight, Enter picks it, Escape closes the list
+   */
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted((highlighted + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(highlighted <= 0 ? suggestions.length - 1 : highlighted - 1);
+    } else if (e.key === 'Enter' && highlighted >= 0) {
+      e.preventDefault();
+      selectSuggestion(suggestions[highlighted]);
+    } else if (e.key === 'Escape') {
+      setSuggestions([]);
+    }
+  };
+
   /**
    * Handles form submission (Enter key or Search button)
    * Prevents default page reload and triggers search if input is valid
@@ -25,60 +92,10 @@ const SearchForm = ({ onSearch, loading, currentCity, units }) => {
     if (city.trim()) {
       onSearch(city.trim()); // Send city name to parent
       setCity(''); // Clear input field after search
+      setSuggestions([]);
     }
   };
 
-  /**
-   * ✅ CHROME-OPTIMIZED GEOLOCATION HANDLER
-   * Uses the browser's Geolocation API to get GPS coordinates.
-   * Includes specific options for better accuracy in Chrome.
-   */
-  const getCurrentLocation = () => {
-    // Check if browser supports Geolocation
-    if (!navigator.geolocation) {
-      alert('❌ Geolocation not supported. Use Chrome/Edge/Firefox');
-      return;
-    }
-
-    // Options for getCurrentPosition
-    const geoOptions = {
-      enableHighAccuracy: true, // Request best possible accuracy (GPS)
-      timeout: 15000,           // Wait max 15 seconds for location
-      maximumAge: 300000        // Accept cached position up to 5 minutes old
-    };
-
-    // Request current position
-    navigator.geolocation.getCurrentPosition(
-      async (position) => {
-        // Success callback: Destructure coords from position object
-        const { latitude, longitude } = position.coords;
-        
-        // Pass special query string to parent's fetchWeather function
-        // Format: current?lat=...&lon=...
-        onSearch(`current?lat=${latitude}&lon=${longitude}`);
-      },
-      (error) => {
-        // Error callback: Handle various error codes
-        let message = 'Location Error:\n\n';
-        switch(error.code) {
-          case error.PERMISSION_DENIED:
-            message += '🚫 Permission denied. Go to Chrome Settings → Site Settings → Location → Allow localhost:3000';
-            break;
-          case error.POSITION_UNAVAILABLE:
-            message += '📍 Location unavailable. Enable GPS/WiFi';
-            break;
-          case error.TIMEOUT:
-            message += '⏰ Location timeout. Try again';
-            break;
-          default:
-            message += '❓ Unknown error';
-        }
-        alert(message); // Show user-friendly error message
-      },
-      geoOptions
-    );
-  };
-
   return (
     <section className="search-section">
       {/* City Search Form */}
@@ -89,19 +106,47 @@ const SearchForm = ({ onSearch, loading, currentCity, units }) => {
             placeholder="Enter city (Mumbai, Karad) or click 📍"
             value={city}
             onChange={(e) => setCity(e.target.value)}
+            onKeyDown={handleKeyDown}
+            onBlur={() => setTimeout(() => setSuggestions([]), 150)} // Let clicks on suggestions land first
             className="city-input"
             disabled={loading} // Disable while fetching weather
+            role="combobox"
+            aria-expanded={suggestions.length > 0}
+            aria-controls="city-suggestions"
+            aria-autocomplete="list"
+            aria-activedescendant={highlighted >= 0 ? `city-suggestion-${highlighted}` : undefined}
           />
           <button type="submit" className="search-btn" disabled={loading}>
             {loading ? '🔄 Searching...' : '🌤️ Search'}
           </button>
+
+          {/* Autocomplete dropdown */}
+          {suggestions.length > 0 && (
+            <ul id="city-suggestions" className="suggestions" role="listbox">
+              {suggestions.map((place, index) => (
+                <li
+                  key={`${place.lat},${place.lon}`}
+                  id={`city-suggestion-${index}`}
+                  role="option"
+                  aria-selected={index === highlighted}
+                  className={index === highlighted ? 'highlighted' : ''}
+                  onMouseDown={(e) => e.preventDefault()} // Keep focus in the input
+                  onClick={() => selectSuggestion(place)}
+                  onMouseEnter={() => setHighlighted(index)}
+                >
+                  <strong>{place.name}</strong>
+                  <small>{[place.state, place.country].filter(Boolean).join(', ')}</small>
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
       </form>
 
       {/* Geolocation Button Section */}
       <div className="location-buttons">
         <button 
-          onClick={getCurrentLocation} 
+          onClick={onLocate} // Parent resolves the device position (see utils/geolocation.js) 
           className="geo-btn"
           disabled={loading}
           title="Get weather for your current GPS location"
@@ -12,16 +12,23 @@
  * ✓ Humidity percentage
  * ✓ Wind speed
  * ✓ Atmospheric pressure
- * ✓ City name and country
+ * ✓ Today's min/max, gusts, visibility, cloud cover and rain/snow
+ * ✓ Wind compass and a sunrise → sunset daylight bar
+ * ✓ City name and country, observation time (local to the place)
+ * ✓ Heart toggle that adds the place to favorites or removes it
  */
 
-import React from 'react';
+import React, { useState } from 'react';
+import { formatAge, formatLocalTime } from '../utils/time';
+import WindCompass from './WindCompass';
+import DaylightBar from './DaylightBar';
 
 /**
  * WeatherDisplay Component
  * @param {Object} data - Weather data object
  * @param {string} data.city - City name
  * @param {string} data.country - Country name
+ * @param {string} [data.locality] - Geocoded "Name, State, Country" label
  * @param {number} data.temperature - Current temperature
  * @param {number} data.feelsLike - "Feels like" temperature
  * @param {string} data.description - Weather description
@@ -29,11 +36,55 @@ import React from 'react';
  * @param {number} data.humidity - Humidity percentage
  * @param {number} data.windSpeed - Wind speed
  * @param {number} data.pressure - Atmospheric pressure
+ * @param {number|null} [data.tempMin] - Today's minimum temperature
+ * @param {number|null} [data.tempMax] - Today's maximum temperature
+ * @param {number|null} [data.windDeg] - Wind direction in degrees (from)
+ * @param {string|null} [data.windDirection] - Compass label for windDeg
+ * @param {number|null} [data.windGust] - Wind gust speed
+ * @param {number|null} [data.visibility] - Visibility (km or mi)
+ * @param {number|null} [data.clouds] - Cloud cover percentage
+ * @param {number|null} [data.rain1h] - Rain in the last hour (mm)
+ * @param {number|null} [data.snow1h] - Snow in the last hour (mm)
+ * @param {string|null} [data.sunrise] - ISO sunrise time
+ * @param {string|null} [data.sunset] - ISO sunset time
+ * @param {string|null} [data.observedAt] - ISO time the provider measured the weather
+ * @param {number} [data.timezone] - UTC offset of the place in seconds
+ * @param {Object} [data.unitLabels] - Labels of the units used ({ wind: 'km/h', pressure: 'hPa', distance: 'km', precipitation: 'mm' })
+ * @param {Object} [data.cache] - Backend cache metadata ({ hit, ageSeconds, stale })
+ * @param {boolean} [isFavorite] - The place is already a favorite (filled heart)
+ * @param {Function} [onToggleFavorite] - async () => void; adds or removes the favorite
  */
-const WeatherDisplay = ({ data }) => {
+const WeatherDisplay = ({ data, isFavorite = false, onToggleFavorite }) => {
+  // True while the add/remove request is running
+  const [toggling, setToggling] = useState(false);
+
+  const handleToggleFavorite = async () => {
+    setToggling(true);
+    try {
+      await onToggleFavorite();
+    } finally {
+      setToggling(false);
+    }
+  };
+
+  const labels = data.unitLabels || { wind: 'm/s', pressure: 'hPa', distance: 'km', precipitation: 'mm' };
+  const has = (value) => value !== null && value !== undefined;
   return (
     <section className="weather-display">
       <div className="weather-card">
+        {/* Favorite toggle */}
+        {onToggleFavorite && (
+          <button
+            className={`fav-toggle ${isFavorite ? 'active' : ''}`}
+            onClick={handleToggleFavorite}
+            disabled={toggling}
+            aria-pressed={isFavorite}
+            title={isFavorite ? 'Remove from favorites' : 'Add to favorites'}
+          >
+            {toggling ? '⏳' : isFavorite ? '❤️' : '🤍'}
+          </button>
+        )}
+
         {/* Weather Icon */}
         <div className="weather-icon">
           <img 
@@ -51,6 +102,11 @@ const WeatherDisplay = ({ data }) => {
           
           {/* Weather description (Cloudy, Sunny, etc.) */}
           <p className="description">{data.description}</p>
+
+          {/* Today's range */}
+          {has(data.tempMin) && has(data.tempMax) && (
+            <p className="temp-range">↓ {data.tempMin}° · ↑ {data.tempMax}°</p>
+          )}
           
           {/* Detailed weather metrics grid */}
           <div className="weather-details">
@@ -64,18 +120,80 @@ const WeatherDisplay = ({ data }) => {
             </div>
             <div className="detail-item">
               <span>Wind:</span>
-              <span>{data.windSpeed} m/s</span>
+              <span>{data.windSpeed} {labels.wind}</span>
             </div>
             <div className="detail-item">
               <span>Pressure:</span>
-              <span>{data.pressure} mb</span>
+              <span>{data.pressure} {labels.pressure}</span>
             </div>
+            {has(data.windGust) && (
+              <div className="detail-item">
+                <span>Gusts:</span>
+                <span>{data.windGust} {labels.wind}</span>
+              </div>
+            )}
+            {has(data.visibility) && (
+              <div className="detail-item">
+                <span>Visibility:</span>
+                <span>{data.visibility} {labels.distance}</span>
+              </div>
+            )}
+            {has(data.clouds) && (
+              <div className="detail-item">
+                <span>Clouds:</span>
+                <span>{data.clouds}%</span>
+              </div>
+            )}
+            {has(data.rain1h) && (
+              <div className="detail-item">
+                <span>Rain (1h):</span>
+                <span>{data.rain1h} {labels.precipitation}</span>
+              </div>
+            )}
+            {has(data.snow1h) && (
+              <div className="detail-item">
+                <span>Snow (1h):</span>
+                <span>{data.snow1h} {labels.precipitation}</span>
+              </div>
+            )}
           </div>
 
+          {/* Wind direction and daylight */}
+          {(has(data.windDeg) || (data.sunrise && data.sunset)) && (
+            <div className="sky-details">
+              {has(data.windDeg) && <WindCompass degrees={data.windDeg} direction={data.windDirection} />}
+              {data.sunrise && data.sunset && (
+                <DaylightBar
+                  sunrise={data.sunrise}
+                  sunset={data.sunset}
+                  observedAt={data.observedAt}
+                  timezone={data.timezone || 0}
+                />
+              )}
+            </div>
+          )}
+
           {/* Location display */}
           <div className="location">
-            📍 {data.city}, {data.country}
+            📍 {data.locality || `${data.city}, ${data.country}`}
           </div>
+
+          {/* When the provider measured these conditions (local time at the place) */}
+          {data.observedAt && (
+            <small className="observed-at">
+              Observed at {formatLocalTime(data.observedAt, data.timezone || 0)} local time
+            </small>
+          )}
+
+          {/* Data freshness (served from backend cache or fetched live) */}
+          {data.cache && (
+            <small className="data-age">
+              {data.cache.hit
+                ? `🗄️ Cached · updated ${formatAge(data.cache.ageSeconds)}`
+                : '🛰️ Live data'}
+              {data.cache.stale && ' · daily lookup budget reached, showing last known data'}
+            </small>
+          )}
         </div>
       </div>
     </section>
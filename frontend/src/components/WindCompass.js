@@ -0,0 +1,35 @@
+/**
+ * ===============================================
+ * WindCompass Component
+ * ===============================================
+ * Small compass dial with an arrow pointing where the wind blows to
+ * (meteorological directions give where it comes FROM, so the arrow
+ * is rotated by direction + 180°).
+ */
+
+import React from 'react';
+
+/**
+ * WindCompass Component
+ * @param {number} degrees - Direction the wind comes from (0 = North)
+ * @param {string} direction - Compass label, e.g. 'WSW'
+ */
+const WindCompass = ({ degrees, direction }) => {
+  return (
+    <div className="wind-compass" role="img" aria-label={`Wind from ${direction} (${degrees}°)`}>
+      <svg viewBox="0 0 100 100" width="64" height="64">
+        <circle cx="50" cy="50" r="46" className="compass-ring" />
+        <text x="50" y="16" className="compass-point">N</text>
+        <text x="88" y="54" className="compass-point">E</text>
+        <text x="50" y="92" className="compass-point">S</text>
+        <text x="12" y="54" className="compass-point">W</text>
+        <g transform={`rotate(${(degrees + 180) % 360} 50 50)`}>
+          <polygon points="50,22 58,56 50,50 42,56" className="compass-arrow" />
+        </g>
+      </svg>
+      <span className="compass-label">{direction}</span>
+    </div>
+  );
+};
+
+export default WindCompass;
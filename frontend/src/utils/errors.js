@@ -0,0 +1,38 @@
+/**
+ * ===============================================
+ * API Error Messages
+ * ===============================================
+ * The backend answers every failure with
+ *   { success: false, code: 'CITY_NOT_FOUND', error: '...', details?: [...] }
+ * (see backend/utils/errors.js). The UI picks its wording by `code`;
+ * codes mapped to null keep the backend's own, more specific message
+ * (e.g. "lat must be between -90 and 90", "Favorite not found").
+ */
+
+export const ERROR_MESSAGES = {
+  VALIDATION_FAILED: null,
+  AUTH_REQUIRED: '👤 Please log in to do that',
+  INVALID_CREDENTIALS: '🔒 Invalid username or password',
+  FORBIDDEN: '⛔ Admin access required',
+  NOT_FOUND: null,
+  CITY_NOT_FOUND: '🔍 City not found. Check the spelling or pick a suggestion',
+  ALREADY_EXISTS: null,
+  RATE_LIMITED: '🐢 Too many requests. Wait a moment and try again',
+  PROVIDER_AUTH_FAILED: '🔑 The weather service rejected the server\'s API key',
+  PROVIDER_RATE_LIMITED: '⏳ The weather service is busy. Please try again in a minute',
+  PROVIDER_ERROR: '🛰️ The weather service returned an error. Try again shortly',
+  PROVIDER_UNAVAILABLE: '🛰️ The weather service is unreachable right now. Try again shortly',
+  UPSTREAM_BUDGET_EXHAUSTED: '📉 Today\'s weather lookup budget is used up and this place isn\'t cached. Try again tomorrow',
+  INTERNAL_ERROR: '⚠️ Something went wrong on the server',
+  // Client-side: the backend could not be reached at all
+  NETWORK_ERROR: '🔌 Network error. Check backend on port 5000'
+};
+
+/**
+ * Message to show for a failed API response
+ * @param {Object} data - Parsed error envelope
+ * @param {string} fallback - Used when neither the code nor the backend gives a message
+ * @returns {string}
+ */
+export const errorMessage = (data, fallback = 'Something went wrong') =>
+  ERROR_MESSAGES[data?.code] || data?.error || data?.message || fallback;
@@ -0,0 +1,54 @@
+/**
+ * ===============================================
+ * Device Geolocation Helpers
+ * ===============================================
+ * Promise wrapper around navigator.geolocation used by the
+ * "My Location" button and the pinned "My Location" favorite.
+ */
+
+// Options for getCurrentPosition (tuned for Chrome)
+const GEO_OPTIONS = {
+  enableHighAccuracy: true, // Request best possible accuracy (GPS)
+  timeout: 15000,           // Wait max 15 seconds for location
+  maximumAge: 300000        // Accept cached position up to 5 minutes old
+};
+
+/**
+ * Resolves the device position
+ * @returns {Promise<Object>} { lat, lon }
+ * @throws {Error} With a user-friendly message when unsupported or denied
+ */
+export const getDevicePosition = () => new Promise((resolve, reject) => {
+  if (!navigator.geolocation) {
+    reject(new Error('❌ Geolocation not supported. Use Chrome/Edge/Firefox'));
+    return;
+  }
+
+  navigator.geolocation.getCurrentPosition(
+    (position) => resolve({ lat: position.coords.latitude, lon: position.coords.longitude }),
+    (error) => reject(new Error(geolocationErrorMessage(error))),
+    GEO_OPTIONS
+  );
+});
+
+/**
+ * Converts a GeolocationPositionError into a message for the user
+ * @param {GeolocationPositionError} error - Error from getCurrentPosition
+ */
+export const geolocationErrorMessage = (error) => {
+  let message = 'Location Error:\n\n';
+  switch (error.code) {
+    case error.PERMISSION_DENIED:
+      message += '🚫 Permission denied. Go to Chrome Settings → Site Settings → Location → Allow localhost:3000';
+      break;
+    case error.POSITION_UNAVAILABLE:
+      message += '📍 Location unavailable. Enable GPS/WiFi';
+      break;
+    case error.TIMEOUT:
+      message += '⏰ Location timeout. Try again';
+      break;
+    default:
+      message += '❓ Unknown error';
+  }
+  return message;
+};
@@ -0,0 +1,36 @@
+/**
+ * ===============================================
+ * Search History Helpers
+ * ===============================================
+ * Browser-only history (anonymous mode) gets the same city filter and
+ * "group repeats" option the backend applies to GET /weather/history.
+ */
+
+/**
+ * Repeat searches of a place share a key: city (any case), state and country
+ * (the same grouping the backend uses)
+ * @param {Object} item - History item ({ city, state, country })
+ */
+export const historyKey = (item) => `${item.city.toLowerCase()}|${item.state || ''}|${item.country || ''}`;
+
+/**
+ * Filters browser-only history, newest first
+ * @param {Array} items - History items, newest first
+ * @param {Object} filter
+ * @param {string} [filter.city] - Only cities containing this text (any case)
+ * @param {boolean} [filter.collapse] - One entry per place, with a search count
+ * @returns {Array} Matching items (collapsed entries keep the latest search and add count)
+ */
+export const filterHistory = (items, { city = '', collapse = false } = {}) => {
+  const text = city.trim().toLowerCase();
+  const matching = text ? items.filter(item => item.city.toLowerCase().includes(text)) : items;
+  if (!collapse) return matching;
+
+  const entries = new Map();
+  matching.forEach(item => {
+    const key = historyKey(item);
+    if (entries.has(key)) entries.get(key).count += 1;
+    else entries.set(key, { ...item, count: 1 });
+  });
+  return [...entries.values()];
+};
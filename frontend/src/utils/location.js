@@ -0,0 +1,62 @@
+/**
+ * ===============================================
+ * Location Query Helpers
+ * ===============================================
+ * Places picked from autocomplete suggestions carry coordinates.
+ * They are always looked up by lat/lon so "Springfield, IL" never
+ * turns into whichever Springfield the provider matches first.
+ * Older favorites/history entries without coordinates fall back to the name.
+ */
+
+/**
+ * Whether a place ({ lat, lon }) has usable coordinates
+ */
+export const hasCoords = (place) =>
+  typeof place?.lat === 'number' && typeof place?.lon === 'number';
+
+/**
+ * Backend query for the current weather at a chosen place
+ * @param {Object} place - { name or city, state, country, lat, lon }
+ * @returns {string} e.g. 'current?lat=39.8&lon=-89.64&name=Springfield&state=Illinois&country=US'
+ */
+export const placeQuery = (place) => {
+  const params = new URLSearchParams({
+    lat: place.lat,
+    lon: place.lon,
+    name: place.name || place.city || ''
+  });
+  if (place.state) params.set('state', place.state);
+  if (place.country) params.set('country', place.country);
+  return `current?${params.toString()}`;
+};
+
+/**
+ * Extra query parameters for forecast lookups ('' when there are no coordinates)
+ * @param {Object} place - { lat, lon }
+ */
+export const coordsParams = (place) =>
+  (hasCoords(place) ? `&lat=${place.lat}&lon=${place.lon}` : '');
+
+/**
+ * Weather endpoint path for a place, by coordinates when available
+ * @param {Object} place - { name or city, state, country, lat, lon }
+ * @param {string} units - Units query string (see utils/units.js)
+ */
+export const weatherPath = (place, units) => (hasCoords(place)
+  ? `/weather/${placeQuery(place)}&${units}`
+  : `/weather/${encodeURIComponent(place.name || place.city)}?${units}`);
+
+/**
+ * Whether two places are the same favorite: matching coordinates
+ * (to ~1 km) when both have them, otherwise the same name ignoring case
+ * @param {Object} a - { city, lat, lon }
+ * @param {Object} b - { city, lat, lon }
+ */
+export const isSamePlace = (a, b) => {
+  if (!a || !b) return false;
+  if (hasCoords(a) && hasCoords(b)) {
+    return Math.abs(a.lat - b.lat) < 0.01 && Math.abs(a.lon - b.lon) < 0.01;
+  }
+  const name = (place) => (place.city || place.name || '').trim().toLowerCase();
+  return name(a) !== '' && name(a) === name(b);
+};
@@ -0,0 +1,48 @@
+/**
+ * ===============================================
+ * Browser Notification Helpers
+ * ===============================================
+ * Shows weather alerts as system notifications through the
+ * service worker registered in index.js (public/sw.js).
+ */
+
+/**
+ * @returns {boolean} true when this browser can show notifications
+ */
+export const notificationsSupported = () => 'Notification' in window;
+
+/**
+ * Asks the user for notification permission (must follow a click)
+ * @returns {Promise<string>} 'granted', 'denied' or 'default'
+ */
+export const requestNotificationPermission = async () => {
+  if (!notificationsSupported()) return 'denied';
+  return Notification.requestPermission();
+};
+
+/**
+ * Shows one alert as a notification
+ * Prefers the service worker so clicks can focus the app (see sw.js);
+ * falls back to a page notification when no worker is registered
+ * @param {Object} alert - Alert from GET /weather/alerts
+ */
+export const showAlertNotification = async (alert) => {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return;
+
+  const options = {
+    body: alert.message,
+    tag: `weather-alert-${alert.id}`, // Same alert never shows twice
+    icon: '/logo192.png',
+    data: { url: '/' }
+  };
+
+  const registration = 'serviceWorker' in navigator
+    ? await navigator.serviceWorker.getRegistration()
+    : null;
+
+  if (registration) {
+    await registration.showNotification(`⚠️ Weather alert: ${alert.city}`, options);
+  } else {
+    new Notification(`⚠️ Weather alert: ${alert.city}`, options);
+  }
+};
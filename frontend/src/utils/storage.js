@@ -0,0 +1,54 @@
+/**
+ * ===============================================
+ * Browser Storage Helpers
+ * ===============================================
+ * Thin wrappers around localStorage used for:
+ * ✓ The logged-in session (token + user)
+ * ✓ Anonymous mode favorites and search history
+ * ✓ Alerts that were already shown as notifications
+ * ✓ Unit preferences (temperature, wind speed, pressure)
+ * ✓ The last "My Location" snapshot shown on the pinned favorite
+ */
+
+// localStorage keys
+export const AUTH_KEY = 'weather.auth';
+export const LOCAL_FAVORITES_KEY = 'weather.favorites';
+export const LOCAL_HISTORY_KEY = 'weather.history';
+export const NOTIFIED_ALERTS_KEY = 'weather.notifiedAlerts';
+export const UNITS_KEY = 'weather.units';
+export const MY_LOCATION_KEY = 'weather.myLocation';
+
+// Anonymous history keeps only the latest searches (the server keeps them all)
+export const LOCAL_HISTORY_LIMIT = 50;
+
+/**
+ * Reads and parses a JSON value from localStorage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Returned when the key is missing or unreadable
+ */
+export const loadLocal = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    console.warn(`Could not read ${key} from localStorage:`, error);
+    return fallback;
+  }
+};
+
+/**
+ * Serializes a value into localStorage (null removes the key)
+ * @param {string} key - Storage key
+ * @param {*} value - JSON-serializable value
+ */
+export const saveLocal = (key, value) => {
+  try {
+    if (value === null || value === undefined) {
+      window.localStorage.removeItem(key);
+    } else {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    }
+  } catch (error) {
+    console.warn(`Could not write ${key} to localStorage:`, error);
+  }
+};
@@ -0,0 +1,42 @@
+/**
+ * ===============================================
+ * Time Formatting Helpers
+ * ===============================================
+ */
+
+/**
+ * Formats an age in seconds as a short relative time
+ * @param {number} seconds - Age of the data
+ * @returns {string} e.g. "just now", "4 min ago", "2 h ago", "3 d ago"
+ */
+export const formatAge = (seconds) => {
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.round(seconds / 60)} min ago`;
+  if (seconds < 86400) return `${Math.round(seconds / 3600)} h ago`;
+  return `${Math.round(seconds / 86400)} d ago`;
+};
+
+/**
+ * Formats a timestamp relative to now
+ * @param {string|Date} date - ISO string or Date
+ * @returns {string} Relative time, or '' when the date is missing/invalid
+ */
+export const timeAgo = (date) => {
+  const time = new Date(date).getTime();
+  if (!date || Number.isNaN(time)) return '';
+  return formatAge(Math.max(0, (Date.now() - time) / 1000));
+};
+
+/**
+ * Formats a timestamp as a clock time in a place's own time zone
+ * @param {string|Date} date - ISO string or Date
+ * @param {number} timezone - The place's UTC offset in seconds
+ * @returns {string} e.g. "06:42", or '' when the date is missing/invalid
+ */
+export const formatLocalTime = (date, timezone = 0) => {
+  const time = new Date(date).getTime();
+  if (!date || Number.isNaN(time)) return '';
+  const local = new Date(time + timezone * 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}`;
+};
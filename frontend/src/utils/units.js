@@ -0,0 +1,57 @@
+/**
+ * ===============================================
+ * Unit Preferences
+ * ===============================================
+ * Temperature, wind speed and pressure units are chosen independently.
+ * The backend converts its stored metric values using the query string
+ * built here; the helpers below only touch browser-only (anonymous) data.
+ */
+
+// Wind speed options (value is the backend ?wind= key)
+export const WIND_UNIT_OPTIONS = [
+  { value: 'ms', label: 'm/s' },
+  { value: 'kmh', label: 'km/h' },
+  { value: 'mph', label: 'mph' },
+  { value: 'kn', label: 'knots' }
+];
+
+// Pressure options (value is the backend ?pressure= key)
+export const PRESSURE_UNIT_OPTIONS = [
+  { value: 'hpa', label: 'hPa' },
+  { value: 'inhg', label: 'inHg' }
+];
+
+// Default selection for first-time visitors
+export const DEFAULT_UNITS = { temperature: 'metric', wind: 'ms', pressure: 'hpa' };
+
+/**
+ * Builds the units part of an API query string
+ * @param {Object} units - { temperature, wind, pressure }
+ * @returns {string} e.g. 'units=metric&wind=kmh&pressure=hpa'
+ */
+export const unitsQuery = (units) =>
+  `units=${units.temperature}&wind=${units.wind}&pressure=${units.pressure}`;
+
+/**
+ * Temperature symbol for a unit system
+ * @param {string} system - 'metric' or 'imperial'
+ */
+export const temperatureSymbol = (system) => (system === 'imperial' ? '°F' : '°C');
+
+/**
+ * Rain/snow unit for a unit system (the backend sends inches for imperial)
+ * @param {string} system - 'metric' or 'imperial'
+ */
+export const precipitationUnit = (system) => (system === 'imperial' ? 'in' : 'mm');
+
+/**
+ * Converts a rounded temperature between unit systems
+ * Used for snapshots saved in localStorage in anonymous mode
+ * @param {number} value - Temperature in the `from` system
+ * @param {string} from - 'metric' or 'imperial'
+ * @param {string} to - 'metric' or 'imperial'
+ */
+export const convertTemperature = (value, from, to) => {
+  if (from === to || typeof value !== 'number') return value;
+  return Math.round(to === 'imperial' ? value * 9 / 5 + 32 : (value - 32) * 5 / 9);
+};